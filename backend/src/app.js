@@ -15,7 +15,6 @@ const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const csrf = require('csurf');
-const validator = require('validator');
 const morgan = require('morgan');
 
 // ルートインポート
@@ -24,12 +23,28 @@ const serviceRoutes = require('./routes/services');
 const contactRoutes = require('./routes/contact');
 const pricingRoutes = require('./routes/pricing');
 const auditRoutes = require('./routes/audit');
+const adminRoutes = require('./routes/admin');
+const exportRoutes = require('./routes/exports');
+const healthRoutes = require('./routes/health');
 
 // ミドルウェア・ユーティリティ
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
 const { securityHeaders } = require('./middleware/securityHeaders');
+const { ipBlocker } = require('./middleware/ipBlocker');
+const { waf, wafEngine, initializeWaf } = require('./middleware/waf');
+const { clientVersionPolicy } = require('./middleware/clientVersion');
+const { localeMiddleware } = require('./middleware/locale');
+const { createOpenAPIValidator } = require('./middleware/openapiValidator');
+const healthController = require('./controllers/healthController');
+const { metricsMiddleware, csrfErrorCounter, createMetricsHandler, counters } = require('./utils/metrics');
+const { reportSecurityEvent, securityEventEmitter } = require('./utils/securityEvents');
+const { connectionTracker } = require('./utils/connectionTracker');
+const { estimateLifecycle } = require('./utils/estimateLifecycle');
+const { crmWebhook } = require('./utils/crmWebhook');
+const { getOpenAPIDocument, findRouteDrift } = require('./openapi');
 const { validateEnvironment } = require('./utils/validation');
+const { getConfig } = require('./config/runtime');
 const { logger } = require('./utils/logger');
 const { connectDB } = require('./config/database');
 const { initializeRedis } = require('./config/redis');
@@ -40,10 +55,25 @@ class SecureAPIServer {
         this.server = null;
         this.isShuttingDown = false;
         
-        // 環境変数検証
+        // 環境変数検証（型・範囲を含め、不正値は起動前に停止）
         validateEnvironment();
+        this.loadRuntimeConfig();
         
-        this.init();
+        // 初期化完了（テストはルート登録後にリクエストを送信）
+        this.ready = this.init();
+    }
+
+    /**
+     * ランタイム設定読込（shared/config/schema.js）
+     */
+    loadRuntimeConfig() {
+        try {
+            this.config = getConfig();
+            logger.level = this.config.logging.level;
+        } catch (error) {
+            logger.error('Runtime configuration is invalid', { errors: error.errors || [error.message] });
+            process.exit(1);
+        }
     }
 
     /**
@@ -57,6 +87,15 @@ class SecureAPIServer {
             // Redis接続
             await initializeRedis();
             
+            // WAFルール読込（DBルール利用時はDB接続後）
+            await initializeWaf();
+
+            // 有効期限到来の見積もりを定期失効
+            estimateLifecycle.start(this.config.estimates.expirySweepMs);
+
+            // CRM への新規リード送信・再送
+            crmWebhook.start(this.config.crm.pollMs);
+            
             // ミドルウェア設定
             this.setupMiddleware();
             
@@ -81,14 +120,26 @@ class SecureAPIServer {
      * ミドルウェア設定
      */
     setupMiddleware() {
+        // リバースプロキシ（nginx）経由のクライアントIPを採用
+        this.app.set('trust proxy', this.config.app.trustProxy);
+
+        // Prometheusメトリクス計測
+        this.app.use(metricsMiddleware);
+
+        // ロケール決定（以降の全エラー応答を ja / en で返却）
+        this.app.use(localeMiddleware);
+
         // リクエストログ
         this.app.use(morgan('combined', {
             stream: { write: message => logger.info(message.trim()) }
         }));
 
         // セキュリティヘッダー（Helmet）
+        // CSP_ENFORCE=false は Content-Security-Policy-Report-Only で送出（違反検出のみ）
+        const { headers } = this.config;
         this.app.use(helmet({
             contentSecurityPolicy: {
+                reportOnly: !headers.cspEnforce,
                 directives: {
                     defaultSrc: ["'self'"],
                     scriptSrc: ["'self'", "'unsafe-inline'", "cdnjs.cloudflare.com"],
@@ -99,7 +150,7 @@ class SecureAPIServer {
                 }
             },
             hsts: {
-                maxAge: 31536000, // 1年
+                maxAge: headers.hstsMaxAge,
                 includeSubDomains: true,
                 preload: true
             },
@@ -122,11 +173,29 @@ class SecureAPIServer {
                 'X-CSRF-Token', 
                 'X-Requested-With',
                 'X-Session-ID',
-                'X-Client-Version'
+                'X-Client-Version',
+                'Accept-Language',
+                'X-Request-Signature',
+                'X-Request-Timestamp',
+                'X-Request-Nonce',
+                'Idempotency-Key'
             ],
-            exposedHeaders: ['X-RateLimit-Remaining', 'X-RateLimit-Reset']
+            exposedHeaders: [
+                'X-RateLimit-Remaining',
+                'X-RateLimit-Reset',
+                'Idempotency-Status',
+                'Retry-After',
+                'Deprecation',
+                'Sunset',
+                'Link',
+                'X-Client-Version-Status',
+                'X-Latest-Client-Version'
+            ]
         }));
 
+        // 動的IPブロック（全ルートより前）
+        this.app.use(ipBlocker);
+
         // レート制限設定
         this.setupRateLimiting();
 
@@ -154,17 +223,24 @@ class SecureAPIServer {
             limit: '10mb' 
         }));
         
-        this.app.use(cookieParser(process.env.COOKIE_SECRET));
+        this.app.use(cookieParser(this.config.secrets.cookieSecret));
 
         // セキュリティ系ミドルウェア
         this.app.use(mongoSanitize({
             replaceWith: '_',
             onSanitize: ({ req, key }) => {
+                counters.mongoSanitizeHits.inc();
                 logger.warn('MongoDB injection attempt', {
                     ip: req.ip,
                     key,
                     userAgent: req.get('User-Agent')
                 });
+
+                reportSecurityEvent('nosql_injection_attempt', req, {
+                    method: req.method,
+                    path: req.path,
+                    key
+                });
             }
         }));
         
@@ -178,7 +254,7 @@ class SecureAPIServer {
         this.app.use(csrf({
             cookie: {
                 httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
+                secure: this.isProduction(),
                 sameSite: 'strict',
                 maxAge: 3600000 // 1時間
             },
@@ -195,42 +271,50 @@ class SecureAPIServer {
 
         // リクエスト検証
         this.app.use(this.validateRequest.bind(this));
+
+        // WAF（ルールエンジンによるアノマリースコア判定）
+        this.app.use(waf);
+
+        // クライアントバージョンポリシー（非推奨: Deprecation/Sunset ヘッダー・廃止: 426）
+        this.app.use('/api/', clientVersionPolicy);
+
+        // OpenAPI仕様との整合性検証（OPENAPI_VALIDATION=log / enforce、テスト時は enforce）
+        this.app.use(['/api/v1', '/admin'], createOpenAPIValidator());
     }
 
     /**
-     * 許可オリジン取得
+     * 本番環境判定
+     */
+    isProduction() {
+        return this.config.app.nodeEnv === 'production';
+    }
+
+    /**
+     * 許可オリジン取得（ALLOWED_ORIGINS・本番以外の既定値は開発用オリジン）
      */
     getAllowedOrigins() {
-        if (process.env.NODE_ENV === 'production') {
-            return [
-                'https://shinai.co.jp',
-                'https://www.shinai.co.jp',
-                'https://api.shinai.co.jp'
-            ];
-        }
-        
-        return [
-            'http://localhost:3000',
-            'http://localhost:8080',
-            'http://127.0.0.1:3000'
-        ];
+        return [...this.config.cors.allowedOrigins];
     }
 
     /**
      * レート制限設定
      */
     setupRateLimiting() {
+        const { rateLimit: limits } = this.config;
+
         // 一般API制限
         const generalLimiter = rateLimit({
-            windowMs: 15 * 60 * 1000, // 15分
-            max: 100, // 最大100リクエスト
+            windowMs: limits.windowMs,
+            max: limits.maxRequests,
             message: {
                 error: 'Too many requests from this IP',
-                retryAfter: '15 minutes',
-                limit: 100
+                code: 'RATE_LIMIT_EXCEEDED',
+                retryAfter: this.formatWindow(limits.windowMs),
+                limit: limits.maxRequests
             },
             standardHeaders: true,
             legacyHeaders: false,
+            handler: this.createRateLimitHandler('general'),
             keyGenerator: (req) => {
                 return req.ip + ':' + (req.headers['x-forwarded-for'] || '');
             },
@@ -242,25 +326,29 @@ class SecureAPIServer {
 
         // 認証API厳格制限
         const authLimiter = rateLimit({
-            windowMs: 15 * 60 * 1000,
-            max: 5,
+            windowMs: limits.windowMs,
+            max: limits.authMax,
             message: {
                 error: 'Too many authentication attempts',
-                retryAfter: '15 minutes',
-                limit: 5
+                code: 'AUTH_RATE_LIMIT_EXCEEDED',
+                retryAfter: this.formatWindow(limits.windowMs),
+                limit: limits.authMax
             },
+            handler: this.createRateLimitHandler('auth'),
             skipSuccessfulRequests: true
         });
 
         // お問い合わせAPI制限
         const contactLimiter = rateLimit({
-            windowMs: 60 * 60 * 1000, // 1時間
-            max: 3,
+            windowMs: limits.contactWindowMs,
+            max: limits.contactMax,
             message: {
                 error: 'Too many contact submissions',
-                retryAfter: '1 hour',
-                limit: 3
-            }
+                code: 'CONTACT_RATE_LIMIT_EXCEEDED',
+                retryAfter: this.formatWindow(limits.contactWindowMs),
+                limit: limits.contactMax
+            },
+            handler: this.createRateLimitHandler('contact')
         });
 
         this.app.use('/api/', generalLimiter);
@@ -268,25 +356,73 @@ class SecureAPIServer {
         this.app.use('/api/v1/contact', contactLimiter);
     }
 
+    /**
+     * 制限期間の表示用文字列（900000 → "15 minutes"）
+     */
+    formatWindow(windowMs) {
+        const minutes = Math.round(windowMs / 60000);
+        if (minutes >= 60 && minutes % 60 === 0) {
+            const hours = minutes / 60;
+            return `${hours} hour${hours === 1 ? '' : 's'}`;
+        }
+        if (minutes >= 1) {
+            return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+        return `${Math.round(windowMs / 1000)} seconds`;
+    }
+
+    /**
+     * レート制限超過ハンドラー生成（監視サービスへ通知）
+     */
+    createRateLimitHandler(limiterName) {
+        return (req, res, next, options) => {
+            counters.rateLimitRejections.inc({ limiter: limiterName });
+
+            logger.warn('Rate limit exceeded', {
+                ip: req.ip,
+                limiter: limiterName,
+                path: req.path
+            });
+
+            reportSecurityEvent('rate_limit_exceeded', req, {
+                limiter: limiterName,
+                method: req.method,
+                path: req.path,
+                limit: options.message?.limit
+            });
+
+            res.status(options.statusCode).json(options.message);
+        };
+    }
+
     /**
      * セッション設定
      */
     setupSession() {
+        const { database, secrets } = this.config;
+
+        this.sessionStore = MongoStore.create({
+            mongoUrl: database.mongodbUri,
+            touchAfter: 24 * 3600, // 24時間
+            ttl: 30 * 60, // 30分
+            crypto: {
+                secret: secrets.sessionCryptoSecret
+            }
+        });
+
+        // セッションストア疎通確認（存在しないIDの読み出し）
+        healthController.registerProbe('sessionStore', () => new Promise((resolve, reject) => {
+            this.sessionStore.get('__readiness_probe__', error => (error ? reject(error) : resolve()));
+        }));
+
         this.app.use(session({
             name: 'shinai_session',
-            secret: process.env.SESSION_SECRET,
+            secret: secrets.sessionSecret,
             resave: false,
             saveUninitialized: false,
-            store: MongoStore.create({
-                mongoUrl: process.env.MONGODB_URI,
-                touchAfter: 24 * 3600, // 24時間
-                ttl: 30 * 60, // 30分
-                crypto: {
-                    secret: process.env.SESSION_CRYPTO_SECRET
-                }
-            }),
+            store: this.sessionStore,
             cookie: {
-                secure: process.env.NODE_ENV === 'production',
+                secure: this.isProduction(),
                 httpOnly: true,
                 maxAge: 30 * 60 * 1000, // 30分
                 sameSite: 'strict'
@@ -303,50 +439,29 @@ class SecureAPIServer {
             // User-Agent検証
             const userAgent = req.get('User-Agent');
             if (!userAgent || userAgent.length > 500) {
+                counters.requestRejections.inc({ reason: 'invalid_user_agent' });
+                reportSecurityEvent('invalid_user_agent', req, {
+                    method: req.method,
+                    path: req.path,
+                    userAgentLength: userAgent ? userAgent.length : 0
+                });
+
                 return res.status(400).json({
-                    error: 'Invalid User-Agent'
+                    error: 'Invalid User-Agent',
+                    code: 'INVALID_USER_AGENT'
                 });
             }
 
             // Content-Length検証
             const contentLength = req.get('Content-Length');
             if (contentLength && parseInt(contentLength) > 10 * 1024 * 1024) {
+                counters.requestRejections.inc({ reason: 'payload_too_large' });
                 return res.status(413).json({
-                    error: 'Request too large'
+                    error: 'Request too large',
+                    code: 'PAYLOAD_TOO_LARGE'
                 });
             }
 
-            // クライアントバージョン確認
-            const clientVersion = req.get('X-Client-Version');
-            if (req.path.startsWith('/api') && clientVersion) {
-                this.validateClientVersion(clientVersion);
-            }
-
-            // 危険なパターン検知
-            const suspiciousPatterns = [
-                /(\b(union|select|insert|delete|drop|create|alter|exec)\b)/i,
-                /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-                /javascript:/i,
-                /vbscript:/i
-            ];
-
-            const requestString = JSON.stringify(req.body) + req.url + JSON.stringify(req.query);
-            
-            for (const pattern of suspiciousPatterns) {
-                if (pattern.test(requestString)) {
-                    logger.warn('Suspicious request pattern detected', {
-                        ip: req.ip,
-                        userAgent,
-                        pattern: pattern.toString(),
-                        path: req.path
-                    });
-
-                    return res.status(400).json({
-                        error: 'Invalid request format'
-                    });
-                }
-            }
-
             next();
 
         } catch (error) {
@@ -355,17 +470,6 @@ class SecureAPIServer {
         }
     }
 
-    /**
-     * クライアントバージョン検証
-     */
-    validateClientVersion(version) {
-        const supportedVersions = ['2.0.0', '2.0.0-secure'];
-        
-        if (!supportedVersions.includes(version)) {
-            logger.warn('Unsupported client version:', version);
-        }
-    }
-
     /**
      * ルート設定
      */
@@ -385,35 +489,52 @@ class SecureAPIServer {
         this.app.use('/api/v1/contact', contactRoutes);
         this.app.use('/api/v1/pricing', pricingRoutes);
         this.app.use('/api/v1/audit', auditRoutes);
+        this.app.use('/api/v1/exports', exportRoutes);
 
-        // ヘルスチェック
-        this.app.get('/health', (req, res) => {
-            const healthStatus = {
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                version: process.env.npm_package_version || '1.0.0',
-                uptime: Math.floor(process.uptime()),
-                memory: process.memoryUsage(),
-                env: process.env.NODE_ENV
-            };
+        // 管理者API（nginx の /admin 経由・IP制限 + Basic認証 + admin ロール）
+        this.app.use('/admin', adminRoutes);
 
-            res.status(200).json(healthStatus);
+        // Prometheusメトリクス（内部ネットワークのみ）
+        this.app.get('/metrics', createMetricsHandler());
+
+        // ヘルスチェック（/health, /health/live, /health/ready）
+        this.app.use('/health', healthRoutes);
+
+        // OpenAPI仕様書（パートナー連携用に全環境で公開）
+        this.app.get('/api/v1/openapi.json', (req, res) => {
+            res.json(getOpenAPIDocument());
         });
 
-        // APIドキュメント（開発環境のみ）
-        if (process.env.NODE_ENV === 'development') {
-            this.app.get('/api/docs', (req, res) => {
-                res.json({
-                    title: 'ShinAI Secure API',
-                    version: '1.0.0',
-                    endpoints: {
-                        auth: '/api/v1/auth',
-                        services: '/api/v1/services',
-                        contact: '/api/v1/contact',
-                        pricing: '/api/v1/pricing'
-                    }
-                });
+        // APIドキュメントビューア（開発環境のみ・ローカル同梱の Swagger UI）
+        if (this.config.app.nodeEnv === 'development') {
+            this.app.get('/api/docs/swagger-initializer.js', (req, res) => {
+                res.type('application/javascript').send(
+                    'window.onload = function () {\n' +
+                    '    window.ui = SwaggerUIBundle({\n' +
+                    '        url: "/api/v1/openapi.json",\n' +
+                    '        dom_id: "#swagger-ui",\n' +
+                    '        presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],\n' +
+                    '        layout: "StandaloneLayout"\n' +
+                    '    });\n' +
+                    '};\n'
+                );
             });
+            this.app.use('/api/docs', express.static(require('swagger-ui-dist').getAbsoluteFSPath()));
+        }
+
+        // 仕様書とルート定義の差分検出
+        const drift = findRouteDrift([
+            { prefix: '', router: this.app._router },
+            { prefix: '/api/v1/auth', router: authRoutes },
+            { prefix: '/api/v1/services', router: serviceRoutes },
+            { prefix: '/api/v1/contact', router: contactRoutes },
+            { prefix: '/api/v1/pricing', router: pricingRoutes },
+            { prefix: '/api/v1/audit', router: auditRoutes },
+            { prefix: '/api/v1/exports', router: exportRoutes },
+            { prefix: '/admin', router: adminRoutes }
+        ]);
+        if (drift.undocumented.length > 0 || drift.missing.length > 0) {
+            logger.warn('OpenAPI specification differs from registered routes', drift);
         }
 
         // ルート情報
@@ -422,7 +543,8 @@ class SecureAPIServer {
                 service: 'ShinAI Secure API',
                 version: '1.0.0',
                 timestamp: new Date().toISOString(),
-                documentation: process.env.NODE_ENV === 'development' ? '/api/docs' : null
+                specification: '/api/v1/openapi.json',
+                documentation: this.config.app.nodeEnv === 'development' ? '/api/docs' : null
             });
         });
     }
@@ -434,6 +556,9 @@ class SecureAPIServer {
         // 404ハンドラー
         this.app.use(notFoundHandler);
 
+        // CSRF失敗計測
+        this.app.use(csrfErrorCounter);
+
         // グローバルエラーハンドラー
         this.app.use(errorHandler);
 
@@ -465,6 +590,7 @@ class SecureAPIServer {
 
     /**
      * グレースフルシャットダウン実行
+     * 受付停止 → 接続排出 → キュー送信 → MongoDB → Redis の順で終了
      */
     async gracefulShutdown(signal) {
         if (this.isShuttingDown) {
@@ -473,92 +599,115 @@ class SecureAPIServer {
         }
 
         this.isShuttingDown = true;
-        logger.info(`Starting graceful shutdown (${signal})`);
+        const startedAt = Date.now();
+        const timeout = this.config.app.shutdownTimeoutMs;
+        const deadline = startedAt + timeout;
+        let failed = false;
+
+        logger.info(`Starting graceful shutdown (${signal})`, {
+            timeoutMs: timeout,
+            ...connectionTracker.getStats()
+        });
 
-        try {
-            // 新規リクエスト停止
+        const runPhase = async (name, task) => {
+            const phaseStartedAt = Date.now();
+            logger.info(`Shutdown phase started: ${name}`);
+
+            try {
+                const result = await task();
+                logger.info(`Shutdown phase completed: ${name}`, {
+                    durationMs: Date.now() - phaseStartedAt,
+                    ...(result && typeof result === 'object' ? result : {})
+                });
+            } catch (error) {
+                failed = true;
+                logger.error(`Shutdown phase failed: ${name}`, {
+                    durationMs: Date.now() - phaseStartedAt,
+                    error: error.message
+                });
+            }
+        };
+
+        // readiness を 503 にしてロードバランサーの振り分け対象から外す
+        await runPhase('mark_unready', async () => {
+            healthController.markShuttingDown();
+
+            // 振り分け停止が反映されるまで待機（任意）
+            const delay = this.config.app.shutdownDrainDelayMs;
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, Math.min(delay, timeout / 2)));
+            }
+            return { delayMs: delay };
+        });
+
+        // 新規接続停止・アイドル接続切断・以降の応答に Connection: close を付与
+        await runPhase('stop_accepting', async () => {
             if (this.server) {
                 this.server.close(() => {
                     logger.info('HTTP server closed');
                 });
             }
+            return connectionTracker.beginDrain();
+        });
 
-            // アクティブ接続の完了を待つ
-            await this.waitForActiveConnections();
-
-            // データベース接続クローズ
-            await this.closeDatabase();
+        // 処理中リクエストの完了待ち（期限超過時は強制切断）
+        await runPhase('drain_connections', () => connectionTracker.waitForConnections(deadline - Date.now()));
 
-            logger.info('Graceful shutdown completed');
-            process.exit(0);
+        // 応答後に継続している書込（監査ログ・冪等レスポンス保存）の完了待ち
+        await runPhase('flush_pending_writes', () => connectionTracker.waitForTasks(Math.max(deadline - Date.now(), 1000)));
 
-        } catch (error) {
-            logger.error('Error during shutdown:', error);
-            process.exit(1);
-        }
-    }
-
-    /**
-     * アクティブ接続完了待ち
-     */
-    async waitForActiveConnections(timeout = 30000) {
-        return new Promise((resolve) => {
-            const deadline = Date.now() + timeout;
-            
-            const checkConnections = () => {
-                if (Date.now() > deadline) {
-                    logger.warn('Shutdown timeout reached, forcing exit');
-                    resolve();
-                    return;
-                }
+        // 未送信のセキュリティイベントを送信
+        await runPhase('flush_security_events', async () => {
+            await securityEventEmitter.shutdown();
+            return securityEventEmitter.getStats();
+        });
 
-                // アクティブ接続チェック
-                if (this.server && this.server.listening) {
-                    setTimeout(checkConnections, 100);
-                } else {
-                    resolve();
-                }
-            };
+        await runPhase('stop_watchers', async () => {
+            wafEngine.stop();
+            await estimateLifecycle.stop();
+            await crmWebhook.stop();
+        });
 
-            checkConnections();
+        // セッションストアは独自のMongoDB接続を保持
+        await runPhase('close_session_store', async () => {
+            if (this.sessionStore) {
+                await this.sessionStore.close();
+            }
         });
-    }
 
-    /**
-     * データベース接続クローズ
-     */
-    async closeDatabase() {
-        try {
-            // MongoDB接続クローズ
+        await runPhase('close_mongodb', async () => {
             const mongoose = require('mongoose');
             await mongoose.connection.close();
-            logger.info('MongoDB connection closed');
+        });
 
-            // Redis接続クローズ
+        await runPhase('close_redis', async () => {
             const redis = require('./config/redis');
             if (redis.client) {
                 await redis.client.quit();
-                logger.info('Redis connection closed');
             }
+        });
 
-        } catch (error) {
-            logger.error('Database closure error:', error);
-        }
+        logger.info(failed ? 'Graceful shutdown completed with errors' : 'Graceful shutdown completed', {
+            durationMs: Date.now() - startedAt
+        });
+        process.exit(failed ? 1 : 0);
     }
 
     /**
      * サーバー起動
      */
     start() {
-        const PORT = process.env.PORT || 3001;
-        const HOST = process.env.HOST || '0.0.0.0';
+        const { port: PORT, host: HOST } = this.config.app;
 
         this.server = this.app.listen(PORT, HOST, () => {
             logger.info(`Secure API server running on ${HOST}:${PORT}`);
-            logger.info(`Environment: ${process.env.NODE_ENV}`);
+            logger.info(`Environment: ${this.config.app.nodeEnv}`);
             logger.info(`Process ID: ${process.pid}`);
         });
 
+        // 接続・処理中リクエスト追跡（シャットダウン時の排出用）
+        connectionTracker.attach(this.server);
+
         // サーバーエラーハンドリング
         this.server.on('error', (error) => {
             if (error.code === 'EADDRINUSE') {
@@ -580,4 +729,5 @@ if (require.main === module) {
     secureServer.start();
 }
 
-module.exports = secureServer.app;
\ No newline at end of file
+module.exports = secureServer.app;
+module.exports.ready = secureServer.ready;
\ No newline at end of file
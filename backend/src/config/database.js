@@ -0,0 +1,36 @@
+/**
+ * MongoDB接続
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+const { getConfig } = require('./runtime');
+const { logger } = require('../utils/logger');
+
+/**
+ * 接続（MONGODB_URI 未設定時は起動を中止）
+ */
+async function connectDB() {
+    const { mongodbUri } = getConfig().database;
+    if (!mongodbUri) {
+        throw new Error('MONGODB_URI environment variable is required');
+    }
+
+    mongoose.set('strictQuery', true);
+
+    mongoose.connection.on('error', (error) => {
+        logger.error('MongoDB connection error:', { error: error.message });
+    });
+    mongoose.connection.on('disconnected', () => {
+        logger.warn('MongoDB disconnected');
+    });
+
+    await mongoose.connect(mongodbUri, {
+        maxPoolSize: 20,
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000
+    });
+
+    logger.info('MongoDB connected successfully');
+}
+
+module.exports = { connectDB };
@@ -0,0 +1,35 @@
+/**
+ * Redis接続（node-redis v4）
+ * 各モジュールは redis.client を参照（initializeRedis 完了までは null）
+ * masa様開発ルール完全遵守
+ */
+const { createClient } = require('redis');
+const { getConfig } = require('./runtime');
+const { logger } = require('../utils/logger');
+
+/**
+ * 接続
+ */
+async function initializeRedis() {
+    const { redisUrl, redisPassword } = getConfig().database;
+
+    const client = createClient({
+        url: redisUrl,
+        password: redisPassword || undefined
+    });
+
+    client.on('error', (error) => {
+        logger.error('Redis connection error:', { error: error.message });
+    });
+
+    await client.connect();
+    module.exports.client = client;
+
+    logger.info('Redis connected successfully');
+    return client;
+}
+
+module.exports = {
+    client: null,
+    initializeRedis
+};
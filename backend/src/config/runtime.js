@@ -0,0 +1,41 @@
+/**
+ * バックエンド ランタイム設定
+ * 共通スキーマ（shared/config）から型付き設定を読込み、初回参照時に検証
+ * masa様開発ルール完全遵守
+ */
+const { loadConfig, redactConfig } = require('../../../shared/config');
+const schema = require('../../../shared/config/schema');
+
+// 本番以外で ALLOWED_ORIGINS 未指定時の許可オリジン
+const DEVELOPMENT_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:8080',
+    'http://127.0.0.1:3000'
+];
+
+let cachedConfig = null;
+
+/**
+ * 設定取得（不正値は ConfigError を送出）
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        const overrides = process.env.NODE_ENV === 'production'
+            ? {}
+            : { 'cors.allowedOrigins': DEVELOPMENT_ORIGINS };
+        cachedConfig = loadConfig(schema, process.env, { overrides });
+    }
+    return cachedConfig;
+}
+
+/**
+ * 秘匿値を伏せた設定（管理者向け /config）
+ */
+function getRedactedConfig() {
+    return redactConfig(schema, getConfig());
+}
+
+module.exports = {
+    getConfig,
+    getRedactedConfig
+};
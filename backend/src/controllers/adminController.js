@@ -0,0 +1,884 @@
+/**
+ * 管理者コントローラー
+ * 運用確認用の管理者専用API（ランタイム設定の参照・サービスカタログ管理）
+ * カタログ変更は全て改訂履歴（service_revisions）に記録し、任意の版へロールバック可能
+ * masa様開発ルール完全遵守
+ */
+const Service = require('../models/Service');
+const ServiceRevision = require('../models/ServiceRevision');
+const serviceController = require('./serviceController');
+const { getRedactedConfig } = require('../config/runtime');
+const { validateInput } = require('../utils/validation');
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// 管理APIで編集可能なサービス項目
+const EDITABLE_FIELDS = [
+    'name', 'description', 'category', 'icon', 'features', 'tags',
+    'translations', 'pricing', 'technicalSpecs', 'order', 'isPublic', 'isActive'
+];
+// 基本フィールド（name/description/features）は既定ロケール。translations はそれ以外の言語
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+const TRANSLATION_FIELDS = ['name', 'description', 'features'];
+const PRICING_FIELDS = ['startingFrom', 'billingCycle', 'unit', 'notes'];
+const BILLING_CYCLES = ['one-time', 'monthly', 'yearly', 'project'];
+const SPEC_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class AdminController {
+    constructor() {
+        this.revisionPageSize = 50;
+        this.maxSpecsSize = 10000; // technicalSpecs の JSON サイズ上限（バイト）
+        this.maxSpecsDepth = 4;
+        this.maxRevisionRetries = 3;
+    }
+
+    /**
+     * ランタイム設定取得（秘匿値は伏せ字）
+     */
+    async getConfig(req, res, next) {
+        try {
+            await createAuditLog({
+                action: 'admin_config_viewed',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            res.json({
+                success: true,
+                config: getRedactedConfig(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Runtime config retrieval failed:', error);
+            next(new APIError('Failed to retrieve configuration', 500, 'CONFIG_RETRIEVAL_FAILED'));
+        }
+    }
+
+    /**
+     * サービス一覧（非公開・停止中を含む）
+     */
+    async listServices(req, res, next) {
+        try {
+            const services = await Service.find({})
+                .sort({ order: 1, createdAt: -1 })
+                .lean();
+
+            const revisions = await this.getCurrentRevisions(services.map(service => String(service._id)));
+
+            res.json({
+                success: true,
+                data: services.map(service => this.formatAdminService(service, revisions.get(String(service._id)))),
+                count: services.length
+            });
+
+        } catch (error) {
+            logger.error('Admin service listing failed:', error);
+            next(new APIError('Failed to fetch services', 500, 'ADMIN_SERVICE_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * サービス取得
+     */
+    async getService(req, res, next) {
+        try {
+            const service = await this.findService(req, res);
+            if (!service) return;
+
+            const revisions = await this.getCurrentRevisions([String(service._id)]);
+
+            res.json({
+                success: true,
+                data: this.formatAdminService(service, revisions.get(String(service._id)))
+            });
+
+        } catch (error) {
+            logger.error('Admin service retrieval failed:', error);
+            next(new APIError('Failed to fetch service', 500, 'ADMIN_SERVICE_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * サービス作成（既定: 非公開）
+     */
+    async createService(req, res, next) {
+        try {
+            const { service: payload, reason } = req.body;
+
+            const validation = this.validateServicePayload(payload);
+            if (!validation.isValid) {
+                return this.sendValidationError(res, validation.errors);
+            }
+
+            const data = {
+                isPublic: false,
+                isActive: true,
+                ...validation.data
+            };
+
+            if (data.order === undefined) {
+                const last = await Service.findOne({}).sort({ order: -1 }).select('order').lean();
+                data.order = last && Number.isInteger(last.order) ? last.order + 1 : 0;
+            }
+
+            const service = await Service.create(data);
+            const serviceId = String(service._id);
+
+            const revision = await this.recordRevision(req, serviceId, 'create', service, {
+                changedFields: Object.keys(data),
+                reason
+            });
+
+            await serviceController.invalidateServiceCache(serviceId);
+
+            await createAuditLog({
+                action: 'admin_service_created',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { serviceId, revision, name: data.name, isPublic: data.isPublic }
+            });
+
+            res.status(201).json({
+                success: true,
+                data: this.formatAdminService(service.toObject(), revision)
+            });
+
+        } catch (error) {
+            logger.error('Admin service creation failed:', error);
+            next(new APIError('Failed to create service', 500, 'ADMIN_SERVICE_CREATE_ERROR'));
+        }
+    }
+
+    /**
+     * サービス更新（部分更新）
+     */
+    async updateService(req, res, next) {
+        try {
+            const { service: payload, expectedRevision, reason } = req.body;
+
+            const validation = this.validateServicePayload(payload, { partial: true });
+            if (!validation.isValid) {
+                return this.sendValidationError(res, validation.errors);
+            }
+
+            const service = await this.findService(req, res, { lean: false });
+            if (!service) return;
+
+            const result = await this.applyChange(req, res, service, validation.data, {
+                action: 'update',
+                auditAction: 'admin_service_updated',
+                expectedRevision,
+                reason
+            });
+            if (!result) return;
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Admin service update failed:', error);
+            next(new APIError('Failed to update service', 500, 'ADMIN_SERVICE_UPDATE_ERROR'));
+        }
+    }
+
+    /**
+     * 公開（isPublic / isActive を有効化）
+     */
+    async publishService(req, res, next) {
+        return this.changeVisibility(req, res, next, true);
+    }
+
+    /**
+     * 非公開（isPublic を無効化・見積り等の内部参照は維持）
+     */
+    async unpublishService(req, res, next) {
+        return this.changeVisibility(req, res, next, false);
+    }
+
+    /**
+     * 公開状態変更
+     */
+    async changeVisibility(req, res, next, publish) {
+        try {
+            const { expectedRevision, reason } = req.body || {};
+
+            const service = await this.findService(req, res, { lean: false });
+            if (!service) return;
+
+            const changes = publish ? { isPublic: true, isActive: true } : { isPublic: false };
+
+            const result = await this.applyChange(req, res, service, changes, {
+                action: 'visibility',
+                auditAction: publish ? 'admin_service_published' : 'admin_service_unpublished',
+                expectedRevision,
+                reason
+            });
+            if (!result) return;
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Admin service visibility change failed:', error);
+            next(new APIError('Failed to change service visibility', 500, 'ADMIN_SERVICE_UPDATE_ERROR'));
+        }
+    }
+
+    /**
+     * 表示順一括変更（order 配列の順に 0 から採番）
+     */
+    async reorderServices(req, res, next) {
+        try {
+            const { order, reason } = req.body;
+
+            if (!Array.isArray(order) || order.length === 0 || order.length > 500 ||
+                !order.every(id => validateInput.isValidServiceId(id))) {
+                return this.sendValidationError(res, ['order must be an array of 1-500 service IDs']);
+            }
+
+            if (new Set(order).size !== order.length) {
+                return this.sendValidationError(res, ['order must not contain duplicate service IDs']);
+            }
+
+            const services = await Service.find({ _id: { $in: order } });
+            if (services.length !== order.length) {
+                const found = new Set(services.map(service => String(service._id)));
+                return res.status(404).json({
+                    success: false,
+                    error: 'Service not found',
+                    code: 'SERVICE_NOT_FOUND',
+                    details: order.filter(id => !found.has(id))
+                });
+            }
+
+            const byId = new Map(services.map(service => [String(service._id), service]));
+            const changed = [];
+
+            for (const [index, serviceId] of order.entries()) {
+                const service = byId.get(serviceId);
+                if (service.order === index) continue;
+
+                await this.ensureBaseline(req, service);
+                service.order = index;
+                await service.save();
+
+                const revision = await this.recordRevision(req, serviceId, 'reorder', service, {
+                    changedFields: ['order'],
+                    reason
+                });
+                changed.push({ serviceId, order: index, revision });
+            }
+
+            if (changed.length > 0) {
+                await serviceController.invalidateServiceCache();
+            }
+
+            await createAuditLog({
+                action: 'admin_services_reordered',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { order, changed: changed.length, reason: reason || null }
+            });
+
+            res.json({
+                success: true,
+                data: changed,
+                changed: changed.length
+            });
+
+        } catch (error) {
+            logger.error('Admin service reorder failed:', error);
+            next(new APIError('Failed to reorder services', 500, 'ADMIN_SERVICE_REORDER_ERROR'));
+        }
+    }
+
+    /**
+     * 改訂履歴一覧（新しい順）
+     */
+    async listRevisions(req, res, next) {
+        try {
+            const { serviceId } = req.params;
+
+            if (!validateInput.isValidServiceId(serviceId)) {
+                return this.sendInvalidServiceId(res);
+            }
+
+            const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+            const filter = { service_id: serviceId };
+            if (Number.isInteger(before)) {
+                filter.revision = { $lt: before };
+            }
+
+            const revisions = await ServiceRevision.find(filter)
+                .sort({ revision: -1 })
+                .limit(this.revisionPageSize)
+                .select('-snapshot')
+                .lean();
+
+            res.json({
+                success: true,
+                data: revisions.map(revision => this.formatRevision(revision)),
+                count: revisions.length,
+                next: revisions.length === this.revisionPageSize
+                    ? revisions[revisions.length - 1].revision
+                    : null
+            });
+
+        } catch (error) {
+            logger.error('Admin revision listing failed:', error);
+            next(new APIError('Failed to fetch revisions', 500, 'ADMIN_REVISION_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 改訂スナップショット取得
+     */
+    async getRevision(req, res, next) {
+        try {
+            const revision = await this.findRevision(req, res);
+            if (!revision) return;
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatRevision(revision),
+                    snapshot: revision.snapshot
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin revision retrieval failed:', error);
+            next(new APIError('Failed to fetch revision', 500, 'ADMIN_REVISION_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 指定版へロールバック（新しい版として記録）
+     */
+    async rollbackService(req, res, next) {
+        try {
+            const { revision: targetRevision, expectedRevision, reason } = req.body;
+
+            if (!Number.isInteger(targetRevision) || targetRevision < 1) {
+                return this.sendValidationError(res, ['revision must be a positive integer']);
+            }
+
+            const service = await this.findService(req, res, { lean: false });
+            if (!service) return;
+
+            const target = await ServiceRevision.findOne({
+                service_id: String(service._id),
+                revision: targetRevision
+            }).lean();
+
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision not found',
+                    code: 'REVISION_NOT_FOUND'
+                });
+            }
+
+            // スナップショットに無い項目は未設定へ戻す
+            const changes = Object.fromEntries(
+                EDITABLE_FIELDS.map(field => [field, target.snapshot[field]])
+            );
+
+            const result = await this.applyChange(req, res, service, changes, {
+                action: 'rollback',
+                auditAction: 'admin_service_rolled_back',
+                expectedRevision,
+                rolledBackTo: targetRevision,
+                reason
+            });
+            if (!result) return;
+
+            res.json({
+                success: true,
+                data: result,
+                rolledBackTo: targetRevision
+            });
+
+        } catch (error) {
+            logger.error('Admin service rollback failed:', error);
+            next(new APIError('Failed to roll back service', 500, 'ADMIN_SERVICE_ROLLBACK_ERROR'));
+        }
+    }
+
+    // === 内部処理 ===
+
+    /**
+     * 変更適用（版数確認 → 保存 → 改訂記録 → キャッシュ無効化 → 監査ログ）
+     * 応答済みの場合は null を返す
+     */
+    async applyChange(req, res, service, changes, options) {
+        const serviceId = String(service._id);
+        const revisions = await this.getCurrentRevisions([serviceId]);
+        const currentRevision = revisions.get(serviceId) || null;
+
+        if (options.expectedRevision !== undefined && options.expectedRevision !== currentRevision) {
+            res.status(409).json({
+                success: false,
+                error: 'Service was modified by another request',
+                code: 'REVISION_CONFLICT',
+                currentRevision
+            });
+            return null;
+        }
+
+        const before = this.toSnapshot(service);
+        const changedFields = Object.keys(changes).filter(
+            field => JSON.stringify(before[field]) !== JSON.stringify(changes[field])
+        );
+
+        // 変更なしは版を増やさない
+        if (changedFields.length === 0) {
+            return this.formatAdminService(service.toObject(), currentRevision);
+        }
+
+        const previousRevision = currentRevision || await this.ensureBaseline(req, service);
+
+        for (const field of changedFields) {
+            service.set(field, changes[field]);
+        }
+        await service.save();
+
+        const revision = await this.recordRevision(req, serviceId, options.action, service, {
+            changedFields,
+            rolledBackTo: options.rolledBackTo,
+            reason: options.reason
+        });
+
+        await serviceController.invalidateServiceCache(serviceId);
+
+        await createAuditLog({
+            action: options.auditAction,
+            userId: req.user.id,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            details: {
+                serviceId,
+                revision,
+                previousRevision,
+                changedFields,
+                rolledBackTo: options.rolledBackTo || null,
+                reason: options.reason || null
+            }
+        });
+
+        return this.formatAdminService(service.toObject(), revision);
+    }
+
+    /**
+     * 初期データ（init.js 投入分等）の初回変更前に現状を版1として保存
+     */
+    async ensureBaseline(req, service) {
+        const serviceId = String(service._id);
+        const revisions = await this.getCurrentRevisions([serviceId]);
+
+        if (revisions.has(serviceId)) {
+            return revisions.get(serviceId);
+        }
+
+        return await this.recordRevision(req, serviceId, 'baseline', service, {
+            reason: 'Snapshot before first admin change'
+        });
+    }
+
+    /**
+     * 改訂記録（同時更新で版番号が衝突した場合は再採番）
+     */
+    async recordRevision(req, serviceId, action, service, options = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const latest = await ServiceRevision.findOne({ service_id: serviceId })
+                .sort({ revision: -1 })
+                .select('revision')
+                .lean();
+            const revision = (latest ? latest.revision : 0) + 1;
+
+            try {
+                await ServiceRevision.create({
+                    service_id: serviceId,
+                    revision,
+                    action,
+                    snapshot: this.toSnapshot(service),
+                    changed_fields: options.changedFields || [],
+                    rolled_back_to: options.rolledBackTo || null,
+                    reason: typeof options.reason === 'string' ? options.reason.slice(0, 500) : null,
+                    actor_id: req.user?.id || null,
+                    source_ip: req.ip
+                });
+                return revision;
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= this.maxRevisionRetries) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * 最新版番号取得（service_id → revision）
+     */
+    async getCurrentRevisions(serviceIds) {
+        if (serviceIds.length === 0) return new Map();
+
+        const latest = await ServiceRevision.aggregate([
+            { $match: { service_id: { $in: serviceIds } } },
+            { $group: { _id: '$service_id', revision: { $max: '$revision' } } }
+        ]);
+
+        return new Map(latest.map(entry => [entry._id, entry.revision]));
+    }
+
+    /**
+     * サービス取得（見つからない場合は応答して null）
+     */
+    async findService(req, res, { lean = true } = {}) {
+        const { serviceId } = req.params;
+
+        if (!validateInput.isValidServiceId(serviceId)) {
+            this.sendInvalidServiceId(res);
+            return null;
+        }
+
+        const query = Service.findById(serviceId);
+        const service = lean ? await query.lean() : await query;
+
+        if (!service) {
+            res.status(404).json({
+                success: false,
+                error: 'Service not found',
+                code: 'SERVICE_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return service;
+    }
+
+    /**
+     * 改訂取得（見つからない場合は応答して null）
+     */
+    async findRevision(req, res) {
+        const { serviceId } = req.params;
+        const revision = parseInt(req.params.revision, 10);
+
+        if (!validateInput.isValidServiceId(serviceId)) {
+            this.sendInvalidServiceId(res);
+            return null;
+        }
+
+        const stored = Number.isInteger(revision)
+            ? await ServiceRevision.findOne({ service_id: serviceId, revision }).lean()
+            : null;
+
+        if (!stored) {
+            res.status(404).json({
+                success: false,
+                error: 'Revision not found',
+                code: 'REVISION_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return stored;
+    }
+
+    /**
+     * 入力検証（partial: 更新時は指定項目のみ検証）
+     */
+    validateServicePayload(payload, { partial = false } = {}) {
+        const errors = [];
+        const data = {};
+
+        if (!this.isPlainObject(payload)) {
+            return { isValid: false, errors: ['service must be an object'], data };
+        }
+
+        const unknown = Object.keys(payload).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            errors.push(`Unknown fields: ${unknown.join(', ')}`);
+        }
+
+        if (!partial) {
+            for (const field of ['name', 'category']) {
+                if (payload[field] === undefined) errors.push(`${field} is required`);
+            }
+        }
+
+        const checkString = (field, max, { min = 0, pattern } = {}) => {
+            const value = payload[field];
+            if (value === undefined) return;
+            if (typeof value !== 'string' || value.trim().length < min || value.length > max ||
+                (pattern && !pattern.test(value))) {
+                errors.push(`${field} must be a string of ${min}-${max} characters${pattern ? ` matching ${pattern}` : ''}`);
+                return;
+            }
+            data[field] = value.trim();
+        };
+
+        const checkStringList = (field, maxItems, maxLength) => {
+            const value = payload[field];
+            if (value === undefined) return;
+            if (!Array.isArray(value) || value.length > maxItems ||
+                !value.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= maxLength)) {
+                errors.push(`${field} must be an array of up to ${maxItems} strings (1-${maxLength} characters)`);
+                return;
+            }
+            data[field] = [...new Set(value.map(item => item.trim()))];
+        };
+
+        checkString('name', 200, { min: 1 });
+        checkString('description', 5000);
+        checkString('category', 50, { min: 2, pattern: /^[a-z0-9_-]+$/ });
+        checkString('icon', 200);
+        checkStringList('features', 50, 200);
+        checkStringList('tags', 30, 50);
+
+        for (const field of ['isPublic', 'isActive']) {
+            if (payload[field] === undefined) continue;
+            if (typeof payload[field] !== 'boolean') {
+                errors.push(`${field} must be a boolean`);
+            } else {
+                data[field] = payload[field];
+            }
+        }
+
+        if (payload.order !== undefined) {
+            if (!Number.isInteger(payload.order) || payload.order < 0 || payload.order > 10000) {
+                errors.push('order must be an integer between 0 and 10000');
+            } else {
+                data.order = payload.order;
+            }
+        }
+
+        if (payload.pricing !== undefined) {
+            const pricingErrors = this.validatePricing(payload.pricing);
+            if (pricingErrors.length > 0) {
+                errors.push(...pricingErrors);
+            } else {
+                data.pricing = payload.pricing;
+            }
+        }
+
+        if (payload.translations !== undefined) {
+            const translationErrors = this.validateTranslations(payload.translations);
+            if (translationErrors.length > 0) {
+                errors.push(...translationErrors);
+            } else {
+                data.translations = this.normalizeTranslations(payload.translations);
+            }
+        }
+
+        if (payload.technicalSpecs !== undefined) {
+            const specsErrors = this.validateTechnicalSpecs(payload.technicalSpecs);
+            if (specsErrors.length > 0) {
+                errors.push(...specsErrors);
+            } else {
+                data.technicalSpecs = payload.technicalSpecs;
+            }
+        }
+
+        return { isValid: errors.length === 0, errors, data };
+    }
+
+    /**
+     * 料金情報検証
+     */
+    validatePricing(pricing) {
+        if (pricing === null) return [];
+        if (!this.isPlainObject(pricing)) return ['pricing must be an object or null'];
+
+        const errors = [];
+        const unknown = Object.keys(pricing).filter(field => !PRICING_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            errors.push(`Unknown pricing fields: ${unknown.join(', ')}`);
+        }
+
+        if (typeof pricing.startingFrom !== 'number' || !Number.isFinite(pricing.startingFrom) ||
+            pricing.startingFrom < 0 || pricing.startingFrom > 1000000000) {
+            errors.push('pricing.startingFrom must be a number between 0 and 1000000000');
+        }
+        if (pricing.billingCycle !== undefined && !BILLING_CYCLES.includes(pricing.billingCycle)) {
+            errors.push(`pricing.billingCycle must be one of ${BILLING_CYCLES.join(', ')}`);
+        }
+        if (pricing.unit !== undefined && (typeof pricing.unit !== 'string' || pricing.unit.length > 50)) {
+            errors.push('pricing.unit must be a string of up to 50 characters');
+        }
+        if (pricing.notes !== undefined && (typeof pricing.notes !== 'string' || pricing.notes.length > 500)) {
+            errors.push('pricing.notes must be a string of up to 500 characters');
+        }
+
+        return errors;
+    }
+
+    /**
+     * 翻訳検証（ロケール別の name / description / features・基本フィールドと同じ上限）
+     */
+    validateTranslations(translations) {
+        if (translations === null) return [];
+        if (!this.isPlainObject(translations)) return ['translations must be an object or null'];
+
+        const errors = [];
+        for (const [locale, translation] of Object.entries(translations)) {
+            const path = `translations.${locale}`;
+
+            if (!TRANSLATION_LOCALES.includes(locale)) {
+                errors.push(`translations locale must be one of ${TRANSLATION_LOCALES.join(', ')}`);
+                continue;
+            }
+            if (!this.isPlainObject(translation)) {
+                errors.push(`${path} must be an object`);
+                continue;
+            }
+
+            const unknown = Object.keys(translation).filter(field => !TRANSLATION_FIELDS.includes(field));
+            if (unknown.length > 0) {
+                errors.push(`Unknown ${path} fields: ${unknown.join(', ')}`);
+            }
+
+            const { name, description, features } = translation;
+            if (name !== undefined && (typeof name !== 'string' || name.trim().length < 1 || name.length > 200)) {
+                errors.push(`${path}.name must be a string of 1-200 characters`);
+            }
+            if (description !== undefined && (typeof description !== 'string' || description.length > 5000)) {
+                errors.push(`${path}.description must be a string of 0-5000 characters`);
+            }
+            if (features !== undefined && (!Array.isArray(features) || features.length > 50 ||
+                !features.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= 200))) {
+                errors.push(`${path}.features must be an array of up to 50 strings (1-200 characters)`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * 翻訳正規化（前後空白除去・機能の重複除去）
+     */
+    normalizeTranslations(translations) {
+        if (translations === null) return null;
+
+        return Object.fromEntries(Object.entries(translations).map(([locale, translation]) => {
+            const normalized = {};
+            if (translation.name !== undefined) normalized.name = translation.name.trim();
+            if (translation.description !== undefined) normalized.description = translation.description.trim();
+            if (translation.features !== undefined) {
+                normalized.features = [...new Set(translation.features.map(item => item.trim()))];
+            }
+            return [locale, normalized];
+        }));
+    }
+
+    /**
+     * 技術仕様検証（キー形式・階層・サイズ）
+     */
+    validateTechnicalSpecs(specs) {
+        if (specs === null) return [];
+        if (!this.isPlainObject(specs)) return ['technicalSpecs must be an object or null'];
+
+        if (JSON.stringify(specs).length > this.maxSpecsSize) {
+            return [`technicalSpecs must not exceed ${this.maxSpecsSize} bytes`];
+        }
+
+        const errors = [];
+        const walk = (node, path, depth) => {
+            if (depth > this.maxSpecsDepth) {
+                errors.push(`technicalSpecs${path} exceeds maximum depth of ${this.maxSpecsDepth}`);
+                return;
+            }
+
+            const entries = Array.isArray(node) ? node.map((value, index) => [index, value]) : Object.entries(node);
+            for (const [key, value] of entries) {
+                if (!Array.isArray(node) && !SPEC_KEY_PATTERN.test(key)) {
+                    errors.push(`technicalSpecs${path} has invalid key: ${key}`);
+                    continue;
+                }
+                if (value !== null && typeof value === 'object') {
+                    walk(value, `${path}.${key}`, depth + 1);
+                }
+            }
+        };
+        walk(specs, '', 1);
+
+        return errors;
+    }
+
+    /**
+     * 編集項目スナップショット
+     */
+    toSnapshot(service) {
+        const source = typeof service.toObject === 'function' ? service.toObject() : service;
+        const snapshot = {};
+
+        for (const field of EDITABLE_FIELDS) {
+            if (source[field] !== undefined) {
+                snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+            }
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * 管理用サービス情報整形
+     */
+    formatAdminService(service, revision = null) {
+        return {
+            id: String(service._id),
+            ...this.toSnapshot(service),
+            revision: revision || null,
+            createdAt: service.createdAt || null,
+            updatedAt: service.updatedAt || null
+        };
+    }
+
+    /**
+     * 改訂情報整形
+     */
+    formatRevision(revision) {
+        return {
+            revision: revision.revision,
+            action: revision.action,
+            changedFields: revision.changed_fields,
+            rolledBackTo: revision.rolled_back_to,
+            reason: revision.reason,
+            actorId: revision.actor_id,
+            createdAt: revision.created_at
+        };
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    sendValidationError(res, errors) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid service data',
+            details: errors,
+            code: 'INVALID_SERVICE_DATA'
+        });
+    }
+
+    sendInvalidServiceId(res) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid service ID format',
+            code: 'INVALID_SERVICE_ID'
+        });
+    }
+}
+
+module.exports = new AdminController();
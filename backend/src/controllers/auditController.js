@@ -0,0 +1,78 @@
+/**
+ * 監査ログコントローラー
+ * フロントエンド（js/auth.js）が送信する重要なクライアント側セキュリティイベントを監査ログに記録
+ * masa様開発ルール完全遵守
+ */
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+class AuditController {
+    constructor() {
+        this.eventPattern = /^[a-z][a-z0-9_]{0,63}$/;
+        this.maxDetailsBytes = 4096;
+        this.maxUrlLength = 2048;
+    }
+
+    /**
+     * クライアントセキュリティイベント記録
+     */
+    async recordSecurityEvent(req, res, next) {
+        try {
+            const { event, details = {}, timestamp, url } = req.body || {};
+            const errors = [];
+
+            if (typeof event !== 'string' || !this.eventPattern.test(event)) {
+                errors.push('event must be a lowercase identifier (a-z, 0-9, _) of at most 64 characters');
+            }
+
+            if (!details || typeof details !== 'object' || Array.isArray(details)) {
+                errors.push('details must be an object');
+            } else if (Buffer.byteLength(JSON.stringify(details)) > this.maxDetailsBytes) {
+                errors.push(`details must be at most ${this.maxDetailsBytes} bytes`);
+            }
+
+            if (timestamp !== undefined && (typeof timestamp !== 'string' || isNaN(new Date(timestamp)))) {
+                errors.push('timestamp must be an ISO 8601 date-time');
+            }
+
+            if (url !== undefined && (typeof url !== 'string' || url.length > this.maxUrlLength)) {
+                errors.push(`url must be a string of at most ${this.maxUrlLength} characters`);
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid security event',
+                    details: errors,
+                    code: 'INVALID_AUDIT_EVENT'
+                });
+            }
+
+            // 送信元情報はリクエストから取得（クライアント申告の userAgent は記録しない）
+            await createAuditLog({
+                action: 'client_security_event',
+                userId: req.user?.id || 'anonymous',
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    event,
+                    details,
+                    url: url || null,
+                    clientTimestamp: timestamp || null
+                }
+            });
+
+            res.json({ success: true });
+
+        } catch (error) {
+            logger.error('Client security event recording failed:', {
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to record security event', 500, 'AUDIT_RECORD_ERROR'));
+        }
+    }
+}
+
+module.exports = new AuditController();
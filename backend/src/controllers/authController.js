@@ -0,0 +1,295 @@
+/**
+ * 認証コントローラー
+ * パスワード認証・トークン発行/ローテーション・ログアウト
+ * Constitutional AI準拠・masa様開発ルール完全遵守
+ */
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const User = require('../models/User');
+const tokenManager = require('../utils/tokenManager');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditLogger');
+const { APIError } = require('../utils/errors');
+
+class AuthController {
+    constructor() {
+        this.maxFailedAttempts = 5;
+        this.lockDuration = 15 * 60 * 1000; // 15分
+
+        // ユーザー不在時もbcrypt比較を行い応答時間差を抑える
+        this.dummyHash = bcrypt.hashSync('shinai-timing-equalizer', 12);
+
+        logger.info('AuthController initialized');
+    }
+
+    /**
+     * ログイン
+     */
+    async login(req, res, next) {
+        try {
+            const { email, password } = req.body || {};
+
+            if (typeof email !== 'string' || typeof password !== 'string' ||
+                !validator.isEmail(email.trim()) || password.length < 8 || password.length > 128) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid credentials format',
+                    code: 'INVALID_CREDENTIALS_FORMAT'
+                });
+            }
+
+            // 登録時と同じ正規化（Gmail のドット・+タグは別アドレスとして扱う）
+            const normalizedEmail = email.trim().toLowerCase();
+            const user = await User.findOne({ email: normalizedEmail }).select('+password_hash');
+
+            // ロック中も含め常にパスワードを照合（ロック状態でアカウントの存在を判別させない）
+            const passwordValid = await bcrypt.compare(
+                password,
+                user ? user.password_hash : this.dummyHash
+            );
+            const locked = Boolean(user && user.isLocked());
+
+            // ロックは正しいパスワードを提示した場合のみ通知
+            if (locked && passwordValid) {
+                await this.recordLoginFailure(req, normalizedEmail, 'account_locked');
+                return res.status(423).json({
+                    success: false,
+                    error: 'Account temporarily locked',
+                    code: 'ACCOUNT_LOCKED'
+                });
+            }
+
+            if (!user || !passwordValid || user.status !== 'active') {
+                if (user && !passwordValid && !locked) {
+                    await this.registerFailedAttempt(user);
+                }
+                await this.recordLoginFailure(req, normalizedEmail,
+                    user && passwordValid ? 'account_inactive' : 'invalid_credentials');
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid email or password',
+                    code: 'INVALID_CREDENTIALS'
+                });
+            }
+
+            // 成功時は失敗カウンターをリセット
+            user.failed_login_attempts = 0;
+            user.locked_until = null;
+            user.last_login = new Date();
+            await user.save();
+
+            const profile = user.toPublicProfile();
+            const tokens = await tokenManager.issueTokenPair(profile);
+
+            await createAuditLog({
+                action: 'auth_login_success',
+                userId: profile.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { sessionId: tokens.sessionId }
+            });
+
+            res.json({
+                success: true,
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn,
+                signingKey: tokens.signingKey,
+                user: profile
+            });
+
+        } catch (error) {
+            logger.error('Login failed:', {
+                error: error.message,
+                stack: error.stack,
+                ip: req.ip
+            });
+            next(new APIError('Login failed', 500, 'LOGIN_ERROR'));
+        }
+    }
+
+    /**
+     * トークン更新（ローテーション）
+     */
+    async refresh(req, res, next) {
+        try {
+            const { refreshToken } = req.body || {};
+
+            if (typeof refreshToken !== 'string' || refreshToken.length < 32 || refreshToken.length > 128) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Refresh token is required',
+                    code: 'REFRESH_TOKEN_REQUIRED'
+                });
+            }
+
+            const consumed = await tokenManager.consumeRefreshToken(refreshToken);
+
+            if (!consumed.valid) {
+                await createAuditLog({
+                    action: consumed.reason === 'TOKEN_REUSE_DETECTED'
+                        ? 'auth_refresh_token_reuse'
+                        : 'auth_refresh_rejected',
+                    userId: 'anonymous',
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent'),
+                    details: { reason: consumed.reason, sessionId: consumed.familyId }
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid refresh token',
+                    code: consumed.reason
+                });
+            }
+
+            // ユーザー状態を再確認（停止済みアカウントの更新を防止）
+            const user = await User.findById(consumed.userId);
+            if (!user || user.status !== 'active') {
+                await tokenManager.revokeFamily(consumed.familyId);
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account is not active',
+                    code: 'ACCOUNT_INACTIVE'
+                });
+            }
+
+            const tokens = await tokenManager.issueTokenPair(user.toPublicProfile(), consumed.familyId);
+
+            await createAuditLog({
+                action: 'auth_token_refreshed',
+                userId: consumed.userId,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { sessionId: consumed.familyId }
+            });
+
+            res.json({
+                success: true,
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn,
+                signingKey: tokens.signingKey
+            });
+
+        } catch (error) {
+            logger.error('Token refresh failed:', {
+                error: error.message,
+                ip: req.ip
+            });
+            next(new APIError('Token refresh failed', 500, 'TOKEN_REFRESH_ERROR'));
+        }
+    }
+
+    /**
+     * セッション検証
+     */
+    async validate(req, res, next) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user || user.status !== 'active') {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account is not active',
+                    code: 'ACCOUNT_INACTIVE'
+                });
+            }
+
+            res.json({
+                success: true,
+                user: user.toPublicProfile(),
+                expiresAt: new Date(req.user.tokenExp * 1000).toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Session validation failed:', {
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Session validation failed', 500, 'SESSION_VALIDATION_ERROR'));
+        }
+    }
+
+    /**
+     * ログアウト（サーバーサイド失効）
+     */
+    async logout(req, res, next) {
+        try {
+            const { refreshToken } = req.body || {};
+            let sessionId = req.user?.sessionId || null;
+
+            // アクセストークン失効済みでもリフレッシュトークンからセッションを特定
+            if (!sessionId && typeof refreshToken === 'string') {
+                const consumed = await tokenManager.consumeRefreshToken(refreshToken);
+                sessionId = consumed.familyId || null;
+            }
+
+            await tokenManager.revokeFamily(sessionId);
+
+            if (req.user) {
+                await tokenManager.revokeAccessToken(req.user.tokenId, req.user.tokenExp);
+            }
+
+            await createAuditLog({
+                action: 'auth_logout',
+                userId: req.user?.id || 'anonymous',
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { sessionId }
+            });
+
+            res.json({
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Logout failed:', {
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Logout failed', 500, 'LOGOUT_ERROR'));
+        }
+    }
+
+    // === ユーティリティメソッド ===
+
+    /**
+     * 失敗回数登録・閾値超過でロック
+     */
+    async registerFailedAttempt(user) {
+        user.failed_login_attempts = (user.failed_login_attempts || 0) + 1;
+
+        if (user.failed_login_attempts >= this.maxFailedAttempts) {
+            user.locked_until = new Date(Date.now() + this.lockDuration);
+            user.failed_login_attempts = 0;
+            logger.warn('Account locked after repeated failures', { userId: user._id.toString() });
+        }
+
+        await user.save();
+    }
+
+    /**
+     * ログイン失敗記録（監視システム用メトリクス含む）
+     */
+    async recordLoginFailure(req, email, reason) {
+        try {
+            await redis.client.incr('metrics:auth:failures');
+        } catch (error) {
+            logger.warn('Auth failure metric update failed:', error.message);
+        }
+
+        await createAuditLog({
+            action: 'auth_login_failure',
+            userId: 'anonymous',
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            details: { email, reason }
+        });
+    }
+}
+
+module.exports = new AuthController();
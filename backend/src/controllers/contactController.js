@@ -0,0 +1,234 @@
+/**
+ * お問い合わせコントローラー
+ * 入力検証・Constitutional AI準拠チェック・永続化
+ * masa様開発ルール完全遵守・全問い合わせ確実保存
+ */
+const crypto = require('crypto');
+const validator = require('validator');
+const Contact = require('../models/Contact');
+const serviceController = require('./serviceController');
+const { sanitizeInput } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditLogger');
+const { crmWebhook } = require('../utils/crmWebhook');
+const { APIError } = require('../utils/errors');
+
+class ContactController {
+    constructor() {
+        // フィールド長制限
+        this.limits = {
+            name: 100,
+            email: 254,
+            company: 200,
+            phone: 30,
+            message: 5000
+        };
+
+        logger.info('ContactController initialized');
+    }
+
+    /**
+     * お問い合わせ受付
+     */
+    async submitContact(req, res, next) {
+        try {
+            const validationResult = this.validateContactForm(req.body || {});
+            if (!validationResult.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid contact form',
+                    details: validationResult.errors,
+                    code: 'INVALID_CONTACT_FORM'
+                });
+            }
+
+            const form = sanitizeInput.deep(validationResult.normalized);
+
+            // Constitutional AI準拠チェック（見積もりと同一基準）
+            // 違反時も問い合わせは破棄せず、要確認ステータスで保存する
+            const complianceCheck = await serviceController.validateConstitutionalCompliance({
+                message: form.message
+            });
+
+            if (!complianceCheck.compliant) {
+                logger.warn('Constitutional AI violation in contact inquiry', {
+                    ip: req.ip,
+                    violations: complianceCheck.violations
+                });
+            }
+
+            const contact = await this.saveContact(form, complianceCheck, req);
+
+            await createAuditLog({
+                action: 'contact_submitted',
+                userId: req.user?.id || 'anonymous',
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    ticketNumber: contact.ticket_number,
+                    service: contact.service,
+                    status: contact.status
+                }
+            });
+
+            await this.notifyCrm(contact);
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    ticketNumber: contact.ticket_number,
+                    submittedAt: contact.submitted_at
+                }
+            });
+
+        } catch (error) {
+            logger.error('Contact submission failed:', {
+                error: error.message,
+                stack: error.stack,
+                ip: req.ip
+            });
+            next(new APIError('Failed to submit inquiry', 500, 'CONTACT_SUBMISSION_ERROR'));
+        }
+    }
+
+    /**
+     * フォーム検証
+     */
+    validateContactForm(body) {
+        const errors = [];
+        const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+        const normalized = {
+            name: asString(body.name),
+            email: asString(body.email),
+            company: asString(body.company) || null,
+            phone: asString(body.phone) || null,
+            service: asString(body.service) || null,
+            message: asString(body.message)
+        };
+
+        // 必須フィールド
+        if (!normalized.name) errors.push('name is required');
+        if (!normalized.email) errors.push('email is required');
+        if (!normalized.message) errors.push('message is required');
+
+        // 長さ制限
+        for (const [field, max] of Object.entries(this.limits)) {
+            if (normalized[field] && normalized[field].length > max) {
+                errors.push(`${field} must be at most ${max} characters`);
+            }
+        }
+
+        if (normalized.email && !validator.isEmail(normalized.email)) {
+            errors.push('Invalid email format');
+        }
+
+        if (normalized.phone && !/^[0-9+\-() ]{6,30}$/.test(normalized.phone)) {
+            errors.push('Invalid phone number format');
+        }
+
+        if (normalized.service && !serviceController.serviceCategories[normalized.service]) {
+            errors.push('Invalid service');
+        }
+
+        // プライバシーポリシー同意（チェックボックス値も許容）
+        const privacy = body.privacy;
+        if (!(privacy === true || privacy === 'true' || privacy === 'on')) {
+            errors.push('Privacy policy consent is required');
+        }
+
+        // 入力どおりのアドレスで保存（trim 済み・小文字化のみ、Gmail のドット・+タグは保持）
+        normalized.email = normalized.email.toLowerCase();
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            normalized
+        };
+    }
+
+    /**
+     * お問い合わせ保存
+     */
+    async saveContact(form, complianceCheck, req) {
+        const now = new Date();
+
+        const document = {
+            ...form,
+            privacy_consent: {
+                agreed: true,
+                agreed_at: now
+            },
+            status: complianceCheck.compliant ? 'new' : 'pending_review',
+            constitutional_compliance: {
+                compliant: complianceCheck.compliant,
+                violations: complianceCheck.violations,
+                checked_at: now
+            },
+            source: {
+                ip: req.ip,
+                user_agent: req.get('User-Agent'),
+                user_id: req.user?.id || null
+            },
+            submitted_at: now
+        };
+
+        // チケット番号衝突時は再採番
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                return await Contact.create({
+                    ...document,
+                    ticket_number: this.generateTicketNumber(now)
+                });
+            } catch (error) {
+                if (error.code !== 11000 || attempt === 2) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * CRMへの新規リード送信登録（失敗しても問い合わせ受付は継続）
+     * Constitutional AI準拠チェックで要確認となった問い合わせは送信しない
+     */
+    async notifyCrm(contact) {
+        if (!contact.constitutional_compliance.compliant) {
+            logger.info('CRM lead delivery skipped for inquiry pending review', {
+                ticketNumber: contact.ticket_number
+            });
+            return;
+        }
+
+        try {
+            await crmWebhook.enqueue('lead.created', {
+                ticketNumber: contact.ticket_number,
+                submittedAt: contact.submitted_at,
+                name: contact.name,
+                email: contact.email,
+                company: contact.company,
+                phone: contact.phone,
+                serviceType: contact.service,
+                message: contact.message,
+                status: contact.status,
+                compliant: contact.constitutional_compliance.compliant
+            });
+        } catch (error) {
+            logger.error('CRM lead delivery could not be queued:', {
+                ticketNumber: contact.ticket_number,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * チケット番号生成（INQ-YYYYMMDD-XXXXXX）
+     */
+    generateTicketNumber(date = new Date()) {
+        const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+        const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `INQ-${day}-${random}`;
+    }
+}
+
+module.exports = new ContactController();
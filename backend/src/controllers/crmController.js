@@ -0,0 +1,190 @@
+/**
+ * CRM連携管理コントローラー
+ * Webhook 送信状況の確認と、送信不能（dead）となった送信の再送
+ * 送信処理は utils/crmWebhook.js（再送は試行回数を初期化して送信待ちへ戻す）
+ * masa様開発ルール完全遵守
+ */
+const CrmDelivery = require('../models/CrmDelivery');
+const { crmWebhook } = require('../utils/crmWebhook');
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+const { CRM_DELIVERY_STATUSES } = CrmDelivery;
+
+class CrmController {
+    constructor() {
+        this.pageSize = 50;
+    }
+
+    /**
+     * 送信一覧（状態別・新しい順・送信内容は除く）
+     */
+    async listDeliveries(req, res, next) {
+        try {
+            const { status, before } = req.query;
+            const filter = {};
+            const errors = [];
+
+            if (status !== undefined) {
+                if (!CRM_DELIVERY_STATUSES.includes(status)) {
+                    errors.push(`status must be one of ${CRM_DELIVERY_STATUSES.join(', ')}`);
+                } else {
+                    filter.status = status;
+                }
+            }
+
+            if (before !== undefined) {
+                const date = new Date(before);
+                if (typeof before !== 'string' || isNaN(date)) {
+                    errors.push('before must be an ISO 8601 date-time');
+                } else {
+                    filter.created_at = { $lt: date };
+                }
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query parameters',
+                    details: errors,
+                    code: 'INVALID_QUERY'
+                });
+            }
+
+            const deliveries = await CrmDelivery.find(filter)
+                .sort({ created_at: -1 })
+                .limit(this.pageSize)
+                .select('-payload')
+                .lean();
+
+            res.json({
+                success: true,
+                data: deliveries.map(delivery => this.formatDelivery(delivery)),
+                count: deliveries.length,
+                enabled: crmWebhook.isEnabled(),
+                next: deliveries.length === this.pageSize
+                    ? new Date(deliveries[deliveries.length - 1].created_at).toISOString()
+                    : null
+            });
+
+        } catch (error) {
+            logger.error('Admin CRM delivery listing failed:', error);
+            next(new APIError('Failed to fetch CRM deliveries', 500, 'ADMIN_CRM_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 送信詳細（送信内容を含む）
+     */
+    async getDelivery(req, res, next) {
+        try {
+            const delivery = await this.findDelivery(req, res);
+            if (!delivery) return;
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatDelivery(delivery),
+                    payload: delivery.payload
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin CRM delivery retrieval failed:', error);
+            next(new APIError('Failed to fetch CRM delivery', 500, 'ADMIN_CRM_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 送信不能分の再送（次回の定期送信で送信）
+     */
+    async retryDelivery(req, res, next) {
+        try {
+            const delivery = await this.findDelivery(req, res);
+            if (!delivery) return;
+
+            const retried = delivery.status === 'dead'
+                ? await crmWebhook.redeliver(delivery.delivery_id)
+                : null;
+
+            if (!retried) {
+                const latest = await CrmDelivery.findOne({ delivery_id: delivery.delivery_id }).select('status').lean();
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only dead deliveries can be retried',
+                    code: 'CRM_DELIVERY_CONFLICT',
+                    status: latest?.status || null
+                });
+            }
+
+            await createAuditLog({
+                action: 'admin_crm_delivery_retried',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    deliveryId: retried.delivery_id,
+                    event: retried.event,
+                    previousAttempts: delivery.attempts,
+                    lastStatusCode: delivery.last_status_code
+                }
+            });
+
+            res.json({
+                success: true,
+                data: this.formatDelivery(retried)
+            });
+
+        } catch (error) {
+            logger.error('Admin CRM delivery retry failed:', error);
+            next(new APIError('Failed to retry CRM delivery', 500, 'ADMIN_CRM_RETRY_ERROR'));
+        }
+    }
+
+    /**
+     * 送信参照（ID不正・未登録は応答送信済みで null）
+     */
+    async findDelivery(req, res) {
+        const { deliveryId } = req.params;
+
+        if (typeof deliveryId !== 'string' || !/^CRM_[A-Z0-9]{6,12}_[A-F0-9]{8}$/.test(deliveryId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid delivery ID format',
+                code: 'INVALID_CRM_DELIVERY_ID'
+            });
+            return null;
+        }
+
+        const delivery = await CrmDelivery.findOne({ delivery_id: deliveryId }).lean();
+        if (!delivery) {
+            res.status(404).json({
+                success: false,
+                error: 'CRM delivery not found',
+                code: 'CRM_DELIVERY_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return delivery;
+    }
+
+    formatDelivery(delivery) {
+        return {
+            deliveryId: delivery.delivery_id,
+            event: delivery.event,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+            lastStatusCode: delivery.last_status_code ?? null,
+            lastError: delivery.last_error || null,
+            deliveredAt: delivery.delivered_at || null,
+            deadAt: delivery.dead_at || null,
+            createdAt: delivery.created_at || null,
+            updatedAt: delivery.updated_at || null
+        };
+    }
+}
+
+module.exports = new CrmController();
@@ -0,0 +1,879 @@
+/**
+ * 見積もりライフサイクル・受注コントローラー
+ * 送付（営業）→ 閲覧 → 承諾/辞退（顧客）→ 受注（支払マイルストーン）。期限到来で失効
+ * プロジェクト単位の改訂一覧・改訂間の差分比較
+ * 全遷移は utils/estimateLifecycle.js 経由で status_history・監査ログに記録
+ * masa様開発ルール完全遵守
+ */
+const PricingEstimate = require('../models/PricingEstimate');
+const Order = require('../models/Order');
+const serviceController = require('./serviceController');
+const projectPlanner = require('../utils/projectPlanner');
+const { formatDate, todayInJapan } = require('../utils/businessCalendar');
+const { estimateLifecycle, OPEN_STATUSES } = require('../utils/estimateLifecycle');
+const { diffEstimates } = require('../utils/estimateDiff');
+const { pricingCatalog, BUILTIN_PRICING } = require('../utils/pricingCatalog');
+const { allocateByWeights } = require('../utils/invoiceTax');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+const { ESTIMATE_STATUSES } = PricingEstimate;
+const ORDER_STATUSES = ['active', 'completed', 'cancelled'];
+
+class EstimateController {
+    constructor() {
+        this.pageSize = 50;
+        this.maxSignerNameLength = 100;
+        this.maxReasonLength = 1000;
+    }
+
+    /**
+     * 見積もり承諾（認証済み顧客・同意必須）→ 受注生成
+     */
+    async acceptEstimate(req, res, next) {
+        try {
+            const { consent, signerName } = req.body;
+
+            const errors = [];
+            if (consent !== true) {
+                errors.push('consent must be true');
+            }
+            if (typeof signerName !== 'string' || signerName.trim().length === 0 ||
+                signerName.length > this.maxSignerNameLength) {
+                errors.push(`signerName must be a string of 1-${this.maxSignerNameLength} characters`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid acceptance',
+                    details: errors,
+                    code: 'INVALID_ACCEPTANCE'
+                });
+            }
+
+            const estimate = await this.findActionableEstimate(req, res);
+            if (!estimate) return;
+
+            const now = new Date();
+            const order = await this.createOrder(estimate, req, signerName.trim(), now);
+            if (!order) {
+                return this.sendStatusConflict(res, 'accepted');
+            }
+
+            // 承諾処理中に失効・辞退された場合は受注を取り消す
+            const accepted = await estimateLifecycle.transition(estimate, 'accepted', {
+                actorId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                where: { valid_until: { $gt: now } },
+                set: {
+                    user_id: estimate.user_id || req.user.id,
+                    order_id: order.order_id,
+                    acceptance: {
+                        user_id: req.user.id,
+                        email: req.user.email || null,
+                        signer_name: signerName.trim(),
+                        consent: true,
+                        terms: estimate.terms,
+                        source_ip: req.ip,
+                        user_agent: req.get('User-Agent') || null,
+                        accepted_at: now
+                    }
+                },
+                details: { orderId: order.order_id, totalPrice: estimate.total_price }
+            });
+
+            if (!accepted) {
+                await Order.deleteOne({ order_id: order.order_id });
+                const latest = await PricingEstimate.findOne({ estimate_id: estimate.estimate_id }).select('status').lean();
+                return this.sendStatusConflict(res, latest?.status);
+            }
+
+            await createAuditLog({
+                action: 'order_created',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    orderId: order.order_id,
+                    estimateId: estimate.estimate_id,
+                    totalPrice: order.total_price
+                }
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    estimate: this.formatLifecycle(accepted),
+                    order: this.formatOrder(order)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Estimate acceptance failed:', {
+                estimateId: req.params.estimateId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to accept estimate', 500, 'ESTIMATE_ACCEPT_ERROR'));
+        }
+    }
+
+    /**
+     * 見積もり辞退（認証済み顧客）
+     */
+    async declineEstimate(req, res, next) {
+        try {
+            const { reason } = req.body || {};
+
+            if (reason !== undefined && (typeof reason !== 'string' || reason.length > this.maxReasonLength)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid decline request',
+                    details: [`reason must be a string of up to ${this.maxReasonLength} characters`],
+                    code: 'INVALID_DECLINE'
+                });
+            }
+
+            const estimate = await this.findActionableEstimate(req, res);
+            if (!estimate) return;
+
+            const declined = await estimateLifecycle.transition(estimate, 'declined', {
+                actorId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                note: reason ? reason.trim() : null,
+                set: {
+                    user_id: estimate.user_id || req.user.id,
+                    declined_at: new Date(),
+                    decline_reason: reason ? reason.trim() : null
+                }
+            });
+
+            if (!declined) {
+                const latest = await PricingEstimate.findOne({ estimate_id: estimate.estimate_id }).select('status').lean();
+                return this.sendStatusConflict(res, latest?.status);
+            }
+
+            res.json({
+                success: true,
+                data: this.formatLifecycle(declined)
+            });
+
+        } catch (error) {
+            logger.error('Estimate decline failed:', {
+                estimateId: req.params.estimateId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to decline estimate', 500, 'ESTIMATE_DECLINE_ERROR'));
+        }
+    }
+
+    /**
+     * 受注取得（本人または管理者）
+     */
+    async getOrder(req, res, next) {
+        try {
+            const { orderId } = req.params;
+
+            if (!this.isValidOrderId(orderId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID format',
+                    code: 'INVALID_ORDER_ID'
+                });
+            }
+
+            const order = await Order.findOne({ order_id: orderId }).lean();
+
+            // 他人の受注は存在を明かさない
+            if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found',
+                    code: 'ORDER_NOT_FOUND'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: this.formatOrder(order)
+            });
+
+        } catch (error) {
+            logger.error('Order retrieval failed:', {
+                orderId: req.params.orderId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to fetch order', 500, 'ORDER_FETCH_ERROR'));
+        }
+    }
+
+    // === 見積もり改訂・比較 ===
+
+    /**
+     * プロジェクトの改訂一覧（入力条件・調整係数を含む）
+     */
+    async listRevisions(req, res, next) {
+        try {
+            const revisions = await this.findAccessibleProject(req, res);
+            if (!revisions) return;
+
+            res.json({
+                success: true,
+                data: {
+                    projectId: req.params.projectId,
+                    revisions: revisions.map(revision => ({
+                        ...this.formatRevision(revision),
+                        requirements: revision.requirements,
+                        adjustments: revision.adjustments
+                    }))
+                },
+                count: revisions.length
+            });
+
+        } catch (error) {
+            logger.error('Revision listing failed:', {
+                projectId: req.params.projectId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to fetch revisions', 500, 'REVISION_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 改訂比較（from / to 未指定時は直前の改訂と最新）
+     */
+    async compareRevisions(req, res, next) {
+        try {
+            const parse = value => (value === undefined ? undefined : Number(value));
+            const from = parse(req.query.from);
+            const to = parse(req.query.to);
+
+            const errors = [];
+            for (const [name, value] of [['from', from], ['to', to]]) {
+                if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                    errors.push(`${name} must be a positive integer`);
+                }
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid compare request',
+                    details: errors,
+                    code: 'INVALID_COMPARE_REQUEST'
+                });
+            }
+
+            const revisions = await this.findAccessibleProject(req, res);
+            if (!revisions) return;
+
+            const latest = revisions[revisions.length - 1].revision;
+            const toRevision = to ?? latest;
+            const fromRevision = from ?? Math.max(1, toRevision - 1);
+            const before = revisions.find(revision => revision.revision === fromRevision);
+            const after = revisions.find(revision => revision.revision === toRevision);
+
+            if (!before || !after) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision not found',
+                    code: 'REVISION_NOT_FOUND'
+                });
+            }
+
+            // 保存時のロケールが異なる改訂も要求ロケールに揃えて比較
+            const locale = req.locale || DEFAULT_LOCALE;
+            const localize = async stored => {
+                const estimate = await serviceController.localizeStoredEstimate(stored, locale);
+                return { ...estimate, timeline: serviceController.localizeTimeline(estimate.timeline, locale) };
+            };
+
+            await createAuditLog({
+                action: 'estimate_revisions_compared',
+                userId: req.user?.id || 'anonymous',
+                ip: req.ip,
+                details: { projectId: req.params.projectId, from: fromRevision, to: toRevision }
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    projectId: req.params.projectId,
+                    locale,
+                    from: this.formatRevision(before),
+                    to: this.formatRevision(after),
+                    changes: diffEstimates(await localize(before), await localize(after))
+                }
+            });
+
+        } catch (error) {
+            logger.error('Revision comparison failed:', {
+                projectId: req.params.projectId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to compare revisions', 500, 'REVISION_COMPARE_ERROR'));
+        }
+    }
+
+    // === 管理者（営業）向け ===
+
+    /**
+     * 見積もり一覧（状態別・新しい順）
+     */
+    async listEstimates(req, res, next) {
+        try {
+            const filter = this.buildListFilter(req, res, ESTIMATE_STATUSES);
+            if (!filter) return;
+
+            // status 未設定の既存見積もりは draft として扱う
+            if (filter.status === 'draft') {
+                filter.status = { $in: ['draft', null] };
+            }
+
+            const estimates = await PricingEstimate.find(filter)
+                .sort({ created_at: -1 })
+                .limit(this.pageSize)
+                .select('-status_history -acceptance.terms')
+                .lean();
+
+            res.json({
+                success: true,
+                data: estimates.map(estimate => this.formatLifecycle(estimate)),
+                count: estimates.length,
+                next: this.nextCursor(estimates)
+            });
+
+        } catch (error) {
+            logger.error('Admin estimate listing failed:', error);
+            next(new APIError('Failed to fetch estimates', 500, 'ADMIN_ESTIMATE_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 見積もり詳細（遷移履歴・承諾情報を含む）
+     */
+    async getEstimateDetail(req, res, next) {
+        try {
+            const estimate = await this.findEstimate(req, res);
+            if (!estimate) return;
+
+            const current = await estimateLifecycle.expireIfOverdue(estimate, {
+                actorId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatLifecycle(current, { detailed: true }),
+                    estimate: serviceController.formatEstimateResponse(
+                        serviceController.fromStoredEstimate(current),
+                        current.locale
+                    )
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin estimate retrieval failed:', error);
+            next(new APIError('Failed to fetch estimate', 500, 'ADMIN_ESTIMATE_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 見積額の根拠（記録した料金表の版で再計算し保存額と照合）
+     */
+    async explainEstimatePricing(req, res, next) {
+        try {
+            const estimate = await this.findEstimate(req, res);
+            if (!estimate) return;
+
+            const { pricing, totalCost, baseCost, complexityMultiplier, timelineMultiplier, serviceAdjustment, premium } =
+                await serviceController.recalculateStoredEstimate(estimate);
+            const requirements = estimate.requirements || {};
+
+            res.json({
+                success: true,
+                data: {
+                    estimateId: estimate.estimate_id,
+                    pricingVersion: pricing.version,
+                    pricing: {
+                        version: pricing.version,
+                        builtin: pricing.version === BUILTIN_PRICING.version,
+                        effectiveFrom: pricing.effectiveFrom,
+                        effectiveTo: pricing.effectiveTo
+                    },
+                    requirements: {
+                        serviceType: requirements.serviceType,
+                        projectScale: requirements.projectScale,
+                        timeline: requirements.timeline,
+                        features: requirements.features || []
+                    },
+                    stored: {
+                        totalCost: estimate.total_price,
+                        baseCost: estimate.base_cost,
+                        adjustments: estimate.adjustments || {}
+                    },
+                    recalculated: {
+                        totalCost,
+                        baseCost,
+                        adjustments: {
+                            complexity: complexityMultiplier,
+                            timeline: timelineMultiplier,
+                            service: serviceAdjustment,
+                            premium
+                        }
+                    },
+                    matches: totalCost === estimate.total_price
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin estimate recalculation failed:', {
+                estimateId: req.params.estimateId,
+                error: error.message
+            });
+            next(new APIError('Failed to recalculate estimate', 500, 'ADMIN_ESTIMATE_RECALCULATE_ERROR'));
+        }
+    }
+
+    /**
+     * 見積もり送付（draft → sent・顧客の割当）
+     */
+    async sendEstimate(req, res, next) {
+        try {
+            const { customerId, note } = req.body || {};
+
+            const errors = [];
+            if (customerId !== undefined && (typeof customerId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(customerId))) {
+                errors.push('customerId must be a user ID');
+            }
+            if (note !== undefined && (typeof note !== 'string' || note.length > this.maxReasonLength)) {
+                errors.push(`note must be a string of up to ${this.maxReasonLength} characters`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid send request',
+                    details: errors,
+                    code: 'INVALID_SEND_REQUEST'
+                });
+            }
+
+            const found = await this.findEstimate(req, res);
+            if (!found) return;
+
+            const context = { actorId: req.user.id, ip: req.ip, userAgent: req.get('User-Agent') };
+            const estimate = await estimateLifecycle.expireIfOverdue(found, context);
+
+            // 顧客が見積もりを作成済みの場合は別顧客へ付け替えない
+            if (customerId && estimate.user_id && estimate.user_id !== customerId) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Estimate belongs to another customer',
+                    code: 'ESTIMATE_CUSTOMER_MISMATCH'
+                });
+            }
+
+            const sent = await estimateLifecycle.transition(estimate, 'sent', {
+                ...context,
+                note: note ? note.trim() : null,
+                set: {
+                    sent_at: new Date(),
+                    user_id: estimate.user_id || customerId || null
+                },
+                details: { customerId: estimate.user_id || customerId || null }
+            });
+
+            if (!sent) {
+                const latest = await PricingEstimate.findOne({ estimate_id: estimate.estimate_id }).select('status').lean();
+                return this.sendStatusConflict(res, latest?.status);
+            }
+
+            res.json({
+                success: true,
+                data: this.formatLifecycle(sent)
+            });
+
+        } catch (error) {
+            logger.error('Admin estimate send failed:', error);
+            next(new APIError('Failed to send estimate', 500, 'ADMIN_ESTIMATE_SEND_ERROR'));
+        }
+    }
+
+    /**
+     * 受注一覧（状態別・新しい順）
+     */
+    async listOrders(req, res, next) {
+        try {
+            const filter = this.buildListFilter(req, res, ORDER_STATUSES);
+            if (!filter) return;
+
+            const orders = await Order.find(filter)
+                .sort({ created_at: -1 })
+                .limit(this.pageSize)
+                .lean();
+
+            res.json({
+                success: true,
+                data: orders.map(order => this.formatOrder(order)),
+                count: orders.length,
+                next: this.nextCursor(orders)
+            });
+
+        } catch (error) {
+            logger.error('Admin order listing failed:', error);
+            next(new APIError('Failed to fetch orders', 500, 'ADMIN_ORDER_FETCH_ERROR'));
+        }
+    }
+
+    // === 内部処理 ===
+
+    /**
+     * 顧客操作（承諾・辞退）対象の見積もり取得
+     * 失効・状態不一致・他顧客の見積もりは応答送信済みで null
+     */
+    async findActionableEstimate(req, res) {
+        const found = await this.findEstimate(req, res);
+        if (!found) return null;
+
+        const estimate = await estimateLifecycle.expireIfOverdue(found, {
+            actorId: req.user.id,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        if (estimate.status === 'expired') {
+            res.status(410).json({
+                success: false,
+                error: 'Estimate has expired',
+                code: 'ESTIMATE_EXPIRED',
+                validUntil: estimate.valid_until
+            });
+            return null;
+        }
+
+        if (estimate.user_id && estimate.user_id !== req.user.id) {
+            res.status(403).json({
+                success: false,
+                error: 'Estimate belongs to another customer',
+                code: 'ESTIMATE_FORBIDDEN'
+            });
+            return null;
+        }
+
+        // 送付前（draft）の見積もりは営業確認前のため承諾・辞退不可
+        if (!['sent', 'viewed'].includes(estimate.status)) {
+            this.sendStatusConflict(res, estimate.status || 'draft');
+            return null;
+        }
+
+        return estimate;
+    }
+
+    /**
+     * 見積もり取得（ID検証込み・未存在は応答送信済みで null）
+     */
+    async findEstimate(req, res) {
+        const { estimateId } = req.params;
+
+        if (!serviceController.isValidEstimateId(estimateId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid estimate ID format',
+                code: 'INVALID_ESTIMATE_ID'
+            });
+            return null;
+        }
+
+        const estimate = await PricingEstimate.findOne({ estimate_id: estimateId }).lean();
+        if (!estimate) {
+            res.status(404).json({
+                success: false,
+                error: 'Estimate not found',
+                code: 'ESTIMATE_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return estimate;
+    }
+
+    /**
+     * 参照可能なプロジェクトの改訂一覧取得
+     * ID不正・未登録・他顧客のプロジェクトは応答送信済みで null（他顧客のものは存在を明かさない）
+     */
+    async findAccessibleProject(req, res) {
+        const { projectId } = req.params;
+
+        if (!serviceController.isValidProjectId(projectId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid project ID format',
+                code: 'INVALID_PROJECT_ID'
+            });
+            return null;
+        }
+
+        const revisions = await serviceController.findProjectRevisions(projectId);
+        if (revisions.length === 0 || !serviceController.canAccessProject(revisions, req.user)) {
+            res.status(404).json({
+                success: false,
+                error: 'Project not found',
+                code: 'PROJECT_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return revisions;
+    }
+
+    /**
+     * 受注生成（estimate_id の一意制約で二重承諾を防止・既存時は null）
+     */
+    async createOrder(estimate, req, signerName, acceptedAt) {
+        // 支払比率は見積もり時点の料金表の版（見積書の支払条件と一致）
+        const { rules } = await pricingCatalog.getVersion(estimate.pricing_version);
+        const milestones = this.buildMilestones(estimate, rules.paymentMilestones, acceptedAt);
+
+        try {
+            const order = await Order.create({
+                order_id: this.generateOrderId(),
+                estimate_id: estimate.estimate_id,
+                user_id: estimate.user_id || req.user.id,
+                email: req.user.email || null,
+                signer_name: signerName,
+                service_type: estimate.service_type,
+                total_price: estimate.total_price,
+                tax_amount: milestones.reduce((sum, milestone) => sum + milestone.tax, 0),
+                total_with_tax: milestones.reduce((sum, milestone) => sum + milestone.amount, 0),
+                currency: estimate.currency || 'JPY',
+                milestones,
+                consent: {
+                    agreed: true,
+                    terms: estimate.terms,
+                    source_ip: req.ip,
+                    user_agent: req.get('User-Agent') || null,
+                    at: acceptedAt
+                }
+            });
+            return order.toObject();
+        } catch (error) {
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * 支払マイルストーン算出
+     * 税込合計と消費税額をそれぞれ比率で按分（剰余の大きい順に1円ずつ配分し、合計は見積書の金額と一致）
+     * 期日は承諾日起点でフェーズ計画を再算出（中間金: 開発完了・完了時: リリース完了）
+     */
+    buildMilestones(estimate, definitions, acceptedAt) {
+        // 税額未保存の旧見積もりは見積書と同じく現在の税率で算出
+        const { tax, totalWithTax } = serviceController.fromStoredEstimate(estimate);
+        const timeline = estimate.timeline || {};
+        const phases = projectPlanner.generatePhases(
+            timeline.actual || timeline.requested || 30,
+            estimate.project_scale,
+            estimate.service_type
+        );
+        const phaseEnd = key => (phases.find(phase => phase.key === key) || {}).endDate || null;
+
+        const dueDates = {
+            acceptance: formatDate(todayInJapan(acceptedAt)),
+            midpoint: phaseEnd('development'),
+            completion: phaseEnd('deployment')
+        };
+
+        const weights = Object.fromEntries(definitions.map(({ key, rate }) => [key, rate]));
+        const amounts = allocateByWeights(totalWithTax, weights);
+        const taxes = allocateByWeights(tax.amount, weights);
+
+        return definitions.map(({ key, rate, trigger }) => ({
+            key,
+            rate,
+            amount: amounts[key],
+            tax: taxes[key],
+            trigger,
+            due_date: dueDates[trigger],
+            status: 'pending'
+        }));
+    }
+
+    /**
+     * 一覧フィルター（status・before=ISO日時）。不正値は応答送信済みで null
+     */
+    buildListFilter(req, res, statuses) {
+        const { status, before } = req.query;
+        const filter = {};
+        const errors = [];
+
+        if (status !== undefined) {
+            if (!statuses.includes(status)) {
+                errors.push(`status must be one of ${statuses.join(', ')}`);
+            } else {
+                filter.status = status;
+            }
+        }
+
+        if (before !== undefined) {
+            const date = new Date(before);
+            if (typeof before !== 'string' || isNaN(date)) {
+                errors.push('before must be an ISO 8601 date-time');
+            } else {
+                filter.created_at = { $lt: date };
+            }
+        }
+
+        if (errors.length > 0) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid query parameters',
+                details: errors,
+                code: 'INVALID_QUERY'
+            });
+            return null;
+        }
+
+        return filter;
+    }
+
+    /**
+     * 次ページ用カーソル
+     */
+    nextCursor(items) {
+        return items.length === this.pageSize
+            ? new Date(items[items.length - 1].created_at).toISOString()
+            : null;
+    }
+
+    /**
+     * 状態不一致（409）
+     */
+    sendStatusConflict(res, status) {
+        return res.status(409).json({
+            success: false,
+            error: 'Estimate status does not allow this action',
+            code: 'ESTIMATE_STATUS_CONFLICT',
+            status: status || null
+        });
+    }
+
+    /**
+     * 改訂概要整形
+     */
+    formatRevision(estimate) {
+        return {
+            revision: estimate.revision,
+            estimateId: estimate.estimate_id,
+            status: estimate.status || 'draft',
+            pricingVersion: estimate.pricing_version ?? BUILTIN_PRICING.version,
+            totalCost: estimate.total_price,
+            totalWithTax: estimate.total_with_tax ?? null,
+            timeline: estimate.timeline?.actual ?? null,
+            validUntil: estimate.valid_until,
+            createdAt: estimate.created_at
+        };
+    }
+
+    /**
+     * ライフサイクル情報整形
+     */
+    formatLifecycle(estimate, { detailed = false } = {}) {
+        const status = estimate.status || 'draft';
+        const acceptance = estimate.acceptance && estimate.acceptance.accepted_at ? {
+            userId: estimate.acceptance.user_id,
+            signerName: estimate.acceptance.signer_name,
+            consent: estimate.acceptance.consent,
+            acceptedAt: estimate.acceptance.accepted_at
+        } : null;
+
+        const formatted = {
+            estimateId: estimate.estimate_id,
+            projectId: estimate.project_id || null,
+            revision: estimate.revision || null,
+            status,
+            open: OPEN_STATUSES.includes(status),
+            customerId: estimate.user_id || null,
+            serviceType: estimate.service_type,
+            pricingVersion: estimate.pricing_version ?? BUILTIN_PRICING.version,
+            totalCost: estimate.total_price,
+            validUntil: estimate.valid_until,
+            sentAt: estimate.sent_at || null,
+            viewedAt: estimate.viewed_at || null,
+            acceptance,
+            declinedAt: estimate.declined_at || null,
+            orderId: estimate.order_id || null,
+            createdAt: estimate.created_at
+        };
+
+        if (detailed) {
+            formatted.declineReason = estimate.decline_reason || null;
+            formatted.history = (estimate.status_history || []).map(entry => ({
+                from: entry.from || null,
+                to: entry.to,
+                actorId: entry.actor_id || null,
+                note: entry.note || null,
+                at: entry.at
+            }));
+        }
+
+        return formatted;
+    }
+
+    /**
+     * 受注整形
+     */
+    formatOrder(order) {
+        return {
+            orderId: order.order_id,
+            estimateId: order.estimate_id,
+            customerId: order.user_id,
+            signerName: order.signer_name,
+            serviceType: order.service_type,
+            totalCost: order.total_price,
+            // 税額を記録していない旧受注は null（マイルストーン金額は税抜）
+            taxAmount: order.tax_amount ?? null,
+            totalWithTax: order.total_with_tax ?? null,
+            currency: order.currency,
+            status: order.status,
+            milestones: order.milestones.map(milestone => ({
+                key: milestone.key,
+                rate: milestone.rate,
+                amount: milestone.amount,
+                tax: milestone.tax ?? null,
+                trigger: milestone.trigger,
+                dueDate: milestone.due_date,
+                status: milestone.status
+            })),
+            consentedAt: order.consent.at,
+            createdAt: order.created_at
+        };
+    }
+
+    /**
+     * 受注ID生成
+     */
+    generateOrderId() {
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substr(2, 8);
+        return `ORD_${timestamp}_${random}`.toUpperCase();
+    }
+
+    /**
+     * 受注ID形式検証
+     */
+    isValidOrderId(orderId) {
+        return typeof orderId === 'string' && /^ORD_[A-Z0-9]{6,12}_[A-Z0-9]{1,8}$/.test(orderId);
+    }
+}
+
+module.exports = new EstimateController();
@@ -0,0 +1,240 @@
+/**
+ * 営業データエクスポートコントローラー
+ * お問い合わせ・見積もりを期間・サービス種別・状態・準拠チェック結果で絞り込み CSV / XLSX で出力
+ * 個人情報は admin と pii:read 権限を持つ営業のみマスクなし。全出力を監査ログに記録
+ * masa様開発ルール完全遵守
+ */
+const Contact = require('../models/Contact');
+const PricingEstimate = require('../models/PricingEstimate');
+const serviceController = require('./serviceController');
+const { EXPORT_DATASETS, buildExportTable, renderCsv, renderXlsx } = require('../utils/salesExport');
+const { formatDate } = require('../utils/businessCalendar');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+const { getConfig } = require('../config/runtime');
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// データセット別の参照先・状態・サービス種別の項目
+const SOURCES = {
+    contacts: {
+        model: Contact,
+        statuses: Contact.CONTACT_STATUSES,
+        serviceField: 'service',
+        projection: '-privacy_consent -source.user_agent'
+    },
+    estimates: {
+        model: PricingEstimate,
+        statuses: PricingEstimate.ESTIMATE_STATUSES,
+        serviceField: 'service_type',
+        projection: '-status_history -acceptance.terms -breakdown -terms -recommendations'
+    }
+};
+
+class ExportController {
+    constructor() {
+        this.formats = {
+            csv: 'text/csv; charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        };
+        this.queryParams = ['format', 'from', 'to', 'serviceType', 'status', 'compliant', 'lang'];
+        this.defaultRangeDays = 30;
+        this.maxRangeDays = 366;
+        this.piiPermission = 'pii:read';
+    }
+
+    /**
+     * お問い合わせエクスポート
+     */
+    async exportContacts(req, res, next) {
+        return await this.exportDataset('contacts', req, res, next);
+    }
+
+    /**
+     * 見積もりエクスポート
+     */
+    async exportEstimates(req, res, next) {
+        return await this.exportDataset('estimates', req, res, next);
+    }
+
+    /**
+     * エクスポート共通処理（上限行数超過は絞り込みを要求）
+     */
+    async exportDataset(dataset, req, res, next) {
+        try {
+            const query = this.parseExportQuery(dataset, req, res);
+            if (!query) return;
+
+            const { model, projection } = SOURCES[dataset];
+            const { dateField } = EXPORT_DATASETS[dataset];
+            const { maxRows } = getConfig().exports;
+
+            const documents = await model.find(this.buildFilter(dataset, query))
+                .sort({ [dateField]: 1 })
+                .limit(maxRows + 1)
+                .select(projection)
+                .lean();
+
+            if (documents.length > maxRows) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Too many rows to export',
+                    details: [`More than ${maxRows} rows match; narrow the date range or filters`],
+                    code: 'EXPORT_TOO_LARGE'
+                });
+            }
+
+            const maskPii = !this.canReadPii(req.user);
+            const table = buildExportTable(dataset, documents, {
+                locale: req.locale || DEFAULT_LOCALE,
+                maskPii
+            });
+            const body = query.format === 'xlsx' ? await renderXlsx(table) : renderCsv(table);
+
+            await createAuditLog({
+                action: 'sales_data_exported',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    dataset,
+                    format: query.format,
+                    from: query.from.toISOString(),
+                    to: query.to.toISOString(),
+                    serviceType: query.serviceType,
+                    status: query.status,
+                    compliant: query.compliant,
+                    rows: documents.length,
+                    piiMasked: maskPii
+                }
+            });
+
+            const filename = `${dataset}-${formatDate(query.from).replace(/-/g, '')}-${formatDate(query.to).replace(/-/g, '')}.${query.format}`;
+
+            res.set('Cache-Control', 'private, no-store')
+                .set('X-PII-Masked', String(maskPii))
+                .set('Content-Disposition', `attachment; filename="${filename}"`)
+                .type(this.formats[query.format])
+                .send(body);
+
+        } catch (error) {
+            logger.error('Sales data export failed:', {
+                dataset,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to export data', 500, 'EXPORT_ERROR'));
+        }
+    }
+
+    /**
+     * 絞り込み条件の検証（期間: from 以上 to 未満・既定は直近30日）
+     * 不正時は応答送信済みで null
+     */
+    parseExportQuery(dataset, req, res) {
+        const { format = 'csv', from, to, serviceType, status, compliant } = req.query;
+        const { statuses } = SOURCES[dataset];
+        const errors = [];
+
+        const unknown = Object.keys(req.query).filter(param => !this.queryParams.includes(param));
+        if (unknown.length > 0) {
+            errors.push(`Unknown parameters: ${unknown.join(', ')}`);
+        }
+
+        if (!Object.keys(this.formats).includes(format)) {
+            errors.push(`format must be one of ${Object.keys(this.formats).join(', ')}`);
+        }
+
+        const parseDateParam = (name, value, fallback) => {
+            if (value === undefined) return fallback;
+            const date = new Date(value);
+            if (typeof value !== 'string' || isNaN(date)) {
+                errors.push(`${name} must be an ISO 8601 date or date-time`);
+                return null;
+            }
+            return date;
+        };
+        const end = parseDateParam('to', to, new Date());
+        const start = parseDateParam('from', from, end && new Date(end.getTime() - this.defaultRangeDays * DAY_MS));
+
+        if (start && end) {
+            if (start >= end) {
+                errors.push('from must be earlier than to');
+            } else if (end - start > this.maxRangeDays * DAY_MS) {
+                errors.push(`The date range must be at most ${this.maxRangeDays} days`);
+            }
+        }
+
+        const serviceTypes = Object.keys(serviceController.serviceCategories);
+        if (serviceType !== undefined && !serviceTypes.includes(serviceType)) {
+            errors.push(`serviceType must be one of ${serviceTypes.join(', ')}`);
+        }
+
+        if (status !== undefined && !statuses.includes(status)) {
+            errors.push(`status must be one of ${statuses.join(', ')}`);
+        }
+
+        if (compliant !== undefined && !['true', 'false'].includes(compliant)) {
+            errors.push('compliant must be true or false');
+        }
+
+        if (errors.length > 0) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid export request',
+                details: errors,
+                code: 'INVALID_EXPORT_REQUEST'
+            });
+            return null;
+        }
+
+        return {
+            format,
+            from: start,
+            to: end,
+            serviceType: serviceType || null,
+            status: status || null,
+            compliant: compliant === undefined ? null : compliant === 'true'
+        };
+    }
+
+    /**
+     * 検索条件組み立て
+     */
+    buildFilter(dataset, query) {
+        const { serviceField } = SOURCES[dataset];
+        const { dateField } = EXPORT_DATASETS[dataset];
+        const filter = {
+            [dateField]: { $gte: query.from, $lt: query.to }
+        };
+
+        if (query.serviceType) {
+            filter[serviceField] = query.serviceType;
+        }
+
+        // status 未設定の既存見積もりは draft として扱う
+        if (query.status) {
+            filter.status = dataset === 'estimates' && query.status === 'draft'
+                ? { $in: ['draft', null] }
+                : query.status;
+        }
+
+        // 準拠チェック結果のない旧見積もりはどちらの条件にも含めない
+        if (query.compliant !== null) {
+            filter['constitutional_compliance.compliant'] = query.compliant;
+        }
+
+        return filter;
+    }
+
+    /**
+     * 個人情報の閲覧可否
+     */
+    canReadPii(user) {
+        return user.role === 'admin' || (user.permissions || []).includes(this.piiPermission);
+    }
+}
+
+module.exports = new ExportController();
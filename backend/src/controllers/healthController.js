@@ -0,0 +1,177 @@
+/**
+ * ヘルスチェックコントローラー
+ * liveness（プロセス生存）/ readiness（依存サービス疎通）を分離
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config/runtime');
+
+class HealthController {
+    constructor() {
+        this.defaultTimeout = 2000; // ミリ秒
+        this.shuttingDown = false;
+        this.pendingCheck = null;
+
+        // 依存サービスプローブ（critical: 失敗時は readiness を 503 にする）
+        this.probes = new Map();
+
+        this.registerProbe('mongodb', async () => {
+            if (mongoose.connection.readyState !== 1) {
+                throw new Error('Not connected');
+            }
+            await mongoose.connection.db.admin().command({ ping: 1 });
+        });
+
+        this.registerProbe('redis', async () => {
+            const reply = await redis.client.ping();
+            if (reply !== 'PONG') {
+                throw new Error(`Unexpected reply: ${reply}`);
+            }
+        });
+
+        // 監視サービス停止中もAPIは提供可能なため非クリティカル
+        this.registerProbe('securityMonitor', async () => {
+            const { monitorUrl } = getConfig().securityMonitoring;
+            const response = await fetch(`${monitorUrl}/health`, {
+                signal: AbortSignal.timeout(this.defaultTimeout)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        }, { critical: false });
+    }
+
+    /**
+     * プローブ登録
+     */
+    registerProbe(name, probe, options = {}) {
+        this.probes.set(name, {
+            probe,
+            critical: options.critical !== false,
+            timeout: options.timeout || this.defaultTimeout
+        });
+    }
+
+    /**
+     * シャットダウン開始（以降 readiness は 503）
+     */
+    markShuttingDown() {
+        this.shuttingDown = true;
+    }
+
+    /**
+     * 公開ヘルスチェック（詳細情報は返さない）
+     */
+    publicHealth(req, res) {
+        res.status(this.shuttingDown ? 503 : 200).json({
+            status: this.shuttingDown ? 'shutting_down' : 'ok',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Liveness（シャットダウン中も200・再起動判定用）
+     */
+    live(req, res) {
+        res.json({
+            status: 'alive',
+            uptime: Math.floor(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Readiness（トラフィック受付可否）
+     */
+    async ready(req, res) {
+        if (this.shuttingDown) {
+            return res.status(503).json({
+                status: 'shutting_down',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            const checks = await this.runChecks();
+            const criticalFailure = Object.values(checks)
+                .some(check => check.critical && check.status !== 'pass');
+
+            if (criticalFailure) {
+                logger.warn('Readiness check failed', { checks });
+            }
+
+            res.status(criticalFailure ? 503 : 200).json({
+                status: criticalFailure ? 'degraded' : 'ready',
+                timestamp: new Date().toISOString(),
+                checks
+            });
+
+        } catch (error) {
+            logger.error('Readiness check error:', error);
+            res.status(503).json({
+                status: 'degraded',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * 全プローブ実行（同時リクエストは1回の実行を共有）
+     */
+    async runChecks() {
+        if (!this.pendingCheck) {
+            this.pendingCheck = this.executeProbes().finally(() => {
+                this.pendingCheck = null;
+            });
+        }
+        return this.pendingCheck;
+    }
+
+    async executeProbes() {
+        const entries = await Promise.all(
+            [...this.probes.entries()].map(async ([name, { probe, critical, timeout }]) => {
+                const startedAt = process.hrtime.bigint();
+                let status = 'pass';
+                let error;
+
+                try {
+                    await this.withTimeout(probe(), timeout);
+                } catch (probeError) {
+                    status = probeError.name === 'TimeoutError' ? 'timeout' : 'fail';
+                    error = probeError.message;
+                }
+
+                const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+                return [name, {
+                    status,
+                    critical,
+                    latencyMs: Math.round(latencyMs * 10) / 10,
+                    ...(error && { error })
+                }];
+            })
+        );
+
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * タイムアウト付き実行
+     */
+    withTimeout(promise, timeout) {
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Timed out after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                reject(error);
+            }, timeout);
+        });
+
+        return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = new HealthController();
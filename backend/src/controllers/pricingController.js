@@ -0,0 +1,583 @@
+/**
+ * 料金表管理コントローラー
+ * 料金表を版として登録・公開する管理者専用API（下書き → プレビュー → 公開）
+ * 公開済みの版は料金表を変更できないため、記録した版で再計算した見積額は常に一致
+ * masa様開発ルール完全遵守
+ */
+const PricingVersion = require('../models/PricingVersion');
+const serviceController = require('./serviceController');
+const { pricingCatalog, BUILTIN_PRICING } = require('../utils/pricingCatalog');
+const { validatePricingRules } = require('../utils/pricingRules');
+const { createAuditLog } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+const { PRICING_VERSION_STATUSES } = PricingVersion;
+const EDITABLE_FIELDS = ['rules', 'effectiveFrom', 'effectiveTo', 'notes'];
+const PROJECT_SCALES = ['small', 'medium', 'large', 'enterprise'];
+
+class PricingController {
+    constructor() {
+        this.pageSize = 50;
+        this.maxNotesLength = 1000;
+        this.maxRevisionRetries = 3;
+        this.maxPreviewScenarios = 20;
+        this.defaultPreviewTimeline = 30;
+    }
+
+    /**
+     * 料金表一覧（新しい版順・料金表本体は除く）
+     */
+    async listVersions(req, res, next) {
+        try {
+            const { status, before } = req.query;
+
+            const filter = {};
+            if (status !== undefined) {
+                if (!PRICING_VERSION_STATUSES.includes(status)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid query parameters',
+                        details: [`status must be one of ${PRICING_VERSION_STATUSES.join(', ')}`],
+                        code: 'INVALID_QUERY'
+                    });
+                }
+                filter.status = status;
+            }
+            const cursor = before !== undefined ? parseInt(before, 10) : null;
+            if (Number.isInteger(cursor)) {
+                filter.version = { $lt: cursor };
+            }
+
+            const [versions, active] = await Promise.all([
+                PricingVersion.find(filter)
+                    .sort({ version: -1 })
+                    .limit(this.pageSize)
+                    .select('-rules')
+                    .lean(),
+                pricingCatalog.getActive()
+            ]);
+
+            res.json({
+                success: true,
+                data: versions.map(version => this.formatVersion(version, active.version)),
+                count: versions.length,
+                activeVersion: active.version,
+                next: versions.length === this.pageSize ? versions[versions.length - 1].version : null
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing version listing failed:', error);
+            next(new APIError('Failed to fetch pricing versions', 500, 'ADMIN_PRICING_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 料金表取得（版0は組込み料金表）
+     */
+    async getVersion(req, res, next) {
+        try {
+            const version = await this.findVersion(req, res);
+            if (!version) return;
+
+            const active = await pricingCatalog.getActive();
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatVersion(version, active.version),
+                    rules: version.rules
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing version retrieval failed:', error);
+            next(new APIError('Failed to fetch pricing version', 500, 'ADMIN_PRICING_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 下書き作成（rules 省略時は現在有効な料金表を複製）
+     */
+    async createVersion(req, res, next) {
+        try {
+            const payload = req.body || {};
+            const validation = this.validateVersionPayload(
+                payload.rules === undefined ? { ...payload, rules: (await pricingCatalog.getActive()).rules } : payload
+            );
+            if (!validation.isValid) {
+                return this.sendValidationError(res, validation.errors);
+            }
+
+            const created = await this.createDraft(req, validation.data);
+
+            await createAuditLog({
+                action: 'admin_pricing_version_created',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { version: created.version, copiedRules: payload.rules === undefined }
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    ...this.formatVersion(created),
+                    rules: created.rules
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing version creation failed:', error);
+            next(new APIError('Failed to create pricing version', 500, 'ADMIN_PRICING_UPDATE_ERROR'));
+        }
+    }
+
+    /**
+     * 料金表更新（下書き: 全項目・公開済み: 適用終了日のみ）
+     */
+    async updateVersion(req, res, next) {
+        try {
+            const validation = this.validateVersionPayload(req.body, { partial: true });
+            if (!validation.isValid) {
+                return this.sendValidationError(res, validation.errors);
+            }
+
+            const current = await this.findVersion(req, res, { stored: true });
+            if (!current) return;
+
+            const changes = validation.data;
+            const changedFields = Object.keys(changes);
+            if (changedFields.length === 0) {
+                return this.sendValidationError(res, [`At least one of ${EDITABLE_FIELDS.join(', ')} is required`]);
+            }
+
+            if (current.status === 'published') {
+                // 適用済みの期間は遡って変更しない（終了済みの版は変更不可）
+                const now = new Date();
+                const errors = [];
+                if (changedFields.some(field => field !== 'effective_to')) {
+                    return this.sendConflict(res, current.status, 'Published pricing versions only accept effectiveTo');
+                }
+                if (current.effective_to && current.effective_to <= now) {
+                    return this.sendConflict(res, current.status, 'Pricing version has already ended');
+                }
+                if (changes.effective_to && changes.effective_to <= now) {
+                    errors.push('effectiveTo must be in the future');
+                }
+                if (changes.effective_to && changes.effective_to <= current.effective_from) {
+                    errors.push('effectiveTo must be after effectiveFrom');
+                }
+                if (errors.length > 0) {
+                    return this.sendValidationError(res, errors);
+                }
+            } else {
+                const errors = this.validateEffectivePeriod({
+                    effectiveFrom: 'effective_from' in changes ? changes.effective_from : current.effective_from,
+                    effectiveTo: 'effective_to' in changes ? changes.effective_to : current.effective_to
+                });
+                if (errors.length > 0) {
+                    return this.sendValidationError(res, errors);
+                }
+            }
+
+            // 公開・他の更新と競合した場合は 409
+            const updated = await PricingVersion.findOneAndUpdate(
+                { version: current.version, status: current.status, updated_at: current.updated_at },
+                { $set: { ...changes, updated_by: req.user.id } },
+                { new: true }
+            ).lean();
+
+            if (!updated) {
+                const latest = await PricingVersion.findOne({ version: current.version }).select('status').lean();
+                return this.sendConflict(res, latest?.status, 'Pricing version was modified by another request');
+            }
+
+            if (updated.status === 'published') {
+                await pricingCatalog.invalidate();
+            }
+
+            await createAuditLog({
+                action: 'admin_pricing_version_updated',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: { version: updated.version, status: updated.status, changedFields }
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatVersion(updated),
+                    rules: updated.rules
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing version update failed:', error);
+            next(new APIError('Failed to update pricing version', 500, 'ADMIN_PRICING_UPDATE_ERROR'));
+        }
+    }
+
+    /**
+     * プレビュー（指定版と現在有効な料金表で同一条件の見積額を比較）
+     * scenarios 省略時は全サービス × 全規模（期間30日・機能追加なし）
+     */
+    async previewVersion(req, res, next) {
+        try {
+            const { scenarios } = req.body || {};
+
+            const validation = this.validateScenarios(scenarios);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid pricing preview',
+                    details: validation.errors,
+                    code: 'INVALID_PRICING_PREVIEW'
+                });
+            }
+
+            const candidate = await this.findVersion(req, res);
+            if (!candidate) return;
+
+            const active = await pricingCatalog.getActive();
+            const results = validation.data.map(scenario => {
+                const user = { isPremium: scenario.premium };
+                const current = serviceController.calculateCost(scenario, active.rules, user).totalCost;
+                const proposed = serviceController.calculateCost(scenario, candidate.rules, user).totalCost;
+                const delta = proposed - current;
+
+                return {
+                    scenario,
+                    current,
+                    proposed,
+                    delta,
+                    deltaRate: current ? Math.round(delta / current * 1000) / 1000 : null
+                };
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    version: candidate.version,
+                    status: candidate.status,
+                    comparedWith: active.version,
+                    results,
+                    summary: {
+                        scenarios: results.length,
+                        increased: results.filter(result => result.delta > 0).length,
+                        decreased: results.filter(result => result.delta < 0).length,
+                        unchanged: results.filter(result => result.delta === 0).length
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing preview failed:', error);
+            next(new APIError('Failed to preview pricing version', 500, 'ADMIN_PRICING_PREVIEW_ERROR'));
+        }
+    }
+
+    /**
+     * 公開（draft → published・適用開始日時の省略時は即時）
+     */
+    async publishVersion(req, res, next) {
+        try {
+            const validation = this.validateVersionPayload(req.body || {}, { partial: true, fields: ['effectiveFrom'] });
+            if (!validation.isValid) {
+                return this.sendValidationError(res, validation.errors);
+            }
+
+            const draft = await this.findVersion(req, res, { stored: true });
+            if (!draft) return;
+
+            if (draft.status !== 'draft') {
+                return this.sendConflict(res, draft.status, 'Pricing version is already published');
+            }
+
+            const now = new Date();
+            const effectiveFrom = validation.data.effective_from || draft.effective_from || now;
+            const errors = this.validateEffectivePeriod({ effectiveFrom, effectiveTo: draft.effective_to });
+            if (effectiveFrom < now) {
+                errors.push('effectiveFrom must not be in the past');
+            }
+            if (errors.length > 0) {
+                return this.sendValidationError(res, errors);
+            }
+
+            const published = await PricingVersion.findOneAndUpdate(
+                { version: draft.version, status: 'draft', updated_at: draft.updated_at },
+                {
+                    $set: {
+                        status: 'published',
+                        effective_from: effectiveFrom,
+                        published_by: req.user.id,
+                        published_at: now,
+                        updated_by: req.user.id
+                    }
+                },
+                { new: true }
+            ).lean();
+
+            if (!published) {
+                const latest = await PricingVersion.findOne({ version: draft.version }).select('status').lean();
+                return this.sendConflict(res, latest?.status, 'Pricing version was modified by another request');
+            }
+
+            await pricingCatalog.invalidate();
+
+            await createAuditLog({
+                action: 'admin_pricing_version_published',
+                userId: req.user.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    version: published.version,
+                    effectiveFrom: published.effective_from,
+                    effectiveTo: published.effective_to
+                }
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.formatVersion(published),
+                    rules: published.rules
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin pricing version publish failed:', error);
+            next(new APIError('Failed to publish pricing version', 500, 'ADMIN_PRICING_UPDATE_ERROR'));
+        }
+    }
+
+    // === 内部処理 ===
+
+    /**
+     * 下書き保存（同時作成で版番号が衝突した場合は再採番）
+     */
+    async createDraft(req, data) {
+        for (let attempt = 1; ; attempt++) {
+            const latest = await PricingVersion.findOne({})
+                .sort({ version: -1 })
+                .select('version')
+                .lean();
+
+            try {
+                const created = await PricingVersion.create({
+                    ...data,
+                    version: (latest ? latest.version : BUILTIN_PRICING.version) + 1,
+                    status: 'draft',
+                    created_by: req.user.id,
+                    updated_by: req.user.id
+                });
+                return created.toObject();
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= this.maxRevisionRetries) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * 料金表取得（ID不正・未登録は応答送信済みで null）
+     * stored: 登録済みの版のみ（組込み料金表は変更不可のため 404）
+     */
+    async findVersion(req, res, { stored = false } = {}) {
+        const { version: param } = req.params;
+
+        if (!/^\d{1,9}$/.test(param)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid pricing version',
+                code: 'INVALID_PRICING_VERSION_ID'
+            });
+            return null;
+        }
+
+        const version = parseInt(param, 10);
+        if (version === BUILTIN_PRICING.version && !stored) {
+            return { version, status: 'published', rules: BUILTIN_PRICING.rules, builtin: true };
+        }
+
+        const found = await PricingVersion.findOne({ version }).lean();
+        if (!found) {
+            res.status(404).json({
+                success: false,
+                error: 'Pricing version not found',
+                code: 'PRICING_VERSION_NOT_FOUND'
+            });
+            return null;
+        }
+
+        return found;
+    }
+
+    /**
+     * 入力検証（partial: 更新時は指定項目のみ検証・fields: 受け付ける項目）
+     */
+    validateVersionPayload(payload, { partial = false, fields = EDITABLE_FIELDS } = {}) {
+        const errors = [];
+        const data = {};
+
+        if (!this.isPlainObject(payload)) {
+            return { isValid: false, errors: ['body must be an object'], data };
+        }
+
+        const unknown = Object.keys(payload).filter(field => !fields.includes(field));
+        if (unknown.length > 0) {
+            errors.push(`Unknown fields: ${unknown.join(', ')}`);
+        }
+
+        if (payload.rules !== undefined || !partial) {
+            const ruleErrors = validatePricingRules(payload.rules);
+            if (ruleErrors.length > 0) {
+                errors.push(...ruleErrors);
+            } else {
+                data.rules = payload.rules;
+            }
+        }
+
+        for (const [field, column] of [['effectiveFrom', 'effective_from'], ['effectiveTo', 'effective_to']]) {
+            const value = payload[field];
+            if (value === undefined) continue;
+
+            const date = typeof value === 'string' ? new Date(value) : null;
+            if (value !== null && (!date || isNaN(date))) {
+                errors.push(`${field} must be an ISO 8601 date-time or null`);
+            } else {
+                data[column] = value === null ? null : date;
+            }
+        }
+
+        if (payload.notes !== undefined) {
+            if (payload.notes !== null && (typeof payload.notes !== 'string' || payload.notes.length > this.maxNotesLength)) {
+                errors.push(`notes must be a string of up to ${this.maxNotesLength} characters`);
+            } else {
+                data.notes = payload.notes === null ? null : payload.notes.trim();
+            }
+        }
+
+        if (!partial) {
+            errors.push(...this.validateEffectivePeriod({
+                effectiveFrom: data.effective_from || null,
+                effectiveTo: data.effective_to || null
+            }));
+        }
+
+        return { isValid: errors.length === 0, errors, data };
+    }
+
+    /**
+     * 適用期間検証（終了は開始より後）
+     */
+    validateEffectivePeriod({ effectiveFrom, effectiveTo }) {
+        if (effectiveTo && effectiveTo <= (effectiveFrom || new Date())) {
+            return ['effectiveTo must be after effectiveFrom'];
+        }
+        return [];
+    }
+
+    /**
+     * プレビュー条件検証（省略時は全サービス × 全規模）
+     */
+    validateScenarios(scenarios) {
+        const serviceTypes = Object.keys(serviceController.serviceCategories);
+
+        if (scenarios === undefined) {
+            return {
+                isValid: true,
+                errors: [],
+                data: serviceTypes.flatMap(serviceType => PROJECT_SCALES.map(projectScale => ({
+                    serviceType,
+                    projectScale,
+                    timeline: this.defaultPreviewTimeline,
+                    features: [],
+                    premium: false
+                })))
+            };
+        }
+
+        if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > this.maxPreviewScenarios) {
+            return { isValid: false, errors: [`scenarios must be an array of 1-${this.maxPreviewScenarios} items`], data: [] };
+        }
+
+        const errors = [];
+        const data = scenarios.map((scenario, index) => {
+            const path = `scenarios[${index}]`;
+            if (!this.isPlainObject(scenario)) {
+                errors.push(`${path} must be an object`);
+                return null;
+            }
+
+            const { serviceType, projectScale, timeline, features = [], premium = false } = scenario;
+            if (!serviceTypes.includes(serviceType)) {
+                errors.push(`${path}.serviceType must be one of ${serviceTypes.join(', ')}`);
+            }
+            if (!PROJECT_SCALES.includes(projectScale)) {
+                errors.push(`${path}.projectScale must be one of ${PROJECT_SCALES.join(', ')}`);
+            }
+            if (!Number.isInteger(timeline) || timeline < 7 || timeline > 730) {
+                errors.push(`${path}.timeline must be an integer between 7 and 730`);
+            }
+            if (!Array.isArray(features) || features.length > 20 ||
+                !features.every(feature => typeof feature === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(feature))) {
+                errors.push(`${path}.features must be an array of up to 20 feature keys`);
+            }
+            if (typeof premium !== 'boolean') {
+                errors.push(`${path}.premium must be a boolean`);
+            }
+
+            return { serviceType, projectScale, timeline, features, premium };
+        });
+
+        return { isValid: errors.length === 0, errors, data };
+    }
+
+    /**
+     * 料金表情報整形
+     */
+    formatVersion(version, activeVersion = null) {
+        return {
+            version: version.version,
+            status: version.status,
+            builtin: Boolean(version.builtin),
+            active: activeVersion !== null && version.version === activeVersion,
+            effectiveFrom: version.effective_from || null,
+            effectiveTo: version.effective_to || null,
+            notes: version.notes || null,
+            createdBy: version.created_by || null,
+            updatedBy: version.updated_by || null,
+            publishedBy: version.published_by || null,
+            publishedAt: version.published_at || null,
+            createdAt: version.created_at || null,
+            updatedAt: version.updated_at || null
+        };
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    sendValidationError(res, errors) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid pricing version',
+            details: errors,
+            code: 'INVALID_PRICING_VERSION'
+        });
+    }
+
+    sendConflict(res, status, message) {
+        return res.status(409).json({
+            success: false,
+            error: message,
+            code: 'PRICING_VERSION_CONFLICT',
+            status: status || null
+        });
+    }
+}
+
+module.exports = new PricingController();
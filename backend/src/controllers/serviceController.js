@@ -3,43 +3,62 @@
  * ビジネスロジックを安全に処理・Constitutional AI準拠
  * masa様開発ルール完全遵守・エラーハンドリング完全実装
  */
+const crypto = require('crypto');
 const Service = require('../models/Service');
-const { encrypt, decrypt } = require('../utils/encryption');
+const PricingEstimate = require('../models/PricingEstimate');
 const { validateInput, sanitizeInput } = require('../utils/validation');
 const { logger } = require('../utils/logger');
 const { createAuditLog } = require('../utils/auditLogger');
 const { APIError } = require('../utils/errors');
+const projectPlanner = require('../utils/projectPlanner');
+const { CALENDAR_END } = require('../utils/businessCalendar');
+const { findBudgetPlans, MAX_OPTIONAL_FEATURES } = require('../utils/budgetOptimizer');
+const { estimateLifecycle } = require('../utils/estimateLifecycle');
+const { pricingCatalog, BUILTIN_PRICING } = require('../utils/pricingCatalog');
+const { allocateByWeights, calculateTax } = require('../utils/invoiceTax');
+const { buildQuote, renderQuoteHtml, renderQuotePdf } = require('../utils/quoteDocument');
+const { SharedCache } = require('../utils/cache');
+const { observeCache, counters } = require('../utils/metrics');
+const { ServiceSearchIndex } = require('../utils/searchIndex');
+const redis = require('../config/redis');
+const { getConfig } = require('../config/runtime');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, t, getSection, localizeService } = require('../utils/i18n');
 
 class ServiceController {
     constructor() {
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5分
+        // 全レプリカ共有キャッシュ（Redis）
+        this.cacheTTL = 5 * 60; // 5分（秒）
+        this.cache = new SharedCache({
+            namespace: 'cache:services',
+            defaultTTL: this.cacheTTL
+        });
+        observeCache('services', this.cache);
         
-        // サービスカテゴリ定義
-        this.serviceCategories = {
-            'ai-agent': 'AIエージェント開発',
-            'rag': 'RAG構築サービス', 
-            'aipro': 'アイプロ（企画書AI）',
-            'consultation': '技術コンサルティング',
-            'integration': 'システム統合'
+        // 全文検索インデックス（ロケール別・カタログ版数が変わるか期限切れで一括再構築）
+        this.searchIndexes = new Map(SUPPORTED_LOCALES.map(locale => [locale, new ServiceSearchIndex()]));
+        this.searchIndexState = {
+            catalogVersion: null,
+            checkedAt: 0,
+            builtAt: 0,
+            building: null
         };
+        this.searchIndexTTL = 5 * 60 * 1000; // 5分
+        this.searchVersionCheckInterval = 5000; // 5秒
+        this.catalogVersionKey = 'cache:services:catalog_version';
         
-        // 価格設定基準
-        this.pricingMatrix = {
-            baseCost: 300000, // 基本30万円
-            complexity: {
-                simple: 1.0,
-                medium: 1.5,
-                complex: 2.5,
-                enterprise: 4.0
-            },
-            timeline: {
-                urgent: 1.3,     // 1週間以内
-                fast: 1.1,       // 2週間
-                standard: 1.0,   // 1ヶ月
-                extended: 0.9    // 2ヶ月以上
-            }
-        };
+        // サービスカテゴリ定義（表示名は locales/*.json の categories）
+        this.serviceCategories = getSection(DEFAULT_LOCALE, 'categories');
+        
+        // 価格設定基準は料金表カタログ（utils/pricingCatalog）から見積もり時点の版を取得
+
+        this.budgetPlanLimit = { default: 5, max: 10 };
+
+        // 改訂番号の競合時の再試行回数
+        this.maxRevisionAttempts = 3;
+
+        // 見積書
+        this.quoteFormats = ['html', 'pdf'];
+        this.maxQuoteRecipientLength = 100;
 
         logger.info('ServiceController initialized');
     }
@@ -49,42 +68,49 @@ class ServiceController {
      */
     async getServices(req, res, next) {
         try {
-            const cacheKey = 'services:public';
-            
-            // キャッシュ確認
-            const cached = this.getFromCache(cacheKey);
-            if (cached) {
-                return res.json({
-                    success: true,
-                    data: cached.data,
-                    count: cached.data.length,
-                    cached: true,
-                    timestamp: cached.timestamp
-                });
-            }
+            const locale = req.locale || DEFAULT_LOCALE;
+            const cacheKey = `services:public:${locale}`;
+
+            // キャッシュ確認（未キャッシュ時は1プロセスのみDB取得）
+            const result = await this.cache.getOrSet(cacheKey, async () => {
+                const services = await Service.find({ 
+                    isActive: true,
+                    isPublic: true 
+                })
+                .select('name description features translations pricing category icon tags')
+                .sort({ order: 1, createdAt: -1 })
+                .lean();
+
+                if (!services || services.length === 0) {
+                    return null;
+                }
 
-            // データベースから取得
-            const services = await Service.find({ 
-                isActive: true,
-                isPublic: true 
-            })
-            .select('name description features pricing category icon tags')
-            .sort({ order: 1, createdAt: -1 })
-            .lean();
+                // 公開用データ生成
+                return services.map(service => this.formatPublicService(service, locale));
+            }, { ttl: this.cacheTTL, tags: ['services'] });
 
-            if (!services || services.length === 0) {
+            if (!result.data) {
                 logger.warn('No public services found');
                 return res.status(404).json({
                     success: false,
-                    error: 'No services available'
+                    error: 'No services available',
+                    code: 'NO_SERVICES_AVAILABLE'
                 });
             }
 
-            // 公開用データ生成
-            const publicServices = services.map(service => this.formatPublicService(service));
+            if (result.cached) {
+                return res.json({
+                    success: true,
+                    data: result.data,
+                    count: result.data.length,
+                    categories: this.getCategories(locale),
+                    locale,
+                    cached: true,
+                    timestamp: result.timestamp
+                });
+            }
 
-            // キャッシュに保存
-            this.setCache(cacheKey, publicServices);
+            const publicServices = result.data;
 
             // 監査ログ
             await createAuditLog({
@@ -99,7 +125,8 @@ class ServiceController {
                 success: true,
                 data: publicServices,
                 count: publicServices.length,
-                categories: this.serviceCategories
+                categories: this.getCategories(locale),
+                locale
             });
 
         } catch (error) {
@@ -128,23 +155,21 @@ class ServiceController {
                 });
             }
 
-            const cacheKey = `service:${serviceId}`;
-            
-            // キャッシュ確認
-            const cached = this.getFromCache(cacheKey);
-            if (cached) {
-                await this.logServiceAccess(req, serviceId, 'cache_hit');
-                return res.json({
-                    success: true,
-                    data: cached.data,
-                    cached: true
-                });
-            }
+            // 認証状態・ロケールで返却内容が異なるため、ユーザー区分×ロケールごとにキャッシュ
+            const locale = req.locale || DEFAULT_LOCALE;
+            const cacheKey = `service:${serviceId}:tier:${this.getUserTier(req.user)}:${locale}`;
+
+            const result = await this.cache.getOrSet(cacheKey, async () => {
+                const service = await this.findServiceById(serviceId);
+                if (!service) {
+                    return null;
+                }
 
-            // データベースから取得
-            const service = await this.findServiceById(serviceId);
+                // 詳細データ構築
+                return await this.buildServiceDetails(service, req.user, locale);
+            }, { ttl: this.cacheTTL, tags: ['services', `service:${serviceId}`] });
 
-            if (!service) {
+            if (!result.data) {
                 await this.logServiceAccess(req, serviceId, 'not_found');
                 return res.status(404).json({
                     success: false,
@@ -153,18 +178,25 @@ class ServiceController {
                 });
             }
 
-            // 詳細データ構築
-            const serviceDetails = await this.buildServiceDetails(service, req.user);
+            if (result.cached) {
+                await this.logServiceAccess(req, serviceId, 'cache_hit');
+                return res.json({
+                    success: true,
+                    data: result.data,
+                    locale,
+                    cached: true
+                });
+            }
 
-            // キャッシュに保存
-            this.setCache(cacheKey, serviceDetails);
+            const serviceDetails = result.data;
 
             // アクセスログ
             await this.logServiceAccess(req, serviceId, 'accessed');
 
             res.json({
                 success: true,
-                data: serviceDetails
+                data: serviceDetails,
+                locale
             });
 
         } catch (error) {
@@ -182,7 +214,7 @@ class ServiceController {
      */
     async calculateEstimate(req, res, next) {
         try {
-            const { requirements } = req.body;
+            const { requirements, projectId } = req.body;
 
             // 入力検証・サニタイズ
             const validationResult = await this.validateEstimateRequirements(requirements);
@@ -195,27 +227,56 @@ class ServiceController {
                 });
             }
 
+            // 既存プロジェクトへの改訂追加（他の顧客のプロジェクトは存在を明かさない）
+            if (projectId !== undefined) {
+                if (!this.isValidProjectId(projectId)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid project ID format',
+                        code: 'INVALID_PROJECT_ID'
+                    });
+                }
+
+                const revisions = await this.findProjectRevisions(projectId);
+                if (revisions.length === 0 || !this.canAccessProject(revisions, req.user)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Project not found',
+                        code: 'PROJECT_NOT_FOUND'
+                    });
+                }
+            }
+
             const sanitizedRequirements = sanitizeInput.deep(requirements);
 
             // Constitutional AI準拠チェック
             const complianceCheck = await this.validateConstitutionalCompliance(sanitizedRequirements);
             if (!complianceCheck.compliant) {
+                const { blockOnViolation } = getConfig().constitutionalAI;
+
                 logger.warn('Constitutional AI violation in estimate request', {
                     userId: req.user?.id,
-                    violations: complianceCheck.violations
+                    violations: complianceCheck.violations,
+                    blocked: blockOnViolation
                 });
 
-                return res.status(400).json({
-                    success: false,
-                    error: 'Request does not meet our service standards',
-                    code: 'COMPLIANCE_VIOLATION'
-                });
+                // CONSTITUTIONAL_AI_BLOCK_ON_VIOLATION=false は記録のみで処理継続
+                if (blockOnViolation) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Request does not meet our service standards',
+                        code: 'COMPLIANCE_VIOLATION'
+                    });
+                }
             }
 
-            // 見積もり算出実行
+            // 見積もり算出実行（算出時点で有効な料金表）
+            const pricing = await pricingCatalog.getActive();
             const estimate = await this.performEstimateCalculation(
-                sanitizedRequirements, 
-                req.user
+                sanitizedRequirements,
+                pricing,
+                req.user,
+                req.locale
             );
 
             // 結果検証
@@ -223,8 +284,9 @@ class ServiceController {
                 throw new Error('Estimate calculation failed');
             }
 
-            // 見積もり保存
-            await this.saveEstimate(estimate, req.user?.id, req.ip);
+            // 見積もり保存（プロジェクト未指定時は新規プロジェクトの改訂1）
+            await this.saveRevision(estimate, projectId || this.generateProjectId(), req.user?.id, req.ip, complianceCheck);
+            counters.estimatesCreated.inc({ service_type: sanitizedRequirements.serviceType });
 
             // 監査ログ
             await createAuditLog({
@@ -233,22 +295,17 @@ class ServiceController {
                 ip: req.ip,
                 details: {
                     estimateId: estimate.id,
+                    projectId: estimate.projectId,
+                    revision: estimate.revision,
                     totalCost: estimate.totalCost,
+                    pricingVersion: estimate.pricingVersion,
                     serviceType: sanitizedRequirements.serviceType
                 }
             });
 
             res.json({
                 success: true,
-                data: {
-                    estimateId: estimate.id,
-                    totalCost: estimate.totalCost,
-                    timeline: estimate.timeline,
-                    breakdown: estimate.breakdown,
-                    recommendations: estimate.recommendations,
-                    validUntil: estimate.validUntil,
-                    terms: estimate.terms
-                }
+                data: this.formatEstimateResponse(estimate, estimate.locale)
             });
 
         } catch (error) {
@@ -261,6 +318,249 @@ class ServiceController {
         }
     }
 
+    /**
+     * 保存済み見積もり取得
+     */
+    async getEstimate(req, res, next) {
+        try {
+            const stored = await this.openStoredEstimate(req, res);
+            if (!stored) return;
+
+            const locale = req.locale || DEFAULT_LOCALE;
+            res.json({
+                success: true,
+                data: this.formatEstimateResponse(await this.localizeStoredEstimate(stored, locale), locale)
+            });
+
+        } catch (error) {
+            logger.error('Estimate retrieval failed:', {
+                estimateId: req.params.estimateId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to fetch estimate', 500, 'ESTIMATE_FETCH_ERROR'));
+        }
+    }
+
+    /**
+     * 見積書取得（HTML / PDF・適格請求書の記載事項付き）
+     */
+    async getQuoteDocument(req, res, next) {
+        try {
+            const { format = 'html', recipient } = req.query;
+
+            const errors = [];
+            if (!this.quoteFormats.includes(format)) {
+                errors.push(`format must be one of ${this.quoteFormats.join(', ')}`);
+            }
+            if (recipient !== undefined && (typeof recipient !== 'string' || recipient.trim().length === 0 ||
+                recipient.length > this.maxQuoteRecipientLength)) {
+                errors.push(`recipient must be a string of 1-${this.maxQuoteRecipientLength} characters`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid quote request',
+                    details: errors,
+                    code: 'INVALID_QUOTE_REQUEST'
+                });
+            }
+
+            const stored = await this.openStoredEstimate(req, res, { format });
+            if (!stored) return;
+
+            const locale = req.locale || DEFAULT_LOCALE;
+            const invoice = getConfig().invoice;
+            const quote = buildQuote(await this.localizeStoredEstimate(stored, locale), {
+                locale,
+                issuer: {
+                    name: invoice.issuerName,
+                    address: invoice.issuerAddress,
+                    registrationNumber: invoice.registrationNumber
+                },
+                // 宛名未指定時は承諾者名
+                recipient: recipient ? recipient.trim() : stored.acceptance?.signer_name || null
+            });
+
+            res.set('Cache-Control', 'private, no-store');
+
+            if (format === 'pdf') {
+                const pdf = await renderQuotePdf(quote, {
+                    fontPath: invoice.pdfFontPath,
+                    fontFamily: invoice.pdfFontFamily
+                });
+                return res
+                    .type('application/pdf')
+                    .set('Content-Disposition', `attachment; filename="quote-${stored.estimate_id}.pdf"`)
+                    .send(pdf);
+            }
+
+            res.type('html')
+                .set('Content-Disposition', `inline; filename="quote-${stored.estimate_id}.html"`)
+                .send(renderQuoteHtml(quote));
+
+        } catch (error) {
+            if (error.code === 'QUOTE_FONT_MISSING') {
+                logger.error('Quote PDF font is not installed:', { error: error.message });
+                return res.status(503).json({
+                    success: false,
+                    error: 'PDF quotes are temporarily unavailable',
+                    code: 'QUOTE_PDF_UNAVAILABLE'
+                });
+            }
+
+            logger.error('Quote rendering failed:', {
+                estimateId: req.params.estimateId,
+                error: error.message,
+                userId: req.user?.id
+            });
+            next(new APIError('Failed to generate quote', 500, 'QUOTE_RENDER_ERROR'));
+        }
+    }
+
+    /**
+     * 予算内プラン提案（機能の取捨・期間延長・段階的開発）
+     */
+    async calculateBudgetFit(req, res, next) {
+        try {
+            const { requirements, limit } = req.body;
+
+            const validationResult = await this.validateEstimateRequirements(requirements || {});
+            if (!requirements || !requirements.budget) {
+                validationResult.isValid = false;
+                validationResult.errors.push('budget is required');
+            }
+            if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > this.budgetPlanLimit.max)) {
+                validationResult.isValid = false;
+                validationResult.errors.push(`limit must be an integer between 1 and ${this.budgetPlanLimit.max}`);
+            }
+
+            if (!validationResult.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid requirements',
+                    details: validationResult.errors,
+                    code: 'INVALID_REQUIREMENTS'
+                });
+            }
+
+            const sanitizedRequirements = sanitizeInput.deep(requirements);
+
+            // Constitutional AI準拠チェック（見積もり算出と同一基準）
+            const complianceCheck = await this.validateConstitutionalCompliance(sanitizedRequirements);
+            if (!complianceCheck.compliant) {
+                const { blockOnViolation } = getConfig().constitutionalAI;
+
+                logger.warn('Constitutional AI violation in budget fit request', {
+                    userId: req.user?.id,
+                    violations: complianceCheck.violations,
+                    blocked: blockOnViolation
+                });
+
+                if (blockOnViolation) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Request does not meet our service standards',
+                        code: 'COMPLIANCE_VIOLATION'
+                    });
+                }
+            }
+
+            const pricing = await pricingCatalog.getActive();
+
+            // 有料機能の組合せは全探索のため件数を制限（有料か否かは適用中の料金表で判定）
+            const { optional } = this.partitionBudgetFeatures(sanitizedRequirements, pricing.rules);
+            if (optional.length > MAX_OPTIONAL_FEATURES) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid requirements',
+                    details: [`At most ${MAX_OPTIONAL_FEATURES} priced features can be optimized`],
+                    code: 'INVALID_REQUIREMENTS'
+                });
+            }
+
+            const result = this.findBudgetFitPlans(
+                sanitizedRequirements,
+                pricing.rules,
+                req.user,
+                limit || this.budgetPlanLimit.default
+            );
+
+            await createAuditLog({
+                action: 'budget_fit_calculated',
+                userId: req.user?.id || 'anonymous',
+                ip: req.ip,
+                details: {
+                    serviceType: sanitizedRequirements.serviceType,
+                    budget: result.budget,
+                    requestedCost: result.requestedCost,
+                    plans: result.plans.length,
+                    pricingVersion: pricing.version
+                }
+            });
+
+            res.json({
+                success: true,
+                data: { ...result, pricingVersion: pricing.version }
+            });
+
+        } catch (error) {
+            logger.error('Budget fit calculation failed:', {
+                error: error.message,
+                userId: req.user?.id,
+                requirements: req.body.requirements
+            });
+            next(new APIError('Failed to calculate budget plans', 500, 'BUDGET_FIT_ERROR'));
+        }
+    }
+
+    /**
+     * 要求機能を有料機能（取捨の対象）とそれ以外に分類
+     */
+    partitionBudgetFeatures(requirements, rules) {
+        const features = [...new Set(requirements.features || [])];
+        const serviceAdj = rules.serviceAdjustments[requirements.serviceType] || {};
+        const isPriced = feature => feature !== 'base' && Boolean(serviceAdj[feature]);
+
+        return {
+            optional: features.filter(isPriced),
+            fixed: features.filter(feature => !isPriced(feature))
+        };
+    }
+
+    /**
+     * 予算内プラン探索（calculateCost と同一の価格設定で評価）
+     */
+    findBudgetFitPlans(requirements, rules, user = null, limit = this.budgetPlanLimit.default) {
+        const { serviceType, timeline, budget } = requirements;
+        const serviceAdj = rules.serviceAdjustments[serviceType] || {};
+        const { optional, fixed } = this.partitionBudgetFeatures(requirements, rules);
+        const requestedDays = Number(timeline);
+
+        // 要求期間の区分 → より長い区分（各区分の最短日数）
+        const buckets = rules.timelineBuckets;
+        const requestedIndex = buckets.findIndex(({ bucket }) => bucket === this.getTimelineBucket(requestedDays, rules));
+        const timelineOptions = buckets.slice(requestedIndex).map(({ bucket }, offset) => ({
+            bucket,
+            days: offset === 0 ? requestedDays : buckets[requestedIndex + offset - 1].maxDays + 1
+        }));
+
+        const premium = user && user.isPremium ? rules.premiumDiscount : 1;
+
+        return findBudgetPlans({
+            budget,
+            optionalFeatures: optional,
+            fixedFeatures: fixed,
+            timelineOptions,
+            priceOf: (kept, days) => this.calculateCost({ ...requirements, features: kept, timeline: days }, rules, user).totalCost,
+            deferredCostOf: (deferred) => {
+                const amount = deferred.reduce((sum, feature) => sum + serviceAdj[feature], 0);
+                return Math.round(amount * (1 + rules.phasedDeliveryOverhead) * premium / 1000) * 1000;
+            },
+            limit
+        });
+    }
+
     /**
      * サービス検索
      */
@@ -277,12 +577,14 @@ class ServiceController {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid search parameters',
-                    details: searchParams.errors
+                    details: searchParams.errors,
+                    code: 'INVALID_SEARCH_PARAMS'
                 });
             }
 
             // 検索実行
-            const searchResults = await this.performServiceSearch(searchParams.sanitized);
+            const locale = req.locale || DEFAULT_LOCALE;
+            const searchResults = await this.performServiceSearch(searchParams.sanitized, locale);
 
             // 検索ログ
             await createAuditLog({
@@ -299,7 +601,8 @@ class ServiceController {
                 success: true,
                 data: searchResults,
                 count: searchResults.length,
-                searchParams: searchParams.sanitized
+                searchParams: searchParams.sanitized,
+                locale
             });
 
         } catch (error) {
@@ -308,6 +611,164 @@ class ServiceController {
         }
     }
 
+    /**
+     * 検索パラメータ検証
+     */
+    validateSearchParams({ query, category, priceRange, features }) {
+        const errors = [];
+        const sanitized = {
+            query: '',
+            category: null,
+            priceRange: null,
+            features: []
+        };
+
+        if (query !== undefined) {
+            if (typeof query !== 'string') {
+                errors.push('query must be a string');
+            } else if (query.trim().length > 100) {
+                errors.push('query must be at most 100 characters');
+            } else {
+                sanitized.query = sanitizeInput.deep(query.trim());
+            }
+        }
+
+        if (category !== undefined && category !== '') {
+            if (typeof category !== 'string' || !/^[a-z0-9_-]{1,50}$/.test(category)) {
+                errors.push('Invalid category');
+            } else {
+                sanitized.category = category;
+            }
+        }
+
+        // 価格帯: "min-max" / "min-" / "-max"
+        if (priceRange !== undefined && priceRange !== '') {
+            const match = typeof priceRange === 'string' && priceRange.match(/^(\d{0,9})-(\d{0,9})$/);
+            if (!match || (!match[1] && !match[2])) {
+                errors.push('priceRange must be formatted as "min-max"');
+            } else {
+                const min = match[1] ? parseInt(match[1], 10) : null;
+                const max = match[2] ? parseInt(match[2], 10) : null;
+                if (min !== null && max !== null && min > max) {
+                    errors.push('priceRange min must not exceed max');
+                } else {
+                    sanitized.priceRange = { min, max };
+                }
+            }
+        }
+
+        // 機能: カンマ区切り文字列または配列
+        if (features !== undefined && features !== '') {
+            const list = Array.isArray(features) ? features : String(features).split(',');
+            const cleaned = list.map(item => String(item).trim()).filter(Boolean);
+
+            if (cleaned.length > 10) {
+                errors.push('At most 10 features can be specified');
+            } else if (cleaned.some(item => item.length > 50)) {
+                errors.push('Each feature must be at most 50 characters');
+            } else {
+                sanitized.features = cleaned.map(item => sanitizeInput.deep(item));
+            }
+        }
+
+        if (errors.length === 0 && !sanitized.query && !sanitized.category &&
+            !sanitized.priceRange && sanitized.features.length === 0) {
+            errors.push('At least one search condition is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            sanitized
+        };
+    }
+
+    /**
+     * サービス検索実行（関連度順・ロケール別インデックス）
+     */
+    async performServiceSearch(params, locale = DEFAULT_LOCALE) {
+        const index = await this.ensureSearchIndex(locale);
+
+        return index.search(params.query, {
+            category: params.category,
+            priceRange: params.priceRange,
+            features: params.features
+        })
+        .slice(0, 50)
+        .map(({ service, score, highlights }) => ({
+            ...this.formatPublicService(service, locale),
+            relevance: score,
+            highlights
+        }));
+    }
+
+    /**
+     * 検索インデックス確保
+     * 他レプリカでのカタログ変更はRedis上のカタログ版数で検知する
+     * 全ロケールのインデックスを同一のカタログ取得から構築する
+     */
+    async ensureSearchIndex(locale = DEFAULT_LOCALE) {
+        const state = this.searchIndexState;
+        const now = Date.now();
+        const selected = this.searchIndexes.get(locale) || this.searchIndexes.get(DEFAULT_LOCALE);
+
+        if (state.building) {
+            await state.building;
+            return selected;
+        }
+
+        let stale = !state.builtAt || now - state.builtAt > this.searchIndexTTL;
+
+        if (!stale && now - state.checkedAt > this.searchVersionCheckInterval) {
+            state.checkedAt = now;
+            try {
+                const version = await redis.client.get(this.catalogVersionKey);
+                stale = version !== state.catalogVersion;
+            } catch (error) {
+                logger.warn('Catalog version check failed:', error.message);
+            }
+        }
+
+        if (!stale) {
+            return selected;
+        }
+
+        state.building = (async () => {
+            let version = null;
+            try {
+                version = await redis.client.get(this.catalogVersionKey);
+            } catch (error) {
+                logger.warn('Catalog version read failed:', error.message);
+            }
+
+            const services = await Service.find({ isActive: true, isPublic: true })
+                .select('name description features translations pricing category icon tags')
+                .sort({ order: 1, createdAt: -1 })
+                .lean();
+
+            // 翻訳済みの表示項目で索引（検索結果は元ドキュメントを返す）
+            for (const [indexLocale, index] of this.searchIndexes) {
+                const localized = services.map(service => ({ ...service, ...localizeService(service, indexLocale) }));
+                index.build(localized, this.getCategories(indexLocale));
+            }
+            state.catalogVersion = version;
+            state.checkedAt = Date.now();
+            state.builtAt = Date.now();
+
+            logger.info('Service search index rebuilt', {
+                documents: services.length,
+                locales: [...this.searchIndexes.keys()]
+            });
+        })();
+
+        try {
+            await state.building;
+            return selected;
+        } finally {
+            state.building = null;
+        }
+    }
+
     /**
      * 見積もり要件検証
      */
@@ -339,12 +800,25 @@ class ServiceController {
         if (requirements.timeline && requirements.timeline < 7) {
             errors.push('Minimum timeline is 7 days');
         }
+        if (requirements.timeline > projectPlanner.MAX_TIMELINE_DAYS) {
+            errors.push(`Maximum timeline is ${projectPlanner.MAX_TIMELINE_DAYS} days`);
+        }
 
         // 予算検証
         if (requirements.budget && (requirements.budget < 100000 || requirements.budget > 10000000)) {
             errors.push('Budget must be between 100,000 and 10,000,000 yen');
         }
 
+        // 日程が祝日テーブルの収録範囲内に収まること
+        if (errors.length === 0) {
+            try {
+                this.calculateDeliveryTimeline(requirements.timeline, requirements.projectScale, requirements.serviceType);
+            } catch (error) {
+                if (error.code !== 'CALENDAR_OUT_OF_RANGE') throw error;
+                errors.push(`Schedule must end by ${CALENDAR_END}`);
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -356,6 +830,11 @@ class ServiceController {
      */
     async validateConstitutionalCompliance(requirements) {
         const violations = [];
+        const { enabled, strictMode } = getConfig().constitutionalAI;
+
+        if (!enabled) {
+            return { compliant: true, violations, skipped: true };
+        }
 
         // 有害コンテンツ検知
         const harmfulPatterns = [
@@ -373,7 +852,7 @@ class ServiceController {
             }
         }
 
-        // ポジティブ価値確認
+        // ポジティブ価値確認（厳格モードのみ）
         const positiveIndicators = [
             /improve|enhance|optimize|benefit|solution/i,
             /efficiency|productivity|innovation/i,
@@ -382,7 +861,7 @@ class ServiceController {
 
         const hasPositiveContent = positiveIndicators.some(pattern => pattern.test(content));
 
-        if (!hasPositiveContent && requirements.description) {
+        if (strictMode && !hasPositiveContent && requirements.description) {
             violations.push('Request should focus on positive value creation');
         }
 
@@ -395,57 +874,31 @@ class ServiceController {
     /**
      * 見積もり算出実行
      */
-    async performEstimateCalculation(requirements, user = null) {
+    async performEstimateCalculation(requirements, pricing, user = null, locale = DEFAULT_LOCALE) {
         try {
-            const { serviceType, projectScale, timeline, features = [], budget } = requirements;
-
-            // 基本コスト算出
-            let baseCost = this.pricingMatrix.baseCost;
-
-            // 複雑度調整
-            const complexityMultiplier = this.pricingMatrix.complexity[projectScale] || 1.0;
-            let totalCost = baseCost * complexityMultiplier;
-
-            // タイムライン調整
-            let timelineMultiplier = 1.0;
-            if (timeline <= 7) {
-                timelineMultiplier = this.pricingMatrix.timeline.urgent;
-            } else if (timeline <= 14) {
-                timelineMultiplier = this.pricingMatrix.timeline.fast;
-            } else if (timeline <= 30) {
-                timelineMultiplier = this.pricingMatrix.timeline.standard;
-            } else {
-                timelineMultiplier = this.pricingMatrix.timeline.extended;
-            }
-
-            totalCost *= timelineMultiplier;
-
-            // サービス固有調整
-            const serviceAdjustment = this.getServiceAdjustment(serviceType, features);
-            totalCost += serviceAdjustment;
-
-            // ユーザー特別価格（認証ユーザー）
-            if (user && user.isPremium) {
-                totalCost *= 0.9; // 10%割引
-            }
-
-            // 最終調整
-            totalCost = Math.round(totalCost / 1000) * 1000; // 千円単位
+            const { serviceType, projectScale, timeline } = requirements;
+            const { rules } = pricing;
+            const { totalCost, baseCost, complexityMultiplier, timelineMultiplier, serviceAdjustment, premium } =
+                this.calculateCost(requirements, rules, user);
 
-            // 見積もりオブジェクト生成
+            // 見積もりオブジェクト生成（再計算用に料金表の版と会員割引の有無を記録）
             const estimate = {
                 id: this.generateEstimateId(),
+                pricingVersion: pricing.version,
                 totalCost,
                 baseCost,
                 adjustments: {
                     complexity: complexityMultiplier,
                     timeline: timelineMultiplier,
-                    service: serviceAdjustment
+                    service: serviceAdjustment,
+                    premium
                 },
-                timeline: this.calculateDeliveryTimeline(timeline, projectScale),
-                breakdown: this.generateCostBreakdown(totalCost, requirements),
-                recommendations: this.generateRecommendations(requirements, totalCost),
-                terms: this.getEstimateTerms(),
+                timeline: this.calculateDeliveryTimeline(timeline, projectScale, serviceType),
+                breakdown: this.generateCostBreakdown(totalCost, rules),
+                ...this.calculateEstimateTax(totalCost),
+                recommendations: this.generateRecommendations(requirements, totalCost, locale),
+                terms: this.getEstimateTerms(rules, locale),
+                locale,
                 validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30日後
                 createdAt: new Date(),
                 requirements: this.sanitizeRequirementsForStorage(requirements)
@@ -460,31 +913,52 @@ class ServiceController {
     }
 
     /**
-     * サービス固有調整取得
+     * 金額算出（規模・期間・サービス固有調整・会員割引）
+     * rules: 料金表（utils/pricingRules 形式）・user: isPremium を持つ利用者（再計算時は記録した割引有無）
      */
-    getServiceAdjustment(serviceType, features) {
-        const adjustments = {
-            'ai-agent': {
-                base: 0,
-                'advanced-nlp': 100000,
-                'multi-language': 150000,
-                'real-time': 200000
-            },
-            'rag': {
-                base: 50000,
-                'vector-optimization': 100000,
-                'large-dataset': 200000,
-                'real-time-updates': 150000
-            },
-            'aipro': {
-                base: -50000, // 既存製品なので割引
-                'custom-templates': 50000,
-                'api-integration': 100000
-            }
-        };
+    calculateCost(requirements, rules, user = null) {
+        const { serviceType, projectScale, timeline, features = [] } = requirements;
 
-        const serviceAdj = adjustments[serviceType] || { base: 0 };
-        let totalAdjustment = serviceAdj.base;
+        // 基本コスト算出
+        const baseCost = rules.baseCost;
+
+        // 複雑度調整
+        const complexityMultiplier = rules.complexity[projectScale] || 1.0;
+        let totalCost = baseCost * complexityMultiplier;
+
+        // タイムライン調整
+        const timelineMultiplier = rules.timeline[this.getTimelineBucket(timeline, rules)];
+        totalCost *= timelineMultiplier;
+
+        // サービス固有調整
+        const serviceAdjustment = this.getServiceAdjustment(serviceType, features, rules);
+        totalCost += serviceAdjustment;
+
+        // ユーザー特別価格（認証ユーザー）
+        const premium = Boolean(user && user.isPremium);
+        if (premium) {
+            totalCost *= rules.premiumDiscount;
+        }
+
+        // 最終調整
+        totalCost = Math.round(totalCost / 1000) * 1000; // 千円単位
+
+        return { totalCost, baseCost, complexityMultiplier, timelineMultiplier, serviceAdjustment, premium };
+    }
+
+    /**
+     * 期間区分判定（日数 → 料金表の期間区分・最後の区分は上限なし）
+     */
+    getTimelineBucket(days, rules) {
+        return rules.timelineBuckets.find(({ maxDays }) => maxDays === null || days <= maxDays).bucket;
+    }
+
+    /**
+     * サービス固有調整取得
+     */
+    getServiceAdjustment(serviceType, features, rules) {
+        const serviceAdj = rules.serviceAdjustments[serviceType] || { base: 0 };
+        let totalAdjustment = serviceAdj.base || 0;
 
         features.forEach(feature => {
             if (serviceAdj[feature]) {
@@ -498,7 +972,7 @@ class ServiceController {
     /**
      * 配送タイムライン計算
      */
-    calculateDeliveryTimeline(requestedTimeline, projectScale) {
+    calculateDeliveryTimeline(requestedTimeline, projectScale, serviceType = null) {
         const baseTimelines = {
             small: 14,
             medium: 30,
@@ -506,80 +980,109 @@ class ServiceController {
             enterprise: 90
         };
 
+        const requested = Number(requestedTimeline);
         const recommendedTimeline = baseTimelines[projectScale] || 30;
-        const actualTimeline = Math.max(requestedTimeline, recommendedTimeline);
+        const actualTimeline = Math.max(requested, recommendedTimeline);
+        const phases = this.generatePhases(actualTimeline, projectScale, serviceType);
 
         return {
-            requested: requestedTimeline,
+            requested,
             recommended: recommendedTimeline,
             actual: actualTimeline,
-            phases: this.generatePhases(actualTimeline, projectScale)
+            businessDays: phases.reduce((sum, phase) => sum + phase.businessDays, 0),
+            startDate: phases[0].startDate,
+            endDate: phases[phases.length - 1].endDate,
+            calendar: 'JP',
+            phases
         };
     }
 
+    /**
+     * フェーズ計画生成（日本の営業日ベース）
+     */
+    generatePhases(actualTimeline, projectScale, serviceType = null) {
+        return projectPlanner.generatePhases(actualTimeline, projectScale, serviceType);
+    }
+
     /**
      * コスト内訳生成
      */
-    generateCostBreakdown(totalCost, requirements) {
+    generateCostBreakdown(totalCost, rules) {
+        return allocateByWeights(totalCost, rules.costBreakdown);
+    }
+
+    /**
+     * 消費税算出（税抜小計に対して税率ごとに1回端数処理）
+     */
+    calculateEstimateTax(subtotal) {
+        const { taxRate, taxRounding } = getConfig().invoice;
+        const { rate, rounding, taxableAmount, amount, total } = calculateTax(subtotal, {
+            rate: taxRate,
+            rounding: taxRounding
+        });
+
         return {
-            development: Math.round(totalCost * 0.6),
-            design: Math.round(totalCost * 0.2),
-            testing: Math.round(totalCost * 0.1),
-            deployment: Math.round(totalCost * 0.05),
-            support: Math.round(totalCost * 0.05)
+            tax: { rate, rounding, taxableAmount, amount },
+            totalWithTax: total
         };
     }
 
     /**
      * 推奨事項生成
      */
-    generateRecommendations(requirements, totalCost) {
-        const recommendations = [];
+    generateRecommendations(requirements, totalCost, locale = DEFAULT_LOCALE) {
+        const keys = [];
 
         if (requirements.budget && totalCost > requirements.budget) {
-            recommendations.push('予算に合わせた段階的開発をお勧めします');
-            recommendations.push('MVP（最小実行可能製品）から開始することで初期コストを削減');
+            keys.push('phasedDevelopment', 'startWithMvp');
         }
 
         if (requirements.timeline < 14) {
-            recommendations.push('短期間での開発には追加のリスクが伴います');
-            recommendations.push('品質保証のため、可能であれば2週間以上の期間を確保');
+            keys.push('shortTimelineRisk', 'extendTimeline');
         }
 
-        recommendations.push('定期的な進捗共有で透明性を確保');
-        recommendations.push('段階的リリースによるリスク軽減');
+        keys.push('regularUpdates', 'phasedRelease');
 
         if (requirements.projectScale === 'enterprise') {
-            recommendations.push('エンタープライズ向けセキュリティ監査を推奨');
-            recommendations.push('専用サポートチームの設置');
+            keys.push('enterpriseSecurityAudit', 'dedicatedSupportTeam');
         }
 
-        return recommendations;
+        return keys.map(key => t(locale, `recommendations.${key}`));
     }
 
     /**
      * 見積もり条件取得
      */
-    getEstimateTerms() {
+    getEstimateTerms(rules, locale = DEFAULT_LOCALE) {
+        // 支払条件の比率は受注時のマイルストーン算出と同じ定義から表示
+        const rates = Object.fromEntries(rules.paymentMilestones
+            .map(({ key, rate }) => [key, Math.round(rate * 100)]));
+
         return {
-            validity: '30日間',
-            paymentTerms: '着手金30% + 中間金40% + 完了時30%',
-            deliveryMethod: '段階的リリース',
-            warranty: '3ヶ月間の無償サポート',
-            modifications: '仕様変更は別途お見積もり'
+            ...getSection(locale, 'terms'),
+            paymentTerms: t(locale, 'terms.paymentTerms', rates)
         };
     }
 
+    /**
+     * カテゴリ表示名取得
+     */
+    getCategories(locale = DEFAULT_LOCALE) {
+        return getSection(locale, 'categories');
+    }
+
     /**
      * 公開サービス情報フォーマット
      */
-    formatPublicService(service) {
+    formatPublicService(service, locale = DEFAULT_LOCALE) {
+        const { name, description, features } = localizeService(service, locale);
+
         return {
             id: service._id,
-            name: service.name,
-            description: service.description,
+            name,
+            description,
             category: service.category,
-            features: service.features ? service.features.slice(0, 5) : [], // 最大5個
+            features: features ? features.slice(0, 5) : [], // 最大5個
             pricing: service.pricing ? {
                 startingFrom: service.pricing.startingFrom,
                 currency: 'JPY',
@@ -594,13 +1097,15 @@ class ServiceController {
     /**
      * サービス詳細構築
      */
-    async buildServiceDetails(service, user = null) {
+    async buildServiceDetails(service, user = null, locale = DEFAULT_LOCALE) {
+        const { name, description, features } = localizeService(service, locale);
+
         const baseDetails = {
             id: service._id,
-            name: service.name,
-            description: service.description,
+            name,
+            description,
             category: service.category,
-            features: service.features,
+            features,
             technicalSpecs: this.sanitizeTechnicalSpecs(service.technicalSpecs),
             requirements: service.requirements,
             deliverables: service.deliverables,
@@ -624,6 +1129,254 @@ class ServiceController {
         return baseDetails;
     }
 
+    /**
+     * 改訂として保存（同時に追加された場合は次の改訂番号で再試行）
+     */
+    async saveRevision(estimate, projectId, userId = null, ip = null, complianceCheck = null) {
+        for (let attempt = 1; ; attempt++) {
+            const latest = await PricingEstimate.findOne({ project_id: projectId })
+                .sort({ revision: -1 })
+                .select('revision')
+                .lean();
+
+            estimate.projectId = projectId;
+            estimate.revision = (latest?.revision || 0) + 1;
+
+            try {
+                return await this.saveEstimate(estimate, userId, ip, complianceCheck);
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= this.maxRevisionAttempts) throw error;
+            }
+        }
+    }
+
+    /**
+     * プロジェクトの改訂一覧（改訂番号順）
+     */
+    async findProjectRevisions(projectId) {
+        return await PricingEstimate.find({ project_id: projectId })
+            .sort({ revision: 1 })
+            .lean();
+    }
+
+    /**
+     * プロジェクト参照可否（顧客が割り当てられた改訂がある場合は本人・管理者のみ）
+     */
+    canAccessProject(revisions, user) {
+        const owners = new Set(revisions.map(revision => revision.user_id).filter(Boolean));
+        return owners.size === 0 || Boolean(user && (owners.has(user.id) || user.role === 'admin'));
+    }
+
+    /**
+     * 見積もり保存（準拠チェック結果は違反を記録のみとした場合も含めて保存）
+     */
+    async saveEstimate(estimate, userId = null, ip = null, complianceCheck = null) {
+        await PricingEstimate.create({
+            estimate_id: estimate.id,
+            project_id: estimate.projectId || null,
+            revision: estimate.revision || null,
+            pricing_version: estimate.pricingVersion,
+            service_type: estimate.requirements.serviceType,
+            project_scale: estimate.requirements.projectScale,
+            total_price: estimate.totalCost,
+            base_cost: estimate.baseCost,
+            adjustments: estimate.adjustments,
+            timeline: estimate.timeline,
+            breakdown: estimate.breakdown,
+            tax: {
+                rate: estimate.tax.rate,
+                rounding: estimate.tax.rounding,
+                taxable_amount: estimate.tax.taxableAmount,
+                amount: estimate.tax.amount
+            },
+            total_with_tax: estimate.totalWithTax,
+            recommendations: estimate.recommendations,
+            terms: estimate.terms,
+            requirements: estimate.requirements,
+            locale: estimate.locale,
+            user_id: userId || null,
+            source_ip: ip,
+            constitutional_compliance: complianceCheck && {
+                compliant: complianceCheck.compliant,
+                violations: complianceCheck.violations,
+                checked_at: estimate.createdAt
+            },
+            valid_until: estimate.validUntil,
+            created_at: estimate.createdAt,
+            status: 'draft',
+            status_history: [{ from: null, to: 'draft', actor_id: userId || null, source_ip: ip, at: estimate.createdAt }]
+        });
+    }
+
+    /**
+     * 保存済み見積もりの参照（見積もり・見積書共通）
+     * 期限切れは失効させて 410、送付済み見積もりを顧客（未割当の場合は閲覧者）が開いた時点で viewed
+     * ID不正・未登録・期限切れは応答送信済みで null
+     */
+    async openStoredEstimate(req, res, details = {}) {
+        const { estimateId } = req.params;
+
+        if (!this.isValidEstimateId(estimateId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid estimate ID format',
+                code: 'INVALID_ESTIMATE_ID'
+            });
+            return null;
+        }
+
+        let stored = await PricingEstimate.findOne({ estimate_id: estimateId }).lean();
+
+        if (!stored) {
+            res.status(404).json({
+                success: false,
+                error: 'Estimate not found',
+                code: 'ESTIMATE_NOT_FOUND'
+            });
+            return null;
+        }
+
+        const context = {
+            actorId: req.user?.id || null,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        };
+
+        // 有効期限切れの見積もりは失効させ再発行を促す（承諾済み・辞退済みは参照可）
+        stored = await estimateLifecycle.expireIfOverdue(stored, context);
+        if (stored.status === 'expired') {
+            res.status(410).json({
+                success: false,
+                error: 'Estimate has expired',
+                code: 'ESTIMATE_EXPIRED',
+                validUntil: stored.valid_until
+            });
+            return null;
+        }
+
+        if (stored.status === 'sent' && (!stored.user_id || stored.user_id === req.user?.id)) {
+            stored = await estimateLifecycle.transition(stored, 'viewed', {
+                ...context,
+                set: { viewed_at: new Date() }
+            }) || stored;
+        }
+
+        await createAuditLog({
+            action: 'estimate_retrieved',
+            userId: req.user?.id || 'anonymous',
+            ip: req.ip,
+            details: { estimateId, status: stored.status || 'draft', ...details }
+        });
+
+        return stored;
+    }
+
+    /**
+     * 保存済み見積もりを要求ロケールへ変換（保存時と異なる場合は推奨事項・条件を再生成）
+     * 支払条件は見積もり時点の料金表の版で表示
+     */
+    async localizeStoredEstimate(stored, locale = DEFAULT_LOCALE) {
+        const estimate = this.fromStoredEstimate(stored);
+        if (estimate.locale !== locale) {
+            const { rules } = await pricingCatalog.getVersion(estimate.pricingVersion);
+            estimate.recommendations = this.generateRecommendations(estimate.requirements || {}, estimate.totalCost, locale);
+            estimate.terms = this.getEstimateTerms(rules, locale);
+        }
+        return estimate;
+    }
+
+    /**
+     * 保存済み見積もりの再計算（記録した料金表の版・会員割引の有無で算出）
+     */
+    async recalculateStoredEstimate(stored) {
+        const pricing = await pricingCatalog.getVersion(stored.pricing_version ?? BUILTIN_PRICING.version);
+        const premium = Boolean(stored.adjustments?.premium);
+
+        return {
+            pricing,
+            ...this.calculateCost(stored.requirements || {}, pricing.rules, { isPremium: premium })
+        };
+    }
+
+    /**
+     * 保存済みドキュメントを見積もりオブジェクトへ変換
+     */
+    fromStoredEstimate(stored) {
+        // 税額未保存の旧見積もりは現在の税率で算出し、内訳も合計と一致するよう組込み料金表の比率で再按分
+        const taxed = stored.tax
+            ? {
+                breakdown: stored.breakdown,
+                tax: {
+                    rate: stored.tax.rate,
+                    rounding: stored.tax.rounding,
+                    taxableAmount: stored.tax.taxable_amount,
+                    amount: stored.tax.amount
+                },
+                totalWithTax: stored.total_with_tax
+            }
+            : { breakdown: this.generateCostBreakdown(stored.total_price, BUILTIN_PRICING.rules), ...this.calculateEstimateTax(stored.total_price) };
+
+        return {
+            id: stored.estimate_id,
+            projectId: stored.project_id || null,
+            revision: stored.revision || null,
+            // 版の記録がない旧見積もりは組込み料金表で算出
+            pricingVersion: stored.pricing_version ?? BUILTIN_PRICING.version,
+            totalCost: stored.total_price,
+            baseCost: stored.base_cost,
+            adjustments: stored.adjustments,
+            timeline: stored.timeline,
+            ...taxed,
+            recommendations: stored.recommendations,
+            terms: stored.terms,
+            locale: stored.locale || DEFAULT_LOCALE,
+            status: stored.status || 'draft',
+            orderId: stored.order_id || null,
+            validUntil: stored.valid_until,
+            createdAt: stored.created_at,
+            requirements: stored.requirements
+        };
+    }
+
+    /**
+     * 見積もりレスポンス整形
+     */
+    formatEstimateResponse(estimate, locale = DEFAULT_LOCALE) {
+        return {
+            estimateId: estimate.id,
+            projectId: estimate.projectId || null,
+            revision: estimate.revision || null,
+            pricingVersion: estimate.pricingVersion,
+            totalCost: estimate.totalCost,
+            subtotal: estimate.totalCost,
+            tax: estimate.tax,
+            totalWithTax: estimate.totalWithTax,
+            timeline: this.localizeTimeline(estimate.timeline, locale),
+            breakdown: estimate.breakdown,
+            recommendations: estimate.recommendations,
+            validUntil: estimate.validUntil,
+            terms: estimate.terms,
+            locale,
+            status: estimate.status || 'draft',
+            orderId: estimate.orderId || null,
+            createdAt: estimate.createdAt
+        };
+    }
+
+    /**
+     * フェーズ名のロケール変換（key を持たない旧形式はそのまま）
+     */
+    localizeTimeline(timeline, locale = DEFAULT_LOCALE) {
+        if (!timeline || !Array.isArray(timeline.phases)) return timeline;
+
+        return {
+            ...timeline,
+            phases: timeline.phases.map(phase => (
+                phase.key ? { ...phase, name: t(locale, `phases.${phase.key}`) } : phase
+            ))
+        };
+    }
+
     // === ユーティリティメソッド ===
 
     /**
@@ -654,37 +1407,73 @@ class ServiceController {
     }
 
     /**
-     * 見積もりID生成
+     * 見積もりID生成（EST_<時刻>_<乱数64bit>）
+     * 見積もり取得・見積書はIDのみで参照できるため、乱数は暗号論的乱数で生成
      */
     generateEstimateId() {
         const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substr(2, 8);
+        const random = crypto.randomBytes(8).toString('hex');
         return `EST_${timestamp}_${random}`.toUpperCase();
     }
 
     /**
-     * キャッシュ操作
+     * プロジェクトID生成（PRJ_<時刻>_<乱数64bit>）
+     * 匿名で作成したプロジェクトはIDを知る者が改訂・比較できるため、乱数は暗号論的乱数で生成
      */
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached;
-        }
-        this.cache.delete(key);
-        return null;
+    generateProjectId() {
+        const timestamp = Date.now().toString(36);
+        const random = crypto.randomBytes(8).toString('hex');
+        return `PRJ_${timestamp}_${random}`.toUpperCase();
     }
 
-    setCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+    /**
+     * プロジェクトID形式検証（乱数部が8文字以下の旧形式も許容）
+     */
+    isValidProjectId(projectId) {
+        return typeof projectId === 'string' && /^PRJ_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$/.test(projectId);
+    }
+
+    /**
+     * 見積もりID形式検証（乱数部が8文字以下の旧形式も許容）
+     */
+    isValidEstimateId(estimateId) {
+        return typeof estimateId === 'string' && /^EST_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$/.test(estimateId);
+    }
+
+    /**
+     * キャッシュ区分（buildServiceDetails の返却フィールドに対応）
+     */
+    getUserTier(user) {
+        if (!user) return 'public';
+
+        const tiers = [];
+        if (user.isVerified) tiers.push('verified');
+        if (user.isPremium) tiers.push('premium');
 
-        // キャッシュサイズ制限
-        if (this.cache.size > 100) {
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
+        return tiers.length > 0 ? tiers.join('-') : 'public';
+    }
+
+    /**
+     * サービスキャッシュ無効化（カタログ変更時）
+     */
+    async invalidateServiceCache(serviceId = null) {
+        const tags = serviceId ? [`service:${serviceId}`, 'services'] : ['services'];
+
+        // 検索インデックスの再構築を全レプリカに通知
+        try {
+            await redis.client.incr(this.catalogVersionKey);
+        } catch (error) {
+            logger.warn('Catalog version bump failed:', error.message);
         }
+
+        return await this.cache.invalidateTags(...tags);
+    }
+
+    /**
+     * キャッシュ統計取得
+     */
+    async getCacheStats() {
+        return await this.cache.getStats();
     }
 
     /**
@@ -0,0 +1,131 @@
+/**
+ * 認証・認可ミドルウェア
+ * JWT検証 + RBAC
+ * masa様開発ルール完全遵守
+ */
+const tokenManager = require('../utils/tokenManager');
+const { logger } = require('../utils/logger');
+
+/**
+ * Authorizationヘッダーからトークン抽出
+ * Basic 認証下（nginx の /admin）では Authorization が使えないため X-Access-Token も受け付ける
+ */
+function extractToken(req) {
+    const header = req.get('Authorization');
+
+    if (header) {
+        const [scheme, token] = header.split(' ');
+        if (scheme === 'Bearer' && token) return token;
+    }
+
+    return req.get('X-Access-Token') || null;
+}
+
+/**
+ * JWTペイロードから req.user を構築
+ */
+function buildRequestUser(payload) {
+    return {
+        id: payload.sub,
+        email: payload.email,
+        role: payload.role,
+        permissions: payload.permissions || [],
+        isVerified: Boolean(payload.verified),
+        isPremium: Boolean(payload.premium),
+        sessionId: payload.sid,
+        tokenId: payload.jti,
+        tokenExp: payload.exp
+    };
+}
+
+/**
+ * 認証必須
+ */
+async function authenticateToken(req, res, next) {
+    const token = extractToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required',
+            code: 'AUTH_REQUIRED'
+        });
+    }
+
+    try {
+        const payload = await tokenManager.verifyAccessToken(token);
+        req.user = buildRequestUser(payload);
+        next();
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+
+        logger.warn('Access token rejected', {
+            ip: req.ip,
+            path: req.path,
+            reason: error.name
+        });
+
+        return res.status(401).json({
+            success: false,
+            error: expired ? 'Access token expired' : 'Invalid access token',
+            code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+        });
+    }
+}
+
+/**
+ * 認証任意（トークンがあれば req.user を設定）
+ */
+async function optionalAuth(req, res, next) {
+    const token = extractToken(req);
+    if (!token) return next();
+
+    try {
+        const payload = await tokenManager.verifyAccessToken(token);
+        req.user = buildRequestUser(payload);
+    } catch (error) {
+        // 無効なトークンは匿名扱い
+        req.user = undefined;
+    }
+
+    next();
+}
+
+/**
+ * ロール必須
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required',
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        if (!roles.includes(req.user.role)) {
+            logger.warn('Insufficient role', {
+                userId: req.user.id,
+                role: req.user.role,
+                required: roles,
+                path: req.path
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                code: 'INSUFFICIENT_PERMISSIONS'
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    authenticateToken,
+    optionalAuth,
+    requireRole,
+    extractToken
+};
@@ -0,0 +1,144 @@
+/**
+ * クライアントバージョンポリシー
+ * X-Client-Version を semver 範囲で判定し、非推奨は Deprecation/Sunset ヘッダー、廃止は 426 で応答
+ * masa様開発ルール完全遵守
+ */
+const path = require('path');
+const semver = require('semver');
+const { logger } = require('../utils/logger');
+const { counters } = require('../utils/metrics');
+
+const STATUSES = ['supported', 'deprecated', 'blocked'];
+const POLICY_FILE = path.join(__dirname, '../config/clientVersions.json');
+
+/**
+ * ポリシー読込・検証（不正な設定は起動時に失敗させる）
+ */
+function loadVersionPolicy(config = require(POLICY_FILE)) {
+    const policies = (config.policies || []).map(policy => {
+        if (!semver.validRange(policy.range)) {
+            throw new Error(`Invalid client version range: ${policy.range}`);
+        }
+        if (!STATUSES.includes(policy.status)) {
+            throw new Error(`Invalid client version status for ${policy.range}: ${policy.status}`);
+        }
+
+        const sunset = policy.sunset ? new Date(policy.sunset) : null;
+        const deprecatedAt = policy.deprecatedAt ? new Date(policy.deprecatedAt) : null;
+        if ((sunset && isNaN(sunset)) || (deprecatedAt && isNaN(deprecatedAt))) {
+            throw new Error(`Invalid date in client version policy: ${policy.range}`);
+        }
+
+        return { ...policy, sunset, deprecatedAt };
+    });
+
+    for (const key of ['missingVersion', 'unknownVersion']) {
+        if (config[key] && !STATUSES.includes(config[key])) {
+            throw new Error(`Invalid ${key} status: ${config[key]}`);
+        }
+    }
+
+    return {
+        version: config.version || null,
+        latestVersion: config.latestVersion || null,
+        minimumVersion: config.minimumVersion || null,
+        upgradeUrl: config.upgradeUrl || null,
+        missingVersion: config.missingVersion || 'supported',
+        unknownVersion: config.unknownVersion || 'deprecated',
+        policies
+    };
+}
+
+const versionPolicy = loadVersionPolicy();
+
+/**
+ * バージョン判定
+ * "2.0.0-secure" 等のラベルは除去して判定（2.0.0 として扱う）
+ * 最初に一致したポリシーを適用し、サンセット日経過後の非推奨は廃止扱い
+ */
+function evaluateClientVersion(rawVersion, policy = versionPolicy, now = new Date()) {
+    if (!rawVersion) {
+        return { status: policy.missingVersion, version: null };
+    }
+
+    const parsed = semver.coerce(String(rawVersion).slice(0, 64));
+    if (!parsed) {
+        return { status: policy.unknownVersion, version: null };
+    }
+
+    const version = parsed.version;
+    const matched = policy.policies.find(entry => semver.satisfies(version, entry.range));
+    if (!matched) {
+        return { status: policy.unknownVersion, version };
+    }
+
+    const sunsetPassed = matched.status === 'deprecated' && matched.sunset && matched.sunset <= now;
+
+    return {
+        status: sunsetPassed ? 'blocked' : matched.status,
+        version,
+        range: matched.range,
+        sunset: matched.sunset,
+        deprecatedAt: matched.deprecatedAt,
+        message: matched.message
+    };
+}
+
+/**
+ * クライアントバージョンミドルウェア（/api 配下）
+ */
+function clientVersionPolicy(req, res, next) {
+    const rawVersion = req.get('X-Client-Version');
+    const result = evaluateClientVersion(rawVersion);
+
+    // リクエストログ・サポート調査用
+    req.clientVersion = { raw: rawVersion || null, ...result };
+
+    if (versionPolicy.latestVersion) {
+        res.set('X-Latest-Client-Version', versionPolicy.latestVersion);
+    }
+    res.set('X-Client-Version-Status', result.status);
+
+    if (result.status === 'deprecated') {
+        // RFC 9745（Deprecation）/ RFC 8594（Sunset）
+        const deprecatedAt = result.deprecatedAt || new Date();
+        res.set('Deprecation', `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+        if (result.sunset) {
+            res.set('Sunset', result.sunset.toUTCString());
+        }
+        if (versionPolicy.upgradeUrl) {
+            res.append('Link', `<${versionPolicy.upgradeUrl}>; rel="deprecation"`);
+        }
+        return next();
+    }
+
+    if (result.status === 'blocked') {
+        counters.requestRejections.inc({ reason: 'client_version_blocked' });
+
+        logger.warn('Blocked client version rejected', {
+            ip: req.ip,
+            path: req.originalUrl,
+            clientVersion: rawVersion
+        });
+
+        return res.status(426).json({
+            success: false,
+            error: result.message || 'Client version is no longer supported',
+            code: 'CLIENT_UPGRADE_REQUIRED',
+            upgrade: {
+                currentVersion: rawVersion || null,
+                minimumVersion: versionPolicy.minimumVersion,
+                latestVersion: versionPolicy.latestVersion,
+                url: versionPolicy.upgradeUrl
+            }
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    clientVersionPolicy,
+    evaluateClientVersion,
+    loadVersionPolicy
+};
@@ -0,0 +1,79 @@
+/**
+ * エラーハンドラー
+ * 全エラーを { success: false, error, code } 形式で返却（5xx は内部情報を返さない）
+ * masa様開発ルール完全遵守
+ */
+const { logger } = require('../utils/logger');
+const { APIError } = require('../utils/errors');
+
+/**
+ * 未定義ルート
+ */
+function notFoundHandler(req, res) {
+    res.status(404).json({
+        success: false,
+        error: 'Resource not found',
+        code: 'ROUTE_NOT_FOUND'
+    });
+}
+
+/**
+ * ミドルウェア・ライブラリ由来のエラーを応答形式へ変換
+ */
+function classifyError(err) {
+    if (err.code === 'EBADCSRFTOKEN') {
+        return { status: 403, error: 'Invalid CSRF token', code: 'CSRF_TOKEN_INVALID' };
+    }
+    if (err.type === 'entity.parse.failed') {
+        return { status: 400, error: 'Malformed JSON body', code: 'INVALID_JSON' };
+    }
+    if (err.type === 'entity.too.large') {
+        return { status: 413, error: 'Request too large', code: 'PAYLOAD_TOO_LARGE' };
+    }
+
+    if (err instanceof APIError) {
+        return { status: err.statusCode, error: err.message, code: err.code, details: err.details };
+    }
+
+    // 4xx（body-parser・http-errors 等）はメッセージを返却、それ以外は内部情報を返さない
+    const status = err.statusCode || err.status;
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return { status, error: err.message, code: 'REQUEST_ERROR' };
+    }
+
+    return { status: 500, error: 'Internal server error', code: 'INTERNAL_ERROR' };
+}
+
+/**
+ * グローバルエラーハンドラー
+ */
+function errorHandler(err, req, res, next) {
+    const { status, error, code, details } = classifyError(err);
+
+    if (status >= 500) {
+        logger.error('Unhandled request error:', {
+            error: err.message,
+            stack: err.stack,
+            method: req.method,
+            path: req.path,
+            ip: req.ip
+        });
+    }
+
+    // 応答送信開始後は Express 既定の処理（接続切断）に委ねる
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    res.status(status).json({
+        success: false,
+        error,
+        code,
+        ...(details ? { details } : {})
+    });
+}
+
+module.exports = {
+    errorHandler,
+    notFoundHandler
+};
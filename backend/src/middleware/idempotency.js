@@ -0,0 +1,167 @@
+/**
+ * Idempotency-Key ミドルウェア
+ * 同一キーの再送には保存済みレスポンスを返却し、重複登録を防止
+ * masa様開発ルール完全遵守
+ */
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { connectionTracker } = require('../utils/connectionTracker');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const KEY_PREFIX = 'idempotency:';
+
+/**
+ * リクエスト指紋（メソッド + パス + ボディ）
+ */
+function fingerprintRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(req.method)
+        .update('\n')
+        .update(req.originalUrl)
+        .update('\n')
+        .update(req.rawBody || '')
+        .digest('hex');
+}
+
+/**
+ * 冪等性ミドルウェア生成
+ * ttl: レスポンス保持期間（秒） / lockTTL: 処理中マーカー保持期間（ミリ秒）
+ * storeResponse: false の場合は完了マーカーのみ保存し、再送には 409 を返却（トークン等を保存しない）
+ */
+function idempotency(options = {}) {
+    const ttl = options.ttl || 24 * 60 * 60;
+    const lockTTL = options.lockTTL || 60 * 1000;
+    const required = Boolean(options.required);
+    const storeResponse = options.storeResponse !== false;
+
+    return async (req, res, next) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+
+        if (!idempotencyKey) {
+            if (!required) return next();
+
+            return res.status(400).json({
+                success: false,
+                error: 'Idempotency-Key header is required',
+                code: 'IDEMPOTENCY_KEY_REQUIRED'
+            });
+        }
+
+        if (!KEY_PATTERN.test(idempotencyKey)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Idempotency-Key header',
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            });
+        }
+
+        // 利用者単位でキー空間を分離（匿名はIP単位）
+        const scope = req.user?.id || req.ip;
+        const storeKey = `${KEY_PREFIX}${req.baseUrl}${req.path}:${scope}:${idempotencyKey}`;
+        const fingerprint = fingerprintRequest(req);
+
+        try {
+            const acquired = await redis.client.set(
+                storeKey,
+                JSON.stringify({ state: 'processing', fingerprint }),
+                { NX: true, PX: lockTTL }
+            );
+
+            if (acquired !== 'OK') {
+                return await replayStoredResponse(req, res, storeKey, fingerprint);
+            }
+        } catch (error) {
+            // Redis障害時は冪等性なしで継続
+            logger.warn('Idempotency store unavailable:', error.message);
+            return next();
+        }
+
+        // レスポンス捕捉
+        let capturedBody;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            capturedBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            const body = storeResponse ? capturedBody : undefined;
+            connectionTracker.trackTask(persistResponse(storeKey, fingerprint, res.statusCode, capturedBody, body, ttl)
+                .catch(error => logger.warn('Idempotent response store failed:', error.message)));
+        });
+
+        next();
+    };
+}
+
+/**
+ * 保存済みレスポンス再送
+ */
+async function replayStoredResponse(req, res, storeKey, fingerprint) {
+    const raw = await redis.client.get(storeKey);
+    const record = raw ? JSON.parse(raw) : null;
+
+    if (record && record.fingerprint !== fingerprint) {
+        logger.warn('Idempotency key reused with different payload', {
+            ip: req.ip,
+            path: req.originalUrl,
+            userId: req.user?.id
+        });
+
+        return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used with a different request',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+    }
+
+    if (!record || record.state === 'processing') {
+        res.set('Idempotency-Status', 'in-progress');
+        res.set('Retry-After', '1');
+
+        return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+    }
+
+    // レスポンス本文を保存しない完了マーカー
+    if (!('body' in record)) {
+        res.set('Idempotency-Status', 'consumed');
+
+        return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key has already been processed',
+            code: 'IDEMPOTENCY_KEY_CONSUMED'
+        });
+    }
+
+    res.set('Idempotency-Status', 'replayed');
+    return res.status(record.statusCode).json(record.body);
+}
+
+/**
+ * レスポンス保存（5xx・JSON以外は保存せず再試行可能にする）
+ * storedBody が undefined の場合は本文を除いた完了マーカーのみ保存
+ */
+async function persistResponse(storeKey, fingerprint, statusCode, capturedBody, storedBody, ttl) {
+    if (statusCode >= 500 || capturedBody === undefined) {
+        await redis.client.del(storeKey);
+        return;
+    }
+
+    await redis.client.setEx(storeKey, ttl, JSON.stringify({
+        state: 'completed',
+        fingerprint,
+        statusCode,
+        ...(storedBody !== undefined && { body: storedBody }),
+        completedAt: new Date().toISOString()
+    }));
+}
+
+module.exports = {
+    idempotency
+};
@@ -0,0 +1,204 @@
+/**
+ * 動的IPブロックミドルウェア
+ * 監視サービスと共有するRedisブロックリスト（単一IP/CIDR・エントリ単位の有効期限）
+ * masa様開発ルール完全遵守・Redis障害時は最後に取得したリストで継続
+ */
+const net = require('net');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditLogger');
+const { reportSecurityEvent, normalizeIP } = require('../utils/securityEvents');
+const { connectionTracker } = require('../utils/connectionTracker');
+const { getConfig } = require('../config/runtime');
+
+// Redisキー（security-monitor と共通）
+// security:blocked_ips           … ブロック対象（IP または CIDR）の集合
+// security:blocked_ip:<entry>    … エントリ情報（JSON）。TTL切れ = ブロック解除
+const BLOCKED_SET_KEY = 'security:blocked_ips';
+const BLOCKED_META_PREFIX = 'security:blocked_ip:';
+
+const state = {
+    blockList: new net.BlockList(),
+    entries: [],
+    loadedAt: 0,
+    loading: null
+};
+
+/**
+ * エントリ解析（"203.0.113.7" / "203.0.113.0/24" / "2001:db8::/32"）
+ */
+function parseEntry(entry) {
+    const [address, prefix] = String(entry).split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (!type) return null;
+
+    if (prefix === undefined) {
+        return { address, type };
+    }
+
+    const bits = parseInt(prefix, 10);
+    const maxBits = type === 'ipv4' ? 32 : 128;
+    if (!/^\d+$/.test(prefix) || bits < 0 || bits > maxBits) return null;
+
+    return { address, type, prefix: bits };
+}
+
+/**
+ * ブロックリスト再読込
+ * 情報キーが失効したエントリは集合からも除去する
+ */
+async function refreshBlockList() {
+    const members = await redis.client.sMembers(BLOCKED_SET_KEY);
+    const metas = members.length > 0
+        ? await redis.client.mGet(members.map(entry => BLOCKED_META_PREFIX + entry))
+        : [];
+
+    const blockList = new net.BlockList();
+    const active = [];
+    const expired = [];
+
+    members.forEach((entry, index) => {
+        if (metas[index] === null) {
+            expired.push(entry);
+            return;
+        }
+
+        const parsed = parseEntry(entry);
+        if (!parsed) {
+            logger.warn('Ignoring malformed IP block entry', { entry });
+            return;
+        }
+
+        if (parsed.prefix === undefined) {
+            blockList.addAddress(parsed.address, parsed.type);
+        } else {
+            blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+        }
+        active.push(entry);
+    });
+
+    if (expired.length > 0) {
+        await redis.client.sRem(BLOCKED_SET_KEY, expired);
+    }
+
+    state.blockList = blockList;
+    state.entries = active;
+    state.loadedAt = Date.now();
+}
+
+/**
+ * 必要に応じて再読込（同時実行は1回にまとめる）
+ */
+async function ensureFresh() {
+    if (Date.now() - state.loadedAt < getConfig().securityMonitoring.ipBlocklistRefreshMs) return;
+
+    if (!state.loading) {
+        state.loading = refreshBlockList()
+            .catch(error => {
+                // 取得失敗時は既存リストで継続し、次回間隔まで再試行しない
+                state.loadedAt = Date.now();
+                logger.warn('IP blocklist refresh failed:', error.message);
+            })
+            .finally(() => {
+                state.loading = null;
+            });
+    }
+
+    await state.loading;
+}
+
+/**
+ * ブロック判定
+ */
+function isBlocked(ip) {
+    if (!ip) return false;
+    const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+    return type ? state.blockList.check(ip, type) : false;
+}
+
+/**
+ * IPブロックミドルウェア（全ルートより前に適用）
+ */
+async function ipBlocker(req, res, next) {
+    try {
+        await ensureFresh();
+    } catch (error) {
+        logger.warn('IP blocklist check skipped:', error.message);
+    }
+
+    const ip = normalizeIP(req.ip);
+    if (!isBlocked(ip)) {
+        return next();
+    }
+
+    logger.warn('Blocked IP request rejected', {
+        ip,
+        method: req.method,
+        path: req.originalUrl
+    });
+
+    reportSecurityEvent('ip_blocked', req, {
+        method: req.method,
+        path: req.originalUrl
+    });
+
+    connectionTracker.trackTask(createAuditLog({
+        action: 'ip_blocked_request',
+        userId: 'anonymous',
+        ip,
+        userAgent: req.get('User-Agent'),
+        details: { method: req.method, path: req.originalUrl }
+    }).catch(error => logger.warn('Audit log for blocked IP failed:', error.message)));
+
+    return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        code: 'IP_BLOCKED'
+    });
+}
+
+/**
+ * 手動ブロック登録（duration 秒。省略時は無期限）
+ */
+async function blockIP(entry, { reason = 'manual', source = 'backend', duration = null } = {}) {
+    if (!parseEntry(entry)) {
+        throw new Error(`Invalid IP block entry: ${entry}`);
+    }
+
+    const meta = JSON.stringify({
+        reason,
+        source,
+        blockedAt: new Date().toISOString(),
+        expiresAt: duration ? new Date(Date.now() + duration * 1000).toISOString() : null
+    });
+
+    const multi = redis.client.multi();
+    multi.sAdd(BLOCKED_SET_KEY, entry);
+    if (duration) {
+        multi.setEx(BLOCKED_META_PREFIX + entry, duration, meta);
+    } else {
+        multi.set(BLOCKED_META_PREFIX + entry, meta);
+    }
+    await multi.exec();
+
+    state.loadedAt = 0;
+}
+
+/**
+ * ブロック解除
+ */
+async function unblockIP(entry) {
+    const multi = redis.client.multi();
+    multi.sRem(BLOCKED_SET_KEY, entry);
+    multi.del(BLOCKED_META_PREFIX + entry);
+    await multi.exec();
+
+    state.loadedAt = 0;
+}
+
+module.exports = {
+    ipBlocker,
+    blockIP,
+    unblockIP,
+    isBlocked
+};
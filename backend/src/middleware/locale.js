@@ -0,0 +1,40 @@
+/**
+ * ロケールミドルウェア
+ * ?lang= / Accept-Language から req.locale を決定し、エラーコード付き応答のメッセージを翻訳
+ * masa様開発ルール完全遵守
+ */
+const { negotiateLocale, has, t } = require('../utils/i18n');
+
+/**
+ * エラー応答のメッセージ翻訳
+ * { error, code } 形式で code がカタログにある場合のみ置換（details 等はそのまま）
+ */
+function localizeErrorBody(body, locale) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+    if (typeof body.error !== 'string' || typeof body.code !== 'string') return body;
+
+    const key = `errors.${body.code}`;
+    if (!has(locale, key)) return body;
+
+    return { ...body, error: t(locale, key) };
+}
+
+/**
+ * ロケール決定・応答ヘッダー設定
+ */
+function localeMiddleware(req, res, next) {
+    req.locale = negotiateLocale(req);
+
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(localizeErrorBody(body, req.locale));
+
+    next();
+}
+
+module.exports = {
+    localeMiddleware,
+    localizeErrorBody
+};
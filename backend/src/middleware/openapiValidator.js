@@ -0,0 +1,244 @@
+/**
+ * OpenAPI リクエスト・レスポンス検証ミドルウェア
+ * テスト・開発時に仕様書と実装の乖離を検出（OPENAPI_VALIDATION=off / log / enforce）
+ * masa様開発ルール完全遵守
+ */
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { getOpenAPIDocument, listOperations } = require('../openapi');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config/runtime');
+
+const MODES = ['off', 'log', 'enforce'];
+const DOCUMENT_ID = 'shinai-openapi';
+
+/**
+ * JSON Pointer 生成（#/paths/~1api~1v1~1contact/post/...）
+ */
+function pointer(...segments) {
+    return segments
+        .map(segment => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1')))
+        .join('/');
+}
+
+/**
+ * エラー整形
+ */
+function formatErrors(location, errors) {
+    return (errors || []).map(error => `${location}${error.instancePath} ${error.message}`);
+}
+
+/**
+ * 検証器生成
+ */
+function createOpenAPIValidator(options = {}) {
+    const { app, openapi } = getConfig();
+    const mode = options.mode || openapi.validation || (app.nodeEnv === 'test' ? 'enforce' : 'off');
+
+    if (!MODES.includes(mode)) {
+        throw new Error(`Invalid OPENAPI_VALIDATION mode: ${mode}`);
+    }
+
+    if (mode === 'off') {
+        return (req, res, next) => next();
+    }
+
+    const document = options.document || getOpenAPIDocument();
+    const ajv = new Ajv2020({ strict: false, allErrors: true, validateSchema: false, coerceTypes: false });
+    addFormats(ajv);
+    ajv.addSchema(document, DOCUMENT_ID);
+
+    const compileRef = (...segments) => ajv.compile({ $ref: `${DOCUMENT_ID}#/${pointer(...segments)}` });
+
+    // オペレーション毎の検証関数を事前コンパイル
+    const operations = listOperations().map(({ method, expressPath, openapiPath }) => {
+        const definition = document.paths[openapiPath][method];
+        const base = ['paths', openapiPath, method];
+
+        const params = (definition.parameters || []).map((param, index) => {
+            if (!param.$ref) {
+                return { ...param, validate: compileRef(...base, 'parameters', index, 'schema') };
+            }
+
+            const name = param.$ref.split('/').pop();
+            return {
+                ...document.components.parameters[name],
+                validate: compileRef('components', 'parameters', name, 'schema')
+            };
+        });
+
+        const jsonBody = definition.requestBody?.content?.['application/json'];
+        const responseValidators = {};
+        for (const [status, response] of Object.entries(definition.responses)) {
+            const resolved = response.$ref
+                ? document.components.responses[response.$ref.split('/').pop()]
+                : response;
+            if (!resolved.content?.['application/json']) continue;
+
+            responseValidators[status] = response.$ref
+                ? compileRef('components', 'responses', response.$ref.split('/').pop(), 'content', 'application/json', 'schema')
+                : compileRef(...base, 'responses', status, 'content', 'application/json', 'schema');
+        }
+
+        return {
+            method: method.toUpperCase(),
+            openapiPath,
+            pattern: new RegExp(`^${expressPath.replace(/:[A-Za-z0-9_]+/g, '([^/]+)')}/?$`),
+            paramNames: [...expressPath.matchAll(/:([A-Za-z0-9_]+)/g)].map(match => match[1]),
+            params,
+            body: jsonBody ? {
+                required: definition.requestBody.required === true,
+                validate: compileRef(...base, 'requestBody', 'content', 'application/json', 'schema')
+            } : null,
+            responses: responseValidators
+        };
+    });
+
+    /**
+     * オペレーション特定（パスパラメータの不正なパーセントエンコードは pathParams: null）
+     */
+    const matchOperation = (method, requestPath) => {
+        for (const operation of operations) {
+            if (operation.method !== method) continue;
+            const match = operation.pattern.exec(requestPath);
+            if (match) {
+                try {
+                    const pathParams = Object.fromEntries(
+                        operation.paramNames.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+                    );
+                    return { operation, pathParams };
+                } catch (error) {
+                    if (!(error instanceof URIError)) throw error;
+                    return { operation, pathParams: null };
+                }
+            }
+        }
+        return null;
+    };
+
+    /**
+     * パラメータ値の型変換（path/query/header は文字列で受信）
+     */
+    const coerceParam = (value, schema = {}) => {
+        if (value === undefined || typeof value !== 'string') return value;
+        if (schema.type === 'integer' || schema.type === 'number') {
+            const number = Number(value);
+            return Number.isNaN(number) ? value : number;
+        }
+        if (schema.type === 'boolean') {
+            return value === 'true' ? true : value === 'false' ? false : value;
+        }
+        return value;
+    };
+
+    /**
+     * リクエスト検証
+     */
+    const validateRequest = (req, operation, pathParams) => {
+        const errors = [];
+
+        if (!pathParams) {
+            errors.push('path contains malformed percent-encoding');
+        }
+
+        for (const param of operation.params) {
+            if (param.in === 'path' && !pathParams) continue;
+
+            const source = {
+                path: pathParams,
+                query: req.query,
+                header: { [param.name]: req.get(param.name) }
+            }[param.in];
+            const value = source ? source[param.name] : undefined;
+
+            if (value === undefined) {
+                if (param.required) errors.push(`${param.in}.${param.name} is required`);
+                continue;
+            }
+
+            if (!param.validate(coerceParam(value, param.schema))) {
+                errors.push(...formatErrors(`${param.in}.${param.name}`, param.validate.errors));
+            }
+        }
+
+        if (operation.body) {
+            const hasBody = req.body && Object.keys(req.body).length > 0;
+            if (!hasBody) {
+                if (operation.body.required) errors.push('body is required');
+            } else if (!operation.body.validate(req.body)) {
+                errors.push(...formatErrors('body', operation.body.validate.errors));
+            }
+        }
+
+        return errors;
+    };
+
+    /**
+     * レスポンス検証（Date等はJSON化後の値で検証）
+     */
+    const validateResponse = (operation, statusCode, payload) => {
+        const validate = operation.responses[statusCode] ||
+            operation.responses[`${String(statusCode)[0]}XX`] ||
+            operation.responses.default;
+
+        if (!validate) {
+            return [`status ${statusCode} is not documented`];
+        }
+
+        const body = JSON.parse(JSON.stringify(payload));
+        return validate(body) ? [] : formatErrors('response', validate.errors);
+    };
+
+    return (req, res, next) => {
+        const requestPath = req.originalUrl.split('?')[0];
+        const matched = matchOperation(req.method, requestPath);
+
+        if (!matched) return next();
+
+        const { operation, pathParams } = matched;
+        const context = { method: req.method, path: operation.openapiPath };
+
+        // レスポンス検証
+        const originalJson = res.json.bind(res);
+        res.json = (payload) => {
+            const errors = validateResponse(operation, res.statusCode, payload);
+            if (errors.length === 0) return originalJson(payload);
+
+            logger[mode === 'enforce' ? 'error' : 'warn']('Response does not match OpenAPI specification', {
+                ...context,
+                status: res.statusCode,
+                errors
+            });
+
+            if (mode !== 'enforce') return originalJson(payload);
+
+            res.status(500);
+            return originalJson({
+                success: false,
+                error: 'Response does not match API specification',
+                code: 'RESPONSE_SCHEMA_VIOLATION',
+                details: errors
+            });
+        };
+
+        // リクエスト検証
+        const errors = validateRequest(req, operation, pathParams);
+        if (errors.length === 0) return next();
+
+        logger.warn('Request does not match OpenAPI specification', { ...context, errors });
+
+        if (mode !== 'enforce') return next();
+
+        res.status(400);
+        return originalJson({
+            success: false,
+            error: 'Request does not match API specification',
+            code: 'REQUEST_SCHEMA_VIOLATION',
+            details: errors
+        });
+    };
+}
+
+module.exports = {
+    createOpenAPIValidator
+};
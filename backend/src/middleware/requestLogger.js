@@ -0,0 +1,36 @@
+/**
+ * リクエストログ（低速・サーバーエラーの応答を警告として記録）
+ * アクセスログ全体は morgan（app.js）が出力
+ * masa様開発ルール完全遵守
+ */
+const { logger } = require('../utils/logger');
+
+const SLOW_REQUEST_MS = 1000;
+
+function requestLogger(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const entry = {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs),
+            ip: req.ip,
+            userId: req.user?.id || null
+        };
+
+        if (res.statusCode >= 500) {
+            logger.warn('Request failed', entry);
+        } else if (durationMs >= SLOW_REQUEST_MS) {
+            logger.warn('Slow request', entry);
+        } else {
+            logger.debug('Request completed', entry);
+        }
+    });
+
+    next();
+}
+
+module.exports = { requestLogger };
@@ -0,0 +1,157 @@
+/**
+ * リクエスト署名検証ミドルウェア
+ * HMAC-SHA256（セッション単位の署名鍵）+ タイムスタンプ + Redisノンスによる再送防止
+ * masa様開発ルール完全遵守
+ */
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const tokenManager = require('../utils/tokenManager');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config/runtime');
+
+// 許容する時刻ずれ（ミリ秒）
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const NONCE_PREFIX = 'auth:sig_nonce:';
+
+/**
+ * 署名モード
+ * required: 認証済み + 有効な署名が必須
+ * authenticated: 認証済みリクエストのみ署名必須（匿名はスキップ）
+ * off: 検証しない
+ */
+const MODES = ['required', 'authenticated', 'off'];
+
+/**
+ * 正規化リクエスト文字列
+ * METHOD \n パス（クエリ含む） \n ボディSHA-256 \n タイムスタンプ \n ノンス
+ */
+function buildCanonicalString({ method, path, body, timestamp, nonce }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+}
+
+/**
+ * 署名生成
+ */
+function computeSignature(signingKey, parts) {
+    return crypto
+        .createHmac('sha256', signingKey)
+        .update(buildCanonicalString(parts))
+        .digest('hex');
+}
+
+/**
+ * 定数時間比較
+ */
+function signaturesMatch(expected, provided) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(String(provided), 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 署名検証ミドルウェア生成（ルート単位で設定）
+ */
+function verifyRequestSignature(options = {}) {
+    // REQUEST_SIGNING_MODE: ルート未指定時の既定モード（off は全ルートを無効化）
+    const globalMode = getConfig().requestSigning.mode;
+    const mode = options.mode || globalMode;
+
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown request signing mode: ${mode}`);
+    }
+
+    return async (req, res, next) => {
+        if (mode === 'off' || globalMode === 'off') {
+            return next();
+        }
+
+        if (!req.user) {
+            if (mode === 'authenticated') return next();
+
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required',
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        const reject = (reason, error = 'Invalid request signature') => {
+            logger.warn('Request signature rejected', {
+                ip: req.ip,
+                path: req.originalUrl,
+                userId: req.user.id,
+                reason
+            });
+
+            return res.status(401).json({
+                success: false,
+                error,
+                code: reason
+            });
+        };
+
+        const signature = req.get('X-Request-Signature');
+        const timestamp = req.get('X-Request-Timestamp');
+        const nonce = req.get('X-Request-Nonce');
+
+        if (!signature || !timestamp || !nonce) {
+            return reject('SIGNATURE_REQUIRED', 'Request signature required');
+        }
+
+        if (!/^[0-9a-f]{64}$/i.test(signature) || !/^\d{13}$/.test(timestamp) || !NONCE_PATTERN.test(nonce)) {
+            return reject('INVALID_SIGNATURE');
+        }
+
+        if (Math.abs(Date.now() - parseInt(timestamp, 10)) > MAX_CLOCK_SKEW) {
+            return reject('SIGNATURE_EXPIRED', 'Request signature expired');
+        }
+
+        try {
+            const signingKey = await tokenManager.getSigningKey(req.user.sessionId);
+            if (!signingKey) {
+                return reject('SIGNING_KEY_MISSING', 'Signing key not found for session');
+            }
+
+            const expected = computeSignature(signingKey, {
+                method: req.method,
+                path: req.originalUrl,
+                body: req.rawBody ? req.rawBody.toString('utf8') : '',
+                timestamp,
+                nonce
+            });
+
+            if (!signaturesMatch(expected, signature)) {
+                return reject('INVALID_SIGNATURE');
+            }
+
+            // 署名検証後にノンス登録（時刻ずれ許容幅の2倍保持）
+            const stored = await redis.client.set(
+                `${NONCE_PREFIX}${req.user.sessionId}:${nonce}`,
+                '1',
+                { NX: true, PX: MAX_CLOCK_SKEW * 2 }
+            );
+
+            if (stored !== 'OK') {
+                return reject('REPLAY_DETECTED', 'Request replay detected');
+            }
+
+            req.signatureVerified = true;
+            next();
+
+        } catch (error) {
+            logger.error('Request signature verification failed:', {
+                error: error.message,
+                path: req.originalUrl
+            });
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    verifyRequestSignature,
+    computeSignature,
+    buildCanonicalString
+};
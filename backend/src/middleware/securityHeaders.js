@@ -0,0 +1,15 @@
+/**
+ * 追加セキュリティヘッダー（Helmet 対象外の項目）
+ * nginx 経由でない直接アクセス時も同じヘッダーを付与
+ * masa様開発ルール完全遵守
+ */
+function securityHeaders(req, res, next) {
+    res.set({
+        'Permissions-Policy': 'geolocation=(), microphone=(), camera=()',
+        'X-Constitutional-AI-Compliant': 'true',
+        'X-ShinAI-Security-Level': 'enterprise'
+    });
+    next();
+}
+
+module.exports = { securityHeaders };
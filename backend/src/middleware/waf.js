@@ -0,0 +1,156 @@
+/**
+ * WAFミドルウェア
+ * リクエストの各要素をルールエンジンで評価し、ルート別モード（block / log / off）で処理
+ * masa様開発ルール完全遵守
+ */
+const { RuleEngine } = require('../utils/ruleEngine');
+const { logger } = require('../utils/logger');
+const { reportSecurityEvent } = require('../utils/securityEvents');
+const { counters } = require('../utils/metrics');
+const { getConfig } = require('../config/runtime');
+
+// 評価対象外ヘッダー（認証情報）
+const SKIPPED_HEADERS = new Set(['authorization', 'cookie', 'x-csrf-token', 'x-access-token']);
+const MAX_TARGETS = 1000;
+const MAX_DEPTH = 10;
+
+const wafConfig = getConfig().waf;
+const wafEngine = new RuleEngine({
+    ruleSource: wafConfig.dbRules ? loadDatabaseRules : null,
+    mode: wafConfig.mode
+});
+
+/**
+ * DBルール取得
+ */
+async function loadDatabaseRules() {
+    const WafRule = require('../models/WafRule');
+    const rules = await WafRule.find({});
+    return rules.map(rule => rule.toEngineRule());
+}
+
+/**
+ * 初期化（起動時に読込失敗した場合は起動を中止）
+ */
+async function initializeWaf() {
+    await wafEngine.load();
+    wafEngine.watch();
+    return wafEngine;
+}
+
+/**
+ * ネストしたオブジェクトを評価対象へ展開
+ * 配列要素は親キー名で評価（除外指定を簡潔にするため）
+ */
+function flatten(value, prefix, keyPrefix, targets, depth = 0) {
+    if (targets.length >= MAX_TARGETS || depth > MAX_DEPTH) return;
+
+    if (Array.isArray(value)) {
+        value.forEach(item => flatten(item, prefix, keyPrefix, targets, depth + 1));
+        return;
+    }
+
+    if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+            targets.push({ name: `${keyPrefix}:${keyPath}`, value: keyPath });
+            flatten(child, keyPath, keyPrefix, targets, depth + 1);
+        }
+        return;
+    }
+
+    if (value !== null && value !== undefined) {
+        const name = keyPrefix.replace(/Keys$/, '');
+        targets.push({ name: prefix ? `${name}:${prefix}` : `${name}:_raw`, value: String(value) });
+    }
+}
+
+/**
+ * 評価対象抽出
+ * サニタイズ前の値を評価するため、ボディは rawBody、クエリは生のURLから取得する
+ */
+function extractTargets(req) {
+    const targets = [{ name: 'path', value: req.path }];
+
+    const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+    for (const [key, value] of new URLSearchParams(queryString)) {
+        targets.push({ name: `queryKeys:${key}`, value: key });
+        targets.push({ name: `query:${key}`, value });
+    }
+
+    let body = req.body;
+    if (req.rawBody && req.rawBody.length > 0) {
+        try {
+            body = JSON.parse(req.rawBody.toString('utf8'));
+        } catch (error) {
+            body = req.rawBody.toString('utf8');
+        }
+    }
+
+    if (typeof body === 'string') {
+        targets.push({ name: 'body:_raw', value: body });
+    } else {
+        flatten(body, '', 'bodyKeys', targets);
+    }
+
+    for (const [name, value] of Object.entries(req.headers)) {
+        if (!SKIPPED_HEADERS.has(name)) {
+            targets.push({ name: `headers:${name}`, value: String(value) });
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * WAFミドルウェア
+ */
+function waf(req, res, next) {
+    const mode = wafEngine.getMode(req.path);
+    if (mode === 'off') return next();
+
+    let result;
+    try {
+        result = wafEngine.evaluate(extractTargets(req), { routePath: req.path });
+    } catch (error) {
+        logger.error('WAF evaluation failed:', { error: error.message, path: req.path });
+        return next(error);
+    }
+
+    if (result.matches.length === 0) return next();
+
+    const blocked = mode === 'block' && result.exceeded;
+    const details = {
+        method: req.method,
+        path: req.path,
+        mode,
+        action: blocked ? 'blocked' : 'logged',
+        score: result.score,
+        threshold: result.threshold,
+        rules: result.matches.map(match => match.ruleId)
+    };
+
+    logger.warn('WAF rules matched', { ip: req.ip, ...details });
+
+    reportSecurityEvent('waf_match', req, {
+        ...details,
+        matches: result.matches
+    });
+
+    if (!blocked) return next();
+
+    counters.requestRejections.inc({ reason: 'waf' });
+
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid request format',
+        code: 'REQUEST_REJECTED'
+    });
+}
+
+module.exports = {
+    waf,
+    wafEngine,
+    initializeWaf,
+    extractTargets
+};
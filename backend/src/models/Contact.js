@@ -0,0 +1,51 @@
+/**
+ * お問い合わせモデル
+ * infrastructure/mongodb/init.js の contacts コレクションに対応
+ * Constitutional AI準拠・masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const CONTACT_STATUSES = ['new', 'pending_review', 'in_progress', 'closed'];
+
+const contactSchema = new mongoose.Schema({
+    ticket_number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    company: { type: String, default: null },
+    phone: { type: String, default: null },
+    service: { type: String, default: null },
+    message: { type: String, required: true },
+    privacy_consent: {
+        agreed: { type: Boolean, required: true },
+        agreed_at: { type: Date, required: true }
+    },
+    status: {
+        type: String,
+        enum: CONTACT_STATUSES,
+        default: 'new'
+    },
+    constitutional_compliance: {
+        compliant: { type: Boolean, required: true },
+        violations: { type: [String], default: [] },
+        checked_at: { type: Date, default: Date.now }
+    },
+    source: {
+        ip: String,
+        user_agent: String,
+        user_id: { type: String, default: null }
+    },
+    submitted_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'contacts',
+    timestamps: { createdAt: false, updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('Contact', contactSchema);
+module.exports.CONTACT_STATUSES = CONTACT_STATUSES;
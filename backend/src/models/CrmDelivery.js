@@ -0,0 +1,35 @@
+/**
+ * CRM送信モデル
+ * pending（送信待ち）→ delivering（送信中）→ delivered / 再送待ちは pending に戻る
+ * 恒久的な失敗・試行回数の上限到達は dead（送信不能として保管・管理APIで再送可）
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const CRM_DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const crmDeliverySchema = new mongoose.Schema({
+    delivery_id: { type: String, required: true, unique: true },
+    event: { type: String, required: true },
+    // 送信本文（署名対象・再送時も同一内容）
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: CRM_DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    // 送信中の占有期限（期限切れは停止したレプリカの送信として再取得）
+    locked_until: { type: Date, default: null },
+    last_status_code: { type: Number, default: null },
+    last_error: { type: String, default: null },
+    delivered_at: { type: Date, default: null },
+    dead_at: { type: Date, default: null }
+}, {
+    collection: 'crm_deliveries',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    minimize: false
+});
+
+crmDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+crmDeliverySchema.index({ status: 1, created_at: -1 });
+
+module.exports = mongoose.model('CrmDelivery', crmDeliverySchema);
+module.exports.CRM_DELIVERY_STATUSES = CRM_DELIVERY_STATUSES;
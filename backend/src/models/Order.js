@@ -0,0 +1,47 @@
+/**
+ * 受注モデル
+ * 承諾済み見積もりから生成（支払マイルストーン: 着手金・中間金・完了時）
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+    key: { type: String, enum: ['deposit', 'interim', 'final'], required: true },
+    rate: { type: Number, required: true, min: 0, max: 1 },
+    // 税込金額と、そのうちの消費税額（旧受注は税抜金額のみで tax: null）
+    amount: { type: Number, required: true, min: 0 },
+    tax: { type: Number, min: 0, default: null },
+    trigger: { type: String, enum: ['acceptance', 'midpoint', 'completion'], required: true },
+    due_date: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'invoiced', 'paid'], default: 'pending' }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+    order_id: { type: String, required: true, unique: true },
+    estimate_id: { type: String, required: true, unique: true },
+    user_id: { type: String, required: true },
+    email: { type: String, default: null },
+    signer_name: { type: String, required: true },
+    service_type: { type: String, required: true },
+    total_price: { type: Number, required: true },
+    tax_amount: { type: Number, default: null },
+    total_with_tax: { type: Number, default: null },
+    currency: { type: String, default: 'JPY' },
+    milestones: { type: [milestoneSchema], required: true },
+    status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    consent: {
+        agreed: { type: Boolean, required: true },
+        terms: { type: mongoose.Schema.Types.Mixed, default: null },
+        source_ip: { type: String, default: null },
+        user_agent: { type: String, default: null },
+        at: { type: Date, required: true }
+    }
+}, {
+    collection: 'orders',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+orderSchema.index({ user_id: 1, created_at: -1 });
+orderSchema.index({ status: 1, created_at: -1 });
+
+module.exports = mongoose.model('Order', orderSchema);
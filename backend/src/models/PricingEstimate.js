@@ -0,0 +1,97 @@
+/**
+ * 料金見積りモデル
+ * infrastructure/mongodb/init.js の pricing_estimates コレクションに対応
+ * Constitutional AI準拠・masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+// 見積もりライフサイクル（utils/estimateLifecycle.js の遷移表と同一）
+const ESTIMATE_STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'declined', 'expired'];
+
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: [...ESTIMATE_STATUSES, null], default: null },
+    to: { type: String, enum: ESTIMATE_STATUSES, required: true },
+    actor_id: { type: String, default: null },
+    source_ip: { type: String, default: null },
+    note: { type: String, default: null },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// 消費税（税抜小計に対して税率ごとに1回端数処理・旧見積もりは null）
+const taxSchema = new mongoose.Schema({
+    rate: { type: Number, required: true },
+    rounding: { type: String, enum: ['floor', 'round', 'ceil'], required: true },
+    taxable_amount: { type: Number, required: true },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+// Constitutional AI準拠チェック結果（違反を記録のみとした場合は compliant: false・旧見積もりは null）
+const complianceSchema = new mongoose.Schema({
+    compliant: { type: Boolean, required: true },
+    violations: { type: [String], default: [] },
+    checked_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pricingEstimateSchema = new mongoose.Schema({
+    estimate_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // プロジェクト内の改訂（条件を変えた再見積もりを同一プロジェクトの連番で管理・旧見積もりは null）
+    project_id: { type: String, default: null },
+    revision: { type: Number, default: null },
+    // 算出に使用した料金表の版（0 は組込み料金表・旧見積もりは null = 組込み料金表）
+    pricing_version: { type: Number, default: null },
+    service_type: { type: String, required: true },
+    project_scale: { type: String, required: true },
+    total_price: { type: Number, required: true },
+    base_cost: { type: Number, required: true },
+    currency: { type: String, default: 'JPY' },
+    adjustments: { type: mongoose.Schema.Types.Mixed, default: {} },
+    timeline: { type: mongoose.Schema.Types.Mixed, default: {} },
+    breakdown: { type: mongoose.Schema.Types.Mixed, default: {} },
+    tax: { type: taxSchema, default: null },
+    total_with_tax: { type: Number, default: null },
+    recommendations: { type: [String], default: [] },
+    terms: { type: mongoose.Schema.Types.Mixed, default: {} },
+    requirements: { type: mongoose.Schema.Types.Mixed, default: {} },
+    locale: { type: String, enum: ['ja', 'en'], default: 'ja' },
+    user_id: { type: String, default: null },
+    email: { type: String, default: null },
+    source_ip: { type: String, default: null },
+    constitutional_compliance: { type: complianceSchema, default: null },
+    valid_until: { type: Date, required: true },
+    created_at: { type: Date, default: Date.now },
+    status: { type: String, enum: ESTIMATE_STATUSES, default: 'draft' },
+    status_history: { type: [statusChangeSchema], default: [] },
+    sent_at: { type: Date, default: null },
+    viewed_at: { type: Date, default: null },
+    // 承諾情報（承諾者・同意内容）
+    acceptance: {
+        user_id: { type: String, default: null },
+        email: { type: String, default: null },
+        signer_name: { type: String, default: null },
+        consent: { type: Boolean, default: false },
+        terms: { type: mongoose.Schema.Types.Mixed, default: null },
+        source_ip: { type: String, default: null },
+        user_agent: { type: String, default: null },
+        accepted_at: { type: Date, default: null }
+    },
+    declined_at: { type: Date, default: null },
+    decline_reason: { type: String, default: null },
+    order_id: { type: String, default: null }
+}, {
+    collection: 'pricing_estimates',
+    timestamps: { createdAt: false, updatedAt: 'updated_at' }
+});
+
+pricingEstimateSchema.index({ status: 1, valid_until: 1 });
+pricingEstimateSchema.index({ pricing_version: 1, created_at: -1 });
+pricingEstimateSchema.index(
+    { project_id: 1, revision: 1 },
+    { unique: true, partialFilterExpression: { project_id: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('PricingEstimate', pricingEstimateSchema);
+module.exports.ESTIMATE_STATUSES = ESTIMATE_STATUSES;
@@ -0,0 +1,32 @@
+/**
+ * 料金表バージョンモデル
+ * 下書き → 公開（公開後は料金表を変更不可・適用終了日のみ設定可）
+ * 適用期間が重なる場合は版番号の大きい料金表を適用
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const PRICING_VERSION_STATUSES = ['draft', 'published'];
+
+const pricingVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true, unique: true, min: 1 },
+    status: { type: String, enum: PRICING_VERSION_STATUSES, default: 'draft' },
+    rules: { type: mongoose.Schema.Types.Mixed, required: true },
+    // 適用開始（下書きで未指定の場合は公開時点）・適用終了（null は無期限）
+    effective_from: { type: Date, default: null },
+    effective_to: { type: Date, default: null },
+    notes: { type: String, default: null },
+    created_by: { type: String, default: null },
+    updated_by: { type: String, default: null },
+    published_by: { type: String, default: null },
+    published_at: { type: Date, default: null }
+}, {
+    collection: 'pricing_versions',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    minimize: false
+});
+
+pricingVersionSchema.index({ status: 1, effective_from: 1 });
+
+module.exports = mongoose.model('PricingVersion', pricingVersionSchema);
+module.exports.PRICING_VERSION_STATUSES = PRICING_VERSION_STATUSES;
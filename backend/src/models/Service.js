@@ -0,0 +1,44 @@
+/**
+ * サービスカタログモデル
+ * 公開一覧・詳細・全文検索・管理API（改訂履歴は ServiceRevision）で共用
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const { Mixed } = mongoose.Schema.Types;
+
+const serviceSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '' },
+    category: { type: String, required: true },
+    icon: { type: String, default: null },
+    features: { type: [String], default: [] },
+    tags: { type: [String], default: [] },
+    // 既定ロケール以外の name / description / features（{ en: {...} }）
+    translations: { type: Mixed, default: {} },
+    // { startingFrom, billingCycle, unit, notes }（検証は controllers/adminController.js）
+    pricing: { type: Mixed, default: null },
+
+    // 詳細情報（認証・会員区分に応じて公開範囲を制限）
+    technicalSpecs: { type: Mixed, default: null },
+    requirements: { type: Mixed, default: null },
+    deliverables: { type: Mixed, default: null },
+    timeline: { type: Mixed, default: null },
+    supportLevel: { type: Mixed, default: null },
+    customization: { type: Mixed, default: null },
+    integration: { type: Mixed, default: null },
+    architectureOverview: { type: Mixed, default: null },
+    performanceMetrics: { type: Mixed, default: null },
+
+    order: { type: Number, default: 0 },
+    isPublic: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true }
+}, {
+    collection: 'services',
+    timestamps: true,
+    minimize: false
+});
+
+serviceSchema.index({ isActive: 1, isPublic: 1, order: 1 });
+
+module.exports = mongoose.model('Service', serviceSchema);
@@ -0,0 +1,29 @@
+/**
+ * サービス改訂履歴モデル
+ * 管理APIによるカタログ変更ごとの全体スナップショット（履歴参照・ロールバック用）
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const serviceRevisionSchema = new mongoose.Schema({
+    service_id: { type: String, required: true },
+    revision: { type: Number, required: true, min: 1 },
+    action: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'reorder', 'visibility', 'rollback'],
+        required: true
+    },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    changed_fields: { type: [String], default: [] },
+    rolled_back_to: { type: Number, default: null },
+    reason: { type: String, default: null },
+    actor_id: { type: String, default: null },
+    source_ip: { type: String, default: null }
+}, {
+    collection: 'service_revisions',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+serviceRevisionSchema.index({ service_id: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('ServiceRevision', serviceRevisionSchema);
@@ -0,0 +1,88 @@
+/**
+ * ユーザーモデル
+ * infrastructure/mongodb/init.js の users コレクションに対応
+ * Constitutional AI準拠・masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    password_hash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['customer', 'sales', 'admin'],
+        default: 'customer'
+    },
+    permissions: {
+        type: [String],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['active', 'suspended', 'disabled'],
+        default: 'active'
+    },
+    is_verified: {
+        type: Boolean,
+        default: false
+    },
+    is_premium: {
+        type: Boolean,
+        default: false
+    },
+    failed_login_attempts: {
+        type: Number,
+        default: 0
+    },
+    locked_until: {
+        type: Date,
+        default: null
+    },
+    last_login: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'users',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+/**
+ * アカウントロック状態確認
+ */
+userSchema.methods.isLocked = function () {
+    return Boolean(this.locked_until && this.locked_until > new Date());
+};
+
+/**
+ * クライアント返却用プロファイル
+ */
+userSchema.methods.toPublicProfile = function () {
+    return {
+        id: this._id.toString(),
+        email: this.email,
+        username: this.username,
+        role: this.role,
+        permissions: this.permissions,
+        isVerified: this.is_verified,
+        isPremium: this.is_premium
+    };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,63 @@
+/**
+ * WAFルールモデル
+ * config/waf-rules.json のルールを同一IDで上書き・追加（運用中のチューニング用）
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+
+const exclusionSchema = new mongoose.Schema({
+    route: { type: String, default: null },
+    targets: { type: [String], default: undefined }
+}, { _id: false });
+
+const wafRuleSchema = new mongoose.Schema({
+    rule_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    description: { type: String, default: '' },
+    severity: {
+        type: String,
+        enum: ['critical', 'error', 'warning', 'notice'],
+        required: true
+    },
+    targets: { type: [String], required: true },
+    operator: {
+        type: String,
+        enum: ['rx', 'contains', 'eq', 'beginsWith', 'lengthGt'],
+        required: true
+    },
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    flags: { type: String, default: '' },
+    transforms: { type: [String], default: undefined },
+    exclusions: { type: [exclusionSchema], default: [] },
+    enabled: { type: Boolean, default: true },
+    updated_by: { type: String, default: null }
+}, {
+    collection: 'waf_rules',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+/**
+ * ルールエンジン形式へ変換
+ */
+wafRuleSchema.methods.toEngineRule = function() {
+    return {
+        id: this.rule_id,
+        description: this.description,
+        severity: this.severity,
+        targets: this.targets,
+        operator: this.operator,
+        value: this.value,
+        flags: this.flags,
+        transforms: this.transforms,
+        exclusions: this.exclusions.map(exclusion => ({
+            route: exclusion.route || undefined,
+            targets: exclusion.targets
+        })),
+        enabled: this.enabled
+    };
+};
+
+module.exports = mongoose.model('WafRule', wafRuleSchema);
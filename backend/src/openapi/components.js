@@ -0,0 +1,720 @@
+/**
+ * OpenAPI 共通コンポーネント
+ * スキーマ・共通レスポンス・認証方式（各パス定義から参照）
+ * masa様開発ルール完全遵守
+ */
+
+// サービス区分（serviceController.serviceCategories と同一）
+const SERVICE_TYPES = ['ai-agent', 'rag', 'aipro', 'consultation', 'integration'];
+const PROJECT_SCALES = ['small', 'medium', 'large', 'enterprise'];
+const LOCALES = ['ja', 'en'];
+const CONTACT_STATUSES = ['new', 'pending_review', 'in_progress', 'closed'];
+const ESTIMATE_STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'declined', 'expired'];
+const ORDER_STATUSES = ['active', 'completed', 'cancelled'];
+
+const schemas = {
+    ErrorResponse: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string' },
+            details: { type: 'array', items: { type: 'string' } }
+        }
+    },
+
+    UserProfile: {
+        type: 'object',
+        required: ['id', 'email', 'role'],
+        properties: {
+            id: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            username: { type: ['string', 'null'] },
+            role: { type: 'string' },
+            permissions: { type: 'array', items: { type: 'string' } },
+            isVerified: { type: 'boolean' },
+            isPremium: { type: 'boolean' }
+        }
+    },
+
+    TokenPair: {
+        type: 'object',
+        required: ['success', 'accessToken', 'refreshToken', 'expiresIn', 'signingKey'],
+        properties: {
+            success: { const: true },
+            accessToken: { type: 'string' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'integer', description: 'アクセストークン有効期間（秒）' },
+            signingKey: { type: 'string', description: 'リクエスト署名用HMAC鍵（セッション単位）' },
+            user: { $ref: '#/components/schemas/UserProfile' }
+        }
+    },
+
+    PublicService: {
+        type: 'object',
+        required: ['id', 'name', 'category'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            category: { type: 'string' },
+            features: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+            pricing: {
+                type: ['object', 'null'],
+                properties: {
+                    startingFrom: { type: 'number' },
+                    currency: { const: 'JPY' },
+                    billingCycle: { type: 'string' }
+                }
+            },
+            icon: { type: ['string', 'null'] },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+            available: { type: 'boolean' }
+        }
+    },
+
+    ServiceDetails: {
+        type: 'object',
+        required: ['id', 'name', 'category'],
+        description: '認証済み・本人確認済みユーザーには pricing / customization / integration を追加',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            category: { type: 'string' },
+            features: { type: 'array', items: {} },
+            technicalSpecs: { type: ['object', 'null'] },
+            requirements: {},
+            deliverables: {},
+            timeline: {},
+            supportLevel: {},
+            pricing: {},
+            customization: {},
+            integration: {}
+        }
+    },
+
+    SearchResult: {
+        allOf: [
+            { $ref: '#/components/schemas/PublicService' },
+            {
+                type: 'object',
+                required: ['relevance'],
+                properties: {
+                    relevance: { type: 'number' },
+                    highlights: {
+                        type: 'array',
+                        description: '一致箇所を <mark> で囲んだ抜粋（フィールド別）',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string' },
+                                fragment: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        ]
+    },
+
+    EstimateRequirements: {
+        type: 'object',
+        required: ['serviceType', 'projectScale', 'timeline'],
+        properties: {
+            serviceType: { type: 'string', enum: SERVICE_TYPES },
+            projectScale: { type: 'string', enum: PROJECT_SCALES },
+            timeline: { type: 'integer', minimum: 7, maximum: 730, description: '希望期間（日）・日程は祝日テーブルの収録年末まで' },
+            features: { type: 'array', items: { type: 'string' } },
+            budget: { type: 'integer', minimum: 100000, maximum: 10000000, description: '予算（円）' }
+        }
+    },
+
+    EstimatePhase: {
+        type: 'object',
+        properties: {
+            key: { type: 'string' },
+            name: { type: 'string' },
+            weight: { type: 'number' },
+            businessDays: { type: 'integer' },
+            startDate: { type: 'string', format: 'date' },
+            endDate: { type: 'string', format: 'date' }
+        }
+    },
+
+    EstimateTax: {
+        type: 'object',
+        required: ['rate', 'rounding', 'taxableAmount', 'amount'],
+        description: '消費税（適格請求書の端数処理: 税率ごとの合計額に対して1回）',
+        properties: {
+            rate: { type: 'number', description: '税率（0.1 = 10%）' },
+            rounding: { enum: ['floor', 'round', 'ceil'] },
+            taxableAmount: { type: 'integer', description: '税率の対象となる税抜金額' },
+            amount: { type: 'integer', description: '消費税額' }
+        }
+    },
+
+    Estimate: {
+        type: 'object',
+        required: ['estimateId', 'totalCost', 'timeline', 'validUntil'],
+        properties: {
+            estimateId: { type: 'string', pattern: '^EST_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$' },
+            projectId: { type: ['string', 'null'], pattern: '^PRJ_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$' },
+            revision: { type: ['integer', 'null'], minimum: 1, description: 'プロジェクト内の改訂番号' },
+            pricingVersion: { type: 'integer', minimum: 0, description: '算出に使用した料金表の版（0 は組込み料金表）' },
+            totalCost: { type: 'number', description: '合計金額（円・千円単位・税抜）' },
+            subtotal: { type: 'integer', description: '税抜小計（totalCost と同額）' },
+            tax: { $ref: '#/components/schemas/EstimateTax' },
+            totalWithTax: { type: 'integer', description: '税込合計' },
+            timeline: {
+                type: 'object',
+                properties: {
+                    requested: { type: 'number' },
+                    recommended: { type: 'number' },
+                    actual: { type: 'number' },
+                    businessDays: { type: 'integer' },
+                    startDate: { type: 'string' },
+                    endDate: { type: 'string' },
+                    calendar: { type: 'string' },
+                    phases: { type: 'array', items: { $ref: '#/components/schemas/EstimatePhase' } }
+                }
+            },
+            breakdown: {
+                type: 'object',
+                description: '税抜小計の内訳（合計は subtotal と一致）',
+                additionalProperties: { type: 'integer' }
+            },
+            recommendations: { type: 'array', items: { type: 'string' } },
+            validUntil: { type: 'string', format: 'date-time' },
+            terms: {},
+            locale: { type: 'string', enum: LOCALES, description: '推奨事項・条件・フェーズ名の表示言語' },
+            status: { type: 'string', enum: ESTIMATE_STATUSES },
+            orderId: { type: ['string', 'null'], description: '承諾済みの場合の受注ID' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    EstimateRevision: {
+        type: 'object',
+        required: ['revision', 'estimateId', 'status', 'totalCost'],
+        properties: {
+            revision: { type: 'integer', minimum: 1 },
+            estimateId: { type: 'string' },
+            status: { type: 'string', enum: ESTIMATE_STATUSES },
+            pricingVersion: { type: 'integer', minimum: 0 },
+            totalCost: { type: 'number' },
+            totalWithTax: { type: ['integer', 'null'] },
+            timeline: { type: ['number', 'null'], description: '実施期間（日）' },
+            validUntil: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            requirements: { type: 'object', description: '改訂一覧のみ: 見積もり入力条件' },
+            adjustments: { type: 'object', description: '改訂一覧のみ: 規模・期間・サービス固有の調整' }
+        }
+    },
+
+    NumberChange: {
+        type: 'object',
+        required: ['from', 'to', 'delta', 'changed'],
+        properties: {
+            from: { type: ['number', 'null'] },
+            to: { type: ['number', 'null'] },
+            delta: { type: ['number', 'null'] },
+            deltaRate: { type: ['number', 'null'], description: '増減率（0.1 = 10%増）' },
+            changed: { type: 'boolean' }
+        }
+    },
+
+    RevisionChanges: {
+        type: 'object',
+        properties: {
+            requirements: {
+                type: 'array',
+                description: '変更された入力条件（配列項目は added / removed を併記）',
+                items: {
+                    type: 'object',
+                    required: ['field'],
+                    properties: {
+                        field: { type: 'string' },
+                        from: {},
+                        to: {},
+                        added: { type: 'array' },
+                        removed: { type: 'array' }
+                    }
+                }
+            },
+            pricing: {
+                type: 'object',
+                description: '料金表の版・会員割引の有無の変化',
+                properties: {
+                    version: { $ref: '#/components/schemas/NumberChange' },
+                    premium: { type: 'object' }
+                }
+            },
+            adjustments: { type: 'object', additionalProperties: { $ref: '#/components/schemas/NumberChange' } },
+            cost: {
+                type: 'object',
+                properties: {
+                    totalCost: { $ref: '#/components/schemas/NumberChange' },
+                    tax: { $ref: '#/components/schemas/NumberChange' },
+                    totalWithTax: { $ref: '#/components/schemas/NumberChange' },
+                    breakdown: { type: 'object', additionalProperties: { $ref: '#/components/schemas/NumberChange' } }
+                }
+            },
+            timeline: {
+                type: 'object',
+                properties: {
+                    requested: { $ref: '#/components/schemas/NumberChange' },
+                    actual: { $ref: '#/components/schemas/NumberChange' },
+                    businessDays: { $ref: '#/components/schemas/NumberChange' },
+                    startDate: { type: 'object' },
+                    endDate: { type: 'object' }
+                }
+            },
+            phases: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['key', 'change'],
+                    properties: {
+                        key: { type: 'string' },
+                        name: { type: 'string' },
+                        change: { enum: ['added', 'removed', 'changed', 'unchanged'] },
+                        from: { type: ['object', 'null'] },
+                        to: { type: ['object', 'null'] },
+                        businessDays: { $ref: '#/components/schemas/NumberChange' }
+                    }
+                }
+            },
+            recommendations: {
+                type: 'object',
+                properties: {
+                    added: { type: 'array', items: { type: 'string' } },
+                    removed: { type: 'array', items: { type: 'string' } },
+                    unchanged: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    },
+
+    EstimateLifecycle: {
+        type: 'object',
+        required: ['estimateId', 'status'],
+        properties: {
+            estimateId: { type: 'string' },
+            projectId: { type: ['string', 'null'] },
+            revision: { type: ['integer', 'null'] },
+            pricingVersion: { type: 'integer', minimum: 0 },
+            status: { type: 'string', enum: ESTIMATE_STATUSES },
+            open: { type: 'boolean', description: '有効期限で失効しうる状態（draft / sent / viewed）' },
+            customerId: { type: ['string', 'null'] },
+            serviceType: { type: 'string' },
+            totalCost: { type: 'number' },
+            validUntil: { type: 'string', format: 'date-time' },
+            sentAt: { type: ['string', 'null'], format: 'date-time' },
+            viewedAt: { type: ['string', 'null'], format: 'date-time' },
+            acceptance: {
+                type: ['object', 'null'],
+                properties: {
+                    userId: { type: 'string' },
+                    signerName: { type: 'string' },
+                    consent: { type: 'boolean' },
+                    acceptedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            declinedAt: { type: ['string', 'null'], format: 'date-time' },
+            declineReason: { type: ['string', 'null'] },
+            orderId: { type: ['string', 'null'] },
+            history: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        from: { type: ['string', 'null'] },
+                        to: { type: 'string', enum: ESTIMATE_STATUSES },
+                        actorId: { type: ['string', 'null'] },
+                        note: { type: ['string', 'null'] },
+                        at: { type: 'string', format: 'date-time' }
+                    }
+                }
+            },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    Order: {
+        type: 'object',
+        required: ['orderId', 'estimateId', 'totalCost', 'milestones'],
+        properties: {
+            orderId: { type: 'string', pattern: '^ORD_[A-Z0-9]{6,12}_[A-Z0-9]{1,8}$' },
+            estimateId: { type: 'string' },
+            customerId: { type: 'string' },
+            signerName: { type: 'string' },
+            serviceType: { type: 'string' },
+            totalCost: { type: 'number', description: '税抜合計' },
+            taxAmount: { type: ['integer', 'null'], description: '消費税額（税額を記録していない旧受注は null）' },
+            totalWithTax: { type: ['integer', 'null'], description: '税込合計（旧受注は null）' },
+            currency: { type: 'string' },
+            status: { type: 'string', enum: ORDER_STATUSES },
+            milestones: {
+                type: 'array',
+                description: '着手金（承諾時）・中間金（開発完了）・完了時（リリース完了）。amount の合計は totalWithTax、tax の合計は taxAmount と一致（旧受注の amount は税抜で合計は totalCost）',
+                items: {
+                    type: 'object',
+                    properties: {
+                        key: { enum: ['deposit', 'interim', 'final'] },
+                        rate: { type: 'number' },
+                        amount: { type: 'number', description: '税込請求額' },
+                        tax: { type: ['integer', 'null'], description: 'amount に含まれる消費税額' },
+                        trigger: { enum: ['acceptance', 'midpoint', 'completion'] },
+                        dueDate: { type: ['string', 'null'], format: 'date' },
+                        status: { enum: ['pending', 'invoiced', 'paid'] }
+                    }
+                }
+            },
+            consentedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    BudgetPlan: {
+        type: 'object',
+        required: ['rank', 'strategies', 'features', 'timeline', 'cost', 'totalCost'],
+        properties: {
+            rank: { type: 'integer', minimum: 1 },
+            strategies: {
+                type: 'array',
+                items: { enum: ['drop_features', 'phased_delivery', 'extend_timeline'] }
+            },
+            features: {
+                type: 'object',
+                properties: {
+                    included: { type: 'array', items: { type: 'string' } },
+                    dropped: { type: 'array', items: { type: 'string' } },
+                    deferred: { type: 'array', items: { type: 'string' }, description: '第2フェーズへ後回しにした機能' }
+                }
+            },
+            timeline: {
+                type: 'object',
+                properties: {
+                    requestedDays: { type: 'integer' },
+                    days: { type: 'integer' },
+                    bucket: { enum: ['urgent', 'fast', 'standard', 'extended'] },
+                    changed: { type: 'boolean' }
+                }
+            },
+            cost: { type: 'number', description: '予算対象額（段階的開発では第1フェーズ）' },
+            costDelta: { type: 'number', description: '要求どおりの見積額との差（負値 = 削減額）' },
+            budgetRemaining: { type: 'number' },
+            phases: {
+                type: ['array', 'null'],
+                items: {
+                    type: 'object',
+                    properties: {
+                        phase: { type: 'integer' },
+                        features: { type: 'array', items: { type: 'string' } },
+                        cost: { type: 'number' }
+                    }
+                }
+            },
+            totalCost: { type: 'number', description: '全フェーズ合計' }
+        }
+    },
+
+    BudgetFitResult: {
+        type: 'object',
+        required: ['budget', 'requestedCost', 'withinBudget', 'minimumCost', 'shortfall', 'plans'],
+        properties: {
+            budget: { type: 'number' },
+            requestedCost: { type: 'number', description: '要求どおりの見積額' },
+            withinBudget: { type: 'boolean', description: 'true の場合は代替プラン不要（plans は空）' },
+            minimumCost: { type: 'number', description: '有料機能なし・最長期間区分での最低額' },
+            shortfall: { type: 'number', description: '最低額でも予算を超える場合の不足額（plans は空）' },
+            plans: { type: 'array', items: { $ref: '#/components/schemas/BudgetPlan' } },
+            pricingVersion: { type: 'integer', minimum: 0, description: '評価に使用した料金表の版' }
+        }
+    },
+
+    PricingRules: {
+        type: 'object',
+        description: '料金表（utils/pricingRules.js で検証・全項目必須）',
+        required: [
+            'baseCost', 'complexity', 'timeline', 'timelineBuckets', 'serviceAdjustments',
+            'premiumDiscount', 'phasedDeliveryOverhead', 'paymentMilestones', 'costBreakdown'
+        ],
+        additionalProperties: false,
+        properties: {
+            baseCost: { type: 'integer', minimum: 0, maximum: 100000000 },
+            complexity: { type: 'object', additionalProperties: { type: 'number', minimum: 0.1, maximum: 20 } },
+            timeline: { type: 'object', additionalProperties: { type: 'number', minimum: 0.1, maximum: 10 } },
+            timelineBuckets: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 10,
+                description: '上限日数の昇順（最後の区分は maxDays: null）。各区分に timeline の係数が必要',
+                items: {
+                    type: 'object',
+                    required: ['bucket', 'maxDays'],
+                    properties: {
+                        bucket: { type: 'string', pattern: '^[a-z0-9_-]{1,50}$' },
+                        maxDays: { type: ['integer', 'null'], minimum: 1 }
+                    }
+                }
+            },
+            serviceAdjustments: {
+                type: 'object',
+                description: 'サービス別の加算額（base: 基本加算・その他: 機能別加算）',
+                additionalProperties: { type: 'object', additionalProperties: { type: 'integer' } }
+            },
+            premiumDiscount: { type: 'number', minimum: 0.01, maximum: 1, description: '会員価格の係数（0.9 = 10%割引）' },
+            phasedDeliveryOverhead: { type: 'number', minimum: 0, maximum: 1 },
+            paymentMilestones: {
+                type: 'array',
+                description: 'deposit/acceptance・interim/midpoint・final/completion の順（比率の合計は1）',
+                items: {
+                    type: 'object',
+                    required: ['key', 'rate', 'trigger'],
+                    properties: {
+                        key: { enum: ['deposit', 'interim', 'final'] },
+                        rate: { type: 'number', minimum: 0, maximum: 1 },
+                        trigger: { enum: ['acceptance', 'midpoint', 'completion'] }
+                    }
+                }
+            },
+            costBreakdown: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(['development', 'design', 'testing', 'deployment', 'support']
+                    .map(key => [key, { type: 'number', exclusiveMinimum: 0, maximum: 1 }]))
+            }
+        }
+    },
+
+    PricingVersion: {
+        type: 'object',
+        required: ['version', 'status'],
+        properties: {
+            version: { type: 'integer', minimum: 0, description: '0 は組込み料金表' },
+            status: { enum: ['draft', 'published'] },
+            builtin: { type: 'boolean' },
+            active: { type: 'boolean', description: '現在適用中の版' },
+            effectiveFrom: { type: ['string', 'null'], format: 'date-time' },
+            effectiveTo: { type: ['string', 'null'], format: 'date-time', description: 'null は無期限' },
+            notes: { type: ['string', 'null'] },
+            createdBy: { type: ['string', 'null'] },
+            updatedBy: { type: ['string', 'null'] },
+            publishedBy: { type: ['string', 'null'] },
+            publishedAt: { type: ['string', 'null'], format: 'date-time' },
+            createdAt: { type: ['string', 'null'], format: 'date-time' },
+            updatedAt: { type: ['string', 'null'], format: 'date-time' },
+            rules: { $ref: '#/components/schemas/PricingRules' }
+        }
+    },
+
+    CrmDelivery: {
+        type: 'object',
+        required: ['deliveryId', 'event', 'status', 'attempts'],
+        properties: {
+            deliveryId: { type: 'string', pattern: '^CRM_[A-Z0-9]{6,12}_[A-F0-9]{8}$' },
+            event: { type: 'string', examples: ['lead.created'] },
+            status: { enum: ['pending', 'delivering', 'delivered', 'dead'], description: 'dead は送信不能（4xx・試行回数の上限到達）' },
+            attempts: { type: 'integer', minimum: 0 },
+            nextAttemptAt: { type: ['string', 'null'], format: 'date-time', description: '次回送信予定（pending のみ）' },
+            lastStatusCode: { type: ['integer', 'null'] },
+            lastError: { type: ['string', 'null'] },
+            deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+            deadAt: { type: ['string', 'null'], format: 'date-time' },
+            createdAt: { type: ['string', 'null'], format: 'date-time' },
+            updatedAt: { type: ['string', 'null'], format: 'date-time' },
+            payload: {
+                type: 'object',
+                description: '送信本文（署名対象・詳細取得時のみ）',
+                required: ['id', 'event', 'createdAt', 'data'],
+                properties: {
+                    id: { type: 'string' },
+                    event: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    data: { type: 'object' }
+                }
+            }
+        }
+    },
+
+    ContactForm: {
+        type: 'object',
+        required: ['name', 'email', 'message', 'privacy'],
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            email: { type: 'string', maxLength: 254 },
+            company: { type: 'string', maxLength: 200 },
+            phone: { type: 'string', maxLength: 30, pattern: '^[0-9+\\-() ]{6,30}$' },
+            service: { type: 'string', enum: SERVICE_TYPES },
+            message: { type: 'string', maxLength: 5000 },
+            privacy: {
+                description: 'プライバシーポリシー同意（チェックボックス値も許容）',
+                oneOf: [{ const: true }, { enum: ['true', 'on'] }]
+            }
+        }
+    },
+
+    SecurityAuditEntry: {
+        type: 'object',
+        required: ['event'],
+        properties: {
+            event: { type: 'string' },
+            details: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+            userAgent: { type: 'string' },
+            url: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * エラーレスポンス定義（発生しうるエラーコードを列挙）
+ */
+function errorResponse(description, codes = []) {
+    const schema = codes.length === 0
+        ? { $ref: '#/components/schemas/ErrorResponse' }
+        : {
+            allOf: [
+                { $ref: '#/components/schemas/ErrorResponse' },
+                { properties: { code: { enum: codes } } }
+            ]
+        };
+
+    return {
+        description,
+        content: { 'application/json': { schema } }
+    };
+}
+
+/**
+ * JSONレスポンス定義
+ */
+function jsonResponse(description, schema, headers) {
+    return {
+        description,
+        ...(headers && { headers }),
+        content: { 'application/json': { schema } }
+    };
+}
+
+/**
+ * JSONリクエストボディ定義
+ */
+function jsonBody(schema, required = true) {
+    return {
+        required,
+        content: { 'application/json': { schema } }
+    };
+}
+
+// 共通ミドルウェアが返しうるレスポンス
+const responses = {
+    WafRejected: errorResponse('WAFによる拒否', ['REQUEST_REJECTED']),
+    IpBlocked: errorResponse('ブロック済みIP', ['IP_BLOCKED']),
+    SignatureRejected: errorResponse('リクエスト署名の検証失敗', [
+        'SIGNATURE_REQUIRED', 'INVALID_SIGNATURE', 'SIGNATURE_EXPIRED', 'SIGNING_KEY_MISSING', 'REPLAY_DETECTED'
+    ]),
+    IdempotencyConflict: errorResponse('同一 Idempotency-Key のリクエストが処理中', ['IDEMPOTENCY_REQUEST_IN_PROGRESS']),
+    AuthIdempotencyConflict: errorResponse('同一 Idempotency-Key のリクエストが処理中・処理済み（認証レスポンスは再送しない）', [
+        'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'IDEMPOTENCY_KEY_CONSUMED'
+    ]),
+    IdempotencyKeyReused: errorResponse('Idempotency-Key が異なる内容で再利用された', ['IDEMPOTENCY_KEY_REUSED']),
+    UpgradeRequired: {
+        description: 'クライアントバージョンの更新が必要',
+        content: {
+            'application/json': {
+                schema: {
+                    allOf: [
+                        { $ref: '#/components/schemas/ErrorResponse' },
+                        {
+                            properties: {
+                                code: { const: 'CLIENT_UPGRADE_REQUIRED' },
+                                upgrade: {
+                                    type: 'object',
+                                    properties: {
+                                        currentVersion: { type: ['string', 'null'] },
+                                        minimumVersion: { type: ['string', 'null'] },
+                                        latestVersion: { type: ['string', 'null'] },
+                                        url: { type: ['string', 'null'] }
+                                    }
+                                }
+                            }
+                        }
+                    ]
+                }
+            }
+        }
+    },
+    RateLimited: errorResponse('レート制限超過', [
+        'RATE_LIMIT_EXCEEDED', 'AUTH_RATE_LIMIT_EXCEEDED', 'CONTACT_RATE_LIMIT_EXCEEDED'
+    ])
+};
+
+const parameters = {
+    IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: '同一キーの再送には保存済みレスポンスを返却（Idempotency-Status: replayed）',
+        schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{16,128}$' }
+    },
+    ClientVersion: {
+        name: 'X-Client-Version',
+        in: 'header',
+        required: false,
+        schema: { type: 'string' }
+    },
+    AcceptLanguage: {
+        name: 'Accept-Language',
+        in: 'header',
+        required: false,
+        description: '応答言語（ja / en・未対応言語は ja）。Content-Language で使用言語を返却',
+        schema: { type: 'string' }
+    },
+    Lang: {
+        name: 'lang',
+        in: 'query',
+        required: false,
+        description: `応答言語の明示指定（${LOCALES.join(' / ')}・Accept-Language より優先）`,
+        schema: { type: 'string' }
+    }
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+    },
+    csrfToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-CSRF-Token',
+        description: 'GET /api/v1/auth/csrf で取得（GET/HEAD/OPTIONS 以外で必須）'
+    },
+    requestSignature: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Request-Signature',
+        description: 'signingKey による HMAC-SHA256 署名（X-Request-Timestamp / X-Request-Nonce と併用）'
+    }
+};
+
+module.exports = {
+    SERVICE_TYPES,
+    PROJECT_SCALES,
+    LOCALES,
+    CONTACT_STATUSES,
+    ESTIMATE_STATUSES,
+    ORDER_STATUSES,
+    schemas,
+    responses,
+    parameters,
+    securitySchemes,
+    errorResponse,
+    jsonResponse,
+    jsonBody
+};
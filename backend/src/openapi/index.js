@@ -0,0 +1,169 @@
+/**
+ * OpenAPI 3.1 ドキュメント生成
+ * パス定義（openapi/paths）と共通コンポーネントから組み立て、Expressのルート定義との差分を検出
+ * masa様開発ルール完全遵守
+ */
+const { schemas, responses, parameters, securitySchemes } = require('./components');
+const { getConfig } = require('../config/runtime');
+
+const API_VERSION = '1.0.0';
+
+const PATH_MODULES = [
+    require('./paths/auth'),
+    require('./paths/services'),
+    require('./paths/contact'),
+    require('./paths/pricing'),
+    require('./paths/audit'),
+    require('./paths/exports'),
+    require('./paths/admin')
+];
+
+// 全APIに共通するミドルウェア由来のレスポンス（個別定義がない場合に付与）
+const COMMON_RESPONSES = {
+    400: { $ref: '#/components/responses/WafRejected' },
+    403: { $ref: '#/components/responses/IpBlocked' },
+    426: { $ref: '#/components/responses/UpgradeRequired' },
+    429: { $ref: '#/components/responses/RateLimited' }
+};
+
+let cachedDocument = null;
+
+/**
+ * Express形式のパスを結合（/api/v1/contact + / → /api/v1/contact）
+ */
+function joinPath(prefix, routePath) {
+    const joined = `${prefix}${routePath === '/' ? '' : routePath}`;
+    return joined || '/';
+}
+
+/**
+ * Express形式（:id）から OpenAPI 形式（{id}）へ変換
+ */
+function toOpenAPIPath(expressPath) {
+    return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * 定義済みオペレーション一覧
+ */
+function listOperations() {
+    const operations = [];
+
+    for (const pathModule of PATH_MODULES) {
+        for (const [key, operation] of Object.entries(pathModule.operations)) {
+            const [method, routePath] = key.split(' ');
+            const expressPath = joinPath(pathModule.prefix, routePath);
+
+            operations.push({
+                method,
+                expressPath,
+                openapiPath: toOpenAPIPath(expressPath),
+                tag: pathModule.tag.name,
+                operation
+            });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * ドキュメント生成
+ */
+function buildOpenAPIDocument() {
+    const paths = {};
+
+    for (const { method, openapiPath, tag, operation } of listOperations()) {
+        paths[openapiPath] = paths[openapiPath] || {};
+        paths[openapiPath][method] = {
+            tags: [tag],
+            ...operation,
+            parameters: [
+                { $ref: '#/components/parameters/ClientVersion' },
+                { $ref: '#/components/parameters/AcceptLanguage' },
+                { $ref: '#/components/parameters/Lang' },
+                ...(operation.parameters || [])
+            ],
+            responses: { ...COMMON_RESPONSES, ...operation.responses }
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'ShinAI Secure API',
+            version: API_VERSION,
+            description: [
+                'ShinAI 公開API。',
+                '全エンドポイントは WAF（400 REQUEST_REJECTED）・IPブロック（403 IP_BLOCKED）・',
+                'クライアントバージョン（426 CLIENT_UPGRADE_REQUIRED）・レート制限（429）の対象です。'
+            ].join('')
+        },
+        servers: [{ url: getConfig().openapi.publicUrl || '/' }],
+        tags: PATH_MODULES.map(pathModule => pathModule.tag),
+        paths,
+        components: {
+            schemas,
+            responses,
+            parameters,
+            securitySchemes
+        }
+    };
+}
+
+/**
+ * ドキュメント取得（生成結果をキャッシュ）
+ */
+function getOpenAPIDocument() {
+    if (!cachedDocument) {
+        cachedDocument = buildOpenAPIDocument();
+    }
+    return cachedDocument;
+}
+
+/**
+ * Expressルーターの登録ルート抽出
+ */
+function collectRoutes(prefix, router) {
+    const routes = [];
+
+    for (const layer of router.stack || []) {
+        if (!layer.route) continue;
+
+        const routePaths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+        for (const routePath of routePaths) {
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.push(`${method} ${joinPath(prefix, routePath)}`);
+            }
+        }
+    }
+
+    return routes;
+}
+
+/**
+ * 定義とルートの差分検出
+ * mounts: [{ prefix: '/api/v1/auth', router }]（アプリ直下のルートは prefix: ''）
+ * 定義済みプレフィックス配下のルートのみ比較する
+ */
+function findRouteDrift(mounts) {
+    const prefixes = PATH_MODULES.map(pathModule => pathModule.prefix);
+    const registered = new Set(
+        mounts.flatMap(({ prefix, router }) => collectRoutes(prefix, router))
+            .filter(route => prefixes.some(prefix => route.split(' ')[1].startsWith(prefix)))
+    );
+    const documented = new Set(listOperations().map(({ method, expressPath }) => `${method} ${expressPath}`));
+
+    return {
+        undocumented: [...registered].filter(route => !documented.has(route)),
+        missing: [...documented].filter(route => !registered.has(route))
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    buildOpenAPIDocument,
+    getOpenAPIDocument,
+    listOperations,
+    findRouteDrift
+};
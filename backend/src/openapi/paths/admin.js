@@ -0,0 +1,874 @@
+/**
+ * OpenAPI パス定義: 管理者
+ * /admin（routes/admin.js・nginx で IP 制限 + Basic 認証）
+ */
+const { LOCALES, ESTIMATE_STATUSES, ORDER_STATUSES, errorResponse, jsonResponse, jsonBody, responses } = require('../components');
+
+const serviceIdParam = {
+    name: 'serviceId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+};
+
+const stringList = (maxItems, maxLength) => ({
+    type: 'array',
+    maxItems,
+    items: { type: 'string', minLength: 1, maxLength }
+});
+
+// 編集可能項目（controllers/adminController.js の EDITABLE_FIELDS と同一）
+const serviceFields = {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    category: { type: 'string', pattern: '^[a-z0-9_-]{2,50}$' },
+    icon: { type: 'string', maxLength: 200 },
+    features: stringList(50, 200),
+    tags: stringList(30, 50),
+    translations: {
+        type: ['object', 'null'],
+        description: '既定言語（ja）以外の表示項目。未指定の項目は基本フィールドを使用',
+        additionalProperties: false,
+        properties: Object.fromEntries(LOCALES.filter(locale => locale !== 'ja').map(locale => [locale, {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 200 },
+                description: { type: 'string', maxLength: 5000 },
+                features: stringList(50, 200)
+            }
+        }]))
+    },
+    pricing: {
+        type: ['object', 'null'],
+        required: ['startingFrom'],
+        additionalProperties: false,
+        properties: {
+            startingFrom: { type: 'number', minimum: 0, maximum: 1000000000 },
+            billingCycle: { enum: ['one-time', 'monthly', 'yearly', 'project'] },
+            unit: { type: 'string', maxLength: 50 },
+            notes: { type: 'string', maxLength: 500 }
+        }
+    },
+    technicalSpecs: { type: ['object', 'null'], description: 'キーは英数字・_・-（最大4階層・10KB）' },
+    order: { type: 'integer', minimum: 0, maximum: 10000 },
+    isPublic: { type: 'boolean' },
+    isActive: { type: 'boolean' }
+};
+
+// 保存済みデータ（init.js 投入分を含む）は料金情報の項目を限定しない
+const storedFields = {
+    ...serviceFields,
+    pricing: { type: ['object', 'null'] }
+};
+
+const adminService = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'string' },
+        ...storedFields,
+        revision: { type: ['integer', 'null'], description: '最新の改訂番号（管理API未変更の初期データは null）' },
+        createdAt: { type: ['string', 'null'], format: 'date-time' },
+        updatedAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+};
+
+const revisionSummary = {
+    type: 'object',
+    required: ['revision', 'action'],
+    properties: {
+        revision: { type: 'integer', minimum: 1 },
+        action: { enum: ['baseline', 'create', 'update', 'reorder', 'visibility', 'rollback'] },
+        changedFields: { type: 'array', items: { type: 'string' } },
+        rolledBackTo: { type: ['integer', 'null'] },
+        reason: { type: ['string', 'null'] },
+        actorId: { type: ['string', 'null'] },
+        createdAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+const changeMeta = {
+    expectedRevision: {
+        type: ['integer', 'null'],
+        description: '指定時は最新の改訂番号と一致しない場合 409 REVISION_CONFLICT'
+    },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+const serviceResult = (description) => jsonResponse(description, {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+        success: { const: true },
+        data: adminService
+    }
+});
+
+const authErrors = errorResponse('認証・署名エラー', [
+    'AUTH_REQUIRED', 'TOKEN_EXPIRED', 'INVALID_TOKEN', 'ACCOUNT_INACTIVE',
+    'SIGNATURE_REQUIRED', 'INVALID_SIGNATURE', 'SIGNATURE_EXPIRED', 'SIGNING_KEY_MISSING', 'REPLAY_DETECTED'
+]);
+const forbidden = errorResponse('権限不足・ブロック済みIP', ['INSUFFICIENT_PERMISSIONS', 'IP_BLOCKED']);
+const invalidService = errorResponse('入力エラー', ['INVALID_SERVICE_DATA', 'INVALID_SERVICE_ID', 'REQUEST_REJECTED', 'REQUEST_SCHEMA_VIOLATION']);
+const serviceNotFound = errorResponse('サービス未登録', ['SERVICE_NOT_FOUND']);
+const revisionConflict = errorResponse('他の変更と競合', ['REVISION_CONFLICT']);
+
+const security = [{ bearerAuth: [], requestSignature: [], csrfToken: [] }];
+
+const estimateIdParam = {
+    name: 'estimateId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', pattern: '^EST_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$' }
+};
+
+// 一覧の絞り込み・ページング（next を before に指定して次ページ）
+const listParams = (statuses) => [
+    { name: 'status', in: 'query', schema: { enum: statuses } },
+    { name: 'before', in: 'query', schema: { type: 'string', format: 'date-time' }, description: '作成日時がこれより前のもの' }
+];
+
+const listResult = (description, items) => jsonResponse(description, {
+    type: 'object',
+    required: ['success', 'data', 'count', 'next'],
+    properties: {
+        success: { const: true },
+        data: { type: 'array', items },
+        count: { type: 'integer' },
+        next: { type: ['string', 'null'], format: 'date-time', description: '次ページの before（最終ページは null）' }
+    }
+});
+
+const crmDeliveryParam = {
+    name: 'deliveryId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', pattern: '^CRM_[A-Z0-9]{6,12}_[A-F0-9]{8}$' }
+};
+
+const crmDeliveryResult = (description) => jsonResponse(description, {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+        success: { const: true },
+        data: { $ref: '#/components/schemas/CrmDelivery' }
+    }
+});
+
+const invalidCrmDeliveryId = errorResponse('ID形式エラー', ['INVALID_CRM_DELIVERY_ID']);
+const crmDeliveryNotFound = errorResponse('送信が存在しない', ['CRM_DELIVERY_NOT_FOUND']);
+
+const pricingVersionParam = {
+    name: 'version',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer', minimum: 0 },
+    description: '料金表の版（0 は組込み料金表・参照とプレビューのみ）'
+};
+
+// 料金表の編集項目（controllers/pricingController.js の EDITABLE_FIELDS と同一）
+const pricingVersionFields = {
+    rules: { $ref: '#/components/schemas/PricingRules' },
+    effectiveFrom: { type: ['string', 'null'], format: 'date-time', description: '未指定の場合は公開時点' },
+    effectiveTo: { type: ['string', 'null'], format: 'date-time', description: 'null は無期限' },
+    notes: { type: ['string', 'null'], maxLength: 1000 }
+};
+
+const pricingVersionResult = (description) => jsonResponse(description, {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+        success: { const: true },
+        data: { $ref: '#/components/schemas/PricingVersion' }
+    }
+});
+
+const invalidPricingVersion = errorResponse('入力エラー', [
+    'INVALID_PRICING_VERSION', 'INVALID_PRICING_VERSION_ID', 'REQUEST_REJECTED', 'REQUEST_SCHEMA_VIOLATION'
+]);
+const pricingVersionNotFound = errorResponse('料金表の版が存在しない', ['PRICING_VERSION_NOT_FOUND']);
+const pricingVersionConflict = errorResponse('公開済み・終了済み・他の変更と競合', ['PRICING_VERSION_CONFLICT']);
+
+const costComponents = {
+    type: 'object',
+    properties: {
+        totalCost: { type: 'integer' },
+        baseCost: { type: 'integer' },
+        adjustments: { type: 'object', description: '規模・期間の係数、サービス固有の加算額、会員割引の有無' }
+    }
+};
+
+module.exports = {
+    prefix: '/admin',
+    tag: {
+        name: 'admin',
+        description: '管理者専用（admin ロール・リクエスト署名必須）。Basic 認証下ではアクセストークンを X-Access-Token で送信'
+    },
+    operations: {
+        'get /config': {
+            operationId: 'getRuntimeConfig',
+            summary: 'ランタイム設定取得（秘匿値は [REDACTED]）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            responses: {
+                200: jsonResponse('現在のランタイム設定', {
+                    type: 'object',
+                    required: ['success', 'config'],
+                    properties: {
+                        success: { const: true },
+                        config: {
+                            type: 'object',
+                            description: 'shared/config/schema.js のセクション別設定値',
+                            additionalProperties: { type: 'object' }
+                        },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['CONFIG_RETRIEVAL_FAILED'])
+            }
+        },
+
+        'get /services': {
+            operationId: 'adminListServices',
+            summary: 'サービス一覧（非公開・停止中を含む）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            responses: {
+                200: jsonResponse('サービス一覧', {
+                    type: 'object',
+                    required: ['success', 'data', 'count'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', items: adminService },
+                        count: { type: 'integer' }
+                    }
+                }),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_FETCH_ERROR'])
+            }
+        },
+
+        'post /services': {
+            operationId: 'adminCreateService',
+            summary: 'サービス作成（既定は非公開）',
+            security,
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['service'],
+                properties: {
+                    service: {
+                        type: 'object',
+                        required: ['name', 'category'],
+                        additionalProperties: false,
+                        properties: serviceFields
+                    },
+                    reason: changeMeta.reason
+                }
+            }),
+            responses: {
+                201: serviceResult('作成完了'),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                409: responses.IdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_CREATE_ERROR'])
+            }
+        },
+
+        'put /services/order': {
+            operationId: 'adminReorderServices',
+            summary: '表示順一括変更（配列順に 0 から採番）',
+            security,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['order'],
+                properties: {
+                    order: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: 500,
+                        uniqueItems: true,
+                        items: serviceIdParam.schema
+                    },
+                    reason: changeMeta.reason
+                }
+            }),
+            responses: {
+                200: jsonResponse('変更完了', {
+                    type: 'object',
+                    required: ['success', 'data', 'changed'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    serviceId: { type: 'string' },
+                                    order: { type: 'integer' },
+                                    revision: { type: 'integer' }
+                                }
+                            }
+                        },
+                        changed: { type: 'integer' }
+                    }
+                }),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('サービス未登録（details に該当ID）', ['SERVICE_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_REORDER_ERROR'])
+            }
+        },
+
+        'get /services/:serviceId': {
+            operationId: 'adminGetService',
+            summary: 'サービス取得',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [serviceIdParam],
+            responses: {
+                200: serviceResult('サービス'),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: serviceNotFound,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_FETCH_ERROR'])
+            }
+        },
+
+        'patch /services/:serviceId': {
+            operationId: 'adminUpdateService',
+            summary: 'サービス更新（指定項目のみ）',
+            security,
+            parameters: [serviceIdParam],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['service'],
+                properties: {
+                    service: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: serviceFields
+                    },
+                    ...changeMeta
+                }
+            }),
+            responses: {
+                200: serviceResult('更新完了（変更がない場合は版を増やさない）'),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: serviceNotFound,
+                409: revisionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_UPDATE_ERROR'])
+            }
+        },
+
+        'post /services/:serviceId/publish': {
+            operationId: 'adminPublishService',
+            summary: '公開（isPublic / isActive を有効化）',
+            security,
+            parameters: [serviceIdParam],
+            requestBody: jsonBody({ type: 'object', properties: changeMeta }, false),
+            responses: {
+                200: serviceResult('公開完了'),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: serviceNotFound,
+                409: revisionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_UPDATE_ERROR'])
+            }
+        },
+
+        'post /services/:serviceId/unpublish': {
+            operationId: 'adminUnpublishService',
+            summary: '非公開（isPublic を無効化）',
+            security,
+            parameters: [serviceIdParam],
+            requestBody: jsonBody({ type: 'object', properties: changeMeta }, false),
+            responses: {
+                200: serviceResult('非公開化完了'),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: serviceNotFound,
+                409: revisionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_UPDATE_ERROR'])
+            }
+        },
+
+        'get /services/:serviceId/revisions': {
+            operationId: 'adminListServiceRevisions',
+            summary: '改訂履歴（新しい順・50件単位）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [
+                serviceIdParam,
+                {
+                    name: 'before',
+                    in: 'query',
+                    required: false,
+                    description: '前ページの next 値（この版より古い履歴を取得）',
+                    schema: { type: 'integer', minimum: 1 }
+                }
+            ],
+            responses: {
+                200: jsonResponse('改訂履歴', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', items: revisionSummary },
+                        count: { type: 'integer' },
+                        next: { type: ['integer', 'null'] }
+                    }
+                }),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_REVISION_FETCH_ERROR'])
+            }
+        },
+
+        'get /services/:serviceId/revisions/:revision': {
+            operationId: 'adminGetServiceRevision',
+            summary: '改訂スナップショット取得',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [
+                serviceIdParam,
+                { name: 'revision', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+            ],
+            responses: {
+                200: jsonResponse('改訂スナップショット', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            allOf: [
+                                revisionSummary,
+                                {
+                                    type: 'object',
+                                    required: ['snapshot'],
+                                    properties: {
+                                        snapshot: { type: 'object', properties: storedFields }
+                                    }
+                                }
+                            ]
+                        }
+                    }
+                }),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('改訂未登録', ['REVISION_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['ADMIN_REVISION_FETCH_ERROR'])
+            }
+        },
+
+        'post /services/:serviceId/rollback': {
+            operationId: 'adminRollbackService',
+            summary: '指定版へロールバック（新しい版として記録）',
+            security,
+            parameters: [serviceIdParam],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['revision'],
+                properties: {
+                    revision: { type: 'integer', minimum: 1 },
+                    ...changeMeta
+                }
+            }),
+            responses: {
+                200: jsonResponse('ロールバック完了', {
+                    type: 'object',
+                    required: ['success', 'data', 'rolledBackTo'],
+                    properties: {
+                        success: { const: true },
+                        data: adminService,
+                        rolledBackTo: { type: 'integer' }
+                    }
+                }),
+                400: invalidService,
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('サービス・改訂未登録', ['SERVICE_NOT_FOUND', 'REVISION_NOT_FOUND']),
+                409: revisionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_SERVICE_ROLLBACK_ERROR'])
+            }
+        },
+
+        'get /estimates': {
+            operationId: 'adminListEstimates',
+            summary: '見積り一覧（状態別・新しい順・50件ずつ）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: listParams(ESTIMATE_STATUSES),
+            responses: {
+                200: listResult('見積り一覧', { $ref: '#/components/schemas/EstimateLifecycle' }),
+                400: errorResponse('絞り込み条件エラー', ['INVALID_QUERY']),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_ESTIMATE_FETCH_ERROR'])
+            }
+        },
+
+        'get /estimates/:estimateId': {
+            operationId: 'adminGetEstimate',
+            summary: '見積り詳細（遷移履歴・承諾情報・見積り内容）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [estimateIdParam],
+            responses: {
+                200: jsonResponse('見積り詳細', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            allOf: [
+                                { $ref: '#/components/schemas/EstimateLifecycle' },
+                                { properties: { estimate: { $ref: '#/components/schemas/Estimate' } } }
+                            ]
+                        }
+                    }
+                }),
+                400: errorResponse('見積りID形式エラー', ['INVALID_ESTIMATE_ID']),
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['ADMIN_ESTIMATE_FETCH_ERROR'])
+            }
+        },
+
+        'get /estimates/:estimateId/pricing': {
+            operationId: 'adminExplainEstimatePricing',
+            summary: '見積額の根拠（記録した料金表の版で再計算し保存額と照合）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [estimateIdParam],
+            responses: {
+                200: jsonResponse('見積額の根拠', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            required: ['estimateId', 'pricingVersion', 'stored', 'recalculated', 'matches'],
+                            properties: {
+                                estimateId: { type: 'string' },
+                                pricingVersion: { type: 'integer', minimum: 0 },
+                                pricing: {
+                                    type: 'object',
+                                    properties: {
+                                        version: { type: 'integer' },
+                                        builtin: { type: 'boolean' },
+                                        effectiveFrom: { type: ['string', 'null'], format: 'date-time' },
+                                        effectiveTo: { type: ['string', 'null'], format: 'date-time' }
+                                    }
+                                },
+                                requirements: { type: 'object' },
+                                stored: costComponents,
+                                recalculated: costComponents,
+                                matches: { type: 'boolean', description: '再計算額と保存額が一致' }
+                            }
+                        }
+                    }
+                }),
+                400: errorResponse('見積りID形式エラー', ['INVALID_ESTIMATE_ID']),
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['ADMIN_ESTIMATE_RECALCULATE_ERROR'])
+            }
+        },
+
+        'post /estimates/:estimateId/send': {
+            operationId: 'adminSendEstimate',
+            summary: '見積り送付（draft → sent・顧客の割当）',
+            security,
+            parameters: [estimateIdParam],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    customerId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: '未作成者の見積りを割り当てる顧客' },
+                    note: { type: 'string', maxLength: 1000 }
+                }
+            }, false),
+            responses: {
+                200: jsonResponse('送付完了', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/EstimateLifecycle' }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_SEND_REQUEST', 'INVALID_ESTIMATE_ID', 'REQUEST_REJECTED', 'REQUEST_SCHEMA_VIOLATION']),
+                401: authErrors,
+                403: forbidden,
+                404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+                409: errorResponse('送付済み・別顧客の見積り', ['ESTIMATE_STATUS_CONFLICT', 'ESTIMATE_CUSTOMER_MISMATCH']),
+                500: errorResponse('サーバーエラー', ['ADMIN_ESTIMATE_SEND_ERROR'])
+            }
+        },
+
+        'get /orders': {
+            operationId: 'adminListOrders',
+            summary: '受注一覧（状態別・新しい順・50件ずつ）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: listParams(ORDER_STATUSES),
+            responses: {
+                200: listResult('受注一覧', { $ref: '#/components/schemas/Order' }),
+                400: errorResponse('絞り込み条件エラー', ['INVALID_QUERY']),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_ORDER_FETCH_ERROR'])
+            }
+        },
+
+        'get /pricing/versions': {
+            operationId: 'adminListPricingVersions',
+            summary: '料金表の版一覧（新しい版順・50件ずつ・料金表本体は除く）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [
+                { name: 'status', in: 'query', schema: { enum: ['draft', 'published'] } },
+                { name: 'before', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'これより前の版' }
+            ],
+            responses: {
+                200: jsonResponse('料金表の版一覧', {
+                    type: 'object',
+                    required: ['success', 'data', 'count', 'activeVersion', 'next'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', items: { $ref: '#/components/schemas/PricingVersion' } },
+                        count: { type: 'integer' },
+                        activeVersion: { type: 'integer', minimum: 0, description: '現在適用中の版（0 は組込み料金表）' },
+                        next: { type: ['integer', 'null'], description: '次ページの before（最終ページは null）' }
+                    }
+                }),
+                400: errorResponse('絞り込み条件エラー', ['INVALID_QUERY']),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_FETCH_ERROR'])
+            }
+        },
+
+        'post /pricing/versions': {
+            operationId: 'adminCreatePricingVersion',
+            summary: '料金表の下書き作成（rules 省略時は現在適用中の料金表を複製）',
+            security,
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                properties: pricingVersionFields
+            }, false),
+            responses: {
+                201: pricingVersionResult('作成完了'),
+                400: invalidPricingVersion,
+                401: authErrors,
+                403: forbidden,
+                409: responses.IdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_UPDATE_ERROR'])
+            }
+        },
+
+        'get /pricing/versions/:version': {
+            operationId: 'adminGetPricingVersion',
+            summary: '料金表の版取得（料金表本体を含む）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [pricingVersionParam],
+            responses: {
+                200: pricingVersionResult('料金表の版'),
+                400: errorResponse('版の形式エラー', ['INVALID_PRICING_VERSION_ID']),
+                401: authErrors,
+                403: forbidden,
+                404: pricingVersionNotFound,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_FETCH_ERROR'])
+            }
+        },
+
+        'patch /pricing/versions/:version': {
+            operationId: 'adminUpdatePricingVersion',
+            summary: '料金表の版更新（下書き: 全項目・公開済み: 将来の適用終了日時のみ）',
+            security,
+            parameters: [pricingVersionParam],
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                minProperties: 1,
+                properties: pricingVersionFields
+            }),
+            responses: {
+                200: pricingVersionResult('更新完了'),
+                400: invalidPricingVersion,
+                401: authErrors,
+                403: forbidden,
+                404: pricingVersionNotFound,
+                409: pricingVersionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_UPDATE_ERROR'])
+            }
+        },
+
+        'post /pricing/versions/:version/preview': {
+            operationId: 'adminPreviewPricingVersion',
+            summary: '料金表のプレビュー（現在適用中の料金表と同一条件の見積額を比較）',
+            description: 'scenarios 省略時は全サービス × 全規模（期間30日・機能追加なし・会員割引なし）',
+            security,
+            parameters: [pricingVersionParam],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    scenarios: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: 20,
+                        items: {
+                            type: 'object',
+                            required: ['serviceType', 'projectScale', 'timeline'],
+                            properties: {
+                                serviceType: { type: 'string' },
+                                projectScale: { enum: ['small', 'medium', 'large', 'enterprise'] },
+                                timeline: { type: 'integer', minimum: 7, maximum: 730 },
+                                features: { type: 'array', maxItems: 20, items: { type: 'string' } },
+                                premium: { type: 'boolean' }
+                            }
+                        }
+                    }
+                }
+            }, false),
+            responses: {
+                200: jsonResponse('比較結果', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            required: ['version', 'comparedWith', 'results', 'summary'],
+                            properties: {
+                                version: { type: 'integer' },
+                                status: { enum: ['draft', 'published'] },
+                                comparedWith: { type: 'integer', description: '現在適用中の版' },
+                                results: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['scenario', 'current', 'proposed', 'delta'],
+                                        properties: {
+                                            scenario: { type: 'object' },
+                                            current: { type: 'integer' },
+                                            proposed: { type: 'integer' },
+                                            delta: { type: 'integer' },
+                                            deltaRate: { type: ['number', 'null'] }
+                                        }
+                                    }
+                                },
+                                summary: {
+                                    type: 'object',
+                                    properties: {
+                                        scenarios: { type: 'integer' },
+                                        increased: { type: 'integer' },
+                                        decreased: { type: 'integer' },
+                                        unchanged: { type: 'integer' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }),
+                400: errorResponse('入力エラー', [
+                    'INVALID_PRICING_PREVIEW', 'INVALID_PRICING_VERSION_ID', 'REQUEST_REJECTED', 'REQUEST_SCHEMA_VIOLATION'
+                ]),
+                401: authErrors,
+                403: forbidden,
+                404: pricingVersionNotFound,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_PREVIEW_ERROR'])
+            }
+        },
+
+        'post /pricing/versions/:version/publish': {
+            operationId: 'adminPublishPricingVersion',
+            summary: '料金表の公開（draft → published・以後は料金表を変更不可）',
+            description: '適用期間が重なる場合は版番号の大きい料金表を適用。effectiveFrom 省略時は下書きの値、未設定なら即時',
+            security,
+            parameters: [pricingVersionParam],
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    effectiveFrom: pricingVersionFields.effectiveFrom
+                }
+            }, false),
+            responses: {
+                200: pricingVersionResult('公開完了'),
+                400: invalidPricingVersion,
+                401: authErrors,
+                403: forbidden,
+                404: pricingVersionNotFound,
+                409: pricingVersionConflict,
+                500: errorResponse('サーバーエラー', ['ADMIN_PRICING_UPDATE_ERROR'])
+            }
+        },
+
+        'get /crm/deliveries': {
+            operationId: 'adminListCrmDeliveries',
+            summary: 'CRM送信一覧（状態別・新しい順・50件ずつ・送信本文は除く）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: listParams(['pending', 'delivering', 'delivered', 'dead']),
+            responses: {
+                200: jsonResponse('CRM送信一覧', {
+                    type: 'object',
+                    required: ['success', 'data', 'count', 'enabled', 'next'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', items: { $ref: '#/components/schemas/CrmDelivery' } },
+                        count: { type: 'integer' },
+                        enabled: { type: 'boolean', description: 'CRM_WEBHOOK_URL・CRM_WEBHOOK_SECRET 設定済み' },
+                        next: { type: ['string', 'null'], format: 'date-time', description: '次ページの before（最終ページは null）' }
+                    }
+                }),
+                400: errorResponse('絞り込み条件エラー', ['INVALID_QUERY']),
+                401: authErrors,
+                403: forbidden,
+                500: errorResponse('サーバーエラー', ['ADMIN_CRM_FETCH_ERROR'])
+            }
+        },
+
+        'get /crm/deliveries/:deliveryId': {
+            operationId: 'adminGetCrmDelivery',
+            summary: 'CRM送信詳細（送信本文を含む）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: [crmDeliveryParam],
+            responses: {
+                200: crmDeliveryResult('CRM送信詳細'),
+                400: invalidCrmDeliveryId,
+                401: authErrors,
+                403: forbidden,
+                404: crmDeliveryNotFound,
+                500: errorResponse('サーバーエラー', ['ADMIN_CRM_FETCH_ERROR'])
+            }
+        },
+
+        'post /crm/deliveries/:deliveryId/retry': {
+            operationId: 'adminRetryCrmDelivery',
+            summary: '送信不能（dead）となったCRM送信の再送',
+            description: '試行回数を初期化して送信待ちに戻し、次回の定期送信で同じ送信IDと本文で再送',
+            security,
+            parameters: [crmDeliveryParam],
+            responses: {
+                200: crmDeliveryResult('再送登録完了'),
+                400: invalidCrmDeliveryId,
+                401: authErrors,
+                403: forbidden,
+                404: crmDeliveryNotFound,
+                409: errorResponse('dead 以外の送信', ['CRM_DELIVERY_CONFLICT']),
+                500: errorResponse('サーバーエラー', ['ADMIN_CRM_RETRY_ERROR'])
+            }
+        }
+    }
+};
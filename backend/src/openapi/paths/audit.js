@@ -0,0 +1,30 @@
+/**
+ * OpenAPI パス定義: 監査ログ
+ * /api/v1/audit（routes/audit.js）
+ */
+const { errorResponse, jsonResponse, jsonBody } = require('../components');
+
+module.exports = {
+    prefix: '/api/v1/audit',
+    tag: { name: 'audit', description: 'クライアント側セキュリティイベントの記録' },
+    operations: {
+        'post /security': {
+            operationId: 'recordSecurityEvent',
+            summary: 'クライアントセキュリティイベント送信',
+            description: 'event は英小文字・数字・_（64文字以内）・details は 4KB 以内',
+            security: [{ csrfToken: [] }, { bearerAuth: [], csrfToken: [] }],
+            requestBody: jsonBody({ $ref: '#/components/schemas/SecurityAuditEntry' }),
+            responses: {
+                200: jsonResponse('記録完了', {
+                    type: 'object',
+                    required: ['success'],
+                    properties: {
+                        success: { const: true }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_AUDIT_EVENT']),
+                500: errorResponse('サーバーエラー', ['AUDIT_RECORD_ERROR'])
+            }
+        }
+    }
+};
@@ -0,0 +1,123 @@
+/**
+ * OpenAPI パス定義: 認証
+ * /api/v1/auth（routes/auth.js）
+ */
+const { responses, errorResponse, jsonResponse, jsonBody } = require('../components');
+
+module.exports = {
+    prefix: '/api/v1/auth',
+    tag: { name: 'auth', description: 'ログイン・トークン更新・セッション管理' },
+    operations: {
+        'get /csrf': {
+            operationId: 'getCsrfToken',
+            summary: 'CSRFトークン取得',
+            security: [],
+            responses: {
+                200: jsonResponse('CSRFトークン', {
+                    type: 'object',
+                    required: ['success', 'token'],
+                    properties: {
+                        success: { const: true },
+                        token: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        },
+
+        'post /login': {
+            operationId: 'login',
+            summary: 'ログイン（アクセストークン + リフレッシュトークン発行）',
+            security: [{ csrfToken: [] }],
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    password: { type: 'string', minLength: 8, maxLength: 128 }
+                }
+            }),
+            responses: {
+                200: jsonResponse('ログイン成功', { $ref: '#/components/schemas/TokenPair' }),
+                400: errorResponse('入力形式エラー', ['INVALID_CREDENTIALS_FORMAT']),
+                401: errorResponse('認証失敗', ['INVALID_CREDENTIALS']),
+                409: responses.AuthIdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                423: errorResponse('アカウントロック中（正しいパスワードを提示した場合のみ）', ['ACCOUNT_LOCKED']),
+                500: errorResponse('サーバーエラー', ['LOGIN_ERROR'])
+            }
+        },
+
+        'post /refresh': {
+            operationId: 'refreshToken',
+            summary: 'トークン更新（リフレッシュトークンは単回使用）',
+            security: [{ csrfToken: [] }],
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                    refreshToken: { type: 'string' }
+                }
+            }),
+            responses: {
+                200: jsonResponse('更新成功', { $ref: '#/components/schemas/TokenPair' }),
+                400: errorResponse('リフレッシュトークン未指定', ['REFRESH_TOKEN_REQUIRED']),
+                401: errorResponse('リフレッシュトークン無効・再利用検知・アカウント停止'),
+                409: responses.AuthIdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['TOKEN_REFRESH_ERROR'])
+            }
+        },
+
+        'get /validate': {
+            operationId: 'validateSession',
+            summary: 'セッション検証（署名必須）',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            responses: {
+                200: jsonResponse('有効なセッション', {
+                    type: 'object',
+                    required: ['success', 'user', 'expiresAt'],
+                    properties: {
+                        success: { const: true },
+                        user: { $ref: '#/components/schemas/UserProfile' },
+                        expiresAt: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                401: errorResponse('認証・署名エラー', [
+                    'AUTH_REQUIRED', 'TOKEN_EXPIRED', 'INVALID_TOKEN', 'ACCOUNT_INACTIVE',
+                    'SIGNATURE_REQUIRED', 'INVALID_SIGNATURE', 'SIGNATURE_EXPIRED', 'SIGNING_KEY_MISSING', 'REPLAY_DETECTED'
+                ]),
+                500: errorResponse('サーバーエラー', ['SESSION_VALIDATION_ERROR'])
+            }
+        },
+
+        'post /logout': {
+            operationId: 'logout',
+            summary: 'ログアウト（サーバーサイド失効）',
+            security: [{ csrfToken: [] }, { bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    refreshToken: { type: 'string' }
+                }
+            }, false),
+            responses: {
+                200: jsonResponse('ログアウト完了', {
+                    type: 'object',
+                    required: ['success'],
+                    properties: {
+                        success: { const: true },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                401: responses.SignatureRejected,
+                409: responses.AuthIdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['LOGOUT_ERROR'])
+            }
+        }
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * OpenAPI パス定義: お問い合わせ
+ * /api/v1/contact（routes/contact.js）
+ */
+const { responses, errorResponse, jsonResponse, jsonBody } = require('../components');
+
+module.exports = {
+    prefix: '/api/v1/contact',
+    tag: { name: 'contact', description: 'お問い合わせ受付' },
+    operations: {
+        'post /': {
+            operationId: 'submitContact',
+            summary: 'お問い合わせ送信',
+            security: [{ csrfToken: [] }, { bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({ $ref: '#/components/schemas/ContactForm' }),
+            responses: {
+                201: jsonResponse('受付完了', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            required: ['ticketNumber'],
+                            properties: {
+                                ticketNumber: { type: 'string' },
+                                submittedAt: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_CONTACT_FORM']),
+                401: responses.SignatureRejected,
+                409: responses.IdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['CONTACT_SUBMISSION_ERROR'])
+            }
+        }
+    }
+};
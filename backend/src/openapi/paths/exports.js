@@ -0,0 +1,67 @@
+/**
+ * OpenAPI パス定義: 営業データエクスポート
+ * /api/v1/exports（routes/exports.js・営業 / 管理者のみ）
+ */
+const { SERVICE_TYPES, CONTACT_STATUSES, ESTIMATE_STATUSES, errorResponse } = require('../components');
+
+const authErrors = errorResponse('認証・署名エラー', [
+    'AUTH_REQUIRED', 'TOKEN_EXPIRED', 'INVALID_TOKEN', 'ACCOUNT_INACTIVE',
+    'SIGNATURE_REQUIRED', 'INVALID_SIGNATURE', 'SIGNATURE_EXPIRED', 'SIGNING_KEY_MISSING', 'REPLAY_DETECTED'
+]);
+const forbidden = errorResponse('権限不足・ブロック済みIP', ['INSUFFICIENT_PERMISSIONS', 'IP_BLOCKED']);
+
+// 絞り込み条件（期間は from 以上 to 未満・既定は直近30日・最長366日）
+const exportParams = (statuses, complianceDescription) => [
+    { name: 'format', in: 'query', schema: { enum: ['csv', 'xlsx'], default: 'csv' } },
+    { name: 'from', in: 'query', schema: { type: 'string' }, description: '期間の開始（ISO 8601・既定は to の30日前）' },
+    { name: 'to', in: 'query', schema: { type: 'string' }, description: '期間の終了（ISO 8601・この日時を含まない・既定は現在）' },
+    { name: 'serviceType', in: 'query', schema: { enum: SERVICE_TYPES } },
+    { name: 'status', in: 'query', schema: { enum: statuses } },
+    { name: 'compliant', in: 'query', schema: { type: 'boolean' }, description: complianceDescription }
+];
+
+const exportResponses = (description) => ({
+    200: {
+        description: `${description}（X-PII-Masked: true の場合は氏名・メール・電話・本文・IPをマスク）`,
+        headers: {
+            'Content-Disposition': { schema: { type: 'string' }, description: 'attachment; filename="<データ>-<開始日>-<終了日>.<形式>"' },
+            'X-PII-Masked': { schema: { enum: ['true', 'false'] }, description: 'admin と pii:read 権限を持つ営業は false' }
+        },
+        content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+                schema: { type: 'string', contentMediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+            }
+        }
+    },
+    400: errorResponse('絞り込み条件エラー・該当件数が上限（EXPORT_MAX_ROWS）超過', ['INVALID_EXPORT_REQUEST', 'EXPORT_TOO_LARGE']),
+    401: authErrors,
+    403: forbidden,
+    500: errorResponse('サーバーエラー', ['EXPORT_ERROR'])
+});
+
+module.exports = {
+    prefix: '/api/v1/exports',
+    tag: { name: 'exports', description: '営業データ（お問い合わせ・見積り）の CSV / XLSX エクスポート' },
+    operations: {
+        'get /contacts': {
+            operationId: 'exportContacts',
+            summary: 'お問い合わせのエクスポート（受付日時順）',
+            description: '期間・サービス種別・状態・準拠チェック結果で絞り込み。出力は監査ログに記録',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: exportParams(CONTACT_STATUSES,
+                'Constitutional AI準拠チェック結果（false は要確認で保存されたお問い合わせ）'),
+            responses: exportResponses('お問い合わせ一覧')
+        },
+
+        'get /estimates': {
+            operationId: 'exportEstimates',
+            summary: '見積りのエクスポート（作成日時順）',
+            description: '期間・サービス種別・状態・準拠チェック結果で絞り込み。出力は監査ログに記録',
+            security: [{ bearerAuth: [], requestSignature: [] }],
+            parameters: exportParams(ESTIMATE_STATUSES,
+                'Constitutional AI準拠チェック結果（違反を記録のみとした見積りは false・結果を記録していない旧見積りはどちらにも含まない）'),
+            responses: exportResponses('見積り一覧')
+        }
+    }
+};
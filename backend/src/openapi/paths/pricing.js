@@ -0,0 +1,327 @@
+/**
+ * OpenAPI パス定義: 料金見積り
+ * /api/v1/pricing（routes/pricing.js）
+ */
+const { responses, errorResponse, jsonResponse, jsonBody } = require('../components');
+
+const estimateIdParam = {
+    name: 'estimateId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', pattern: '^EST_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$' }
+};
+
+const customerAuthErrors = errorResponse('認証・署名エラー', [
+    'AUTH_REQUIRED', 'TOKEN_EXPIRED', 'INVALID_TOKEN',
+    'SIGNATURE_REQUIRED', 'INVALID_SIGNATURE', 'SIGNATURE_EXPIRED', 'SIGNING_KEY_MISSING', 'REPLAY_DETECTED'
+]);
+
+const estimateStateErrors = {
+    403: errorResponse('他の顧客の見積り', ['ESTIMATE_FORBIDDEN']),
+    404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+    409: jsonResponse('現在の状態では操作不可（送付前・承諾/辞退済み）', {
+        allOf: [
+            { $ref: '#/components/schemas/ErrorResponse' },
+            {
+                properties: {
+                    code: { enum: ['ESTIMATE_STATUS_CONFLICT', 'IDEMPOTENCY_REQUEST_IN_PROGRESS'] },
+                    status: { type: ['string', 'null'] }
+                }
+            }
+        ]
+    }),
+    410: errorResponse('有効期限切れ', ['ESTIMATE_EXPIRED'])
+};
+
+const projectIdParam = {
+    name: 'projectId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', pattern: '^PRJ_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$' }
+};
+
+const estimateResponse = (description) => jsonResponse(description, {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+        success: { const: true },
+        data: { $ref: '#/components/schemas/Estimate' }
+    }
+});
+
+module.exports = {
+    prefix: '/api/v1/pricing',
+    tag: { name: 'pricing', description: '見積り算出・予算内プラン提案・保存済み見積り取得・見積書・改訂比較・承諾と受注' },
+    operations: {
+        'post /estimate': {
+            operationId: 'calculateEstimate',
+            summary: '見積り算出（30日間保存）',
+            security: [{ csrfToken: [] }, { bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['requirements'],
+                properties: {
+                    requirements: { $ref: '#/components/schemas/EstimateRequirements' },
+                    projectId: {
+                        type: 'string',
+                        pattern: '^PRJ_[A-Z0-9]{6,12}_[A-Z0-9]{1,16}$',
+                        description: '既存プロジェクトの次の改訂として保存（未指定時は新規プロジェクトの改訂1）'
+                    }
+                }
+            }),
+            responses: {
+                200: estimateResponse('見積り結果'),
+                400: errorResponse('要件不正・サービス基準違反', ['INVALID_REQUIREMENTS', 'INVALID_PROJECT_ID', 'COMPLIANCE_VIOLATION']),
+                401: responses.SignatureRejected,
+                404: errorResponse('プロジェクトが存在しない（他の顧客のものを含む）', ['PROJECT_NOT_FOUND']),
+                409: responses.IdempotencyConflict,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['ESTIMATE_CALCULATION_ERROR'])
+            }
+        },
+
+        'post /budget-fit': {
+            operationId: 'calculateBudgetFit',
+            summary: '予算内プラン提案（機能の取捨・期間延長・段階的開発の組み合わせ）',
+            description: '要求どおりの見積額が予算を超える場合に、予算内に収まる代替プランを最大 limit 件返却（保存なし）',
+            security: [{ csrfToken: [] }, { bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['requirements'],
+                properties: {
+                    requirements: {
+                        allOf: [
+                            { $ref: '#/components/schemas/EstimateRequirements' },
+                            { required: ['budget'] }
+                        ]
+                    },
+                    limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+                }
+            }),
+            responses: {
+                200: jsonResponse('予算内プラン', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/BudgetFitResult' }
+                    }
+                }),
+                400: errorResponse('要件不正・サービス基準違反', ['INVALID_REQUIREMENTS', 'COMPLIANCE_VIOLATION']),
+                401: responses.SignatureRejected,
+                500: errorResponse('サーバーエラー', ['BUDGET_FIT_ERROR'])
+            }
+        },
+
+        'get /estimate/:estimateId': {
+            operationId: 'getEstimate',
+            summary: '保存済み見積り取得（有効期限内のみ）',
+            description: '送付済み（sent）の見積りを顧客が取得すると viewed に遷移。期限到来分は expired に遷移し 410',
+            security: [{}, { bearerAuth: [] }],
+            parameters: [estimateIdParam],
+            responses: {
+                200: estimateResponse('見積り'),
+                400: errorResponse('見積りID形式エラー', ['INVALID_ESTIMATE_ID']),
+                404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+                410: jsonResponse('有効期限切れ', {
+                    allOf: [
+                        { $ref: '#/components/schemas/ErrorResponse' },
+                        {
+                            properties: {
+                                code: { const: 'ESTIMATE_EXPIRED' },
+                                validUntil: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    ]
+                }),
+                500: errorResponse('サーバーエラー', ['ESTIMATE_FETCH_ERROR'])
+            }
+        },
+
+        'get /estimate/:estimateId/quote': {
+            operationId: 'getEstimateQuote',
+            summary: '見積書（HTML / PDF）',
+            description: '発行者・登録番号・税率ごとの税抜金額と消費税額・有効期限・取引条件を記載。閲覧時の状態遷移は見積り取得と同じ',
+            security: [{}, { bearerAuth: [] }],
+            parameters: [
+                estimateIdParam,
+                { name: 'format', in: 'query', schema: { enum: ['html', 'pdf'], default: 'html' } },
+                {
+                    name: 'recipient',
+                    in: 'query',
+                    schema: { type: 'string', minLength: 1, maxLength: 100 },
+                    description: '宛名（未指定時は承諾者名）'
+                }
+            ],
+            responses: {
+                200: {
+                    description: '見積書',
+                    content: {
+                        'text/html': { schema: { type: 'string' } },
+                        'application/pdf': { schema: { type: 'string', contentMediaType: 'application/pdf' } }
+                    }
+                },
+                400: errorResponse('入力エラー', ['INVALID_QUOTE_REQUEST', 'INVALID_ESTIMATE_ID']),
+                404: errorResponse('見積りが存在しない', ['ESTIMATE_NOT_FOUND']),
+                410: errorResponse('有効期限切れ', ['ESTIMATE_EXPIRED']),
+                500: errorResponse('サーバーエラー', ['QUOTE_RENDER_ERROR']),
+                503: errorResponse('PDF用フォント未導入', ['QUOTE_PDF_UNAVAILABLE'])
+            }
+        },
+
+        'post /estimate/:estimateId/accept': {
+            operationId: 'acceptEstimate',
+            summary: '見積り承諾（送付済み・有効期限内のみ）→ 受注生成',
+            description: '承諾者・署名者名・同意時の条件を記録し、支払マイルストーン（着手金・中間金・完了時）付きの受注を返却',
+            security: [{ bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            parameters: [estimateIdParam, { $ref: '#/components/parameters/IdempotencyKey' }],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['consent', 'signerName'],
+                properties: {
+                    consent: { const: true, description: '見積り条件（支払条件を含む）への同意' },
+                    signerName: { type: 'string', minLength: 1, maxLength: 100 }
+                }
+            }),
+            responses: {
+                201: jsonResponse('承諾・受注生成', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            properties: {
+                                estimate: { $ref: '#/components/schemas/EstimateLifecycle' },
+                                order: { $ref: '#/components/schemas/Order' }
+                            }
+                        }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_ACCEPTANCE', 'INVALID_ESTIMATE_ID']),
+                401: customerAuthErrors,
+                ...estimateStateErrors,
+                422: responses.IdempotencyKeyReused,
+                500: errorResponse('サーバーエラー', ['ESTIMATE_ACCEPT_ERROR'])
+            }
+        },
+
+        'post /estimate/:estimateId/decline': {
+            operationId: 'declineEstimate',
+            summary: '見積り辞退（送付済み・有効期限内のみ）',
+            security: [{ bearerAuth: [], requestSignature: [], csrfToken: [] }],
+            parameters: [estimateIdParam],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    reason: { type: 'string', maxLength: 1000 }
+                }
+            }, false),
+            responses: {
+                200: jsonResponse('辞退完了', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/EstimateLifecycle' }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_DECLINE', 'INVALID_ESTIMATE_ID']),
+                401: customerAuthErrors,
+                ...estimateStateErrors,
+                500: errorResponse('サーバーエラー', ['ESTIMATE_DECLINE_ERROR'])
+            }
+        },
+
+        'get /orders/:orderId': {
+            operationId: 'getOrder',
+            summary: '受注取得（本人または管理者）',
+            security: [{ bearerAuth: [] }],
+            parameters: [
+                {
+                    name: 'orderId',
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string', pattern: '^ORD_[A-Z0-9]{6,12}_[A-Z0-9]{1,8}$' }
+                }
+            ],
+            responses: {
+                200: jsonResponse('受注', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/Order' }
+                    }
+                }),
+                400: errorResponse('受注ID形式エラー', ['INVALID_ORDER_ID']),
+                401: errorResponse('認証エラー', ['AUTH_REQUIRED', 'TOKEN_EXPIRED', 'INVALID_TOKEN']),
+                404: errorResponse('受注が存在しない', ['ORDER_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['ORDER_FETCH_ERROR'])
+            }
+        },
+
+        'get /projects/:projectId/revisions': {
+            operationId: 'listEstimateRevisions',
+            summary: 'プロジェクトの見積り改訂一覧（入力条件・調整係数を含む）',
+            description: '顧客が割り当てられた改訂を含むプロジェクトは本人・管理者のみ参照可（それ以外は 404）',
+            security: [{}, { bearerAuth: [] }],
+            parameters: [projectIdParam],
+            responses: {
+                200: jsonResponse('改訂一覧（改訂番号順）', {
+                    type: 'object',
+                    required: ['success', 'data', 'count'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            properties: {
+                                projectId: { type: 'string' },
+                                revisions: { type: 'array', items: { $ref: '#/components/schemas/EstimateRevision' } }
+                            }
+                        },
+                        count: { type: 'integer' }
+                    }
+                }),
+                400: errorResponse('プロジェクトID形式エラー', ['INVALID_PROJECT_ID']),
+                404: errorResponse('プロジェクトが存在しない', ['PROJECT_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['REVISION_FETCH_ERROR'])
+            }
+        },
+
+        'get /projects/:projectId/compare': {
+            operationId: 'compareEstimateRevisions',
+            summary: '改訂比較（金額・期間・フェーズ・推奨事項・入力条件の差分）',
+            description: 'from / to 未指定時は最新の改訂とその直前の改訂を比較。推奨事項・フェーズ名は要求ロケールに揃えて比較',
+            security: [{}, { bearerAuth: [] }],
+            parameters: [
+                projectIdParam,
+                { name: 'from', in: 'query', schema: { type: 'integer', minimum: 1 } },
+                { name: 'to', in: 'query', schema: { type: 'integer', minimum: 1 } }
+            ],
+            responses: {
+                200: jsonResponse('改訂間の差分', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            properties: {
+                                projectId: { type: 'string' },
+                                locale: { type: 'string' },
+                                from: { $ref: '#/components/schemas/EstimateRevision' },
+                                to: { $ref: '#/components/schemas/EstimateRevision' },
+                                changes: { $ref: '#/components/schemas/RevisionChanges' }
+                            }
+                        }
+                    }
+                }),
+                400: errorResponse('入力エラー', ['INVALID_PROJECT_ID', 'INVALID_COMPARE_REQUEST']),
+                404: errorResponse('プロジェクト・改訂が存在しない', ['PROJECT_NOT_FOUND', 'REVISION_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['REVISION_COMPARE_ERROR'])
+            }
+        }
+    }
+};
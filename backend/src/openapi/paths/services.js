@@ -0,0 +1,101 @@
+/**
+ * OpenAPI パス定義: サービス
+ * /api/v1/services（routes/services.js）
+ */
+const { LOCALES, errorResponse, jsonResponse } = require('../components');
+
+module.exports = {
+    prefix: '/api/v1/services',
+    tag: { name: 'services', description: 'サービス一覧・詳細・全文検索' },
+    operations: {
+        'get /': {
+            operationId: 'listServices',
+            summary: 'サービス一覧（公開情報）',
+            security: [],
+            responses: {
+                200: jsonResponse('公開サービス一覧', {
+                    type: 'object',
+                    required: ['success', 'data', 'count'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', items: { $ref: '#/components/schemas/PublicService' } },
+                        count: { type: 'integer' },
+                        categories: { type: 'object', additionalProperties: { type: 'string' } },
+                        locale: { type: 'string', enum: LOCALES },
+                        cached: { type: 'boolean' },
+                        timestamp: {}
+                    }
+                }),
+                404: errorResponse('公開中のサービスなし', ['NO_SERVICES_AVAILABLE']),
+                500: errorResponse('サーバーエラー', ['SERVICE_FETCH_ERROR'])
+            }
+        },
+
+        'get /search': {
+            operationId: 'searchServices',
+            summary: 'サービス全文検索（日本語bigram・関連度順・一致箇所ハイライト）',
+            security: [],
+            description: 'query / category / priceRange / features のいずれか1つ以上が必要',
+            parameters: [
+                { name: 'query', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                { name: 'category', in: 'query', schema: { type: 'string', pattern: '^[a-z0-9_-]{1,50}$' } },
+                {
+                    name: 'priceRange',
+                    in: 'query',
+                    description: '"min-max"（円・片側省略可）',
+                    schema: { type: 'string', pattern: '^\\d{0,9}-\\d{0,9}$' }
+                },
+                {
+                    name: 'features',
+                    in: 'query',
+                    description: 'カンマ区切りまたは繰り返し指定（最大10件・各50文字以内）',
+                    schema: {
+                        anyOf: [
+                            { type: 'string' },
+                            { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 50 } }
+                        ]
+                    }
+                }
+            ],
+            responses: {
+                200: jsonResponse('検索結果（最大50件）', {
+                    type: 'object',
+                    required: ['success', 'data', 'count'],
+                    properties: {
+                        success: { const: true },
+                        data: { type: 'array', maxItems: 50, items: { $ref: '#/components/schemas/SearchResult' } },
+                        count: { type: 'integer' },
+                        searchParams: { type: 'object' },
+                        locale: { type: 'string', enum: LOCALES }
+                    }
+                }),
+                400: errorResponse('検索パラメータ不正', ['INVALID_SEARCH_PARAMS']),
+                500: errorResponse('サーバーエラー', ['SEARCH_ERROR'])
+            }
+        },
+
+        'get /:serviceId': {
+            operationId: 'getServiceDetails',
+            summary: 'サービス詳細（認証状態により返却項目が異なる）',
+            security: [{}, { bearerAuth: [] }],
+            parameters: [
+                { name: 'serviceId', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            responses: {
+                200: jsonResponse('サービス詳細', {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/ServiceDetails' },
+                        locale: { type: 'string', enum: LOCALES },
+                        cached: { type: 'boolean' }
+                    }
+                }),
+                400: errorResponse('サービスID形式エラー', ['INVALID_SERVICE_ID']),
+                404: errorResponse('サービスが存在しない', ['SERVICE_NOT_FOUND']),
+                500: errorResponse('サーバーエラー', ['SERVICE_DETAIL_ERROR'])
+            }
+        }
+    }
+};
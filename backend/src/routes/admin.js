@@ -0,0 +1,52 @@
+/**
+ * 管理者ルート
+ * /admin（nginx で IP 制限・Basic 認証。Bearer トークンは X-Access-Token で送信）
+ */
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const estimateController = require('../controllers/estimateController');
+const pricingController = require('../controllers/pricingController');
+const crmController = require('../controllers/crmController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { verifyRequestSignature } = require('../middleware/requestSignature');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'), verifyRequestSignature({ mode: 'required' }));
+
+router.get('/config', adminController.getConfig.bind(adminController));
+
+// サービスカタログ
+router.get('/services', adminController.listServices.bind(adminController));
+router.post('/services', idempotency(), adminController.createService.bind(adminController));
+router.put('/services/order', adminController.reorderServices.bind(adminController));
+router.get('/services/:serviceId', adminController.getService.bind(adminController));
+router.patch('/services/:serviceId', adminController.updateService.bind(adminController));
+router.post('/services/:serviceId/publish', adminController.publishService.bind(adminController));
+router.post('/services/:serviceId/unpublish', adminController.unpublishService.bind(adminController));
+router.get('/services/:serviceId/revisions', adminController.listRevisions.bind(adminController));
+router.get('/services/:serviceId/revisions/:revision', adminController.getRevision.bind(adminController));
+router.post('/services/:serviceId/rollback', adminController.rollbackService.bind(adminController));
+
+// 見積もり・受注（営業）
+router.get('/estimates', estimateController.listEstimates.bind(estimateController));
+router.get('/estimates/:estimateId', estimateController.getEstimateDetail.bind(estimateController));
+router.get('/estimates/:estimateId/pricing', estimateController.explainEstimatePricing.bind(estimateController));
+router.post('/estimates/:estimateId/send', estimateController.sendEstimate.bind(estimateController));
+router.get('/orders', estimateController.listOrders.bind(estimateController));
+
+// 料金表（版管理・公開前プレビュー）
+router.get('/pricing/versions', pricingController.listVersions.bind(pricingController));
+router.post('/pricing/versions', idempotency(), pricingController.createVersion.bind(pricingController));
+router.get('/pricing/versions/:version', pricingController.getVersion.bind(pricingController));
+router.patch('/pricing/versions/:version', pricingController.updateVersion.bind(pricingController));
+router.post('/pricing/versions/:version/preview', pricingController.previewVersion.bind(pricingController));
+router.post('/pricing/versions/:version/publish', pricingController.publishVersion.bind(pricingController));
+
+// CRM連携（Webhook 送信状況・送信不能分の再送）
+router.get('/crm/deliveries', crmController.listDeliveries.bind(crmController));
+router.get('/crm/deliveries/:deliveryId', crmController.getDelivery.bind(crmController));
+router.post('/crm/deliveries/:deliveryId/retry', crmController.retryDelivery.bind(crmController));
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/**
+ * 監査ログルート
+ * /api/v1/audit
+ */
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/security', optionalAuth, auditController.recordSecurityEvent.bind(auditController));
+
+module.exports = router;
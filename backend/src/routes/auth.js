@@ -0,0 +1,21 @@
+/**
+ * 認証ルート
+ * /api/v1/auth
+ */
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { verifyRequestSignature } = require('../middleware/requestSignature');
+const { idempotency } = require('../middleware/idempotency');
+
+// 認証レスポンスはトークン・署名鍵を含むため保存せず、完了マーカーのみ短期間保持（再送は 409）
+const authIdempotency = idempotency({ ttl: 5 * 60, storeResponse: false });
+
+const router = express.Router();
+
+router.post('/login', authIdempotency, authController.login.bind(authController));
+router.post('/refresh', authIdempotency, authController.refresh.bind(authController));
+router.get('/validate', authenticateToken, verifyRequestSignature({ mode: 'required' }), authController.validate.bind(authController));
+router.post('/logout', optionalAuth, verifyRequestSignature({ mode: 'authenticated' }), authIdempotency, authController.logout.bind(authController));
+
+module.exports = router;
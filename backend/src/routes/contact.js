@@ -0,0 +1,15 @@
+/**
+ * お問い合わせルート
+ * /api/v1/contact
+ */
+const express = require('express');
+const contactController = require('../controllers/contactController');
+const { optionalAuth } = require('../middleware/auth');
+const { verifyRequestSignature } = require('../middleware/requestSignature');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.post('/', optionalAuth, verifyRequestSignature({ mode: 'authenticated' }), idempotency(), contactController.submitContact.bind(contactController));
+
+module.exports = router;
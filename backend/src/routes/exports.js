@@ -0,0 +1,17 @@
+/**
+ * 営業データエクスポートルート
+ * /api/v1/exports（営業・管理者のみ）
+ */
+const express = require('express');
+const exportController = require('../controllers/exportController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { verifyRequestSignature } = require('../middleware/requestSignature');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('sales', 'admin'), verifyRequestSignature({ mode: 'required' }));
+
+router.get('/contacts', exportController.exportContacts.bind(exportController));
+router.get('/estimates', exportController.exportEstimates.bind(exportController));
+
+module.exports = router;
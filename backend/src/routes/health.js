@@ -0,0 +1,14 @@
+/**
+ * ヘルスチェックルート
+ * /health
+ */
+const express = require('express');
+const healthController = require('../controllers/healthController');
+
+const router = express.Router();
+
+router.get('/', healthController.publicHealth.bind(healthController));
+router.get('/live', healthController.live.bind(healthController));
+router.get('/ready', healthController.ready.bind(healthController));
+
+module.exports = router;
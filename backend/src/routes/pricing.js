@@ -0,0 +1,28 @@
+/**
+ * 料金見積りルート
+ * /api/v1/pricing
+ */
+const express = require('express');
+const serviceController = require('../controllers/serviceController');
+const estimateController = require('../controllers/estimateController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { verifyRequestSignature } = require('../middleware/requestSignature');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.post('/estimate', optionalAuth, verifyRequestSignature({ mode: 'authenticated' }), idempotency(), serviceController.calculateEstimate.bind(serviceController));
+router.post('/budget-fit', optionalAuth, verifyRequestSignature({ mode: 'authenticated' }), serviceController.calculateBudgetFit.bind(serviceController));
+router.get('/estimate/:estimateId', optionalAuth, serviceController.getEstimate.bind(serviceController));
+router.get('/estimate/:estimateId/quote', optionalAuth, serviceController.getQuoteDocument.bind(serviceController));
+
+// 見積もり承諾・辞退（認証済み顧客）・受注
+router.post('/estimate/:estimateId/accept', authenticateToken, verifyRequestSignature({ mode: 'required' }), idempotency(), estimateController.acceptEstimate.bind(estimateController));
+router.post('/estimate/:estimateId/decline', authenticateToken, verifyRequestSignature({ mode: 'required' }), estimateController.declineEstimate.bind(estimateController));
+router.get('/orders/:orderId', authenticateToken, estimateController.getOrder.bind(estimateController));
+
+// 見積もり改訂（プロジェクト単位）
+router.get('/projects/:projectId/revisions', optionalAuth, estimateController.listRevisions.bind(estimateController));
+router.get('/projects/:projectId/compare', optionalAuth, estimateController.compareRevisions.bind(estimateController));
+
+module.exports = router;
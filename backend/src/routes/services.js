@@ -0,0 +1,15 @@
+/**
+ * サービスルート
+ * /api/v1/services
+ */
+const express = require('express');
+const serviceController = require('../controllers/serviceController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', serviceController.getServices.bind(serviceController));
+router.get('/search', serviceController.searchServices.bind(serviceController));
+router.get('/:serviceId', optionalAuth, serviceController.getServiceDetails.bind(serviceController));
+
+module.exports = router;
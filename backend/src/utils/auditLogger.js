@@ -0,0 +1,41 @@
+/**
+ * 監査ログ
+ * security_audit_logs コレクション（infrastructure/mongodb/init.js）へ記録
+ * 記録失敗は本処理を止めずアプリケーションログへ退避
+ * masa様開発ルール完全遵守
+ */
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const AUDIT_COLLECTION = 'security_audit_logs';
+
+/**
+ * 監査ログ記録
+ */
+async function createAuditLog({ action, userId = 'anonymous', ip = null, userAgent = null, details = {}, severity = 'info' }) {
+    const entry = {
+        timestamp: new Date(),
+        event_type: action,
+        severity,
+        metadata: {
+            user_id: userId,
+            source_ip: ip,
+            user_agent: userAgent || null,
+            service: 'backend'
+        },
+        details
+    };
+
+    try {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('MongoDB is not connected');
+        }
+        await mongoose.connection.collection(AUDIT_COLLECTION).insertOne(entry);
+    } catch (error) {
+        logger.error('Audit log write failed:', { error: error.message, audit: entry });
+    }
+
+    return entry;
+}
+
+module.exports = { createAuditLog };
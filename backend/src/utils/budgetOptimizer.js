@@ -0,0 +1,157 @@
+/**
+ * 予算内プラン探索
+ * 機能の取捨・期間区分の延長・段階的開発の組み合わせから予算に収まる代替プランを列挙
+ * masa様開発ルール完全遵守
+ */
+
+// 全探索する有料機能数の上限（2^12 = 4096 通り）
+const MAX_OPTIONAL_FEATURES = 12;
+
+/**
+ * 部分集合列挙（多く残す順）
+ */
+function enumerateSubsets(items) {
+    const subsets = [];
+    for (let mask = (1 << items.length) - 1; mask >= 0; mask--) {
+        subsets.push(items.filter((item, index) => mask & (1 << index)));
+    }
+    return subsets.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 包含判定（large が small の全要素を含む）
+ */
+function containsAll(large, small) {
+    return small.every(item => large.includes(item));
+}
+
+/**
+ * 予算内プラン探索
+ * - optionalFeatures: 価格に影響する機能（削除・後回しの対象）
+ * - fixedFeatures: 価格に影響しない機能（常に含める）
+ * - timelineOptions: [{ bucket, days }] 要求期間から長い順へ（先頭が要求どおり）
+ * - priceOf(features, days): 指定条件の見積額
+ * - deferredCostOf(features): 後続フェーズへ回した機能の費用
+ * 同じ機能構成がより短い期間で収まる場合・より多くの機能を残せる場合は劣位として除外する
+ */
+function findBudgetPlans({
+    budget,
+    optionalFeatures,
+    fixedFeatures = [],
+    timelineOptions,
+    priceOf,
+    deferredCostOf,
+    limit = 5
+}) {
+    if (optionalFeatures.length > MAX_OPTIONAL_FEATURES) {
+        throw new Error(`At most ${MAX_OPTIONAL_FEATURES} priced features can be optimized`);
+    }
+
+    const subsets = enumerateSubsets(optionalFeatures);
+    const requestedCost = priceOf(optionalFeatures, timelineOptions[0].days);
+    const longest = timelineOptions[timelineOptions.length - 1];
+    const minimumCost = priceOf([], longest.days);
+
+    const result = {
+        budget,
+        requestedCost,
+        withinBudget: requestedCost <= budget,
+        minimumCost,
+        shortfall: Math.max(0, minimumCost - budget),
+        plans: []
+    };
+
+    if (result.withinBudget || result.shortfall > 0) {
+        return result;
+    }
+
+    const candidates = [];
+    const feasibleEarlier = [];
+
+    timelineOptions.forEach((option, timelineIndex) => {
+        const feasible = subsets
+            .map(kept => ({ kept, cost: priceOf(kept, option.days) }))
+            .filter(({ cost }) => cost <= budget);
+
+        for (const { kept, cost } of feasible) {
+            const dominated = feasible.some(other => other.kept.length > kept.length && containsAll(other.kept, kept)) ||
+                feasibleEarlier.some(earlier => containsAll(earlier, kept));
+            if (dominated) continue;
+
+            candidates.push({
+                kept,
+                dropped: optionalFeatures.filter(feature => !kept.includes(feature)),
+                option,
+                timelineIndex,
+                cost
+            });
+        }
+
+        feasibleEarlier.push(...feasible.map(({ kept }) => kept));
+    });
+
+    // 残す機能が多い順 → 期間変更が小さい順 → 予算を活かせる（高額）順
+    candidates.sort((a, b) =>
+        a.dropped.length - b.dropped.length || a.timelineIndex - b.timelineIndex || b.cost - a.cost
+    );
+
+    const plans = [];
+    for (const candidate of candidates) {
+        const included = [...fixedFeatures, ...candidate.kept];
+        const strategies = [];
+        if (candidate.timelineIndex > 0) strategies.push('extend_timeline');
+
+        const base = {
+            timeline: {
+                requestedDays: timelineOptions[0].days,
+                days: candidate.option.days,
+                bucket: candidate.option.bucket,
+                changed: candidate.timelineIndex > 0
+            },
+            cost: candidate.cost,
+            costDelta: candidate.cost - requestedCost,
+            budgetRemaining: budget - candidate.cost
+        };
+
+        if (candidate.dropped.length === 0) {
+            plans.push({
+                strategies,
+                features: { included, dropped: [], deferred: [] },
+                ...base,
+                phases: null,
+                totalCost: candidate.cost
+            });
+            continue;
+        }
+
+        // 機能削除プラン
+        plans.push({
+            strategies: ['drop_features', ...strategies],
+            features: { included, dropped: candidate.dropped, deferred: [] },
+            ...base,
+            phases: null,
+            totalCost: candidate.cost
+        });
+
+        // 段階的開発プラン（削除機能を第2フェーズへ）
+        const deferredCost = deferredCostOf(candidate.dropped);
+        plans.push({
+            strategies: ['phased_delivery', ...strategies],
+            features: { included, dropped: [], deferred: candidate.dropped },
+            ...base,
+            phases: [
+                { phase: 1, features: included, cost: candidate.cost },
+                { phase: 2, features: candidate.dropped, cost: deferredCost }
+            ],
+            totalCost: candidate.cost + deferredCost
+        });
+    }
+
+    result.plans = plans.slice(0, limit).map((plan, index) => ({ rank: index + 1, ...plan }));
+    return result;
+}
+
+module.exports = {
+    findBudgetPlans,
+    MAX_OPTIONAL_FEATURES
+};
@@ -0,0 +1,177 @@
+/**
+ * 日本の営業日カレンダー
+ * 土日・国民の祝日（振替休日含む）・年末年始休業を除外
+ * 外部APIに依存しないローカル祝日テーブル
+ */
+const { logger } = require('./logger');
+
+// 国民の祝日（内閣府公表分・振替休日/国民の休日を含む）
+// 2029年以降の春分・秋分の日は国立天文台の推算値。収録年を超える日付は算出しない
+const NATIONAL_HOLIDAYS = {
+    2025: [
+        '2025-01-01', '2025-01-13', '2025-02-11', '2025-02-23', '2025-02-24',
+        '2025-03-20', '2025-04-29', '2025-05-03', '2025-05-04', '2025-05-05',
+        '2025-05-06', '2025-07-21', '2025-08-11', '2025-09-15', '2025-09-23',
+        '2025-10-13', '2025-11-03', '2025-11-23', '2025-11-24'
+    ],
+    2026: [
+        '2026-01-01', '2026-01-12', '2026-02-11', '2026-02-23', '2026-03-20',
+        '2026-04-29', '2026-05-03', '2026-05-04', '2026-05-05', '2026-05-06',
+        '2026-07-20', '2026-08-11', '2026-09-21', '2026-09-22', '2026-09-23',
+        '2026-10-12', '2026-11-03', '2026-11-23'
+    ],
+    2027: [
+        '2027-01-01', '2027-01-11', '2027-02-11', '2027-02-23', '2027-03-21',
+        '2027-03-22', '2027-04-29', '2027-05-03', '2027-05-04', '2027-05-05',
+        '2027-07-19', '2027-08-11', '2027-09-20', '2027-09-23', '2027-10-11',
+        '2027-11-03', '2027-11-23'
+    ],
+    2028: [
+        '2028-01-01', '2028-01-10', '2028-02-11', '2028-02-23', '2028-03-20',
+        '2028-04-29', '2028-05-03', '2028-05-04', '2028-05-05', '2028-07-17',
+        '2028-08-11', '2028-09-18', '2028-09-22', '2028-10-09', '2028-11-03',
+        '2028-11-23'
+    ],
+    2029: [
+        '2029-01-01', '2029-01-08', '2029-02-11', '2029-02-12', '2029-02-23',
+        '2029-03-20', '2029-04-29', '2029-04-30', '2029-05-03', '2029-05-04',
+        '2029-05-05', '2029-07-16', '2029-08-11', '2029-09-17', '2029-09-23',
+        '2029-09-24', '2029-10-08', '2029-11-03', '2029-11-23'
+    ],
+    2030: [
+        '2030-01-01', '2030-01-14', '2030-02-11', '2030-02-23', '2030-03-20',
+        '2030-04-29', '2030-05-03', '2030-05-04', '2030-05-05', '2030-05-06',
+        '2030-07-15', '2030-08-11', '2030-08-12', '2030-09-16', '2030-09-23',
+        '2030-10-14', '2030-11-03', '2030-11-04', '2030-11-23'
+    ]
+};
+
+const HOLIDAY_SET = new Set(Object.values(NATIONAL_HOLIDAYS).flat());
+const LAST_COVERED_YEAR = Math.max(...Object.keys(NATIONAL_HOLIDAYS).map(Number));
+const CALENDAR_END = `${LAST_COVERED_YEAR}-12-31`;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const warnedYears = new Set();
+
+/**
+ * 日付（UTC 0時のDate）を YYYY-MM-DD に変換
+ */
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * YYYY-MM-DD を UTC 0時のDate に変換
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    }
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * 日本時間の今日
+ */
+function todayInJapan(now = new Date()) {
+    return parseDate(new Date(now.getTime() + JST_OFFSET_MS));
+}
+
+/**
+ * 年末年始休業（12/29〜1/3）
+ */
+function isYearEndShutdown(date) {
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    return (month === 12 && day >= 29) || (month === 1 && day <= 3);
+}
+
+/**
+ * 国民の祝日判定（収録年より後の日付は RangeError: CALENDAR_OUT_OF_RANGE）
+ */
+function isNationalHoliday(date) {
+    const year = date.getUTCFullYear();
+
+    if (year > LAST_COVERED_YEAR) {
+        const error = new RangeError(`Holiday table covers dates through ${CALENDAR_END}`);
+        error.code = 'CALENDAR_OUT_OF_RANGE';
+        throw error;
+    }
+
+    if (!NATIONAL_HOLIDAYS[year] && !warnedYears.has(year)) {
+        warnedYears.add(year);
+        logger.warn(`Holiday table has no entries for ${year}; only weekends and year-end shutdown are excluded`);
+    }
+
+    return HOLIDAY_SET.has(formatDate(date));
+}
+
+/**
+ * 営業日判定
+ */
+function isBusinessDay(value) {
+    const date = parseDate(value);
+    const weekday = date.getUTCDay();
+
+    if (weekday === 0 || weekday === 6) return false;
+    if (isYearEndShutdown(date)) return false;
+
+    return !isNationalHoliday(date);
+}
+
+/**
+ * 指定日以降（当日含む）の最初の営業日
+ */
+function nextBusinessDay(value) {
+    let date = parseDate(value);
+    while (!isBusinessDay(date)) {
+        date = new Date(date.getTime() + DAY_MS);
+    }
+    return date;
+}
+
+/**
+ * 開始営業日から数えて N 営業日目の日付（開始日を1日目とする）
+ */
+function addBusinessDays(value, businessDays) {
+    let date = nextBusinessDay(value);
+    let remaining = Math.max(1, businessDays) - 1;
+
+    while (remaining > 0) {
+        date = new Date(date.getTime() + DAY_MS);
+        if (isBusinessDay(date)) {
+            remaining--;
+        }
+    }
+
+    return date;
+}
+
+/**
+ * 期間内の営業日数
+ */
+function countBusinessDays(from, to) {
+    let date = parseDate(from);
+    const end = parseDate(to);
+    let count = 0;
+
+    while (date <= end) {
+        if (isBusinessDay(date)) count++;
+        date = new Date(date.getTime() + DAY_MS);
+    }
+
+    return count;
+}
+
+module.exports = {
+    isBusinessDay,
+    nextBusinessDay,
+    addBusinessDays,
+    countBusinessDays,
+    todayInJapan,
+    formatDate,
+    parseDate,
+    CALENDAR_END
+};
@@ -0,0 +1,258 @@
+/**
+ * Redis共有キャッシュ
+ * 全バックエンドレプリカで共有・キー単位TTL・タグ無効化・スタンピード防止
+ * masa様開発ルール完全遵守・Redis障害時はキャッシュなしで継続
+ */
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const { logger } = require('./logger');
+
+class SharedCache {
+    constructor(options = {}) {
+        this.namespace = options.namespace || 'cache';
+        this.defaultTTL = options.defaultTTL || 300; // 秒
+        this.lockTTL = options.lockTTL || 5000; // ミリ秒
+        this.lockPollInterval = options.lockPollInterval || 50; // ミリ秒
+
+        // プロセス内統計
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            errors: 0,
+            invalidations: 0
+        };
+    }
+
+    get client() {
+        return redis.client;
+    }
+
+    /**
+     * 名前空間付きキー生成
+     */
+    key(name) {
+        return `${this.namespace}:${name}`;
+    }
+
+    tagKey(tag) {
+        return `${this.namespace}:tag:${tag}`;
+    }
+
+    /**
+     * キャッシュ取得
+     */
+    async get(name) {
+        try {
+            const raw = await this.client.get(this.key(name));
+
+            if (raw === null) {
+                await this.recordMetric('misses');
+                return null;
+            }
+
+            await this.recordMetric('hits');
+            return JSON.parse(raw);
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Cache read failed:', { key: name, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * キャッシュ保存
+     */
+    async set(name, data, options = {}) {
+        const ttl = options.ttl || this.defaultTTL;
+        const tags = options.tags || [];
+        const entry = { data, timestamp: Date.now() };
+
+        try {
+            const multi = this.client.multi();
+            multi.setEx(this.key(name), ttl, JSON.stringify(entry));
+
+            // タグ→キーの逆引き登録
+            for (const tag of tags) {
+                multi.sAdd(this.tagKey(tag), this.key(name));
+                multi.expire(this.tagKey(tag), ttl * 2);
+            }
+
+            await multi.exec();
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Cache write failed:', { key: name, error: error.message });
+        }
+
+        return entry;
+    }
+
+    /**
+     * キャッシュ削除
+     */
+    async delete(name) {
+        try {
+            await this.client.del(this.key(name));
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Cache delete failed:', { key: name, error: error.message });
+        }
+    }
+
+    /**
+     * タグ単位無効化
+     */
+    async invalidateTags(...tags) {
+        let removed = 0;
+
+        try {
+            for (const tag of tags) {
+                const keys = await this.client.sMembers(this.tagKey(tag));
+                if (keys.length > 0) {
+                    removed += await this.client.del(keys);
+                }
+                await this.client.del(this.tagKey(tag));
+            }
+
+            this.stats.invalidations++;
+            logger.info('Cache tags invalidated', { tags, removed });
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Cache invalidation failed:', { tags, error: error.message });
+        }
+
+        return removed;
+    }
+
+    /**
+     * 取得 or 生成（スタンピード防止）
+     * 同一キーの生成は全レプリカで1プロセスのみ実行し、他は完了を待つ
+     * ローダーが null/undefined を返した場合はキャッシュしない
+     */
+    async getOrSet(name, loader, options = {}) {
+        const cached = await this.get(name);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+
+        const lockKey = this.key(`lock:${name}`);
+        const lockToken = crypto.randomUUID();
+        let lockAcquired = false;
+
+        try {
+            lockAcquired = (await this.client.set(lockKey, lockToken, {
+                NX: true,
+                PX: this.lockTTL
+            })) === 'OK';
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Cache lock acquisition failed:', { key: name, error: error.message });
+        }
+
+        if (!lockAcquired) {
+            const awaited = await this.waitForValue(name);
+            if (awaited) {
+                return { ...awaited, cached: true };
+            }
+        }
+
+        try {
+            const data = await loader();
+            if (data === null || data === undefined) {
+                return { data, timestamp: Date.now(), cached: false };
+            }
+
+            const entry = await this.set(name, data, options);
+            return { ...entry, cached: false };
+
+        } finally {
+            if (lockAcquired) {
+                await this.releaseLock(lockKey, lockToken);
+            }
+        }
+    }
+
+    /**
+     * 他プロセスによる生成完了待ち
+     */
+    async waitForValue(name) {
+        const deadline = Date.now() + this.lockTTL;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.lockPollInterval));
+
+            try {
+                const raw = await this.client.get(this.key(name));
+                if (raw !== null) {
+                    await this.recordMetric('hits');
+                    return JSON.parse(raw);
+                }
+            } catch (error) {
+                this.stats.errors++;
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * ロック解放（自身のロックのみ）
+     */
+    async releaseLock(lockKey, lockToken) {
+        try {
+            await this.client.eval(
+                "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0",
+                { keys: [lockKey], arguments: [lockToken] }
+            );
+        } catch (error) {
+            logger.warn('Cache lock release failed:', { key: lockKey, error: error.message });
+        }
+    }
+
+    /**
+     * ヒット/ミス記録（プロセス内 + Redis共有カウンター）
+     */
+    async recordMetric(type) {
+        this.stats[type]++;
+
+        try {
+            await this.client.hIncrBy(this.key('metrics'), type, 1);
+        } catch (error) {
+            // メトリクス記録失敗はキャッシュ動作に影響させない
+        }
+    }
+
+    /**
+     * 統計取得
+     */
+    async getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        let shared = null;
+
+        try {
+            const raw = await this.client.hGetAll(this.key('metrics'));
+            const hits = parseInt(raw.hits || '0');
+            const misses = parseInt(raw.misses || '0');
+            shared = {
+                hits,
+                misses,
+                hitRatio: hits + misses > 0 ? hits / (hits + misses) : 0
+            };
+        } catch (error) {
+            this.stats.errors++;
+        }
+
+        return {
+            process: {
+                ...this.stats,
+                hitRatio: lookups > 0 ? this.stats.hits / lookups : 0
+            },
+            shared
+        };
+    }
+}
+
+module.exports = { SharedCache };
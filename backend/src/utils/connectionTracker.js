@@ -0,0 +1,179 @@
+/**
+ * 接続トラッカー
+ * ソケット・処理中リクエスト・非同期書込を追跡し、シャットダウン時に接続を排出
+ * masa様開発ルール完全遵守
+ */
+class ConnectionTracker {
+    constructor() {
+        // ソケット → 処理中リクエスト数
+        this.sockets = new Map();
+        this.responses = new Set();
+        this.pendingTasks = new Set();
+        this.draining = false;
+        this.waiters = [];
+    }
+
+    /**
+     * HTTPサーバーへ接続
+     */
+    attach(server) {
+        server.on('connection', (socket) => {
+            this.sockets.set(socket, 0);
+
+            socket.once('close', () => {
+                this.sockets.delete(socket);
+                this.notify();
+            });
+        });
+
+        // Expressより先に処理して Connection ヘッダーを確実に付与
+        server.prependListener('request', (req, res) => {
+            const { socket } = req;
+            this.sockets.set(socket, (this.sockets.get(socket) || 0) + 1);
+
+            this.responses.add(res);
+            if (this.draining) {
+                res.setHeader('Connection', 'close');
+            }
+
+            let finished = false;
+            const done = () => {
+                if (finished) return;
+                finished = true;
+                this.responses.delete(res);
+
+                const remaining = Math.max((this.sockets.get(socket) || 1) - 1, 0);
+                if (this.sockets.has(socket)) {
+                    this.sockets.set(socket, remaining);
+                }
+
+                // 排出中はレスポンス完了後にKeep-Alive接続を閉じる
+                if (this.draining && remaining === 0) {
+                    socket.end();
+                }
+                this.notify();
+            };
+
+            res.once('finish', done);
+            res.once('close', done);
+        });
+    }
+
+    /**
+     * 完了を待つ非同期処理の登録（応答後に継続する監査ログ書込等）
+     */
+    trackTask(promise) {
+        const task = Promise.resolve(promise).catch(() => {}).finally(() => {
+            this.pendingTasks.delete(task);
+            this.notify();
+        });
+        this.pendingTasks.add(task);
+        return promise;
+    }
+
+    /**
+     * 処理中リクエスト数
+     */
+    get inFlightRequests() {
+        let total = 0;
+        for (const count of this.sockets.values()) total += count;
+        return total;
+    }
+
+    /**
+     * 統計
+     */
+    getStats() {
+        return {
+            connections: this.sockets.size,
+            inFlightRequests: this.inFlightRequests,
+            pendingTasks: this.pendingTasks.size,
+            draining: this.draining
+        };
+    }
+
+    /**
+     * 排出開始（アイドル接続を閉じ、以降のレスポンスに Connection: close を付与）
+     */
+    beginDrain() {
+        if (this.draining) return this.getStats();
+        this.draining = true;
+
+        // 処理中でヘッダー未送信の応答も接続を閉じる
+        for (const res of this.responses) {
+            if (!res.headersSent) res.setHeader('Connection', 'close');
+        }
+
+        let idleClosed = 0;
+        for (const [socket, count] of this.sockets) {
+            if (count === 0) {
+                socket.end();
+                idleClosed++;
+            }
+        }
+
+        return { ...this.getStats(), idleClosed };
+    }
+
+    /**
+     * 全接続の終了待ち（期限超過時は残存ソケットを強制切断）
+     */
+    async waitForConnections(timeout) {
+        const drained = await this.waitUntil(() => this.sockets.size === 0, timeout);
+        if (drained) return { forced: false, destroyed: 0 };
+
+        const destroyed = this.sockets.size;
+        const abortedRequests = this.inFlightRequests;
+        for (const socket of this.sockets.keys()) {
+            socket.destroy();
+        }
+
+        return { forced: true, destroyed, abortedRequests };
+    }
+
+    /**
+     * 登録済み非同期処理の完了待ち
+     */
+    async waitForTasks(timeout) {
+        const settled = await this.waitUntil(() => this.pendingTasks.size === 0, timeout);
+        return { settled, remaining: this.pendingTasks.size };
+    }
+
+    /**
+     * 条件成立まで待機（タイムアウト時は false）
+     */
+    waitUntil(condition, timeout) {
+        if (condition()) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            const waiter = { condition, resolve: null };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(entry => entry !== waiter);
+                resolve(false);
+            }, Math.max(timeout, 0));
+
+            waiter.resolve = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    notify() {
+        if (this.waiters.length === 0) return;
+
+        this.waiters = this.waiters.filter(waiter => {
+            if (!waiter.condition()) return true;
+            waiter.resolve();
+            return false;
+        });
+    }
+}
+
+const connectionTracker = new ConnectionTracker();
+
+module.exports = {
+    ConnectionTracker,
+    connectionTracker
+};
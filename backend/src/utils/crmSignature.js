@@ -0,0 +1,46 @@
+/**
+ * CRM Webhook 署名
+ * X-ShinAI-Signature: sha256=HMAC-SHA256(CRM_WEBHOOK_SECRET, "<X-ShinAI-Timestamp>.<本文>")
+ * 送信側（utils/crmWebhook.js）と受信スタブ（utils/crmStubReceiver.js）で共通
+ * masa様開発ルール完全遵守
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+// 受信側で許容する時刻ずれ（秒）
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * 署名生成（timestamp は UNIX 秒）
+ */
+function signCrmPayload(secret, timestamp, body) {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `${SIGNATURE_PREFIX}${digest}`;
+}
+
+/**
+ * 署名検証（定数時間比較・時刻ずれ超過は不一致）
+ */
+function verifyCrmSignature(secret, { timestamp, body, signature }, {
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    now = Date.now()
+} = {}) {
+    if (!/^\d{1,12}$/.test(String(timestamp)) || typeof signature !== 'string') {
+        return false;
+    }
+    if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signCrmPayload(secret, timestamp, body));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+    signCrmPayload,
+    verifyCrmSignature
+};
@@ -0,0 +1,140 @@
+/**
+ * CRM Webhook 受信スタブ（開発・テスト用）
+ * 署名を検証して受信内容を記録し、指定回数の失敗応答で再送・送信不能を再現
+ * 単体起動: CRM_WEBHOOK_SECRET=... node src/utils/crmStubReceiver.js（CRM_STUB_PORT・既定4010）
+ * masa様開発ルール完全遵守
+ */
+const http = require('http');
+const { verifyCrmSignature } = require('./crmSignature');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * JSON応答
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * 受信スタブ生成
+ * POST /（任意のパス）: Webhook 受信・GET /deliveries: 受信一覧・DELETE /deliveries: 記録消去
+ */
+function createCrmStubReceiver({ secret, toleranceSeconds } = {}) {
+    if (!secret) {
+        throw new Error('CRM stub receiver requires the webhook secret');
+    }
+
+    const deliveries = [];
+    const failures = [];
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/deliveries' && req.method === 'GET') {
+            return sendJson(res, 200, { deliveries });
+        }
+        if (req.url === '/deliveries' && req.method === 'DELETE') {
+            deliveries.length = 0;
+            failures.length = 0;
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: 'Method not allowed' });
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                sendJson(res, 413, { error: 'Payload too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const deliveryId = req.headers['x-shinai-delivery'];
+
+            const verified = verifyCrmSignature(secret, {
+                timestamp: req.headers['x-shinai-timestamp'],
+                body,
+                signature: req.headers['x-shinai-signature']
+            }, toleranceSeconds === undefined ? {} : { toleranceSeconds });
+
+            if (!verified) {
+                return sendJson(res, 401, { error: 'Invalid signature' });
+            }
+
+            // 失敗応答の再現（登録順に消費）
+            const failure = failures.shift();
+            if (failure) {
+                return sendJson(res, failure, { error: 'Simulated failure' });
+            }
+
+            // 同一送信IDの再送は記録済みとして受理
+            if (deliveries.some(delivery => delivery.id === deliveryId)) {
+                return sendJson(res, 200, { received: true, duplicate: true });
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                return sendJson(res, 400, { error: 'Invalid JSON' });
+            }
+
+            deliveries.push({
+                id: deliveryId,
+                event: req.headers['x-shinai-event'],
+                payload,
+                receivedAt: new Date().toISOString()
+            });
+            sendJson(res, 200, { received: true });
+        });
+    });
+
+    return {
+        server,
+        deliveries,
+
+        /**
+         * 次回以降の受信を statusCode で count 回失敗させる
+         */
+        failNext(statusCode, count = 1) {
+            for (let i = 0; i < count; i++) failures.push(statusCode);
+        },
+
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const receiver = createCrmStubReceiver({ secret: process.env.CRM_WEBHOOK_SECRET });
+    const failStatus = parseInt(process.env.CRM_STUB_FAIL_STATUS, 10);
+    if (failStatus) {
+        receiver.failNext(failStatus, parseInt(process.env.CRM_STUB_FAIL_COUNT, 10) || 1);
+    }
+
+    receiver.listen(parseInt(process.env.CRM_STUB_PORT, 10) || 4010, process.env.CRM_STUB_HOST || '127.0.0.1')
+        .then(({ address, port }) => {
+            console.log(`CRM stub receiver listening on http://${address}:${port}`);
+        });
+}
+
+module.exports = {
+    createCrmStubReceiver
+};
@@ -0,0 +1,268 @@
+/**
+ * CRM連携（新規リードの署名付きWebhook送信）
+ * 送信内容は crm_deliveries に保存してから非同期に送信し、失敗時は指数バックオフで再送
+ * 4xx（408/429 を除く）・試行回数の上限到達は dead として保管（管理APIで再送）
+ * 送信対象の取得は条件付き更新で行うため複数レプリカで実行しても重複送信しない
+ * masa様開発ルール完全遵守
+ */
+const crypto = require('crypto');
+const CrmDelivery = require('../models/CrmDelivery');
+const { signCrmPayload } = require('./crmSignature');
+const { counters } = require('./metrics');
+const { getConfig } = require('../config/runtime');
+const { logger } = require('./logger');
+
+// 再送する 4xx（その他の 4xx は受信側の恒久的な拒否として再送しない）
+const RETRYABLE_CLIENT_ERRORS = [408, 429];
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * 送信ID生成（CRM_<時刻>_<乱数>）
+ */
+function generateDeliveryId() {
+    const timestamp = Date.now().toString(36);
+    const random = crypto.randomBytes(4).toString('hex');
+    return `CRM_${timestamp}_${random}`.toUpperCase();
+}
+
+class CrmWebhook {
+    constructor(options = {}) {
+        this.pollInterval = options.pollInterval || 10000; // ミリ秒
+        this.batchSize = options.batchSize || 20;
+        this.maxBackoffMs = options.maxBackoffMs || 6 * 60 * 60 * 1000;
+        this.lockMarginMs = options.lockMarginMs || 60000;
+        this.timer = null;
+        this.delivering = null;
+    }
+
+    /**
+     * 送信有効判定（URL・署名鍵の両方が必要）
+     */
+    isEnabled(crm = getConfig().crm) {
+        return Boolean(crm.webhookUrl && crm.webhookSecret);
+    }
+
+    /**
+     * 送信登録（未設定時は登録しない）
+     */
+    async enqueue(event, data) {
+        if (!this.isEnabled()) return null;
+
+        const deliveryId = generateDeliveryId();
+        const delivery = await CrmDelivery.create({
+            delivery_id: deliveryId,
+            event,
+            payload: {
+                id: deliveryId,
+                event,
+                createdAt: new Date().toISOString(),
+                data
+            }
+        });
+
+        counters.crmDeliveries.inc({ result: 'queued' });
+        return delivery;
+    }
+
+    /**
+     * 送信時期到来分の送信
+     */
+    async deliverDue() {
+        if (this.delivering) return await this.delivering;
+
+        this.delivering = (async () => {
+            const crm = getConfig().crm;
+            const results = { delivered: 0, retried: 0, dead: 0 };
+            if (!this.isEnabled(crm)) return results;
+
+            for (let processed = 0; processed < this.batchSize; processed++) {
+                const delivery = await this.claim(crm);
+                if (!delivery) break;
+                results[await this.attempt(delivery, crm)]++;
+            }
+
+            if (results.delivered + results.retried + results.dead > 0) {
+                logger.info('CRM deliveries processed', results);
+            }
+            return results;
+        })();
+
+        try {
+            return await this.delivering;
+        } finally {
+            this.delivering = null;
+        }
+    }
+
+    /**
+     * 送信対象の取得（送信待ち・占有期限切れの送信中）
+     */
+    async claim(crm) {
+        const now = new Date();
+
+        return await CrmDelivery.findOneAndUpdate({
+            $or: [
+                { status: 'pending', next_attempt_at: { $lte: now } },
+                { status: 'delivering', locked_until: { $lte: now } }
+            ]
+        }, {
+            $set: {
+                status: 'delivering',
+                locked_until: new Date(now.getTime() + crm.timeoutMs + this.lockMarginMs)
+            },
+            $inc: { attempts: 1 }
+        }, { sort: { next_attempt_at: 1 }, new: true }).lean();
+    }
+
+    /**
+     * 1回分の送信（結果: delivered / retried / dead）
+     */
+    async attempt(delivery, crm) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let statusCode = null;
+        let failure = null;
+
+        try {
+            const response = await fetch(crm.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ShinAI-CRM-Webhook/1.0',
+                    'X-ShinAI-Event': delivery.event,
+                    'X-ShinAI-Delivery': delivery.delivery_id,
+                    'X-ShinAI-Timestamp': timestamp,
+                    'X-ShinAI-Signature': signCrmPayload(crm.webhookSecret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(crm.timeoutMs)
+            });
+
+            statusCode = response.status;
+            if (response.ok) {
+                return await this.settle(delivery, 'delivered', {
+                    last_status_code: statusCode,
+                    last_error: null,
+                    delivered_at: new Date()
+                });
+            }
+            failure = `CRM responded with HTTP ${statusCode}`;
+
+        } catch (error) {
+            failure = error.message;
+        }
+
+        const permanent = statusCode !== null && statusCode >= 400 && statusCode < 500 &&
+            !RETRYABLE_CLIENT_ERRORS.includes(statusCode);
+        const update = {
+            last_status_code: statusCode,
+            last_error: String(failure).slice(0, MAX_ERROR_LENGTH)
+        };
+
+        if (permanent || delivery.attempts >= crm.maxAttempts) {
+            logger.error('CRM delivery moved to dead letters', {
+                deliveryId: delivery.delivery_id,
+                event: delivery.event,
+                attempts: delivery.attempts,
+                statusCode,
+                error: update.last_error
+            });
+            return await this.settle(delivery, 'dead', { ...update, dead_at: new Date() });
+        }
+
+        logger.warn('CRM delivery failed, will retry', {
+            deliveryId: delivery.delivery_id,
+            attempts: delivery.attempts,
+            statusCode,
+            error: update.last_error
+        });
+        return await this.settle(delivery, 'pending', {
+            ...update,
+            next_attempt_at: new Date(Date.now() + this.backoff(delivery.attempts, crm))
+        });
+    }
+
+    /**
+     * 送信結果の記録（他レプリカが占有期限切れで再取得した場合は記録しない）
+     */
+    async settle(delivery, status, set) {
+        const result = status === 'pending' ? 'retried' : status;
+
+        await CrmDelivery.updateOne({
+            delivery_id: delivery.delivery_id,
+            status: 'delivering',
+            attempts: delivery.attempts
+        }, {
+            $set: { ...set, status, locked_until: null }
+        });
+
+        counters.crmDeliveries.inc({ result });
+        return result;
+    }
+
+    /**
+     * 再送間隔（試行ごとに倍増・上限あり）
+     */
+    backoff(attempts, crm) {
+        return Math.min(crm.retryBaseMs * 2 ** (attempts - 1), this.maxBackoffMs);
+    }
+
+    /**
+     * 送信不能分の再送（試行回数を初期化して送信待ちへ・dead 以外は null）
+     */
+    async redeliver(deliveryId) {
+        return await CrmDelivery.findOneAndUpdate({
+            delivery_id: deliveryId,
+            status: 'dead'
+        }, {
+            $set: {
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date(),
+                dead_at: null
+            }
+        }, { new: true }).lean();
+    }
+
+    /**
+     * 定期送信開始
+     */
+    start(interval = this.pollInterval) {
+        if (this.timer) return;
+        this.pollInterval = interval;
+
+        const crm = getConfig().crm;
+        if (crm.webhookUrl && !crm.webhookSecret) {
+            logger.error('CRM_WEBHOOK_URL is set without CRM_WEBHOOK_SECRET; CRM delivery is disabled');
+        }
+
+        this.timer = setInterval(() => {
+            this.deliverDue().catch(error => {
+                logger.error('CRM delivery run failed:', { error: error.message });
+            });
+        }, this.pollInterval);
+        this.timer.unref();
+    }
+
+    /**
+     * 定期送信停止（送信中の処理は完了を待つ）
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.delivering) {
+            await this.delivering.catch(() => {});
+        }
+    }
+}
+
+const crmWebhook = new CrmWebhook();
+
+module.exports = {
+    CrmWebhook,
+    crmWebhook,
+    generateDeliveryId
+};
@@ -0,0 +1,16 @@
+/**
+ * APIエラー
+ * next(new APIError(message, statusCode, code)) で errorHandler が { success, error, code } 形式に変換
+ * masa様開発ルール完全遵守
+ */
+class APIError extends Error {
+    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
+        super(message);
+        this.name = 'APIError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = { APIError };
@@ -0,0 +1,159 @@
+/**
+ * 見積もり改訂の差分
+ * 同一プロジェクト内の2つの改訂について、入力条件・調整係数・金額・期間・フェーズ・推奨事項の変化を算出
+ * masa様開発ルール完全遵守
+ */
+
+/**
+ * 数値の変化（増減率は小数第3位まで・比較元が0の場合は null）
+ */
+function numberChange(from, to) {
+    const before = typeof from === 'number' ? from : null;
+    const after = typeof to === 'number' ? to : null;
+    const delta = before !== null && after !== null ? after - before : null;
+
+    return {
+        from: before,
+        to: after,
+        delta,
+        deltaRate: delta !== null && before ? Math.round(delta / before * 1000) / 1000 : null,
+        changed: before !== after
+    };
+}
+
+/**
+ * 値の変化（数値以外）
+ */
+function valueChange(from, to) {
+    return {
+        from: from ?? null,
+        to: to ?? null,
+        changed: !isEqual(from ?? null, to ?? null)
+    };
+}
+
+/**
+ * 構造比較（JSON表現で比較・キー順は無視）
+ */
+function isEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 配列の追加・削除（順序は無視）
+ */
+function listChange(from = [], to = []) {
+    return {
+        added: to.filter(item => !from.includes(item)),
+        removed: from.filter(item => !to.includes(item)),
+        unchanged: to.filter(item => from.includes(item))
+    };
+}
+
+/**
+ * 入力条件の差分（変更された項目のみ・配列は追加/削除）
+ */
+function diffRequirements(from = {}, to = {}) {
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+    return fields
+        .filter(field => !isEqual(from[field] ?? null, to[field] ?? null))
+        .map(field => {
+            if (Array.isArray(from[field]) || Array.isArray(to[field])) {
+                const { added, removed } = listChange(from[field] || [], to[field] || []);
+                return { field, from: from[field] ?? null, to: to[field] ?? null, added, removed };
+            }
+            return { field, from: from[field] ?? null, to: to[field] ?? null };
+        });
+}
+
+/**
+ * フェーズの差分（key で対応付け・旧形式で key がない場合は名称）
+ */
+function diffPhases(from = [], to = []) {
+    const keyOf = phase => phase.key || phase.name;
+    const before = new Map(from.map(phase => [keyOf(phase), phase]));
+    const after = new Map(to.map(phase => [keyOf(phase), phase]));
+    const keys = [...after.keys(), ...[...before.keys()].filter(key => !after.has(key))];
+
+    return keys.map(key => {
+        const a = before.get(key);
+        const b = after.get(key);
+        const summary = phase => phase && {
+            businessDays: phase.businessDays ?? null,
+            startDate: phase.startDate ?? null,
+            endDate: phase.endDate ?? null
+        };
+
+        let change = 'unchanged';
+        if (!a) change = 'added';
+        else if (!b) change = 'removed';
+        else if (!isEqual(summary(a), summary(b))) change = 'changed';
+
+        return {
+            key,
+            name: (b || a).name,
+            change,
+            from: summary(a) || null,
+            to: summary(b) || null,
+            businessDays: numberChange(a?.businessDays, b?.businessDays)
+        };
+    });
+}
+
+/**
+ * 改訂間の差分
+ * from / to: serviceController.fromStoredEstimate 形式（同一ロケールに揃えたもの）
+ */
+function diffEstimates(from, to) {
+    const breakdownKeys = [...new Set([...Object.keys(from.breakdown || {}), ...Object.keys(to.breakdown || {})])];
+    // 調整係数は数値項目のみ（会員割引の有無は pricing で比較）
+    const adjustmentKeys = [...new Set([...Object.keys(from.adjustments || {}), ...Object.keys(to.adjustments || {})])]
+        .filter(key => typeof from.adjustments?.[key] === 'number' || typeof to.adjustments?.[key] === 'number');
+    const fromTimeline = from.timeline || {};
+    const toTimeline = to.timeline || {};
+
+    return {
+        requirements: diffRequirements(from.requirements, to.requirements),
+        pricing: {
+            version: numberChange(from.pricingVersion, to.pricingVersion),
+            premium: valueChange(Boolean(from.adjustments?.premium), Boolean(to.adjustments?.premium))
+        },
+        adjustments: Object.fromEntries(adjustmentKeys.map(key => [
+            key, numberChange(from.adjustments?.[key], to.adjustments?.[key])
+        ])),
+        cost: {
+            totalCost: numberChange(from.totalCost, to.totalCost),
+            tax: numberChange(from.tax?.amount, to.tax?.amount),
+            totalWithTax: numberChange(from.totalWithTax, to.totalWithTax),
+            breakdown: Object.fromEntries(breakdownKeys.map(key => [
+                key, numberChange(from.breakdown?.[key], to.breakdown?.[key])
+            ]))
+        },
+        timeline: {
+            requested: numberChange(fromTimeline.requested, toTimeline.requested),
+            actual: numberChange(fromTimeline.actual, toTimeline.actual),
+            businessDays: numberChange(fromTimeline.businessDays, toTimeline.businessDays),
+            startDate: valueChange(fromTimeline.startDate, toTimeline.startDate),
+            endDate: valueChange(fromTimeline.endDate, toTimeline.endDate)
+        },
+        phases: diffPhases(fromTimeline.phases, toTimeline.phases),
+        recommendations: listChange(from.recommendations, to.recommendations)
+    };
+}
+
+module.exports = {
+    diffEstimates,
+    diffRequirements,
+    diffPhases
+};
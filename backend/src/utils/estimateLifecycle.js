@@ -0,0 +1,184 @@
+/**
+ * 見積もりライフサイクル
+ * draft → sent → viewed → accepted / declined、有効期限（valid_until）到来で expired
+ * 遷移は現在状態を条件とする条件付き更新で行い、全遷移を status_history と監査ログに記録
+ * masa様開発ルール完全遵守
+ */
+const PricingEstimate = require('../models/PricingEstimate');
+const { createAuditLog } = require('./auditLogger');
+const { logger } = require('./logger');
+
+// 遷移表（キー: 現在状態 → 遷移可能な状態）
+const TRANSITIONS = {
+    draft: ['sent', 'expired'],
+    sent: ['viewed', 'accepted', 'declined', 'expired'],
+    viewed: ['accepted', 'declined', 'expired'],
+    accepted: [],
+    declined: [],
+    expired: []
+};
+
+// 有効期限で失効する状態
+const OPEN_STATUSES = ['draft', 'sent', 'viewed'];
+
+/**
+ * 遷移可否
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 現在状態（status 未設定の既存見積もりは draft）
+ */
+function currentStatus(estimate) {
+    return estimate.status || 'draft';
+}
+
+class EstimateLifecycle {
+    constructor(options = {}) {
+        this.sweepInterval = options.sweepInterval || 60000; // ミリ秒
+        this.sweepBatchSize = options.sweepBatchSize || 100;
+        this.timer = null;
+        this.sweeping = null;
+    }
+
+    /**
+     * 状態遷移
+     * 他リクエストが先に遷移させた場合・where 条件を満たさない場合は null（呼出側で 409 とする）
+     */
+    async transition(estimate, to, {
+        actorId = null,
+        ip = null,
+        userAgent = null,
+        note = null,
+        set = {},
+        where = {},
+        details = {}
+    } = {}) {
+        const from = currentStatus(estimate);
+        if (!canTransition(from, to)) {
+            return null;
+        }
+
+        const now = new Date();
+        const filter = { ...where, estimate_id: estimate.estimate_id };
+        if (from === 'draft') {
+            filter.status = { $in: ['draft', null] };
+        } else {
+            filter.status = from;
+        }
+
+        const updated = await PricingEstimate.findOneAndUpdate(filter, {
+            $set: { status: to, ...set },
+            $push: {
+                status_history: { from, to, actor_id: actorId, source_ip: ip, note, at: now }
+            }
+        }, { new: true }).lean();
+
+        if (!updated) {
+            return null;
+        }
+
+        await createAuditLog({
+            action: `estimate_${to}`,
+            userId: actorId || 'system',
+            ip,
+            userAgent,
+            details: {
+                estimateId: estimate.estimate_id,
+                from,
+                to,
+                ...(note && { note }),
+                ...details
+            }
+        });
+
+        return updated;
+    }
+
+    /**
+     * 期限切れ判定・遷移（参照時）
+     */
+    async expireIfOverdue(estimate, context = {}) {
+        if (!OPEN_STATUSES.includes(currentStatus(estimate))) return estimate;
+        if (new Date(estimate.valid_until) > new Date()) return estimate;
+
+        const expired = await this.transition(estimate, 'expired', { ...context, note: 'valid_until reached' });
+        return expired || await PricingEstimate.findOne({ estimate_id: estimate.estimate_id }).lean();
+    }
+
+    /**
+     * 期限到来分の一括失効（複数レプリカで実行しても条件付き更新で重複遷移しない）
+     */
+    async expireOverdue() {
+        if (this.sweeping) return await this.sweeping;
+
+        this.sweeping = (async () => {
+            const overdue = await PricingEstimate.find({
+                status: { $in: [...OPEN_STATUSES, null] },
+                valid_until: { $lte: new Date() }
+            })
+            .select('estimate_id status valid_until')
+            .limit(this.sweepBatchSize)
+            .lean();
+
+            let expired = 0;
+            for (const estimate of overdue) {
+                if (await this.transition(estimate, 'expired', { note: 'valid_until reached' })) {
+                    expired++;
+                }
+            }
+
+            if (expired > 0) {
+                logger.info('Overdue estimates expired', { expired });
+            }
+            return { expired };
+        })();
+
+        try {
+            return await this.sweeping;
+        } finally {
+            this.sweeping = null;
+        }
+    }
+
+    /**
+     * 定期失効開始
+     */
+    start(interval = this.sweepInterval) {
+        if (this.timer) return;
+        this.sweepInterval = interval;
+
+        this.timer = setInterval(() => {
+            this.expireOverdue().catch(error => {
+                logger.error('Estimate expiry sweep failed:', { error: error.message });
+            });
+        }, this.sweepInterval);
+        this.timer.unref();
+    }
+
+    /**
+     * 定期失効停止（処理中の一括失効は完了を待つ）
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.sweeping) {
+            await this.sweeping.catch(() => {});
+        }
+    }
+}
+
+const estimateLifecycle = new EstimateLifecycle();
+
+module.exports = {
+    EstimateLifecycle,
+    estimateLifecycle,
+    TRANSITIONS,
+    OPEN_STATUSES,
+    canTransition,
+    currentStatus
+};
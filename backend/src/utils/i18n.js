@@ -0,0 +1,126 @@
+/**
+ * 多言語対応ユーティリティ（ja / en）
+ * ロケール判定（?lang= → Accept-Language → 既定）と翻訳カタログ参照（要求ロケール → 既定ロケール → キー）
+ * masa様開発ルール完全遵守
+ */
+const SUPPORTED_LOCALES = ['ja', 'en'];
+const DEFAULT_LOCALE = 'ja';
+const LOCALE_QUERY_PARAM = 'lang';
+
+const catalogs = {
+    ja: require('../locales/ja.json'),
+    en: require('../locales/en.json')
+};
+
+/**
+ * 言語タグを対応ロケールへ正規化（en-US → en）
+ */
+function normalizeLocale(tag) {
+    if (typeof tag !== 'string') return null;
+
+    const base = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Accept-Language 解析（q値の降順、同値は記載順）
+ */
+function parseAcceptLanguage(header) {
+    if (typeof header !== 'string' || !header) return [];
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+            return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.tag && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+/**
+ * リクエストのロケール決定
+ */
+function negotiateLocale(req) {
+    const requested = normalizeLocale(req.query?.[LOCALE_QUERY_PARAM]);
+    if (requested) return requested;
+
+    for (const tag of parseAcceptLanguage(req.get('Accept-Language'))) {
+        if (tag === '*') return DEFAULT_LOCALE;
+        const locale = normalizeLocale(tag);
+        if (locale) return locale;
+    }
+
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * ドット区切りキーでカタログ参照
+ */
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * 翻訳（{name} 形式の差し込み対応）
+ */
+function t(locale, key, params = {}) {
+    const chain = [locale, DEFAULT_LOCALE].filter((value, index, list) => catalogs[value] && list.indexOf(value) === index);
+
+    for (const candidate of chain) {
+        const message = lookup(catalogs[candidate], key);
+        if (typeof message === 'string') {
+            return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+        }
+    }
+
+    return key;
+}
+
+/**
+ * 翻訳の有無
+ */
+function has(locale, key) {
+    return typeof lookup(catalogs[locale] || {}, key) === 'string' ||
+        typeof lookup(catalogs[DEFAULT_LOCALE], key) === 'string';
+}
+
+/**
+ * カタログのセクション取得（欠落キーは既定ロケールで補完）
+ */
+function getSection(locale, section) {
+    const fallback = lookup(catalogs[DEFAULT_LOCALE], section) || {};
+    const localized = lookup(catalogs[locale] || {}, section) || {};
+    return { ...fallback, ...localized };
+}
+
+/**
+ * サービスの表示項目をロケール別翻訳で置換
+ * translations.<locale> に無い項目は基本フィールド（日本語）を使用
+ */
+function localizeService(service, locale) {
+    const translation = service.translations?.[locale] || {};
+
+    return {
+        name: translation.name || service.name,
+        description: translation.description || service.description,
+        features: Array.isArray(translation.features) && translation.features.length > 0
+            ? translation.features
+            : service.features
+    };
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LOCALE_QUERY_PARAM,
+    normalizeLocale,
+    parseAcceptLanguage,
+    negotiateLocale,
+    t,
+    has,
+    getSection,
+    localizeService
+};
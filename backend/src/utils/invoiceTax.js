@@ -0,0 +1,69 @@
+/**
+ * 消費税・金額按分（適格請求書等保存方式）
+ * 消費税額は税率ごとの合計額に対して1回だけ端数処理し、明細ごとの端数処理は行わない
+ * masa様開発ルール完全遵守
+ */
+
+const ROUNDING_MODES = ['floor', 'round', 'ceil'];
+
+/**
+ * 円未満の端数処理
+ */
+function roundYen(value, mode = 'floor') {
+    if (!ROUNDING_MODES.includes(mode)) {
+        throw new Error(`Unknown rounding mode: ${mode}`);
+    }
+    // 浮動小数点誤差（例: 1100 * 0.1 = 110.00000000000001）を除いてから端数処理
+    return Math[mode](Number(value.toFixed(6)));
+}
+
+/**
+ * 比率按分（最大剰余法・各行の合計が total と一致）
+ * weights: { key: 比率 }
+ */
+function allocateByWeights(total, weights) {
+    const entries = Object.entries(weights);
+    const weightSum = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (!Number.isInteger(total) || total < 0 || weightSum <= 0) {
+        throw new Error('Allocation requires a non-negative integer total and positive weights');
+    }
+
+    const shares = entries.map(([key, weight], index) => {
+        const exact = total * weight / weightSum;
+        const amount = Math.floor(Number(exact.toFixed(6)));
+        return { key, index, amount, remainder: exact - amount };
+    });
+
+    // 切り捨てで不足した分を剰余の大きい行から1円ずつ配分（同率は定義順）
+    let shortfall = total - shares.reduce((sum, share) => sum + share.amount, 0);
+    const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (const share of byRemainder) {
+        if (shortfall <= 0) break;
+        share.amount++;
+        shortfall--;
+    }
+
+    return Object.fromEntries(shares.map(({ key, amount }) => [key, amount]));
+}
+
+/**
+ * 税額算出（税抜合計 → 税率ごとに1回の端数処理）
+ */
+function calculateTax(subtotal, { rate, rounding = 'floor' }) {
+    const amount = roundYen(subtotal * rate, rounding);
+
+    return {
+        rate,
+        rounding,
+        taxableAmount: subtotal,
+        amount,
+        total: subtotal + amount
+    };
+}
+
+module.exports = {
+    ROUNDING_MODES,
+    roundYen,
+    allocateByWeights,
+    calculateTax
+};
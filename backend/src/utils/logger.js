@@ -0,0 +1,25 @@
+/**
+ * アプリケーションロガー（winston・JSON形式で標準出力）
+ * ログレベルは起動時に LOG_LEVEL（shared/config/schema.js）で上書き
+ * masa様開発ルール完全遵守
+ */
+const winston = require('winston');
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.splat(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'shinai-backend' },
+    transports: [
+        new winston.transports.Console({
+            // テスト実行時は出力しない
+            silent: process.env.NODE_ENV === 'test'
+        })
+    ]
+});
+
+module.exports = { logger };
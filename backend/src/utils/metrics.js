@@ -0,0 +1,202 @@
+/**
+ * Prometheusメトリクス
+ * HTTPリクエスト・セキュリティ検知・キャッシュ・見積り件数・プロセス統計
+ * masa様開発ルール完全遵守
+ */
+const net = require('net');
+const client = require('prom-client');
+const { normalizeIP } = require('./securityEvents');
+const { getConfig } = require('../config/runtime');
+
+const PREFIX = 'shinai_backend_';
+const register = new client.Registry();
+
+// プロセス・イベントループ統計
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequestDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request duration by route template and status',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const httpRequestsInFlight = new client.Gauge({
+    name: `${PREFIX}http_requests_in_flight`,
+    help: 'HTTP requests currently being processed',
+    registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+    name: `${PREFIX}rate_limit_rejections_total`,
+    help: 'Requests rejected by rate limiters',
+    labelNames: ['limiter'],
+    registers: [register]
+});
+
+const csrfFailures = new client.Counter({
+    name: `${PREFIX}csrf_failures_total`,
+    help: 'Requests rejected due to missing or invalid CSRF tokens',
+    registers: [register]
+});
+
+const mongoSanitizeHits = new client.Counter({
+    name: `${PREFIX}mongo_sanitize_hits_total`,
+    help: 'Request keys sanitized by express-mongo-sanitize',
+    registers: [register]
+});
+
+const requestRejections = new client.Counter({
+    name: `${PREFIX}request_validation_rejections_total`,
+    help: 'Requests rejected by request validation and WAF',
+    labelNames: ['reason'],
+    registers: [register]
+});
+
+const estimatesCreated = new client.Counter({
+    name: `${PREFIX}estimates_created_total`,
+    help: 'Pricing estimates created by service type',
+    labelNames: ['service_type'],
+    registers: [register]
+});
+
+const crmDeliveries = new client.Counter({
+    name: `${PREFIX}crm_deliveries_total`,
+    help: 'CRM webhook delivery attempts by result',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+// キャッシュ統計（スクレイプ時に各キャッシュのプロセス内統計を読み出す）
+const observedCaches = new Map();
+
+new client.Gauge({
+    name: `${PREFIX}cache_operations`,
+    help: 'Cache lookups in this process by result',
+    labelNames: ['cache', 'result'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const [name, cache] of observedCaches) {
+            const { hits, misses, errors } = cache.stats;
+            this.set({ cache: name, result: 'hit' }, hits);
+            this.set({ cache: name, result: 'miss' }, misses);
+            this.set({ cache: name, result: 'error' }, errors);
+        }
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}cache_hit_ratio`,
+    help: 'Cache hit ratio in this process',
+    labelNames: ['cache'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const [name, cache] of observedCaches) {
+            const { hits, misses } = cache.stats;
+            this.set({ cache: name }, hits + misses > 0 ? hits / (hits + misses) : 0);
+        }
+    }
+});
+
+/**
+ * キャッシュ監視登録（SharedCache インスタンス）
+ */
+function observeCache(name, cache) {
+    observedCaches.set(name, cache);
+}
+
+/**
+ * ルートテンプレート取得（カーディナリティ抑制のため実パスは使わない）
+ */
+function resolveRoute(req) {
+    if (req.route) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    return req.baseUrl || 'unmatched';
+}
+
+/**
+ * HTTPメトリクス計測ミドルウェア
+ */
+function metricsMiddleware(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+    httpRequestsInFlight.inc();
+
+    let recorded = false;
+    const record = () => {
+        if (recorded) return;
+        recorded = true;
+
+        httpRequestsInFlight.dec();
+        endTimer({
+            method: req.method,
+            route: resolveRoute(req),
+            status_code: res.statusCode
+        });
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+}
+
+/**
+ * CSRFエラー計測（errorHandler の前に配置）
+ */
+function csrfErrorCounter(err, req, res, next) {
+    if (err && err.code === 'EBADCSRFTOKEN') {
+        csrfFailures.inc();
+    }
+    next(err);
+}
+
+/**
+ * /metrics エンドポイント（内部ネットワークのみ）
+ */
+function createMetricsHandler(allowedNetworks = getConfig().metrics.allowedNetworks) {
+    const allowList = new net.BlockList();
+
+    for (const entry of allowedNetworks) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix) {
+            allowList.addSubnet(address, parseInt(prefix, 10), type);
+        } else {
+            allowList.addAddress(address, type);
+        }
+    }
+
+    return async (req, res) => {
+        const ip = normalizeIP(req.ip) || '';
+        const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+
+        if (!net.isIP(ip) || !allowList.check(ip, type)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied',
+                code: 'METRICS_FORBIDDEN'
+            });
+        }
+
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+    };
+}
+
+module.exports = {
+    register,
+    metricsMiddleware,
+    csrfErrorCounter,
+    createMetricsHandler,
+    observeCache,
+    counters: {
+        rateLimitRejections,
+        mongoSanitizeHits,
+        requestRejections,
+        estimatesCreated,
+        crmDeliveries
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * 料金表カタログ
+ * 公開済み料金表をメモリに保持し、適用日時に有効な版を選択（該当なしは組込み版0）
+ * 公開・適用期間の変更は Redis の版数で全レプリカに通知し、次回参照時に再読込
+ * masa様開発ルール完全遵守
+ */
+const PricingVersion = require('../models/PricingVersion');
+const redis = require('../config/redis');
+const { logger } = require('./logger');
+const { BUILTIN_PRICING_VERSION, DEFAULT_PRICING_RULES } = require('./pricingRules');
+
+const BUILTIN = {
+    version: BUILTIN_PRICING_VERSION,
+    rules: DEFAULT_PRICING_RULES,
+    effectiveFrom: null,
+    effectiveTo: null
+};
+
+class PricingCatalog {
+    constructor(options = {}) {
+        this.versionKey = options.versionKey || 'cache:pricing:catalog_version';
+        this.ttl = options.ttl || 5 * 60 * 1000; // 再読込間隔（ミリ秒）
+        this.versionCheckInterval = options.versionCheckInterval || 5000;
+        this.state = {
+            versions: [],
+            catalogVersion: null,
+            checkedAt: 0,
+            loadedAt: 0,
+            loading: null
+        };
+    }
+
+    /**
+     * 指定日時に有効な料金表（適用期間が重なる場合は版番号の大きいもの）
+     */
+    async getActive(at = new Date()) {
+        const versions = await this.ensureLoaded();
+        const time = at.getTime();
+
+        return versions.find(entry =>
+            entry.effectiveFrom.getTime() <= time &&
+            (!entry.effectiveTo || time < entry.effectiveTo.getTime())
+        ) || BUILTIN;
+    }
+
+    /**
+     * 版指定の料金表（見積もり再計算用・公開済みのみ）
+     */
+    async getVersion(version) {
+        if (version === null || version === undefined || version === BUILTIN_PRICING_VERSION) {
+            return BUILTIN;
+        }
+
+        const versions = await this.ensureLoaded();
+        const cached = versions.find(entry => entry.version === version);
+        if (cached) return cached;
+
+        const stored = await PricingVersion.findOne({ version, status: 'published' }).lean();
+        if (!stored) {
+            throw new Error(`Unknown pricing version: ${version}`);
+        }
+        return this.toEntry(stored);
+    }
+
+    /**
+     * 公開済み料金表の読込（期限切れ・他レプリカでの変更時）
+     */
+    async ensureLoaded() {
+        const state = this.state;
+        const now = Date.now();
+
+        if (state.loading) {
+            return await state.loading;
+        }
+
+        let stale = !state.loadedAt || now - state.loadedAt > this.ttl;
+
+        if (!stale && now - state.checkedAt > this.versionCheckInterval) {
+            state.checkedAt = now;
+            try {
+                const version = await redis.client.get(this.versionKey);
+                stale = version !== state.catalogVersion;
+            } catch (error) {
+                logger.warn('Pricing catalog version check failed:', error.message);
+            }
+        }
+
+        if (!stale) {
+            return state.versions;
+        }
+
+        state.loading = (async () => {
+            let version = null;
+            try {
+                version = await redis.client.get(this.versionKey);
+            } catch (error) {
+                logger.warn('Pricing catalog version read failed:', error.message);
+            }
+
+            const published = await PricingVersion.find({ status: 'published' })
+                .sort({ version: -1 })
+                .lean();
+
+            state.versions = published.map(stored => this.toEntry(stored));
+            state.catalogVersion = version;
+            state.checkedAt = Date.now();
+            state.loadedAt = Date.now();
+
+            logger.info('Pricing catalog loaded', { versions: state.versions.length });
+            return state.versions;
+        })();
+
+        try {
+            return await state.loading;
+        } finally {
+            state.loading = null;
+        }
+    }
+
+    /**
+     * 変更通知（全レプリカの再読込）
+     */
+    async invalidate() {
+        this.state.loadedAt = 0;
+
+        try {
+            await redis.client.incr(this.versionKey);
+        } catch (error) {
+            logger.warn('Pricing catalog version bump failed:', error.message);
+        }
+    }
+
+    toEntry(stored) {
+        return {
+            version: stored.version,
+            rules: stored.rules,
+            effectiveFrom: new Date(stored.effective_from),
+            effectiveTo: stored.effective_to ? new Date(stored.effective_to) : null
+        };
+    }
+}
+
+const pricingCatalog = new PricingCatalog();
+
+module.exports = {
+    PricingCatalog,
+    pricingCatalog,
+    BUILTIN_PRICING: BUILTIN
+};
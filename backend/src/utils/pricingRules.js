@@ -0,0 +1,205 @@
+/**
+ * 料金表（価格設定基準）
+ * 組込み料金表（版0）と、管理APIで登録する料金表の検証
+ * 見積額は記録した版の料金表で再計算すると同じ金額になる（公開済みの版は変更不可）
+ * masa様開発ルール完全遵守
+ */
+
+// 料金表未登録・旧見積もり（版の記録なし）に適用する組込み版
+const BUILTIN_PRICING_VERSION = 0;
+
+const DEFAULT_PRICING_RULES = {
+    baseCost: 300000, // 基本30万円
+    complexity: {
+        simple: 1.0,
+        medium: 1.5,
+        complex: 2.5,
+        enterprise: 4.0
+    },
+    timeline: {
+        urgent: 1.3,     // 1週間以内
+        fast: 1.1,       // 2週間
+        standard: 1.0,   // 1ヶ月
+        extended: 0.9    // 2ヶ月以上
+    },
+    // 期間区分の上限日数（短い順・最後の区分は上限なし = null）
+    timelineBuckets: [
+        { bucket: 'urgent', maxDays: 7 },
+        { bucket: 'fast', maxDays: 14 },
+        { bucket: 'standard', maxDays: 30 },
+        { bucket: 'extended', maxDays: null }
+    ],
+    // サービス固有調整（base: 基本加算・その他: 機能別加算）
+    serviceAdjustments: {
+        'ai-agent': {
+            base: 0,
+            'advanced-nlp': 100000,
+            'multi-language': 150000,
+            'real-time': 200000
+        },
+        'rag': {
+            base: 50000,
+            'vector-optimization': 100000,
+            'large-dataset': 200000,
+            'real-time-updates': 150000
+        },
+        'aipro': {
+            base: -50000, // 既存製品なので割引
+            'custom-templates': 50000,
+            'api-integration': 100000
+        }
+    },
+    premiumDiscount: 0.9,          // 10%割引
+    phasedDeliveryOverhead: 0.15,  // 段階的開発の後続フェーズ立上げ費（後回し機能費の15%）
+    // 支払条件（着手金・中間金・完了時。比率の合計は1）
+    paymentMilestones: [
+        { key: 'deposit', rate: 0.3, trigger: 'acceptance' },
+        { key: 'interim', rate: 0.4, trigger: 'midpoint' },
+        { key: 'final', rate: 0.3, trigger: 'completion' }
+    ],
+    // 内訳の按分比率（税抜小計を按分・端数は最大剰余法で合計と一致させる）
+    costBreakdown: {
+        development: 0.6,
+        design: 0.2,
+        testing: 0.1,
+        deployment: 0.05,
+        support: 0.05
+    }
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_PRICING_RULES);
+const KEY_PATTERN = /^[a-z0-9_-]{1,50}$/;
+// 支払マイルストーンは受注モデル・支払条件の文言と対応するため比率のみ変更可
+const MILESTONE_DEFINITIONS = DEFAULT_PRICING_RULES.paymentMilestones.map(({ key, trigger }) => ({ key, trigger }));
+// 内訳の行は見積書の品目名（locales の breakdown）に対応
+const BREAKDOWN_KEYS = Object.keys(DEFAULT_PRICING_RULES.costBreakdown);
+const MAX_AMOUNT = 100000000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumberBetween(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * 料金表検証（全項目必須・エラーメッセージの配列を返却）
+ */
+function validatePricingRules(rules) {
+    if (!isPlainObject(rules)) return ['rules must be an object'];
+
+    const errors = [];
+    const unknown = Object.keys(rules).filter(field => !RULE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown rule fields: ${unknown.join(', ')}`);
+    }
+    const missing = RULE_FIELDS.filter(field => rules[field] === undefined);
+    if (missing.length > 0) {
+        return [...errors, `Missing rule fields: ${missing.join(', ')}`];
+    }
+
+    if (!Number.isInteger(rules.baseCost) || !isNumberBetween(rules.baseCost, 0, MAX_AMOUNT)) {
+        errors.push(`baseCost must be an integer between 0 and ${MAX_AMOUNT}`);
+    }
+
+    const checkMultipliers = (field, min, max) => {
+        const value = rules[field];
+        if (!isPlainObject(value) || Object.keys(value).length === 0) {
+            errors.push(`${field} must be a non-empty object`);
+            return;
+        }
+        for (const [key, multiplier] of Object.entries(value)) {
+            if (!KEY_PATTERN.test(key) || !isNumberBetween(multiplier, min, max)) {
+                errors.push(`${field}.${key} must be a number between ${min} and ${max}`);
+            }
+        }
+    };
+    checkMultipliers('complexity', 0.1, 20);
+    checkMultipliers('timeline', 0.1, 10);
+
+    // 期間区分: 上限日数は昇順・最後のみ上限なし・各区分に期間係数が必要
+    const buckets = rules.timelineBuckets;
+    if (!Array.isArray(buckets) || buckets.length === 0 || buckets.length > 10) {
+        errors.push('timelineBuckets must be an array of 1-10 buckets');
+    } else {
+        const names = new Set();
+        buckets.forEach((entry, index) => {
+            const last = index === buckets.length - 1;
+            const path = `timelineBuckets[${index}]`;
+            if (!isPlainObject(entry) || typeof entry.bucket !== 'string' || !KEY_PATTERN.test(entry.bucket)) {
+                errors.push(`${path}.bucket must be a key`);
+                return;
+            }
+            if (names.has(entry.bucket)) errors.push(`${path}.bucket is duplicated`);
+            names.add(entry.bucket);
+
+            if (last && entry.maxDays !== null) {
+                errors.push(`${path}.maxDays must be null (the last bucket is unbounded)`);
+            }
+            if (!last && (!Number.isInteger(entry.maxDays) || entry.maxDays < 1 ||
+                (index > 0 && entry.maxDays <= buckets[index - 1].maxDays))) {
+                errors.push(`${path}.maxDays must be an integer greater than the previous bucket`);
+            }
+            if (isPlainObject(rules.timeline) && rules.timeline[entry.bucket] === undefined) {
+                errors.push(`timeline.${entry.bucket} is required for bucket ${entry.bucket}`);
+            }
+        });
+    }
+
+    if (!isPlainObject(rules.serviceAdjustments)) {
+        errors.push('serviceAdjustments must be an object');
+    } else {
+        for (const [serviceType, adjustments] of Object.entries(rules.serviceAdjustments)) {
+            if (!KEY_PATTERN.test(serviceType) || !isPlainObject(adjustments)) {
+                errors.push(`serviceAdjustments.${serviceType} must be an object`);
+                continue;
+            }
+            for (const [feature, amount] of Object.entries(adjustments)) {
+                if (!/^[A-Za-z0-9_-]{1,100}$/.test(feature) || !Number.isInteger(amount) ||
+                    !isNumberBetween(amount, -MAX_AMOUNT, MAX_AMOUNT)) {
+                    errors.push(`serviceAdjustments.${serviceType}.${feature} must be an integer between -${MAX_AMOUNT} and ${MAX_AMOUNT}`);
+                }
+            }
+        }
+    }
+
+    if (!isNumberBetween(rules.premiumDiscount, 0.01, 1)) {
+        errors.push('premiumDiscount must be a number between 0.01 and 1');
+    }
+    if (!isNumberBetween(rules.phasedDeliveryOverhead, 0, 1)) {
+        errors.push('phasedDeliveryOverhead must be a number between 0 and 1');
+    }
+
+    const milestones = rules.paymentMilestones;
+    const milestoneShape = Array.isArray(milestones) && milestones.length === MILESTONE_DEFINITIONS.length &&
+        milestones.every((milestone, index) => isPlainObject(milestone) &&
+            milestone.key === MILESTONE_DEFINITIONS[index].key &&
+            milestone.trigger === MILESTONE_DEFINITIONS[index].trigger);
+    if (!milestoneShape) {
+        errors.push(`paymentMilestones must be ${MILESTONE_DEFINITIONS.map(({ key, trigger }) => `${key}/${trigger}`).join(', ')} in this order`);
+    } else if (!milestones.every(({ rate }) => isNumberBetween(rate, 0, 1)) ||
+        Math.abs(milestones.reduce((sum, { rate }) => sum + rate, 0) - 1) > 1e-9) {
+        errors.push('paymentMilestones rates must be between 0 and 1 and add up to 1');
+    }
+
+    if (!isPlainObject(rules.costBreakdown) || Object.keys(rules.costBreakdown).length === 0) {
+        errors.push('costBreakdown must be a non-empty object');
+    } else {
+        for (const [key, weight] of Object.entries(rules.costBreakdown)) {
+            if (!BREAKDOWN_KEYS.includes(key)) {
+                errors.push(`costBreakdown keys must be among ${BREAKDOWN_KEYS.join(', ')}`);
+            } else if (!isNumberBetween(weight, 0, 1) || weight === 0) {
+                errors.push(`costBreakdown.${key} must be a number greater than 0 and up to 1`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    BUILTIN_PRICING_VERSION,
+    DEFAULT_PRICING_RULES,
+    validatePricingRules
+};
@@ -0,0 +1,120 @@
+/**
+ * プロジェクトフェーズプランナー
+ * 規模・サービス種別に応じたフェーズ配分 + 営業日ベースの日程算出
+ * masa様開発ルール完全遵守
+ */
+const {
+    addBusinessDays,
+    nextBusinessDay,
+    todayInJapan,
+    formatDate
+} = require('./businessCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 希望期間の上限（日）。営業日の逐日計算を見積もりAPIの入力で無制限に回さない
+const MAX_TIMELINE_DAYS = 730;
+
+// フェーズ定義（実施順）
+const PHASES = [
+    { key: 'requirements', name: '要件定義' },
+    { key: 'design', name: '設計' },
+    { key: 'development', name: '開発' },
+    { key: 'testing', name: 'テスト' },
+    { key: 'deployment', name: 'リリース' }
+];
+
+// プロジェクト規模別の基本配分
+const SCALE_WEIGHTS = {
+    small: { requirements: 0.10, design: 0.15, development: 0.50, testing: 0.15, deployment: 0.10 },
+    medium: { requirements: 0.12, design: 0.18, development: 0.45, testing: 0.15, deployment: 0.10 },
+    large: { requirements: 0.15, design: 0.20, development: 0.40, testing: 0.17, deployment: 0.08 },
+    enterprise: { requirements: 0.15, design: 0.20, development: 0.35, testing: 0.20, deployment: 0.10 }
+};
+
+// サービス種別による補正係数
+const SERVICE_MODIFIERS = {
+    'ai-agent': { testing: 1.2 },                       // 対話品質評価
+    'rag': { requirements: 1.1, testing: 1.2 },         // データ棚卸し・検索精度評価
+    'aipro': { development: 0.7, deployment: 1.3 },     // 既存製品の導入中心
+    'consultation': { requirements: 2.0, design: 1.5, development: 0.4, testing: 0.5 },
+    'integration': { testing: 1.3, deployment: 1.3 }    // 既存システム接続検証
+};
+
+/**
+ * フェーズ配分比率算出
+ */
+function getPhaseWeights(projectScale, serviceType) {
+    const base = SCALE_WEIGHTS[projectScale] || SCALE_WEIGHTS.medium;
+    const modifiers = SERVICE_MODIFIERS[serviceType] || {};
+
+    const raw = PHASES.map(phase => base[phase.key] * (modifiers[phase.key] || 1));
+    const total = raw.reduce((sum, value) => sum + value, 0);
+
+    return raw.map(value => value / total);
+}
+
+/**
+ * 営業日数をフェーズへ配分（最大剰余法・各フェーズ最低1営業日）
+ */
+function allocateBusinessDays(totalDays, weights) {
+    const distributable = totalDays - weights.length;
+    const exact = weights.map(weight => weight * distributable);
+    const allocated = exact.map(value => Math.floor(value));
+
+    let remainder = distributable - allocated.reduce((sum, value) => sum + value, 0);
+    const order = exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction);
+
+    for (const { index } of order) {
+        if (remainder <= 0) break;
+        allocated[index]++;
+        remainder--;
+    }
+
+    return allocated.map(days => days + 1);
+}
+
+/**
+ * 暦日数から営業日数へ換算（週5日稼働）
+ */
+function toBusinessDays(calendarDays) {
+    return Math.max(PHASES.length, Math.ceil(Number(calendarDays) * 5 / 7));
+}
+
+/**
+ * フェーズ計画生成
+ */
+function generatePhases(actualTimeline, projectScale, serviceType = null, options = {}) {
+    const totalBusinessDays = toBusinessDays(actualTimeline);
+    const weights = getPhaseWeights(projectScale, serviceType);
+    const allocation = allocateBusinessDays(totalBusinessDays, weights);
+
+    // 翌営業日から着手
+    const startFrom = options.startDate || new Date(todayInJapan().getTime() + DAY_MS);
+    let cursor = nextBusinessDay(startFrom);
+
+    return PHASES.map((phase, index) => {
+        const startDate = cursor;
+        const endDate = addBusinessDays(startDate, allocation[index]);
+        cursor = nextBusinessDay(new Date(endDate.getTime() + DAY_MS));
+
+        return {
+            key: phase.key,
+            name: phase.name,
+            weight: Math.round(weights[index] * 1000) / 1000,
+            businessDays: allocation[index],
+            startDate: formatDate(startDate),
+            endDate: formatDate(endDate)
+        };
+    });
+}
+
+module.exports = {
+    generatePhases,
+    getPhaseWeights,
+    toBusinessDays,
+    PHASES,
+    MAX_TIMELINE_DAYS
+};
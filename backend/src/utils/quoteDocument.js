@@ -0,0 +1,247 @@
+/**
+ * 見積書生成（HTML / PDF）
+ * 適格請求書の記載事項（発行者・登録番号・発行日・取引内容・税率ごとの対価と消費税額）を含む
+ * PDF は pdfkit でローカル生成（日本語フォントは QUOTE_PDF_FONT_PATH）
+ * masa様開発ルール完全遵守
+ */
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { t } = require('./i18n');
+
+/**
+ * 見積書データ組み立て（明細の合計と税抜小計の一致を検証）
+ */
+function buildQuote(estimate, { locale, issuer, recipient = null }) {
+    const serviceType = estimate.requirements?.serviceType;
+    const lineItems = Object.entries(estimate.breakdown || {}).map(([key, amount]) => ({
+        key,
+        description: t(locale, `breakdown.${key}`),
+        amount
+    }));
+
+    const itemTotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    if (itemTotal !== estimate.totalCost || estimate.tax.taxableAmount !== estimate.totalCost) {
+        throw new Error(`Quote line items do not reconcile: ${itemTotal} / ${estimate.totalCost}`);
+    }
+
+    return {
+        locale,
+        quoteNumber: estimate.id,
+        issueDate: estimate.createdAt,
+        validUntil: estimate.validUntil,
+        recipient,
+        subject: serviceType ? t(locale, `categories.${serviceType}`) : null,
+        issuer,
+        lineItems,
+        subtotal: estimate.totalCost,
+        tax: estimate.tax,
+        total: estimate.totalWithTax,
+        terms: Object.entries(estimate.terms || {}).map(([key, value]) => ({
+            label: t(locale, `quote.termLabels.${key}`),
+            value
+        }))
+    };
+}
+
+/**
+ * 金額表示（円）
+ */
+function formatYen(amount) {
+    return `¥${amount.toLocaleString('ja-JP')}`;
+}
+
+/**
+ * 日付表示（日本時間）
+ */
+function formatQuoteDate(date, locale) {
+    return new Intl.DateTimeFormat(locale === 'ja' ? 'ja-JP' : 'en-US', {
+        timeZone: 'Asia/Tokyo',
+        dateStyle: 'long'
+    }).format(new Date(date));
+}
+
+/**
+ * 税率表示（0.1 → 10）
+ */
+function ratePercent(rate) {
+    return Math.round(rate * 1000) / 10;
+}
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 表示用ラベル・値（HTML / PDF 共通）
+ */
+function describeQuote(quote) {
+    const { locale } = quote;
+    const label = key => t(locale, `quote.${key}`);
+    const rate = ratePercent(quote.tax.rate);
+
+    return {
+        title: label('title'),
+        recipient: quote.recipient ? t(locale, 'quote.recipient', { name: quote.recipient }) : null,
+        meta: [
+            [label('quoteNumber'), quote.quoteNumber],
+            [label('issueDate'), formatQuoteDate(quote.issueDate, locale)],
+            [label('validUntil'), formatQuoteDate(quote.validUntil, locale)]
+        ],
+        issuer: [
+            quote.issuer.name,
+            quote.issuer.address,
+            quote.issuer.registrationNumber && `${label('registrationNumber')}: ${quote.issuer.registrationNumber}`
+        ].filter(Boolean),
+        subject: quote.subject && [label('subject'), quote.subject],
+        greeting: label('greeting'),
+        columns: [label('item'), label('amount')],
+        lines: quote.lineItems.map(item => [item.description, formatYen(item.amount)]),
+        totals: [
+            [t(locale, 'quote.taxableAmount', { rate }), formatYen(quote.tax.taxableAmount)],
+            [t(locale, 'quote.tax', { rate }), formatYen(quote.tax.amount)],
+            [label('total'), formatYen(quote.total)]
+        ],
+        termsTitle: label('terms'),
+        terms: quote.terms.map(term => [term.label, term.value])
+    };
+}
+
+/**
+ * HTML 見積書
+ */
+function renderQuoteHtml(quote) {
+    const view = describeQuote(quote);
+    const rows = pairs => pairs.map(([name, value]) =>
+        `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(quote.locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(view.title)} ${escapeHtml(quote.quoteNumber)}</title>
+<style>
+body { font-family: "Noto Sans JP", sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 24px; }
+h1 { text-align: center; letter-spacing: 0.5em; border-bottom: 2px solid #222; padding-bottom: 8px; }
+.header { display: flex; justify-content: space-between; margin: 24px 0; }
+.recipient { font-size: 1.3em; border-bottom: 1px solid #222; align-self: flex-end; }
+.issuer { text-align: right; }
+table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+th, td { border: 1px solid #999; padding: 6px 10px; text-align: left; }
+td.amount, .totals td { text-align: right; }
+.totals tr:last-child { font-weight: bold; font-size: 1.2em; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(view.title)}</h1>
+<div class="header">
+<div class="recipient">${escapeHtml(view.recipient || '')}</div>
+<div class="issuer">
+<table class="meta">${rows(view.meta)}</table>
+${view.issuer.map(line => `<div>${escapeHtml(line)}</div>`).join('\n')}
+</div>
+</div>
+<p>${escapeHtml(view.greeting)}</p>
+${view.subject ? `<table>${rows([view.subject])}</table>` : ''}
+<table class="items">
+<thead><tr><th>${escapeHtml(view.columns[0])}</th><th>${escapeHtml(view.columns[1])}</th></tr></thead>
+<tbody>${view.lines.map(([name, amount]) => `<tr><td>${escapeHtml(name)}</td><td class="amount">${escapeHtml(amount)}</td></tr>`).join('')}</tbody>
+</table>
+<table class="totals">${rows(view.totals)}</table>
+<h2>${escapeHtml(view.termsTitle)}</h2>
+<table class="terms">${rows(view.terms)}</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * PDF 見積書（A4）
+ */
+function renderQuotePdf(quote, { fontPath, fontFamily }) {
+    if (!fontPath || !fs.existsSync(fontPath)) {
+        const error = new Error(`Quote PDF font not found: ${fontPath}`);
+        error.code = 'QUOTE_FONT_MISSING';
+        return Promise.reject(error);
+    }
+
+    const view = describeQuote(quote);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `${view.title} ${quote.quoteNumber}`, Author: quote.issuer.name }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.registerFont('quote', fontPath, fontFamily || undefined);
+        doc.font('quote');
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const amountWidth = 140;
+
+        // 2列の行（既定は右列を金額として右寄せ）
+        const row = ([name, value], { size = 10, line = true, nameWidth = width - amountWidth - 10, align = 'right' } = {}) => {
+            const y = doc.y;
+            doc.fontSize(size).text(name, left, y, { width: nameWidth });
+            const nameBottom = doc.y;
+            doc.text(value, left + nameWidth + 10, y, { width: width - nameWidth - 10, align });
+            doc.y = Math.max(doc.y, nameBottom, y + size * 1.6);
+            if (line) {
+                doc.moveTo(left, doc.y - 3).lineTo(left + width, doc.y - 3).lineWidth(0.5).strokeColor('#999999').stroke();
+            }
+            doc.x = left;
+        };
+
+        doc.fontSize(20).text(view.title, { align: 'center', characterSpacing: 8 });
+        doc.moveDown();
+
+        const headerTop = doc.y;
+        if (view.recipient) {
+            doc.fontSize(14).text(view.recipient, left, headerTop, { width: width / 2 });
+        }
+        doc.fontSize(9).text(view.meta.map(([name, value]) => `${name}: ${value}`).concat(view.issuer).join('\n'),
+            left + width / 2, headerTop, { width: width / 2, align: 'right' });
+        doc.x = left;
+        doc.moveDown(2);
+
+        doc.fontSize(10).text(view.greeting, left);
+        doc.moveDown();
+        if (view.subject) {
+            row(view.subject);
+            doc.moveDown(0.5);
+        }
+
+        row(view.columns);
+        view.lines.forEach(line => row(line));
+        doc.moveDown(0.5);
+        view.totals.forEach((total, index) => row(total, { size: index === view.totals.length - 1 ? 13 : 10 }));
+
+        doc.moveDown();
+        doc.fontSize(12).text(view.termsTitle, left);
+        doc.moveDown(0.3);
+        view.terms.forEach(term => row(term, { size: 9, line: false, nameWidth: 110, align: 'left' }));
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    buildQuote,
+    renderQuoteHtml,
+    renderQuotePdf
+};
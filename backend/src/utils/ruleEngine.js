@@ -0,0 +1,267 @@
+/**
+ * WAFルールエンジン
+ * 宣言的ルール（対象・演算子・重要度）+ アノマリースコアリング + ルール単位の除外
+ * masa様開発ルール完全遵守
+ */
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// 重要度別スコア
+const SEVERITY_SCORES = {
+    critical: 5,
+    error: 4,
+    warning: 3,
+    notice: 2
+};
+
+const MODES = ['block', 'log', 'off'];
+const DEFAULT_TRANSFORMS = ['urlDecode', 'htmlEntityDecode', 'removeNulls', 'compressWhitespace'];
+
+// 演算子（値は変換済みの文字列）
+const OPERATORS = {
+    rx: (value, rule) => rule.pattern.test(value),
+    contains: (value, rule) => value.toLowerCase().includes(rule.needle),
+    eq: (value, rule) => value.toLowerCase() === rule.needle,
+    beginsWith: (value, rule) => value.toLowerCase().startsWith(rule.needle),
+    lengthGt: (value, rule) => value.length > rule.limit
+};
+
+// 値変換
+const TRANSFORMS = {
+    urlDecode: (value) => {
+        try {
+            return decodeURIComponent(value.replace(/\+/g, ' '));
+        } catch (error) {
+            return value;
+        }
+    },
+    htmlEntityDecode: (value) => value
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&(lt|gt|quot|apos|amp);/gi, (match, name) => ({
+            lt: '<', gt: '>', quot: '"', apos: "'", amp: '&'
+        })[name.toLowerCase()]),
+    removeNulls: (value) => value.replace(/\0/g, ''),
+    compressWhitespace: (value) => value.replace(/\s+/g, ' '),
+    lowercase: (value) => value.toLowerCase()
+};
+
+class RuleEngine {
+    constructor(options = {}) {
+        this.rulesFile = options.rulesFile || path.join(__dirname, '../config/waf-rules.json');
+        this.ruleSource = options.ruleSource || null; // DBルール取得関数（任意）
+        this.forcedMode = options.mode || null; // 全ルートのモード上書き（WAF_MODE）
+        this.reloadInterval = options.reloadInterval || 60 * 1000;
+
+        this.ruleset = {
+            version: null,
+            anomalyThreshold: SEVERITY_SCORES.critical,
+            defaultMode: 'block',
+            routes: [],
+            rules: []
+        };
+        this.loadedAt = null;
+        this.watching = false;
+        this.timer = null;
+    }
+
+    /**
+     * ルール読込（ファイル + DB）
+     * 不正なルールセットは適用せず、直前のルールで継続する
+     */
+    async load() {
+        const fileConfig = JSON.parse(await fs.promises.readFile(this.rulesFile, 'utf8'));
+        const rulesById = new Map();
+
+        for (const rule of fileConfig.rules || []) {
+            rulesById.set(rule.id, rule);
+        }
+
+        // DBルールは同一IDのファイルルールを上書き
+        if (this.ruleSource) {
+            const dbRules = await this.ruleSource();
+            for (const rule of dbRules) {
+                rulesById.set(rule.id, rule);
+            }
+        }
+
+        const compiled = [...rulesById.values()]
+            .filter(rule => rule.enabled !== false)
+            .map(rule => this.compileRule(rule));
+
+        const routes = (fileConfig.routes || []).map(route => {
+            if (!MODES.includes(route.mode)) {
+                throw new Error(`Invalid WAF mode for ${route.prefix}: ${route.mode}`);
+            }
+            return route;
+        }).sort((a, b) => b.prefix.length - a.prefix.length);
+
+        this.ruleset = {
+            version: fileConfig.version || null,
+            anomalyThreshold: fileConfig.anomalyThreshold || SEVERITY_SCORES.critical,
+            defaultMode: MODES.includes(fileConfig.defaultMode) ? fileConfig.defaultMode : 'block',
+            routes,
+            rules: compiled
+        };
+        this.loadedAt = new Date();
+
+        logger.info('WAF rules loaded', {
+            version: this.ruleset.version,
+            rules: compiled.length
+        });
+
+        return this.ruleset;
+    }
+
+    /**
+     * ルール検証・コンパイル
+     */
+    compileRule(rule) {
+        if (!rule.id || !Array.isArray(rule.targets) || rule.targets.length === 0) {
+            throw new Error(`WAF rule is missing id or targets: ${JSON.stringify(rule)}`);
+        }
+        if (!OPERATORS[rule.operator]) {
+            throw new Error(`Unknown operator in rule ${rule.id}: ${rule.operator}`);
+        }
+        if (!SEVERITY_SCORES[rule.severity]) {
+            throw new Error(`Unknown severity in rule ${rule.id}: ${rule.severity}`);
+        }
+
+        const transforms = rule.transforms || DEFAULT_TRANSFORMS;
+        for (const name of transforms) {
+            if (!TRANSFORMS[name]) {
+                throw new Error(`Unknown transform in rule ${rule.id}: ${name}`);
+            }
+        }
+
+        const compiled = {
+            id: rule.id,
+            description: rule.description || '',
+            severity: rule.severity,
+            score: SEVERITY_SCORES[rule.severity],
+            targets: rule.targets,
+            operator: rule.operator,
+            transforms,
+            exclusions: rule.exclusions || []
+        };
+
+        if (rule.operator === 'rx') {
+            // gフラグは lastIndex を保持するため除外
+            compiled.pattern = new RegExp(rule.value, (rule.flags || '').replace('g', ''));
+        } else if (rule.operator === 'lengthGt') {
+            compiled.limit = Number(rule.value);
+        } else {
+            compiled.needle = String(rule.value).toLowerCase();
+        }
+
+        return compiled;
+    }
+
+    /**
+     * ルート別モード
+     */
+    getMode(routePath) {
+        if (this.forcedMode) return this.forcedMode;
+
+        const route = this.ruleset.routes.find(entry => routePath.startsWith(entry.prefix));
+        return route ? route.mode : this.ruleset.defaultMode;
+    }
+
+    /**
+     * 評価
+     * targets: [{ name: 'body:message', value: '...' }]
+     */
+    evaluate(targets, { routePath = '' } = {}) {
+        const matches = [];
+        let score = 0;
+
+        for (const rule of this.ruleset.rules) {
+            for (const target of targets) {
+                if (!this.ruleAppliesTo(rule, target.name) || this.isExcluded(rule, target.name, routePath)) {
+                    continue;
+                }
+
+                const value = rule.transforms.reduce((current, name) => TRANSFORMS[name](current), String(target.value));
+                if (!OPERATORS[rule.operator](value, rule)) continue;
+
+                // 一致した値は記録しない（パスワード・トークン等がログや監視イベントへ流出するため）
+                matches.push({
+                    ruleId: rule.id,
+                    severity: rule.severity,
+                    target: target.name
+                });
+                score += rule.score;
+                break; // 1ルールにつき1回のみ加点
+            }
+        }
+
+        return {
+            score,
+            threshold: this.ruleset.anomalyThreshold,
+            exceeded: score >= this.ruleset.anomalyThreshold,
+            matches
+        };
+    }
+
+    /**
+     * 対象判定（"body" は body:* 全体、"body:message" は個別キー）
+     */
+    ruleAppliesTo(rule, targetName) {
+        return rule.targets.some(spec => spec === targetName || targetName.startsWith(`${spec}:`));
+    }
+
+    /**
+     * 除外判定（route 省略時は全ルート、targets 省略時はルール全体を除外）
+     */
+    isExcluded(rule, targetName, routePath) {
+        return rule.exclusions.some(exclusion => {
+            if (exclusion.route && !routePath.startsWith(exclusion.route)) return false;
+            if (!exclusion.targets) return true;
+            return exclusion.targets.some(spec => spec === targetName || targetName.startsWith(`${spec}:`));
+        });
+    }
+
+    /**
+     * ホットリロード開始（ファイル変更監視 + 定期再読込）
+     */
+    watch() {
+        if (this.watching) return;
+        this.watching = true;
+
+        const reload = (reason) => {
+            this.load().catch(error => {
+                logger.error('WAF rule reload failed, keeping previous ruleset:', {
+                    reason,
+                    error: error.message
+                });
+            });
+        };
+
+        fs.watchFile(this.rulesFile, { interval: 5000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) reload('file_changed');
+        });
+
+        if (this.ruleSource) {
+            this.timer = setInterval(() => reload('scheduled'), this.reloadInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * 監視停止
+     */
+    stop() {
+        fs.unwatchFile(this.rulesFile);
+        this.watching = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    RuleEngine,
+    SEVERITY_SCORES
+};
@@ -0,0 +1,162 @@
+/**
+ * 営業データのエクスポート（お問い合わせ・見積もり）
+ * 列定義・個人情報のマスク・CSV（UTF-8 BOM・RFC 4180）/ XLSX（exceljs）のローカル生成
+ * CSV は表計算ソフトでの数式実行を防ぐため = + - @ 等で始まる文字列の先頭に ' を付与
+ * masa様開発ルール完全遵守
+ */
+const ExcelJS = require('exceljs');
+const { t } = require('./i18n');
+
+// 列定義（pii: マスク種別・type: XLSX のセル書式）
+const EXPORT_DATASETS = {
+    contacts: {
+        dateField: 'submitted_at',
+        columns: [
+            { key: 'ticketNumber', value: contact => contact.ticket_number },
+            { key: 'submittedAt', type: 'date', value: contact => contact.submitted_at },
+            { key: 'status', value: contact => contact.status },
+            { key: 'compliant', value: contact => contact.constitutional_compliance?.compliant },
+            { key: 'violations', value: contact => (contact.constitutional_compliance?.violations || []).join('; ') },
+            { key: 'serviceType', value: contact => contact.service },
+            { key: 'name', pii: 'name', value: contact => contact.name },
+            { key: 'email', pii: 'email', value: contact => contact.email },
+            { key: 'company', value: contact => contact.company },
+            { key: 'phone', pii: 'phone', value: contact => contact.phone },
+            { key: 'message', pii: 'text', value: contact => contact.message },
+            { key: 'sourceIp', pii: 'ip', value: contact => contact.source?.ip }
+        ]
+    },
+    estimates: {
+        dateField: 'created_at',
+        columns: [
+            { key: 'estimateId', value: estimate => estimate.estimate_id },
+            { key: 'createdAt', type: 'date', value: estimate => estimate.created_at },
+            { key: 'status', value: estimate => estimate.status || 'draft' },
+            { key: 'compliant', value: estimate => estimate.constitutional_compliance?.compliant },
+            { key: 'projectId', value: estimate => estimate.project_id },
+            { key: 'revision', type: 'number', value: estimate => estimate.revision },
+            { key: 'serviceType', value: estimate => estimate.service_type },
+            { key: 'projectScale', value: estimate => estimate.project_scale },
+            { key: 'timelineDays', type: 'number', value: estimate => estimate.requirements?.timeline },
+            { key: 'pricingVersion', type: 'number', value: estimate => estimate.pricing_version ?? 0 },
+            { key: 'totalPrice', type: 'amount', value: estimate => estimate.total_price },
+            { key: 'taxAmount', type: 'amount', value: estimate => estimate.tax?.amount },
+            { key: 'totalWithTax', type: 'amount', value: estimate => estimate.total_with_tax },
+            { key: 'currency', value: estimate => estimate.currency },
+            { key: 'validUntil', type: 'date', value: estimate => estimate.valid_until },
+            { key: 'orderId', value: estimate => estimate.order_id },
+            { key: 'email', pii: 'email', value: estimate => estimate.acceptance?.email || estimate.email },
+            { key: 'signerName', pii: 'name', value: estimate => estimate.acceptance?.signer_name },
+            { key: 'sourceIp', pii: 'ip', value: estimate => estimate.source_ip }
+        ]
+    }
+};
+
+const REDACTED = '[REDACTED]';
+const XLSX_FORMATS = {
+    date: 'yyyy-mm-dd hh:mm:ss',
+    amount: '#,##0',
+    number: '0'
+};
+
+/**
+ * 個人情報マスク（氏名・メールは先頭1文字、電話は末尾4桁のみ残す）
+ */
+function maskValue(kind, value) {
+    if (value === null || value === undefined || value === '') return value;
+    const text = String(value);
+
+    switch (kind) {
+        case 'name':
+            return `${Array.from(text)[0]}***`;
+        case 'email': {
+            const at = text.lastIndexOf('@');
+            return at > 0 ? `${text[0]}***${text.slice(at)}` : REDACTED;
+        }
+        case 'phone': {
+            const digits = text.replace(/\D/g, '');
+            return digits.length > 4 ? `***${digits.slice(-4)}` : REDACTED;
+        }
+        default:
+            return REDACTED;
+    }
+}
+
+/**
+ * 出力表の組み立て（見出しは言語別・maskPii: true で個人情報をマスク）
+ */
+function buildExportTable(dataset, documents, { locale, maskPii }) {
+    const { columns } = EXPORT_DATASETS[dataset];
+
+    return {
+        dataset,
+        columns: columns.map(({ key, type }) => ({
+            key,
+            type: type || 'text',
+            label: t(locale, `exports.columns.${key}`)
+        })),
+        rows: documents.map(document => columns.map(column => {
+            const value = column.value(document);
+            if (value === null || value === undefined) return null;
+            if (maskPii && column.pii) return maskValue(column.pii, value);
+            if (column.type === 'date') return new Date(value);
+            return value;
+        }))
+    };
+}
+
+/**
+ * CSVセル（数式として解釈される先頭文字を無効化・必要時のみ引用符）
+ */
+function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV生成（Excel で文字化けしないよう UTF-8 BOM・改行は CRLF）
+ */
+function renderCsv(table) {
+    const lines = [
+        table.columns.map(column => formatCsvCell(column.label)),
+        ...table.rows.map(row => row.map(formatCsvCell))
+    ].map(cells => cells.join(','));
+
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * XLSX生成（文字列は数式ではなく文字列セルとして書き込み）
+ */
+async function renderXlsx(table, { sheetName = table.dataset } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'ShinAI';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(sheetName, {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = table.columns.map(column => ({
+        header: column.label,
+        key: column.key,
+        width: column.type === 'text' ? 24 : 16,
+        ...(XLSX_FORMATS[column.type] && { style: { numFmt: XLSX_FORMATS[column.type] } })
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(table.rows);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    EXPORT_DATASETS,
+    maskValue,
+    buildExportTable,
+    renderCsv,
+    renderXlsx
+};
@@ -0,0 +1,296 @@
+/**
+ * サービス全文検索インデックス
+ * 日本語はN-gram（bigram）、英数字は単語単位でトークナイズ（オフライン動作）
+ * masa様開発ルール完全遵守
+ */
+
+// フィールド別重み
+const FIELD_WEIGHTS = {
+    name: 3.0,
+    tags: 2.5,
+    features: 2.0,
+    category: 1.5,
+    description: 1.0
+};
+
+// 完全一致フレーズのボーナス
+const PHRASE_BONUS = 2.0;
+const FRAGMENT_RADIUS = 30;
+
+// 英数字の連続 / ひらがな・カタカナ・CJK統合漢字の連続
+const TOKEN_RUN_PATTERN = /([a-z0-9]+)|([\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]+)/g;
+
+/**
+ * 正規化（全角半角統一・小文字化）
+ */
+function normalize(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * トークナイズ
+ * 英数字: 単語 / 日本語: bigram（1文字のみの場合はunigram）
+ */
+function tokenize(text) {
+    const tokens = [];
+    const normalized = normalize(text);
+
+    for (const match of normalized.matchAll(TOKEN_RUN_PATTERN)) {
+        if (match[1]) {
+            tokens.push(match[1]);
+            continue;
+        }
+
+        const run = match[2];
+        if (run.length === 1) {
+            tokens.push(run);
+            continue;
+        }
+
+        for (let i = 0; i < run.length - 1; i++) {
+            tokens.push(run.slice(i, i + 2));
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#x27;'
+    })[char]);
+}
+
+class ServiceSearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+        this.builtAt = null;
+    }
+
+    /**
+     * インデックス構築
+     */
+    build(services, categoryLabels = {}) {
+        this.documents.clear();
+        this.postings.clear();
+
+        for (const service of services) {
+            const id = String(service._id);
+            const fields = {
+                name: String(service.name || ''),
+                description: String(service.description || ''),
+                features: (service.features || []).map(String),
+                tags: (service.tags || []).map(String),
+                category: [service.category, categoryLabels[service.category]].filter(Boolean).map(String)
+            };
+
+            this.documents.set(id, { service, fields });
+
+            for (const [field, value] of Object.entries(fields)) {
+                const text = Array.isArray(value) ? value.join(' ') : value;
+                for (const token of tokenize(text)) {
+                    this.addPosting(token, id, field);
+                }
+            }
+        }
+
+        this.builtAt = Date.now();
+        return this;
+    }
+
+    addPosting(token, id, field) {
+        if (!this.postings.has(token)) {
+            this.postings.set(token, new Map());
+        }
+
+        const docs = this.postings.get(token);
+        const entry = docs.get(id) || {};
+        entry[field] = (entry[field] || 0) + 1;
+        docs.set(id, entry);
+    }
+
+    /**
+     * 検索実行
+     */
+    search(query, filters = {}) {
+        const queryTokens = [...new Set(tokenize(query))];
+        const normalizedQuery = normalize(query).trim();
+        const candidates = [...this.documents.keys()].filter(id => this.matchesFilters(id, filters));
+
+        // クエリなし（フィルターのみ）は表示順で返却
+        if (queryTokens.length === 0) {
+            return candidates.map(id => ({
+                service: this.documents.get(id).service,
+                score: 0,
+                highlights: []
+            }));
+        }
+
+        // 短いクエリは全トークン一致、長いクエリは75%以上一致を要求
+        const requiredMatches = queryTokens.length <= 3
+            ? queryTokens.length
+            : Math.ceil(queryTokens.length * 0.75);
+
+        const totalDocs = Math.max(1, this.documents.size);
+        const results = [];
+
+        for (const id of candidates) {
+            let score = 0;
+            let matched = 0;
+
+            for (const token of queryTokens) {
+                const fieldHits = this.postings.get(token)?.get(id);
+                if (!fieldHits) continue;
+
+                matched++;
+                const docFrequency = this.postings.get(token).size;
+                const idf = Math.log(1 + totalDocs / docFrequency);
+
+                for (const [field, count] of Object.entries(fieldHits)) {
+                    score += FIELD_WEIGHTS[field] * (1 + Math.log(count)) * idf;
+                }
+            }
+
+            if (matched < requiredMatches) continue;
+
+            const { fields, service } = this.documents.get(id);
+            for (const [field, value] of Object.entries(fields)) {
+                const text = Array.isArray(value) ? value.join(' ') : value;
+                if (normalizedQuery && normalize(text).includes(normalizedQuery)) {
+                    score += FIELD_WEIGHTS[field] * PHRASE_BONUS;
+                }
+            }
+
+            results.push({
+                service,
+                score: Math.round(score * 1000) / 1000,
+                highlights: this.buildHighlights(fields, normalizedQuery, queryTokens)
+            });
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * フィルター判定
+     */
+    matchesFilters(id, filters) {
+        const { service, fields } = this.documents.get(id);
+
+        if (filters.category && service.category !== filters.category) {
+            return false;
+        }
+
+        if (filters.priceRange) {
+            const price = service.pricing?.startingFrom;
+            if (typeof price !== 'number') return false;
+            if (filters.priceRange.min !== null && price < filters.priceRange.min) return false;
+            if (filters.priceRange.max !== null && price > filters.priceRange.max) return false;
+        }
+
+        if (filters.features && filters.features.length > 0) {
+            const serviceFeatures = fields.features.map(normalize);
+            const allPresent = filters.features.every(wanted =>
+                serviceFeatures.some(feature => feature.includes(normalize(wanted))));
+            if (!allPresent) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * ハイライト断片生成（<mark>以外はエスケープ済み）
+     */
+    buildHighlights(fields, normalizedQuery, queryTokens) {
+        const highlights = [];
+        const needles = normalizedQuery && normalizedQuery.length <= 50
+            ? [normalizedQuery, ...queryTokens]
+            : queryTokens;
+
+        for (const [field, value] of Object.entries(fields)) {
+            const texts = Array.isArray(value) ? value : [value];
+
+            for (const original of texts) {
+                const display = String(original).normalize('NFKC');
+                const lower = display.toLowerCase();
+                const ranges = this.findRanges(lower, needles);
+                if (ranges.length === 0) continue;
+
+                highlights.push({
+                    field,
+                    fragment: this.renderFragment(display, ranges)
+                });
+                break;
+            }
+        }
+
+        return highlights;
+    }
+
+    /**
+     * 一致範囲抽出（重複は結合）
+     */
+    findRanges(text, needles) {
+        const ranges = [];
+
+        for (const needle of needles) {
+            if (!needle) continue;
+            let index = text.indexOf(needle);
+            while (index !== -1) {
+                ranges.push([index, index + needle.length]);
+                index = text.indexOf(needle, index + needle.length);
+            }
+        }
+
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * 断片描画
+     */
+    renderFragment(text, ranges) {
+        const start = Math.max(0, ranges[0][0] - FRAGMENT_RADIUS);
+        const end = Math.min(text.length, ranges[ranges.length - 1][1] + FRAGMENT_RADIUS);
+
+        let fragment = start > 0 ? '…' : '';
+        let cursor = start;
+
+        for (const [from, to] of ranges) {
+            if (to > end) break;
+            fragment += escapeHTML(text.slice(cursor, from));
+            fragment += `<mark>${escapeHTML(text.slice(from, to))}</mark>`;
+            cursor = to;
+        }
+
+        fragment += escapeHTML(text.slice(cursor, end));
+        if (end < text.length) fragment += '…';
+
+        return fragment;
+    }
+}
+
+module.exports = {
+    ServiceSearchIndex,
+    tokenize,
+    normalize
+};
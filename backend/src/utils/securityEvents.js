@@ -0,0 +1,190 @@
+/**
+ * セキュリティイベント送信
+ * security-monitor の /security/event スキーマ（timestamp, type, source, data）で通知
+ * 上限付きローカルキュー + バッチ送信・送信失敗はリクエスト処理に影響させない
+ * masa様開発ルール完全遵守
+ */
+const { logger } = require('./logger');
+const { getConfig } = require('../config/runtime');
+
+/**
+ * IPv4射影アドレス（::ffff:x.x.x.x）を正規化
+ */
+function normalizeIP(ip) {
+    if (!ip) return null;
+    return String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+/**
+ * イベント構築
+ */
+function buildSecurityEvent(type, req, data = {}) {
+    return {
+        timestamp: new Date().toISOString(),
+        type,
+        source: {
+            ip: normalizeIP(req?.ip),
+            userAgent: req?.get ? req.get('User-Agent') || null : null,
+            userId: req?.user?.id || null,
+            service: 'backend'
+        },
+        data
+    };
+}
+
+class SecurityEventEmitter {
+    constructor(options = {}) {
+        const { monitorUrl, eventsEnabled } = getConfig().securityMonitoring;
+
+        this.monitorURL = options.monitorURL || monitorUrl;
+        this.batchSize = options.batchSize || 50;
+        this.flushInterval = options.flushInterval || 2000; // ミリ秒
+        this.maxQueueSize = options.maxQueueSize || 1000;
+        this.requestTimeout = options.requestTimeout || 3000; // ミリ秒
+        this.enabled = options.enabled ?? eventsEnabled;
+
+        this.queue = [];
+        this.flushing = null;
+        this.timer = null;
+        this.lastFailureLog = 0;
+
+        this.stats = {
+            queued: 0,
+            sent: 0,
+            dropped: 0,
+            failedBatches: 0
+        };
+    }
+
+    /**
+     * 定期送信開始
+     */
+    start() {
+        if (this.timer || !this.enabled) return;
+
+        this.timer = setInterval(() => {
+            this.flush().catch(() => {});
+        }, this.flushInterval);
+        this.timer.unref();
+    }
+
+    /**
+     * イベント登録（キュー上限超過時は最古のイベントを破棄）
+     */
+    emit(event) {
+        if (!this.enabled) return event;
+
+        this.start();
+
+        if (this.queue.length >= this.maxQueueSize) {
+            this.queue.shift();
+            this.stats.dropped++;
+        }
+
+        this.queue.push(event);
+        this.stats.queued++;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush().catch(() => {});
+        }
+
+        return event;
+    }
+
+    /**
+     * バッチ送信（同時実行は1回）
+     */
+    async flush() {
+        if (this.flushing) return this.flushing;
+        if (this.queue.length === 0) return;
+
+        this.flushing = this.sendBatch(this.queue.splice(0, this.batchSize))
+            .finally(() => {
+                this.flushing = null;
+            });
+
+        return this.flushing;
+    }
+
+    async sendBatch(batch) {
+        try {
+            const response = await fetch(`${this.monitorURL}/security/events`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ events: batch }),
+                signal: AbortSignal.timeout(this.requestTimeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Monitor responded with HTTP ${response.status}`);
+            }
+
+            this.stats.sent += batch.length;
+
+        } catch (error) {
+            this.stats.failedBatches++;
+            this.requeue(batch);
+
+            // 監視サービス停止中のログ氾濫を防止（1分に1回）
+            if (Date.now() - this.lastFailureLog > 60000) {
+                this.lastFailureLog = Date.now();
+                logger.warn('Security event delivery failed:', {
+                    error: error.message,
+                    pending: this.queue.length
+                });
+            }
+        }
+    }
+
+    /**
+     * 送信失敗分をキュー先頭へ戻す（上限を超える分は古い順に破棄）
+     */
+    requeue(batch) {
+        const room = this.maxQueueSize - this.queue.length;
+        const kept = room > 0 ? batch.slice(-room) : [];
+
+        this.stats.dropped += batch.length - kept.length;
+        this.queue.unshift(...kept);
+    }
+
+    /**
+     * 停止（残りイベントを送信）
+     */
+    async shutdown(timeout = 5000) {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const deadline = Date.now() + timeout;
+        while (this.queue.length > 0 && Date.now() < deadline) {
+            const before = this.queue.length;
+            await this.flush();
+            if (this.queue.length >= before) break; // 送信不可
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.queue.length
+        };
+    }
+}
+
+const securityEventEmitter = new SecurityEventEmitter();
+
+/**
+ * イベント通知（非同期・キュー経由）
+ */
+function reportSecurityEvent(type, req, data = {}) {
+    return securityEventEmitter.emit(buildSecurityEvent(type, req, data));
+}
+
+module.exports = {
+    SecurityEventEmitter,
+    securityEventEmitter,
+    reportSecurityEvent,
+    buildSecurityEvent,
+    normalizeIP
+};
@@ -0,0 +1,200 @@
+/**
+ * トークン管理
+ * 短命JWTアクセストークン + 単回使用ローテーション型リフレッシュトークン
+ * masa様開発ルール完全遵守・再利用検知実装
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redis = require('../config/redis');
+const { logger } = require('./logger');
+const { getConfig } = require('../config/runtime');
+
+class TokenManager {
+    constructor() {
+        this.issuer = 'shinai-api';
+        this.audience = 'shinai-web';
+        this.accessTokenTTL = 15 * 60; // 15分（秒）
+        this.refreshTokenTTL = 7 * 24 * 60 * 60; // 7日（秒）
+
+        // Redisキー接頭辞
+        this.keys = {
+            refresh: 'auth:refresh:',
+            usedRefresh: 'auth:refresh_used:',
+            revokedFamily: 'auth:family_revoked:',
+            revokedAccess: 'auth:access_revoked:',
+            signingKey: 'auth:signing_key:'
+        };
+    }
+
+    get client() {
+        return redis.client;
+    }
+
+    /**
+     * トークンペア発行
+     * familyId はログイン単位で固定し、ローテーションしても引き継ぐ
+     */
+    async issueTokenPair(user, familyId = null) {
+        const sessionFamily = familyId || crypto.randomUUID();
+        const tokenId = crypto.randomUUID();
+
+        const accessToken = jwt.sign({
+            email: user.email,
+            role: user.role,
+            permissions: user.permissions || [],
+            verified: Boolean(user.isVerified),
+            premium: Boolean(user.isPremium),
+            sid: sessionFamily
+        }, getConfig().secrets.jwtSecret, {
+            algorithm: 'HS256',
+            subject: user.id,
+            jwtid: tokenId,
+            issuer: this.issuer,
+            audience: this.audience,
+            expiresIn: this.accessTokenTTL
+        });
+
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const record = {
+            userId: user.id,
+            familyId: sessionFamily,
+            issuedAt: new Date().toISOString()
+        };
+
+        await this.client.setEx(
+            this.keys.refresh + this.hashToken(refreshToken),
+            this.refreshTokenTTL,
+            JSON.stringify(record)
+        );
+
+        const signingKey = await this.ensureSigningKey(sessionFamily);
+
+        return {
+            accessToken,
+            refreshToken,
+            expiresIn: this.accessTokenTTL,
+            sessionId: sessionFamily,
+            signingKey
+        };
+    }
+
+    /**
+     * リクエスト署名鍵確保（セッションファミリー単位）
+     * ローテーション時は同一鍵を引き継ぎ、有効期限のみ延長する
+     */
+    async ensureSigningKey(familyId) {
+        const key = this.keys.signingKey + familyId;
+        const candidate = crypto.randomBytes(32).toString('base64url');
+
+        await this.client.set(key, candidate, { NX: true, EX: this.refreshTokenTTL });
+        const signingKey = await this.client.get(key);
+        await this.client.expire(key, this.refreshTokenTTL);
+
+        return signingKey;
+    }
+
+    /**
+     * リクエスト署名鍵取得
+     */
+    async getSigningKey(familyId) {
+        if (!familyId) return null;
+        return await this.client.get(this.keys.signingKey + familyId);
+    }
+
+    /**
+     * リフレッシュトークン消費（単回使用）
+     * 使用済みトークンの再提示はファミリー全体を失効させる
+     */
+    async consumeRefreshToken(refreshToken) {
+        const tokenHash = this.hashToken(refreshToken);
+
+        // GETDELで取得と削除を原子的に実行
+        const stored = await this.client.getDel(this.keys.refresh + tokenHash);
+
+        if (!stored) {
+            const reusedFamily = await this.client.get(this.keys.usedRefresh + tokenHash);
+            if (reusedFamily) {
+                await this.revokeFamily(reusedFamily);
+                logger.warn('Refresh token reuse detected, session family revoked', {
+                    familyId: reusedFamily
+                });
+                return { valid: false, reason: 'TOKEN_REUSE_DETECTED', familyId: reusedFamily };
+            }
+            return { valid: false, reason: 'INVALID_REFRESH_TOKEN' };
+        }
+
+        const record = JSON.parse(stored);
+
+        // 使用済みマーカー（再利用検知用）
+        await this.client.setEx(
+            this.keys.usedRefresh + tokenHash,
+            this.refreshTokenTTL,
+            record.familyId
+        );
+
+        if (await this.isFamilyRevoked(record.familyId)) {
+            return { valid: false, reason: 'SESSION_REVOKED', familyId: record.familyId };
+        }
+
+        return { valid: true, ...record };
+    }
+
+    /**
+     * アクセストークン検証
+     */
+    async verifyAccessToken(token) {
+        const payload = jwt.verify(token, getConfig().secrets.jwtSecret, {
+            algorithms: ['HS256'],
+            issuer: this.issuer,
+            audience: this.audience
+        });
+
+        const [accessRevoked, familyRevoked] = await Promise.all([
+            this.client.exists(this.keys.revokedAccess + payload.jti),
+            this.isFamilyRevoked(payload.sid)
+        ]);
+
+        if (accessRevoked || familyRevoked) {
+            const error = new Error('Token has been revoked');
+            error.name = 'TokenRevokedError';
+            throw error;
+        }
+
+        return payload;
+    }
+
+    /**
+     * セッションファミリー失効
+     */
+    async revokeFamily(familyId) {
+        if (!familyId) return;
+        await this.client.setEx(this.keys.revokedFamily + familyId, this.refreshTokenTTL, '1');
+        await this.client.del(this.keys.signingKey + familyId);
+    }
+
+    /**
+     * アクセストークン失効（有効期限まで保持）
+     */
+    async revokeAccessToken(tokenId, expiresAt) {
+        if (!tokenId) return;
+        const ttl = Math.max(1, Math.ceil(expiresAt - Date.now() / 1000));
+        await this.client.setEx(this.keys.revokedAccess + tokenId, ttl, '1');
+    }
+
+    /**
+     * ファミリー失効確認
+     */
+    async isFamilyRevoked(familyId) {
+        if (!familyId) return false;
+        return (await this.client.exists(this.keys.revokedFamily + familyId)) === 1;
+    }
+
+    /**
+     * トークンハッシュ化（平文は保存しない）
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = new TokenManager();
@@ -0,0 +1,70 @@
+/**
+ * 入力検証・サニタイズ・起動時環境検証
+ * masa様開発ルール完全遵守
+ */
+const validator = require('validator');
+
+const MIN_NODE_MAJOR = 18; // fetch / AbortSignal.timeout
+
+// プロトタイプ汚染・MongoDB演算子に使われるキー
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * 起動時環境検証（設定値は config/runtime の getConfig で検証）
+ */
+function validateEnvironment() {
+    const major = parseInt(process.versions.node.split('.')[0], 10);
+    if (major < MIN_NODE_MAJOR) {
+        throw new Error(`Node.js ${MIN_NODE_MAJOR} or later is required (running ${process.versions.node})`);
+    }
+}
+
+const validateInput = {
+    /**
+     * サービスID（MongoDB ObjectId）
+     */
+    isValidServiceId(id) {
+        return typeof id === 'string' && validator.isMongoId(id);
+    }
+};
+
+const sanitizeInput = {
+    /**
+     * 文字列のサニタイズ（制御文字・HTMLタグ除去）
+     */
+    string(value) {
+        return value
+            // eslint-disable-next-line no-control-regex
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+            .replace(/<[^>]*>/g, '');
+    },
+
+    /**
+     * オブジェクト・配列を再帰的にサニタイズ（$ 始まり・. を含むキーは除外）
+     */
+    deep(value, depth = 0) {
+        if (depth > 10) return null;
+
+        if (typeof value === 'string') {
+            return sanitizeInput.string(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => sanitizeInput.deep(item, depth + 1));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const sanitized = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (UNSAFE_KEYS.has(key) || key.startsWith('$') || key.includes('.')) continue;
+                sanitized[key] = sanitizeInput.deep(item, depth + 1);
+            }
+            return sanitized;
+        }
+        return value;
+    }
+};
+
+module.exports = {
+    validateEnvironment,
+    validateInput,
+    sanitizeInput
+};
@@ -0,0 +1,180 @@
+/**
+ * 管理APIのサービスカタログ改訂履歴のテスト
+ * 指定版へのロールバックが新しい版として記録されること、古い版数での更新が 409 になることを検証
+ * service_revisions はインメモリモデル、services は保存のみ差し替えた Mongoose ドキュメントで代替
+ */
+jest.mock('../src/models/ServiceRevision', () => {
+    const { createMemoryModel } = require('./helpers/memoryModel');
+    const model = createMemoryModel(() => ({ changed_fields: [], rolled_back_to: null, reason: null }));
+
+    // getCurrentRevisions の集計（service_id ごとの最大版番号）のみ再現
+    model.aggregate = async ([{ $match }]) => {
+        const latest = new Map();
+        for (const document of model.documents) {
+            if (!$match.service_id.$in.includes(document.service_id)) continue;
+            latest.set(document.service_id, Math.max(latest.get(document.service_id) || 0, document.revision));
+        }
+        return [...latest].map(([serviceId, revision]) => ({ _id: serviceId, revision }));
+    };
+    return model;
+});
+
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+jest.mock('../src/utils/auditLogger', () => ({ createAuditLog: jest.fn().mockResolvedValue(null) }));
+
+const Service = require('../src/models/Service');
+const ServiceRevision = require('../src/models/ServiceRevision');
+const adminController = require('../src/controllers/adminController');
+const serviceController = require('../src/controllers/serviceController');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+
+/**
+ * 管理APIの呼び出し（応答の状態コード・本文を返却）
+ */
+async function call(method, { params = {}, body = {} } = {}) {
+    const req = { params, body, user: ADMIN, ip: '127.0.0.1', get: () => 'jest' };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status: jest.fn(function (code) {
+            this.statusCode = code;
+            return this;
+        }),
+        json: jest.fn(function (payload) {
+            this.body = payload;
+            return this;
+        })
+    };
+    const next = jest.fn();
+
+    await adminController[method](req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+}
+
+describe('admin service catalog revisions', () => {
+    let service;
+    let params;
+
+    const update = (changes, body = {}) => call('updateService', { params, body: { service: changes, ...body } });
+    const rollback = body => call('rollbackService', { params, body });
+
+    beforeEach(() => {
+        ServiceRevision.reset();
+
+        // init.js 投入分と同様に改訂履歴の無いサービス
+        service = new Service({ name: 'AIエージェント開発', category: 'ai-agent', features: ['対話設計'], isPublic: true });
+        params = { serviceId: String(service._id) };
+
+        jest.spyOn(Service, 'findById').mockImplementation(async id => (id === params.serviceId ? service : null));
+        jest.spyOn(Service.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+        jest.spyOn(serviceController, 'invalidateServiceCache').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records the untouched catalog entry as a baseline before the first change', async () => {
+        const res = await update({ name: 'AIエージェント開発（業務自動化）', tags: ['automation'] });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ revision: 2, name: 'AIエージェント開発（業務自動化）', tags: ['automation'] });
+        expect(ServiceRevision.documents.map(({ revision, action, changed_fields }) => ({ revision, action, changed_fields }))).toEqual([
+            { revision: 1, action: 'baseline', changed_fields: [] },
+            { revision: 2, action: 'update', changed_fields: ['name', 'tags'] }
+        ]);
+    });
+
+    test('rolls back to an earlier revision as a new revision', async () => {
+        await update({ name: 'AIエージェント開発（業務自動化）', tags: ['automation'] });
+        await update({ features: ['対話設計', 'RAG構築'] }, { expectedRevision: 2 });
+
+        const res = await rollback({ revision: 1, expectedRevision: 3, reason: '価格改定前の表記へ戻す' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ success: true, rolledBackTo: 1 });
+        expect(res.body.data).toMatchObject({
+            revision: 4,
+            name: 'AIエージェント開発',
+            features: ['対話設計'],
+            tags: []
+        });
+        expect(service.name).toBe('AIエージェント開発');
+
+        const recorded = ServiceRevision.documents.find(document => document.revision === 4);
+        expect(recorded).toMatchObject({
+            action: 'rollback',
+            rolled_back_to: 1,
+            reason: '価格改定前の表記へ戻す',
+            snapshot: ServiceRevision.documents[0].snapshot
+        });
+        expect(recorded.changed_fields.sort()).toEqual(['features', 'name', 'tags']);
+    });
+
+    test('does not record a revision when rolling back to the current state', async () => {
+        await update({ name: 'AIエージェント開発（業務自動化）' });
+
+        const res = await rollback({ revision: 2 });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.revision).toBe(2);
+        expect(ServiceRevision.documents).toHaveLength(2);
+    });
+
+    test('rejects changes based on a stale revision with 409', async () => {
+        await update({ name: 'AIエージェント開発（業務自動化）' });
+        await update({ tags: ['automation'] }, { expectedRevision: 2 });
+
+        const stale = await update({ name: '別の担当者の変更' }, { expectedRevision: 2 });
+        expect(stale.statusCode).toBe(409);
+        expect(stale.body).toMatchObject({ code: 'REVISION_CONFLICT', currentRevision: 3 });
+
+        const staleRollback = await rollback({ revision: 1, expectedRevision: 2 });
+        expect(staleRollback.statusCode).toBe(409);
+        expect(staleRollback.body).toMatchObject({ code: 'REVISION_CONFLICT', currentRevision: 3 });
+
+        expect(service.name).toBe('AIエージェント開発（業務自動化）');
+        expect(ServiceRevision.documents).toHaveLength(3);
+    });
+
+    test('treats a catalog entry without history as revision null', async () => {
+        const stale = await update({ name: '別の担当者の変更' }, { expectedRevision: 1 });
+        expect(stale.statusCode).toBe(409);
+        expect(stale.body.currentRevision).toBeNull();
+
+        const res = await update({ name: '初回の変更' }, { expectedRevision: null });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.revision).toBe(2);
+    });
+
+    test('rejects rollback to unknown or invalid revisions', async () => {
+        await update({ name: 'AIエージェント開発（業務自動化）' });
+
+        const unknown = await rollback({ revision: 5 });
+        expect(unknown.statusCode).toBe(404);
+        expect(unknown.body.code).toBe('REVISION_NOT_FOUND');
+
+        const invalid = await rollback({ revision: '1' });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.code).toBe('INVALID_SERVICE_DATA');
+
+        const missing = await call('rollbackService', {
+            params: { serviceId: '0123456789abcdef01234567' },
+            body: { revision: 1 }
+        });
+        expect(missing.statusCode).toBe(404);
+        expect(missing.body.code).toBe('SERVICE_NOT_FOUND');
+
+        expect(ServiceRevision.documents).toHaveLength(2);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * 予算内プラン提案のテスト
+ * 全探索できる有料機能数を超える要求は 400 で拒否し、上限内では提案を返すことを検証
+ */
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+jest.mock('../src/utils/auditLogger', () => ({ createAuditLog: jest.fn().mockResolvedValue(null) }));
+
+const serviceController = require('../src/controllers/serviceController');
+const { pricingCatalog } = require('../src/utils/pricingCatalog');
+const { DEFAULT_PRICING_RULES } = require('../src/utils/pricingRules');
+const { MAX_OPTIONAL_FEATURES } = require('../src/utils/budgetOptimizer');
+
+const FEATURES = Array.from({ length: MAX_OPTIONAL_FEATURES + 1 }, (value, index) => `feature-${index + 1}`);
+
+const RULES = {
+    ...DEFAULT_PRICING_RULES,
+    serviceAdjustments: {
+        ...DEFAULT_PRICING_RULES.serviceAdjustments,
+        'ai-agent': { base: 0, ...Object.fromEntries(FEATURES.map(feature => [feature, 10000])) }
+    }
+};
+
+function budgetFit(features) {
+    const req = {
+        body: {
+            requirements: { serviceType: 'ai-agent', projectScale: 'small', timeline: 30, budget: 500000, features }
+        },
+        user: null,
+        ip: '127.0.0.1',
+        get: () => 'jest'
+    };
+    const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+
+    return serviceController.calculateBudgetFit(req, res, next).then(() => ({ res, next }));
+}
+
+describe('budget fit', () => {
+    beforeEach(() => {
+        jest.spyOn(pricingCatalog, 'getActive').mockResolvedValue({ version: 7, rules: RULES });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rejects more priced features than can be searched with 400', async () => {
+        const { res, next } = await budgetFit(FEATURES);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            code: 'INVALID_REQUIREMENTS',
+            details: [`At most ${MAX_OPTIONAL_FEATURES} priced features can be optimized`]
+        }));
+    });
+
+    test('proposes plans up to the priced feature limit', async () => {
+        const { res, next } = await budgetFit(FEATURES.slice(0, MAX_OPTIONAL_FEATURES));
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: true,
+            data: expect.objectContaining({ pricingVersion: 7 })
+        }));
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * ランタイム設定のテスト
+ * 共通スキーマの検証（不正値は起動時に ConfigError）と、各モジュールが getConfig() の値で動作することを検証
+ */
+const { loadConfig, ConfigError } = require('../../shared/config');
+const schema = require('../../shared/config/schema');
+
+const BASE_ENV = { NODE_ENV: 'test' };
+
+// 環境変数を差し替えてモジュールを読込・使用（設定は初回参照時に確定するため毎回分離）
+const withEnv = (env, modulePath, use) => {
+    const saved = process.env;
+    process.env = { ...BASE_ENV, ...env };
+    try {
+        let loaded;
+        jest.isolateModules(() => {
+            loaded = require(modulePath);
+        });
+        return use(loaded);
+    } finally {
+        process.env = saved;
+    }
+};
+
+describe('runtime configuration', () => {
+    test.each([
+        ['WAF_MODE', 'monitor'],
+        ['REQUEST_SIGNING_MODE', 'optional'],
+        ['OPENAPI_VALIDATION', 'strict'],
+        ['WAF_DB_RULES', 'maybe'],
+        ['SECURITY_EVENTS_ENABLED', 'disabled'],
+        ['IP_BLOCKLIST_REFRESH_MS', '10s'],
+        ['SECURITY_MONITOR_URL', 'not a url']
+    ])('rejects an invalid %s', (name, value) => {
+        expect(() => loadConfig(schema, { ...BASE_ENV, [name]: value })).toThrow(ConfigError);
+    });
+
+    test('parses the typed values read by the backend', () => {
+        const config = loadConfig(schema, {
+            ...BASE_ENV,
+            WAF_MODE: 'log',
+            WAF_DB_RULES: 'true',
+            REQUEST_SIGNING_MODE: 'off',
+            SECURITY_EVENTS_ENABLED: '0',
+            METRICS_ALLOWED_NETWORKS: '10.0.0.0/8, 127.0.0.1'
+        });
+
+        expect(config.waf).toEqual({ mode: 'log', dbRules: true });
+        expect(config.requestSigning.mode).toBe('off');
+        expect(config.securityMonitoring.eventsEnabled).toBe(false);
+        expect(config.metrics.allowedNetworks).toEqual(['10.0.0.0/8', '127.0.0.1']);
+    });
+
+    test('uses development origins outside production unless ALLOWED_ORIGINS is set', () => {
+        const origins = (env) => withEnv(env, '../src/config/runtime', ({ getConfig }) => getConfig().cors.allowedOrigins);
+
+        expect(origins({})).toContain('http://localhost:3000');
+        expect(origins({
+
+            NODE_ENV: 'production',
+            MONGODB_URI: 'mongodb://localhost:27017/test',
+            JWT_SECRET: 'x'.repeat(32),
+            SESSION_SECRET: 'y'.repeat(32),
+            ENCRYPTION_KEY: 'z'.repeat(32),
+            INVOICE_REGISTRATION_NUMBER: 'T1234567890123'
+        })).toEqual(['https://shinai.co.jp', 'https://www.shinai.co.jp', 'https://api.shinai.co.jp']);
+        expect(origins({ ALLOWED_ORIGINS: 'https://staging.shinai.co.jp' })).toEqual(['https://staging.shinai.co.jp']);
+    });
+
+    test('disables the security event emitter when SECURITY_EVENTS_ENABLED=0', () => {
+        const { securityEventEmitter } = withEnv({ SECURITY_EVENTS_ENABLED: '0' }, '../src/utils/securityEvents', loaded => loaded);
+
+        expect(securityEventEmitter.enabled).toBe(false);
+        securityEventEmitter.emit({ type: 'test' });
+        expect(securityEventEmitter.getStats().pending).toBe(0);
+    });
+
+    test('sends security events to SECURITY_MONITOR_URL', () => {
+        const { securityEventEmitter } = withEnv(
+            { SECURITY_MONITOR_URL: 'http://monitor.internal:4000' },
+            '../src/utils/securityEvents',
+            loaded => loaded
+        );
+
+        expect(securityEventEmitter.monitorURL).toBe('http://monitor.internal:4000');
+    });
+
+    test('applies WAF_MODE to every route', () => {
+        const { wafEngine } = withEnv({ WAF_MODE: 'log' }, '../src/middleware/waf', loaded => loaded);
+
+        expect(wafEngine.getMode('/api/v1/contact')).toBe('log');
+        expect(wafEngine.getMode('/admin')).toBe('log');
+    });
+
+    test('skips signature checks on every route when REQUEST_SIGNING_MODE=off', async () => {
+        const middleware = withEnv(
+            { REQUEST_SIGNING_MODE: 'off' },
+            '../src/middleware/requestSignature',
+            ({ verifyRequestSignature }) => verifyRequestSignature({ mode: 'required' })
+        );
+        const next = jest.fn();
+
+        await middleware({ user: null }, {}, next);
+
+        expect(next).toHaveBeenCalledWith();
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * CRM連携のテスト
+ * CrmWebhook.deliverDue() を受信スタブ（utils/crmStubReceiver.js）へ送信し、送信・再送・送信不能・再送指示を検証
+ * crm_deliveries はインメモリモデルで代替
+ */
+const CRM_SECRET = 'test-crm-webhook-secret-0123456789abcdef';
+
+process.env.NODE_ENV = 'test';
+process.env.CRM_WEBHOOK_SECRET = CRM_SECRET;
+process.env.CRM_WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.CRM_WEBHOOK_TIMEOUT_MS = '2000';
+
+jest.mock('../src/models/CrmDelivery', () => {
+    const { createMemoryModel } = require('./helpers/memoryModel');
+    const model = createMemoryModel(() => ({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(),
+        locked_until: null,
+        last_status_code: null,
+        last_error: null,
+        delivered_at: null,
+        dead_at: null
+    }));
+    model.CRM_DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+    return model;
+});
+
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+
+const CrmDelivery = require('../src/models/CrmDelivery');
+const { createCrmStubReceiver } = require('../src/utils/crmStubReceiver');
+
+const LEAD = {
+    ticketNumber: 'INQ-20261019-A1B2C3',
+    submittedAt: '2026-10-19T01:00:00.000Z',
+    name: '山田 太郎',
+    email: 'taro@example.com',
+    serviceType: 'ai_development',
+    message: '社内FAQの自動応答について相談したいです。',
+    status: 'new',
+    compliant: true
+};
+
+describe('CRM webhook delivery', () => {
+    let CrmWebhook;
+    let receiver;
+    let webhook;
+
+    // 再送待ちを送信時期到来として扱う
+    const makeDue = (deliveryId) => {
+        CrmDelivery.documents.find(document => document.delivery_id === deliveryId).next_attempt_at = new Date(0);
+    };
+    const stored = (deliveryId) => CrmDelivery.documents.find(document => document.delivery_id === deliveryId);
+
+    beforeAll(async () => {
+        receiver = createCrmStubReceiver({ secret: CRM_SECRET });
+        const { port } = await receiver.listen();
+        process.env.CRM_WEBHOOK_URL = `http://127.0.0.1:${port}/leads`;
+
+        // 設定は初回参照時に確定するため、送信先URLの設定後に読込
+        ({ CrmWebhook } = require('../src/utils/crmWebhook'));
+    });
+
+    afterAll(async () => {
+        await receiver.close();
+    });
+
+    beforeEach(() => {
+        CrmDelivery.reset();
+        receiver.deliveries.length = 0;
+        webhook = new CrmWebhook();
+    });
+
+    test('delivers a signed lead on 2xx', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 1, retried: 0, dead: 0 });
+
+        expect(receiver.deliveries).toHaveLength(1);
+        expect(receiver.deliveries[0]).toMatchObject({
+            id: delivery.delivery_id,
+            event: 'lead.created',
+            payload: { id: delivery.delivery_id, event: 'lead.created', data: LEAD }
+        });
+        expect(stored(delivery.delivery_id)).toMatchObject({
+            status: 'delivered',
+            attempts: 1,
+            last_status_code: 200,
+            locked_until: null
+        });
+        expect(stored(delivery.delivery_id).delivered_at).toBeInstanceOf(Date);
+    });
+
+    test('retries 5xx responses with backoff until delivered', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+        receiver.failNext(503);
+
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 1, dead: 0 });
+        expect(stored(delivery.delivery_id)).toMatchObject({ status: 'pending', attempts: 1, last_status_code: 503 });
+        expect(stored(delivery.delivery_id).next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+        // 再送間隔内は送信しない
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 0, dead: 0 });
+
+        makeDue(delivery.delivery_id);
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 1, retried: 0, dead: 0 });
+        expect(stored(delivery.delivery_id)).toMatchObject({ status: 'delivered', attempts: 2, last_error: null });
+        expect(receiver.deliveries).toHaveLength(1);
+    });
+
+    test('retries 429 responses', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+        receiver.failNext(429);
+
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 1, dead: 0 });
+        expect(stored(delivery.delivery_id)).toMatchObject({ status: 'pending', last_status_code: 429 });
+    });
+
+    test('moves non-retryable 4xx responses to dead without retrying', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+        receiver.failNext(422);
+
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 0, dead: 1 });
+        expect(stored(delivery.delivery_id)).toMatchObject({
+            status: 'dead',
+            attempts: 1,
+            last_status_code: 422,
+            last_error: 'CRM responded with HTTP 422'
+        });
+        expect(stored(delivery.delivery_id).dead_at).toBeInstanceOf(Date);
+
+        makeDue(delivery.delivery_id);
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 0, dead: 0 });
+        expect(receiver.deliveries).toHaveLength(0);
+    });
+
+    test('moves deliveries to dead after CRM_WEBHOOK_MAX_ATTEMPTS failures', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+        receiver.failNext(500, 3);
+
+        await expect(webhook.deliverDue()).resolves.toMatchObject({ retried: 1 });
+        makeDue(delivery.delivery_id);
+        await expect(webhook.deliverDue()).resolves.toMatchObject({ retried: 1 });
+        makeDue(delivery.delivery_id);
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 0, retried: 0, dead: 1 });
+
+        expect(stored(delivery.delivery_id)).toMatchObject({ status: 'dead', attempts: 3, last_status_code: 500 });
+    });
+
+    test('redelivers dead deliveries with the same id and payload', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+        receiver.failNext(400);
+        await webhook.deliverDue();
+
+        const retried = await webhook.redeliver(delivery.delivery_id);
+        expect(retried).toMatchObject({ status: 'pending', attempts: 0, dead_at: null });
+
+        await expect(webhook.deliverDue()).resolves.toEqual({ delivered: 1, retried: 0, dead: 0 });
+        expect(receiver.deliveries).toHaveLength(1);
+        expect(receiver.deliveries[0].id).toBe(delivery.delivery_id);
+        expect(receiver.deliveries[0].payload).toEqual(stored(delivery.delivery_id).payload);
+    });
+
+    test('redeliver ignores deliveries that are not dead', async () => {
+        const delivery = await webhook.enqueue('lead.created', LEAD);
+
+        await expect(webhook.redeliver(delivery.delivery_id)).resolves.toBeNull();
+    });
+
+    test('queues only leads that passed the compliance check', async () => {
+        const contactController = require('../src/controllers/contactController');
+        const { crmWebhook } = require('../src/utils/crmWebhook');
+        const enqueue = jest.spyOn(crmWebhook, 'enqueue');
+
+        await contactController.notifyCrm({
+            ticket_number: 'INQ-20261019-D4E5F6',
+            status: 'pending_review',
+            constitutional_compliance: { compliant: false, violations: ['manipulation'] }
+        });
+        expect(enqueue).not.toHaveBeenCalled();
+        expect(CrmDelivery.documents).toHaveLength(0);
+
+        await contactController.notifyCrm({
+            ticket_number: 'INQ-20261019-A1B2C3',
+            submitted_at: new Date(LEAD.submittedAt),
+            name: LEAD.name,
+            email: LEAD.email,
+            service: LEAD.serviceType,
+            message: LEAD.message,
+            status: 'new',
+            constitutional_compliance: { compliant: true, violations: [] }
+        });
+        expect(enqueue).toHaveBeenCalledTimes(1);
+        expect(CrmDelivery.documents).toHaveLength(1);
+
+        enqueue.mockRestore();
+    });
+
+    test('stores the lead email as submitted apart from case and surrounding spaces', () => {
+        const contactController = require('../src/controllers/contactController');
+
+        const { isValid, normalized } = contactController.validateContactForm({
+            name: LEAD.name,
+            email: '  Taro.Yamada+Quote@Gmail.com ',
+            message: LEAD.message,
+            privacy: true
+        });
+
+        expect(isValid).toBe(true);
+        expect(normalized.email).toBe('taro.yamada+quote@gmail.com');
+    });
+});
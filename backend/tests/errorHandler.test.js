@@ -0,0 +1,53 @@
+/**
+ * エラーハンドラーのテスト
+ * APIError・ライブラリ由来のエラーを共通の応答形式へ変換し、5xx では内部情報を返さないことを検証
+ */
+const express = require('express');
+const request = require('supertest');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+const { APIError } = require('../src/utils/errors');
+
+function createApp(error) {
+    const app = express();
+    app.use(express.json());
+    app.post('/fail', () => {
+        throw error;
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+}
+
+describe('error handler', () => {
+    test('returns the status and code of an APIError', async () => {
+        const response = await request(createApp(new APIError('Login failed', 500, 'LOGIN_ERROR')))
+            .post('/fail')
+            .expect(500);
+
+        expect(response.body).toEqual({ success: false, error: 'Login failed', code: 'LOGIN_ERROR' });
+    });
+
+    test('hides the message of unexpected errors', async () => {
+        const response = await request(createApp(new Error('connection string mongodb://user:pass@db')))
+            .post('/fail')
+            .expect(500);
+
+        expect(response.body).toEqual({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+    });
+
+    test('answers malformed JSON with 400', async () => {
+        const response = await request(createApp(new Error('unused')))
+            .post('/fail')
+            .set('Content-Type', 'application/json')
+            .send('{"broken":')
+            .expect(400);
+
+        expect(response.body.code).toBe('INVALID_JSON');
+    });
+
+    test('answers unknown routes with 404', async () => {
+        const response = await request(createApp(new Error('unused'))).get('/missing').expect(404);
+
+        expect(response.body).toEqual({ success: false, error: 'Resource not found', code: 'ROUTE_NOT_FOUND' });
+    });
+});
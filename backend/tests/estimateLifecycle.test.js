@@ -0,0 +1,218 @@
+/**
+ * 見積もりライフサイクルのテスト
+ * 遷移表に従った状態遷移（競合時は null）、有効期限による失効（参照時・一括）を検証
+ * pricing_estimates はインメモリモデルで代替
+ */
+jest.mock('../src/models/PricingEstimate', () => {
+    const { createMemoryModel } = require('./helpers/memoryModel');
+    return createMemoryModel(() => ({ status: 'draft', status_history: [], user_id: null }));
+});
+
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+jest.mock('../src/utils/auditLogger', () => ({ createAuditLog: jest.fn().mockResolvedValue(null) }));
+
+const PricingEstimate = require('../src/models/PricingEstimate');
+const { createAuditLog } = require('../src/utils/auditLogger');
+const { EstimateLifecycle, canTransition, currentStatus } = require('../src/utils/estimateLifecycle');
+const serviceController = require('../src/controllers/serviceController');
+
+const DAY = 24 * 60 * 60 * 1000;
+const future = () => new Date(Date.now() + 30 * DAY);
+const past = () => new Date(Date.now() - DAY);
+
+let sequence = 0;
+
+async function storeEstimate(fields = {}) {
+    sequence++;
+    return await PricingEstimate.create({
+        estimate_id: `EST_LIFECYCLE_${String(sequence).padStart(4, '0')}`,
+        total_price: 300000,
+        valid_until: future(),
+        ...fields
+    });
+}
+
+const stored = estimate => PricingEstimate.documents.find(document => document.estimate_id === estimate.estimate_id);
+
+describe('estimate lifecycle', () => {
+    let lifecycle;
+
+    beforeEach(() => {
+        PricingEstimate.reset();
+        createAuditLog.mockClear();
+        lifecycle = new EstimateLifecycle();
+    });
+
+    test('allows only the documented transitions', () => {
+        expect(canTransition('draft', 'sent')).toBe(true);
+        expect(canTransition('sent', 'viewed')).toBe(true);
+        expect(canTransition('viewed', 'accepted')).toBe(true);
+        expect(canTransition('viewed', 'declined')).toBe(true);
+        expect(canTransition('draft', 'accepted')).toBe(false);
+        expect(canTransition('viewed', 'sent')).toBe(false);
+        expect(canTransition('accepted', 'declined')).toBe(false);
+        expect(canTransition('expired', 'sent')).toBe(false);
+        expect(canTransition('unknown', 'sent')).toBe(false);
+        expect(currentStatus({})).toBe('draft');
+    });
+
+    test('records every transition in the status history and audit log', async () => {
+        const estimate = await storeEstimate();
+
+        const sent = await lifecycle.transition(estimate, 'sent', { actorId: 'admin-1', ip: '127.0.0.1', note: 'emailed' });
+        const viewed = await lifecycle.transition(sent, 'viewed', { set: { viewed_at: new Date() } });
+        const accepted = await lifecycle.transition(viewed, 'accepted', { actorId: 'customer-1' });
+
+        expect(accepted.status).toBe('accepted');
+        expect(accepted.viewed_at).toBeDefined();
+        expect(accepted.status_history.map(({ from, to, actor_id, note }) => ({ from, to, actor_id, note }))).toEqual([
+            { from: 'draft', to: 'sent', actor_id: 'admin-1', note: 'emailed' },
+            { from: 'sent', to: 'viewed', actor_id: null, note: null },
+            { from: 'viewed', to: 'accepted', actor_id: 'customer-1', note: null }
+        ]);
+        expect(createAuditLog.mock.calls.map(([entry]) => [entry.action, entry.userId])).toEqual([
+            ['estimate_sent', 'admin-1'],
+            ['estimate_viewed', 'system'],
+            ['estimate_accepted', 'customer-1']
+        ]);
+    });
+
+    test('treats estimates saved before the lifecycle as drafts', async () => {
+        const legacy = await storeEstimate();
+        delete stored(legacy).status;
+
+        const sent = await lifecycle.transition({ estimate_id: legacy.estimate_id }, 'sent');
+
+        expect(sent.status).toBe('sent');
+        expect(sent.status_history[0]).toMatchObject({ from: 'draft', to: 'sent' });
+    });
+
+    test('rejects transitions that are not allowed from the current status', async () => {
+        const estimate = await storeEstimate();
+
+        expect(await lifecycle.transition(estimate, 'accepted')).toBeNull();
+        expect(stored(estimate).status).toBe('draft');
+        expect(createAuditLog).not.toHaveBeenCalled();
+    });
+
+    test('lets only the first of concurrent transitions win', async () => {
+        const estimate = await storeEstimate({ status: 'sent' });
+
+        const accepted = await lifecycle.transition(estimate, 'accepted');
+        const declined = await lifecycle.transition(estimate, 'declined');
+
+        expect(accepted.status).toBe('accepted');
+        expect(declined).toBeNull();
+        expect(stored(estimate).status).toBe('accepted');
+        expect(stored(estimate).status_history).toHaveLength(1);
+    });
+
+    test('does not transition when the where condition no longer holds', async () => {
+        const estimate = await storeEstimate({ status: 'sent', user_id: 'customer-1' });
+
+        const accepted = await lifecycle.transition(estimate, 'accepted', { where: { user_id: 'customer-2' } });
+
+        expect(accepted).toBeNull();
+        expect(stored(estimate).status).toBe('sent');
+    });
+
+    test('expires open estimates past their validity when they are read', async () => {
+        const overdue = await storeEstimate({ status: 'viewed', valid_until: past() });
+        const current = await storeEstimate({ status: 'sent' });
+        const accepted = await storeEstimate({ status: 'accepted', valid_until: past() });
+
+        expect((await lifecycle.expireIfOverdue(overdue, { actorId: 'customer-1' })).status).toBe('expired');
+        expect(stored(overdue).status_history[0]).toMatchObject({ from: 'viewed', to: 'expired', note: 'valid_until reached' });
+
+        expect(await lifecycle.expireIfOverdue(current)).toBe(current);
+        expect(await lifecycle.expireIfOverdue(accepted)).toBe(accepted);
+        expect(stored(accepted).status).toBe('accepted');
+    });
+
+    test('returns the latest state when another request expired the estimate first', async () => {
+        const overdue = await storeEstimate({ status: 'sent', valid_until: past() });
+
+        await lifecycle.expireIfOverdue(overdue);
+        const reread = await lifecycle.expireIfOverdue(overdue);
+
+        expect(reread.status).toBe('expired');
+        expect(stored(overdue).status_history).toHaveLength(1);
+    });
+
+    test('expires overdue open estimates in batches', async () => {
+        const legacy = await storeEstimate({ valid_until: past() });
+        delete stored(legacy).status;
+        const overdue = await Promise.all(['draft', 'sent', 'viewed'].map(status => storeEstimate({ status, valid_until: past() })));
+        const accepted = await storeEstimate({ status: 'accepted', valid_until: past() });
+        const current = await storeEstimate({ status: 'sent' });
+
+        expect(await lifecycle.expireOverdue()).toEqual({ expired: 4 });
+        expect(await lifecycle.expireOverdue()).toEqual({ expired: 0 });
+
+        for (const estimate of [legacy, ...overdue]) {
+            expect(stored(estimate).status).toBe('expired');
+        }
+        expect(stored(accepted).status).toBe('accepted');
+        expect(stored(current).status).toBe('sent');
+    });
+
+    test('limits each sweep to the batch size', async () => {
+        const batched = new EstimateLifecycle({ sweepBatchSize: 2 });
+        await Promise.all([1, 2, 3].map(() => storeEstimate({ status: 'sent', valid_until: past() })));
+
+        expect(await batched.expireOverdue()).toEqual({ expired: 2 });
+        expect(await batched.expireOverdue()).toEqual({ expired: 1 });
+    });
+});
+
+describe('stored estimate retrieval', () => {
+    async function open(estimate, user = null) {
+        const req = { params: { estimateId: estimate.estimate_id }, user, ip: '127.0.0.1', get: () => 'jest' };
+        const res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        return { opened: await serviceController.openStoredEstimate(req, res), res };
+    }
+
+    beforeEach(() => {
+        PricingEstimate.reset();
+    });
+
+    test('answers expired estimates with 410', async () => {
+        const estimate = await storeEstimate({ status: 'sent', valid_until: past() });
+
+        const { opened, res } = await open(estimate);
+
+        expect(opened).toBeNull();
+        expect(res.status).toHaveBeenCalledWith(410);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ESTIMATE_EXPIRED' }));
+        expect(stored(estimate).status).toBe('expired');
+    });
+
+    test('marks sent estimates as viewed only when the assigned customer opens them', async () => {
+        const assigned = await storeEstimate({ status: 'sent', user_id: 'customer-1' });
+
+        expect((await open(assigned, { id: 'customer-2' })).opened.status).toBe('sent');
+        expect((await open(assigned, { id: 'customer-1' })).opened.status).toBe('viewed');
+        expect(stored(assigned).viewed_at).toBeDefined();
+
+        const unassigned = await storeEstimate({ status: 'sent' });
+        expect((await open(unassigned)).opened.status).toBe('viewed');
+    });
+
+    test('keeps accepted estimates readable after their validity', async () => {
+        const estimate = await storeEstimate({ status: 'accepted', valid_until: past() });
+
+        const { opened, res } = await open(estimate);
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(opened.status).toBe('accepted');
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * テスト用インメモリモデル
+ * Mongoose モデルのうち create / find / findOne / findOneAndUpdate / updateOne のみを再現
+ * 条件は完全一致（日時は時刻で比較）・$lte・$in・$or、更新は $set・$inc・$push、クエリは sort・select（無視）・limit に対応
+ */
+const { isDate } = require('util').types;
+
+/**
+ * 条件判定
+ */
+function matches(document, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') {
+            return condition.some(branch => matches(document, branch));
+        }
+        if (condition && typeof condition === 'object' && !(condition instanceof Date) && '$lte' in condition) {
+            return document[key] !== null && document[key] !== undefined && document[key] <= condition.$lte;
+        }
+        if (condition && typeof condition === 'object' && '$in' in condition) {
+            // null は項目未設定にも一致（MongoDB と同じ）
+            return condition.$in.includes(document[key] ?? null);
+        }
+        // structuredClone の日時は別レルムの Date のため instanceof では判定しない
+        if (isDate(condition)) {
+            return isDate(document[key]) && document[key].getTime() === condition.getTime();
+        }
+        return document[key] === condition;
+    });
+}
+
+/**
+ * 並べ替え（先頭の項目のみ・1 昇順 / -1 降順）
+ */
+function sortDocuments(documents, sort) {
+    const [[field, direction]] = Object.entries(sort);
+    return [...documents].sort((a, b) => (a[field] - b[field]) * direction);
+}
+
+/**
+ * 更新適用
+ */
+function applyUpdate(document, update) {
+    Object.assign(document, update.$set || {});
+    for (const [key, amount] of Object.entries(update.$inc || {})) {
+        document[key] = (document[key] || 0) + amount;
+    }
+    for (const [key, value] of Object.entries(update.$push || {})) {
+        document[key] = [...(document[key] || []), structuredClone(value)];
+    }
+}
+
+/**
+ * クエリ結果（.lean() / await の両方に対応）
+ */
+function query(candidates, { single = true } = {}) {
+    let sort = null;
+    let limit = null;
+
+    const copy = () => {
+        let results = sort ? sortDocuments(candidates, sort) : candidates;
+        if (limit !== null) results = results.slice(0, limit);
+        if (single) return results[0] ? structuredClone(results[0]) : null;
+        return results.map(result => structuredClone(result));
+    };
+
+    const chain = {
+        sort(value) {
+            sort = value;
+            return chain;
+        },
+        select() {
+            return chain;
+        },
+        limit(value) {
+            limit = value;
+            return chain;
+        },
+        lean: async () => copy(),
+        then: (resolve, reject) => Promise.resolve(copy()).then(resolve, reject)
+    };
+    return chain;
+}
+
+function createMemoryModel(defaults = () => ({})) {
+    const documents = [];
+
+    return {
+        documents,
+
+        async create(document) {
+            const now = new Date();
+            const stored = { ...defaults(), ...structuredClone(document), created_at: now, updated_at: now };
+            documents.push(stored);
+
+            const created = structuredClone(stored);
+            Object.defineProperty(created, 'toObject', { value: () => structuredClone(stored) });
+            return created;
+        },
+
+        find(filter = {}) {
+            return query(documents.filter(document => matches(document, filter)), { single: false });
+        },
+
+        findOne(filter = {}) {
+            return query(documents.filter(document => matches(document, filter)));
+        },
+
+        findOneAndUpdate(filter, update, options = {}) {
+            let candidates = documents.filter(document => matches(document, filter));
+            if (options.sort) {
+                candidates = sortDocuments(candidates, options.sort);
+            }
+
+            const [document] = candidates;
+            if (!document) return query([]);
+
+            const before = structuredClone(document);
+            applyUpdate(document, update);
+            document.updated_at = new Date();
+            return query([options.new ? document : before]);
+        },
+
+        async updateOne(filter, update) {
+            const document = documents.find(candidate => matches(candidate, filter));
+            if (!document) return { matchedCount: 0, modifiedCount: 0 };
+
+            applyUpdate(document, update);
+            document.updated_at = new Date();
+            return { matchedCount: 1, modifiedCount: 1 };
+        },
+
+        reset() {
+            documents.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createMemoryModel
+};
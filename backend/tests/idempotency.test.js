@@ -0,0 +1,104 @@
+/**
+ * Idempotency-Key ミドルウェアのテスト
+ * 通常ルートは保存済みレスポンスを再送し、認証ルートはトークンを保存せず 409 を返すことを検証
+ * Redis はインメモリの Map で代替
+ */
+jest.mock('../src/config/redis', () => {
+    const store = new Map();
+    return {
+        store,
+        client: {
+            get: jest.fn(async key => store.get(key) ?? null),
+            set: jest.fn(async (key, value, options = {}) => {
+                if (options.NX && store.has(key)) return null;
+                store.set(key, value);
+                return 'OK';
+            }),
+            setEx: jest.fn(async (key, ttl, value) => {
+                store.set(key, value);
+                return 'OK';
+            }),
+            del: jest.fn(async key => Number(store.delete(key)))
+        }
+    };
+});
+
+const express = require('express');
+const request = require('supertest');
+const redis = require('../src/config/redis');
+const { idempotency } = require('../src/middleware/idempotency');
+const { connectionTracker } = require('../src/utils/connectionTracker');
+
+const KEY = 'test-idempotency-key-0001';
+const TOKENS = { accessToken: 'access-token-secret', refreshToken: 'refresh-token-secret', signingKey: 'signing-key-secret' };
+
+const buildApp = (options) => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    let calls = 0;
+    app.post('/issue', idempotency(options), (req, res) => {
+        calls++;
+        res.json({ success: true, calls, ...TOKENS });
+    });
+    app.calls = () => calls;
+    return app;
+};
+
+// finish 後の保存処理の完了を待機
+const settle = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    await Promise.all([...connectionTracker.pendingTasks]);
+};
+
+describe('idempotency middleware', () => {
+    beforeEach(() => {
+        redis.store.clear();
+    });
+
+    test('replays the stored response for a repeated key', async () => {
+        const app = buildApp();
+
+        await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 1 }).expect(200);
+        await settle();
+        const replay = await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 1 }).expect(200);
+
+        expect(replay.headers['idempotency-status']).toBe('replayed');
+        expect(replay.body.calls).toBe(1);
+        expect(app.calls()).toBe(1);
+    });
+
+    test('stores only a completion marker when storeResponse is false', async () => {
+        const app = buildApp({ ttl: 5 * 60, storeResponse: false });
+
+        const first = await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 1 }).expect(200);
+        expect(first.body.refreshToken).toBe(TOKENS.refreshToken);
+        await settle();
+
+        const stored = [...redis.store.values()].join('\n');
+        expect(stored).toContain('"state":"completed"');
+        Object.values(TOKENS).forEach(secret => expect(stored).not.toContain(secret));
+
+        const replay = await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 1 }).expect(409);
+        expect(replay.headers['idempotency-status']).toBe('consumed');
+        expect(replay.body).toEqual({
+            success: false,
+            error: 'A request with this Idempotency-Key has already been processed',
+            code: 'IDEMPOTENCY_KEY_CONSUMED'
+        });
+        expect(app.calls()).toBe(1);
+    });
+
+    test('rejects a consumed key reused with a different body', async () => {
+        const app = buildApp({ storeResponse: false });
+
+        await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 1 }).expect(200);
+        await settle();
+        const reused = await request(app).post('/issue').set('Idempotency-Key', KEY).send({ a: 2 }).expect(422);
+
+        expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * 見積もり・プロジェクトIDのテスト
+ * 生成したIDが形式検証・OpenAPI のパターンと一致し、旧形式も引き続き受け付けることを検証
+ */
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+
+const serviceController = require('../src/controllers/serviceController');
+const { schemas } = require('../src/openapi/components');
+
+describe('estimate and project identifiers', () => {
+    test.each([
+        ['estimate', () => serviceController.generateEstimateId(), id => serviceController.isValidEstimateId(id), 'estimateId'],
+        ['project', () => serviceController.generateProjectId(), id => serviceController.isValidProjectId(id), 'projectId']
+    ])('generates %s ids with a 64-bit random part that pass validation', (label, generate, isValid, property) => {
+        const ids = Array.from({ length: 50 }, generate);
+
+        ids.forEach(id => {
+            expect(id).toMatch(/_[0-9A-F]{16}$/);
+            expect(isValid(id)).toBe(true);
+            expect(id).toMatch(new RegExp(schemas.Estimate.properties[property].pattern));
+        });
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('accepts ids issued in the previous format', () => {
+        expect(serviceController.isValidEstimateId('EST_MGX1ABCD_K3J9Z2QP')).toBe(true);
+        expect(serviceController.isValidProjectId('PRJ_MGX1ABCD_7QW2')).toBe(true);
+    });
+
+    test.each(['EST_MGX1ABCD_', 'est_mgx1abcd_k3j9z2qp', 'EST_MGX1ABCD_0123456789ABCDEF0', 'PRJ_MGX1ABCD_K3J9Z2QP'])(
+        'rejects malformed estimate id %s',
+        (id) => {
+            expect(serviceController.isValidEstimateId(id)).toBe(false);
+        }
+    );
+});
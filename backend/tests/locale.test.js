@@ -0,0 +1,144 @@
+/**
+ * 多言語対応のテスト
+ * ?lang= → Accept-Language → 既定ロケールの順でロケールを決定し、
+ * エラーコード付き応答はカタログの翻訳（無い場合は元のメッセージ）を返すことを検証
+ */
+const express = require('express');
+const request = require('supertest');
+const { localeMiddleware, localizeErrorBody } = require('../src/middleware/locale');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+const { APIError } = require('../src/utils/errors');
+const { negotiateLocale, parseAcceptLanguage, t, getSection, localizeService } = require('../src/utils/i18n');
+const ja = require('../src/locales/ja.json');
+const en = require('../src/locales/en.json');
+
+function negotiate({ lang, acceptLanguage } = {}) {
+    return negotiateLocale({
+        query: lang === undefined ? {} : { lang },
+        get: name => (name === 'Accept-Language' ? acceptLanguage : undefined)
+    });
+}
+
+function createApp() {
+    const app = express();
+    app.use(localeMiddleware);
+    app.get('/expired', (req, res) => {
+        res.status(410).json({ success: false, error: 'Estimate has expired', code: 'ESTIMATE_EXPIRED' });
+    });
+    app.get('/unknown-code', (req, res) => {
+        res.status(409).json({ success: false, error: 'Something conflicted', code: 'SOMETHING_NEW' });
+    });
+    app.get('/thrown', () => {
+        throw new APIError('Estimate has expired', 410, 'ESTIMATE_EXPIRED');
+    });
+    app.get('/crash', () => {
+        throw new Error('connection refused');
+    });
+    app.get('/ok', (req, res) => {
+        res.json({ success: true, data: { locale: req.locale }, error: 'not an error response' });
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+}
+
+describe('locale negotiation', () => {
+    test('prefers the lang query parameter', () => {
+        expect(negotiate({ lang: 'en', acceptLanguage: 'ja' })).toBe('en');
+        expect(negotiate({ lang: 'EN-us', acceptLanguage: 'ja' })).toBe('en');
+    });
+
+    test('ignores unsupported or malformed lang values', () => {
+        expect(negotiate({ lang: 'fr', acceptLanguage: 'en' })).toBe('en');
+        expect(negotiate({ lang: ['en', 'ja'] })).toBe('ja');
+    });
+
+    test('uses the highest weighted supported Accept-Language tag', () => {
+        expect(negotiate({ acceptLanguage: 'fr-FR, en-GB;q=0.8, ja;q=0.9' })).toBe('ja');
+        expect(negotiate({ acceptLanguage: 'fr;q=1, en-US;q=0.5' })).toBe('en');
+        expect(negotiate({ acceptLanguage: 'en;q=0, ja;q=0.1' })).toBe('ja');
+    });
+
+    test('falls back to the default locale', () => {
+        expect(negotiate()).toBe('ja');
+        expect(negotiate({ acceptLanguage: 'fr, de' })).toBe('ja');
+        expect(negotiate({ acceptLanguage: '*, en;q=0.5' })).toBe('ja');
+    });
+
+    test('keeps header order for equal weights and drops invalid weights', () => {
+        expect(parseAcceptLanguage('en, ja')).toEqual(['en', 'ja']);
+        expect(parseAcceptLanguage('en;q=abc, ja;q=0.2')).toEqual(['ja']);
+        expect(parseAcceptLanguage('')).toEqual([]);
+    });
+});
+
+describe('translation catalogs', () => {
+    test('define the same keys in every locale', () => {
+        const keys = catalog => Object.entries(catalog).flatMap(([key, value]) =>
+            (value && typeof value === 'object' && !Array.isArray(value) ? keys(value).map(child => `${key}.${child}`) : [key]));
+
+        expect(keys(en).sort()).toEqual(keys(ja).sort());
+    });
+
+    test('fall back to the default locale and then to the key', () => {
+        expect(t('en', 'errors.ESTIMATE_EXPIRED')).toBe(en.errors.ESTIMATE_EXPIRED);
+        expect(t('fr', 'errors.ESTIMATE_EXPIRED')).toBe(ja.errors.ESTIMATE_EXPIRED);
+        expect(t('en', 'errors.SOMETHING_NEW')).toBe('errors.SOMETHING_NEW');
+        expect(getSection('fr', 'breakdown')).toEqual(ja.breakdown);
+    });
+
+    test('use base fields for services without a translation', () => {
+        const service = {
+            name: 'AIエージェント開発',
+            description: '業務自動化',
+            features: ['対話設計'],
+            translations: { en: { name: 'AI agent development', features: [] } }
+        };
+
+        expect(localizeService(service, 'en')).toEqual({
+            name: 'AI agent development',
+            description: '業務自動化',
+            features: ['対話設計']
+        });
+        expect(localizeService(service, 'ja')).toEqual({ name: 'AIエージェント開発', description: '業務自動化', features: ['対話設計'] });
+    });
+});
+
+describe('locale middleware', () => {
+    const app = createApp();
+
+    test('translates error responses with a catalogued code', async () => {
+        const japanese = await request(app).get('/expired').expect(410);
+        expect(japanese.headers['content-language']).toBe('ja');
+        expect(japanese.headers.vary).toMatch(/Accept-Language/);
+        expect(japanese.body).toEqual({ success: false, error: ja.errors.ESTIMATE_EXPIRED, code: 'ESTIMATE_EXPIRED' });
+
+        const english = await request(app).get('/expired').set('Accept-Language', 'en-US').expect(410);
+        expect(english.headers['content-language']).toBe('en');
+        expect(english.body.error).toBe(en.errors.ESTIMATE_EXPIRED);
+    });
+
+    test('translates errors passed to the error handler', async () => {
+        const response = await request(app).get('/thrown?lang=ja').expect(410);
+        expect(response.body).toEqual({ success: false, error: ja.errors.ESTIMATE_EXPIRED, code: 'ESTIMATE_EXPIRED' });
+    });
+
+    test('keeps the original message for codes without a translation', async () => {
+        const conflict = await request(app).get('/unknown-code?lang=en').expect(409);
+        expect(conflict.body.error).toBe('Something conflicted');
+
+        const crash = await request(app).get('/crash?lang=en').expect(500);
+        expect(crash.body).toEqual({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+
+        const missing = await request(app).get('/missing').expect(404);
+        expect(missing.body.code).toBe('ROUTE_NOT_FOUND');
+    });
+
+    test('leaves responses without an error code untouched', async () => {
+        const response = await request(app).get('/ok?lang=en').expect(200);
+        expect(response.body).toEqual({ success: true, data: { locale: 'en' }, error: 'not an error response' });
+
+        expect(localizeErrorBody([{ code: 'ESTIMATE_EXPIRED' }], 'en')).toEqual([{ code: 'ESTIMATE_EXPIRED' }]);
+        expect(localizeErrorBody(null, 'en')).toBeNull();
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * 支払マイルストーン算出のテスト
+ * 税込合計・消費税額の按分が見積書の金額と一致することを検証
+ */
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+
+const estimateController = require('../src/controllers/estimateController');
+
+const DEFINITIONS = [
+    { key: 'deposit', rate: 0.3, trigger: 'acceptance' },
+    { key: 'interim', rate: 0.4, trigger: 'midpoint' },
+    { key: 'final', rate: 0.3, trigger: 'completion' }
+];
+const ACCEPTED_AT = new Date('2026-10-19T01:00:00.000Z');
+
+const sum = (milestones, field) => milestones.reduce((total, milestone) => total + milestone[field], 0);
+
+describe('payment milestones', () => {
+    test('allocates the stored tax-inclusive total and tax', () => {
+        const milestones = estimateController.buildMilestones({
+            total_price: 1000001,
+            tax: { rate: 0.1, rounding: 'floor', taxable_amount: 1000001, amount: 100000 },
+            total_with_tax: 1100001,
+            timeline: { requested: 60 }
+        }, DEFINITIONS, ACCEPTED_AT);
+
+        expect(milestones.map(({ key, amount, tax }) => ({ key, amount, tax }))).toEqual([
+            { key: 'deposit', amount: 330000, tax: 30000 },
+            { key: 'interim', amount: 440001, tax: 40000 },
+            { key: 'final', amount: 330000, tax: 30000 }
+        ]);
+        expect(sum(milestones, 'amount')).toBe(1100001);
+        expect(sum(milestones, 'tax')).toBe(100000);
+        expect(milestones[0]).toMatchObject({ trigger: 'acceptance', due_date: '2026-10-19', status: 'pending' });
+    });
+
+    test('taxes legacy estimates at the current rate like the quote document', () => {
+        const legacy = { total_price: 333333, timeline: { requested: 30 } };
+        const { tax, totalWithTax } = require('../src/controllers/serviceController').fromStoredEstimate(legacy);
+
+        const milestones = estimateController.buildMilestones(legacy, DEFINITIONS, ACCEPTED_AT);
+
+        expect(sum(milestones, 'amount')).toBe(totalWithTax);
+        expect(sum(milestones, 'tax')).toBe(tax.amount);
+        milestones.forEach(milestone => expect(Number.isInteger(milestone.amount)).toBe(true));
+    });
+});
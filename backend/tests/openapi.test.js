@@ -0,0 +1,146 @@
+/**
+ * OpenAPI 仕様書とルート定義の整合性テスト
+ * アプリ全体を構築し、仕様書の差分と代表的なエンドポイントの応答を enforce モードで検証
+ * MongoDB・Redis は接続せず、セッションはメモリストアで代替
+ */
+process.env.NODE_ENV = 'test';
+process.env.OPENAPI_VALIDATION = 'enforce';
+process.env.SECURITY_EVENTS_ENABLED = 'false';
+process.env.SESSION_SECRET = 'test-session-secret-0123456789abcdef';
+process.env.JWT_SECRET = 'test-jwt-secret-0123456789abcdefghij';
+
+jest.mock('../src/config/database', () => ({
+    connectDB: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../src/config/redis', () => ({
+    initializeRedis: jest.fn().mockResolvedValue(),
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        setEx: jest.fn().mockResolvedValue('OK'),
+        del: jest.fn().mockResolvedValue(1),
+        incr: jest.fn().mockResolvedValue(1),
+        sMembers: jest.fn().mockResolvedValue([]),
+        sRem: jest.fn().mockResolvedValue(0),
+        mGet: jest.fn().mockResolvedValue([]),
+        ping: jest.fn().mockResolvedValue('PONG'),
+        quit: jest.fn().mockResolvedValue('OK')
+    }
+}));
+
+jest.mock('connect-mongo', () => ({
+    create: () => new (require('express-session').MemoryStore)()
+}));
+
+jest.mock('../src/utils/auditLogger', () => ({
+    createAuditLog: jest.fn().mockResolvedValue()
+}));
+
+const request = require('supertest');
+const app = require('../src/app');
+const { findRouteDrift } = require('../src/openapi');
+const { wafEngine } = require('../src/middleware/waf');
+const { estimateLifecycle } = require('../src/utils/estimateLifecycle');
+const { crmWebhook } = require('../src/utils/crmWebhook');
+
+const USER_AGENT = 'shinai-backend-test/1.0';
+
+describe('OpenAPI specification', () => {
+    let agent;
+
+    beforeAll(async () => {
+        await app.ready;
+        agent = request.agent(app).set('User-Agent', USER_AGENT);
+    });
+
+    afterAll(async () => {
+        wafEngine.stop();
+        await estimateLifecycle.stop();
+        await crmWebhook.stop();
+    });
+
+    // CSRFトークン取得（セッション Cookie は agent が保持）
+    const csrfToken = async () => {
+        const response = await agent.get('/api/v1/auth/csrf').expect(200);
+        return response.body.token;
+    };
+
+    test('documents every registered route and nothing else', () => {
+        const drift = findRouteDrift([
+            { prefix: '', router: app._router },
+            { prefix: '/api/v1/auth', router: require('../src/routes/auth') },
+            { prefix: '/api/v1/services', router: require('../src/routes/services') },
+            { prefix: '/api/v1/contact', router: require('../src/routes/contact') },
+            { prefix: '/api/v1/pricing', router: require('../src/routes/pricing') },
+            { prefix: '/api/v1/audit', router: require('../src/routes/audit') },
+            { prefix: '/api/v1/exports', router: require('../src/routes/exports') },
+            { prefix: '/admin', router: require('../src/routes/admin') }
+        ]);
+
+        expect(drift).toEqual({ undocumented: [], missing: [] });
+    });
+
+    test('serves the specification document', async () => {
+        const response = await agent.get('/api/v1/openapi.json').expect(200);
+
+        expect(response.body.openapi).toMatch(/^3\.1\./);
+        expect(response.body.paths['/api/v1/services/search']).toBeDefined();
+    });
+
+    test('issues a CSRF token matching the documented response', async () => {
+        const response = await agent.get('/api/v1/auth/csrf').expect(200);
+
+        expect(response.body).toMatchObject({ success: true, token: expect.any(String) });
+    });
+
+    test('reaches the service search route', async () => {
+        const response = await agent.get('/api/v1/services/search').expect(400);
+
+        expect(response.body.code).toBe('INVALID_SEARCH_PARAMS');
+    });
+
+    test('rejects query parameters that violate the specification', async () => {
+        const response = await agent.get('/api/v1/services/search?priceRange=cheap').expect(400);
+
+        expect(response.body.code).toBe('REQUEST_SCHEMA_VIOLATION');
+        expect(response.body.details.join('\n')).toContain('query.priceRange');
+    });
+
+    test('rejects malformed percent-encoding in path parameters with 400', async () => {
+        const response = await agent.get('/api/v1/pricing/estimate/%E0').expect(400);
+
+        expect(response.body.code).toBe('REQUEST_SCHEMA_VIOLATION');
+    });
+
+    test('rejects request bodies missing required fields', async () => {
+        const token = await csrfToken();
+        const response = await agent.post('/api/v1/contact')
+            .set('X-CSRF-Token', token)
+            .send({ name: 'テスト' })
+            .expect(400);
+
+        expect(response.body.code).toBe('REQUEST_SCHEMA_VIOLATION');
+    });
+
+    test('records client security events', async () => {
+        const token = await csrfToken();
+
+        await agent.post('/api/v1/audit/security')
+            .set('X-CSRF-Token', token)
+            .send({ event: 'login_failure', details: { reason: 'invalid_credentials' }, timestamp: new Date().toISOString() })
+            .expect(200, { success: true });
+
+        const invalid = await agent.post('/api/v1/audit/security')
+            .set('X-CSRF-Token', token)
+            .send({ event: 'Login Failure' })
+            .expect(400);
+        expect(invalid.body.code).toBe('INVALID_AUDIT_EVENT');
+    });
+
+    test('reports liveness', async () => {
+        const response = await agent.get('/health/live').expect(200);
+
+        expect(response.body.status).toBe('alive');
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * 料金表バージョンのテスト
+ * 公開後に新しい版を公開しても保存済み見積もりは記録した版で同じ金額に再計算されること、
+ * 適用期間による版の選択、公開・プレビューの入力検証を検証
+ * pricing_versions・pricing_estimates はインメモリモデルで代替
+ */
+jest.mock('../src/models/PricingVersion', () => {
+    const { createMemoryModel } = require('./helpers/memoryModel');
+    const model = createMemoryModel(() => ({
+        status: 'draft',
+        effective_from: null,
+        effective_to: null,
+        notes: null,
+        created_by: null,
+        updated_by: null,
+        published_by: null,
+        published_at: null
+    }));
+    model.PRICING_VERSION_STATUSES = ['draft', 'published'];
+    return model;
+});
+
+jest.mock('../src/models/PricingEstimate', () => {
+    const { createMemoryModel } = require('./helpers/memoryModel');
+    return createMemoryModel();
+});
+
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+jest.mock('../src/utils/auditLogger', () => ({ createAuditLog: jest.fn().mockResolvedValue(null) }));
+
+const PricingVersion = require('../src/models/PricingVersion');
+const PricingEstimate = require('../src/models/PricingEstimate');
+const pricingController = require('../src/controllers/pricingController');
+const serviceController = require('../src/controllers/serviceController');
+const { pricingCatalog, BUILTIN_PRICING } = require('../src/utils/pricingCatalog');
+const { DEFAULT_PRICING_RULES } = require('../src/utils/pricingRules');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const REQUIREMENTS = { serviceType: 'ai-agent', projectScale: 'small', timeline: 30, features: [] };
+const DAY = 24 * 60 * 60 * 1000;
+
+const rulesWithBaseCost = baseCost => ({ ...structuredClone(DEFAULT_PRICING_RULES), baseCost });
+
+/**
+ * 管理APIの呼び出し（応答の状態コード・本文を返却）
+ */
+async function call(method, { params = {}, body = {} } = {}) {
+    const req = { params, body, user: ADMIN, ip: '127.0.0.1', get: () => 'jest' };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status: jest.fn(function (code) {
+            this.statusCode = code;
+            return this;
+        }),
+        json: jest.fn(function (payload) {
+            this.body = payload;
+            return this;
+        })
+    };
+    const next = jest.fn();
+
+    await pricingController[method](req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+}
+
+async function publishRules(rules, body = {}) {
+    const created = await call('createVersion', { body: { rules } });
+    expect(created.statusCode).toBe(201);
+
+    const version = String(created.body.data.version);
+    const published = await call('publishVersion', { params: { version }, body });
+    expect(published.statusCode).toBe(200);
+    return published.body.data;
+}
+
+function storePublished(version, effectiveFrom, effectiveTo = null) {
+    return PricingVersion.create({
+        version,
+        status: 'published',
+        rules: rulesWithBaseCost(100000 * version),
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo
+    });
+}
+
+describe('pricing versions', () => {
+    beforeEach(async () => {
+        PricingVersion.reset();
+        PricingEstimate.reset();
+        await pricingCatalog.invalidate();
+    });
+
+    test('recalculates a stored estimate with the version it was priced under after a newer version is published', async () => {
+        const first = await publishRules(rulesWithBaseCost(400000));
+
+        const pricing = await pricingCatalog.getActive();
+        expect(pricing.version).toBe(first.version);
+
+        const estimate = await serviceController.performEstimateCalculation(REQUIREMENTS, pricing);
+        await serviceController.saveEstimate(estimate);
+
+        const second = await publishRules(rulesWithBaseCost(800000));
+        expect(second.version).toBe(first.version + 1);
+        expect((await pricingCatalog.getActive()).version).toBe(second.version);
+
+        const [stored] = PricingEstimate.documents;
+        expect(stored.pricing_version).toBe(first.version);
+
+        const recalculated = await serviceController.recalculateStoredEstimate(stored);
+        expect(recalculated.pricing.version).toBe(first.version);
+        expect(recalculated.totalCost).toBe(stored.total_price);
+
+        const current = serviceController.calculateCost(stored.requirements, (await pricingCatalog.getActive()).rules);
+        expect(current.totalCost).not.toBe(stored.total_price);
+    });
+
+    test('recalculates a stored estimate whose version is no longer cached from the database', async () => {
+        const first = await publishRules(rulesWithBaseCost(400000));
+        const estimate = await serviceController.performEstimateCalculation(REQUIREMENTS, await pricingCatalog.getActive());
+        await serviceController.saveEstimate(estimate);
+
+        pricingCatalog.state.versions = [];
+        pricingCatalog.state.loadedAt = Date.now();
+        pricingCatalog.state.checkedAt = Date.now();
+
+        const recalculated = await serviceController.recalculateStoredEstimate(PricingEstimate.documents[0]);
+        expect(recalculated.pricing.version).toBe(first.version);
+        expect(recalculated.totalCost).toBe(estimate.totalCost);
+    });
+
+    test('selects the highest published version whose effective window contains the time', async () => {
+        const now = Date.now();
+        await storePublished(1, new Date(now - 30 * DAY));
+        await storePublished(2, new Date(now - 10 * DAY), new Date(now - 5 * DAY));
+        await storePublished(3, new Date(now + 10 * DAY));
+        await PricingVersion.create({ version: 4, rules: rulesWithBaseCost(400000), effective_from: new Date(now - DAY) });
+        await pricingCatalog.invalidate();
+
+        expect((await pricingCatalog.getActive(new Date(now - 60 * DAY))).version).toBe(BUILTIN_PRICING.version);
+        expect((await pricingCatalog.getActive(new Date(now - 20 * DAY))).version).toBe(1);
+        expect((await pricingCatalog.getActive(new Date(now - 7 * DAY))).version).toBe(2);
+        expect((await pricingCatalog.getActive(new Date(now - 5 * DAY))).version).toBe(1);
+        expect((await pricingCatalog.getActive(new Date(now))).version).toBe(1);
+        expect((await pricingCatalog.getActive(new Date(now + 10 * DAY))).version).toBe(3);
+    });
+
+    test('rejects drafts that are unknown to recalculation', async () => {
+        await PricingVersion.create({ version: 1, rules: rulesWithBaseCost(400000) });
+
+        await expect(pricingCatalog.getVersion(1)).rejects.toThrow('Unknown pricing version: 1');
+        expect(await pricingCatalog.getVersion(null)).toBe(BUILTIN_PRICING);
+    });
+
+    test('rejects publishing with an effective start in the past', async () => {
+        const created = await call('createVersion', { body: { rules: rulesWithBaseCost(400000) } });
+        const version = String(created.body.data.version);
+
+        const res = await call('publishVersion', {
+            params: { version },
+            body: { effectiveFrom: new Date(Date.now() - DAY).toISOString() }
+        });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toMatchObject({
+            code: 'INVALID_PRICING_VERSION',
+            details: ['effectiveFrom must not be in the past']
+        });
+        expect(PricingVersion.documents[0].status).toBe('draft');
+    });
+
+    test('rejects publishing a version twice and editing published rules with 409', async () => {
+        const published = await publishRules(rulesWithBaseCost(400000));
+        const version = String(published.version);
+
+        const republish = await call('publishVersion', { params: { version } });
+        expect(republish.statusCode).toBe(409);
+        expect(republish.body).toMatchObject({ code: 'PRICING_VERSION_CONFLICT', status: 'published' });
+
+        const edit = await call('updateVersion', { params: { version }, body: { rules: rulesWithBaseCost(1) } });
+        expect(edit.statusCode).toBe(409);
+        expect(PricingVersion.documents[0].rules.baseCost).toBe(400000);
+    });
+
+    test('rejects invalid rules and unknown versions', async () => {
+        const invalid = await call('createVersion', { body: { rules: { ...DEFAULT_PRICING_RULES, baseCost: -1 } } });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.code).toBe('INVALID_PRICING_VERSION');
+
+        const missing = await call('publishVersion', { params: { version: '99' } });
+        expect(missing.statusCode).toBe(404);
+        expect(missing.body.code).toBe('PRICING_VERSION_NOT_FOUND');
+
+        const malformed = await call('publishVersion', { params: { version: 'latest' } });
+        expect(malformed.statusCode).toBe(400);
+        expect(malformed.body.code).toBe('INVALID_PRICING_VERSION_ID');
+    });
+
+    test('previews a draft against the active version', async () => {
+        const created = await call('createVersion', { body: { rules: rulesWithBaseCost(DEFAULT_PRICING_RULES.baseCost * 2) } });
+        const version = String(created.body.data.version);
+
+        const res = await call('previewVersion', { params: { version }, body: { scenarios: [REQUIREMENTS] } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({
+            comparedWith: BUILTIN_PRICING.version,
+            summary: { scenarios: 1, increased: 1, decreased: 0, unchanged: 0 }
+        });
+        const [result] = res.body.data.results;
+        expect(result.proposed).toBeGreaterThan(result.current);
+    });
+
+    test('rejects invalid preview scenarios with 400', async () => {
+        const created = await call('createVersion', { body: { rules: rulesWithBaseCost(400000) } });
+        const version = String(created.body.data.version);
+
+        const empty = await call('previewVersion', { params: { version }, body: { scenarios: [] } });
+        expect(empty.statusCode).toBe(400);
+        expect(empty.body.code).toBe('INVALID_PRICING_PREVIEW');
+
+        const invalid = await call('previewVersion', {
+            params: { version },
+            body: { scenarios: [{ ...REQUIREMENTS, serviceType: 'unknown', timeline: 3 }] }
+        });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.details).toEqual(expect.arrayContaining([
+            expect.stringMatching(/^scenarios\[0\]\.serviceType/),
+            'scenarios[0].timeline must be an integer between 7 and 730'
+        ]));
+    });
+});
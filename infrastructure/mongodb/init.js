@@ -74,6 +74,7 @@ try {
 
     // 8. お問い合わせコレクション
     db.createCollection("contacts");
+    db.contacts.createIndex({ "ticket_number": 1 }, { unique: true });
     db.contacts.createIndex({ "email": 1 });
     db.contacts.createIndex({ "submitted_at": 1 });
     db.contacts.createIndex({ "status": 1 });
@@ -82,10 +83,19 @@ try {
 
     // 9. 料金見積りコレクション
     db.createCollection("pricing_estimates");
+    db.pricing_estimates.createIndex({ "estimate_id": 1 }, { unique: true });
     db.pricing_estimates.createIndex({ "email": 1 });
     db.pricing_estimates.createIndex({ "service_type": 1 });
     db.pricing_estimates.createIndex({ "created_at": 1 });
     db.pricing_estimates.createIndex({ "total_price": 1 });
+    db.pricing_estimates.createIndex({ "valid_until": 1 });
+    db.pricing_estimates.createIndex({ "status": 1, "valid_until": 1 });
+    db.pricing_estimates.createIndex({ "pricing_version": 1, "created_at": -1 });
+    db.pricing_estimates.createIndex({ "constitutional_compliance.compliant": 1 });
+    db.pricing_estimates.createIndex(
+        { "project_id": 1, "revision": 1 },
+        { unique: true, partialFilterExpression: { "project_id": { $type: "string" } } }
+    );
     print("✅ Pricing estimates collection and indexes created");
 
     // 10. システム統計コレクション
@@ -108,7 +118,41 @@ try {
     db.audit_integrity.createIndex({ "integrity_score": 1 });
     print("✅ Audit integrity collection and indexes created");
 
-    // 13. 初期データ挿入
+    // 13. WAFルールコレクション（ファイル定義ルールの上書き・追加）
+    db.createCollection("waf_rules");
+    db.waf_rules.createIndex({ "rule_id": 1 }, { unique: true });
+    db.waf_rules.createIndex({ "enabled": 1 });
+    print("✅ WAF rules collection and indexes created");
+
+    // 14. サービス改訂履歴コレクション（管理APIによるカタログ変更・ロールバック用）
+    db.createCollection("service_revisions");
+    db.service_revisions.createIndex({ "service_id": 1, "revision": -1 }, { unique: true });
+    db.service_revisions.createIndex({ "actor_id": 1 });
+    db.service_revisions.createIndex({ "created_at": 1 });
+    print("✅ Service revisions collection and indexes created");
+
+    // 15. 受注コレクション（見積り承諾時に生成・支払マイルストーンを保持）
+    db.createCollection("orders");
+    db.orders.createIndex({ "order_id": 1 }, { unique: true });
+    db.orders.createIndex({ "estimate_id": 1 }, { unique: true });
+    db.orders.createIndex({ "user_id": 1, "created_at": -1 });
+    db.orders.createIndex({ "status": 1, "created_at": -1 });
+    print("✅ Orders collection and indexes created");
+
+    // 16. 料金表コレクション（管理APIで版管理・未登録時は組込み料金表）
+    db.createCollection("pricing_versions");
+    db.pricing_versions.createIndex({ "version": 1 }, { unique: true });
+    db.pricing_versions.createIndex({ "status": 1, "effective_from": 1 });
+    print("✅ Pricing versions collection and indexes created");
+
+    // 17. CRM送信キュー（新規リードのWebhook送信・再送待ち・送信不能分の保管）
+    db.createCollection("crm_deliveries");
+    db.crm_deliveries.createIndex({ "delivery_id": 1 }, { unique: true });
+    db.crm_deliveries.createIndex({ "status": 1, "next_attempt_at": 1 });
+    db.crm_deliveries.createIndex({ "status": 1, "created_at": -1 });
+    print("✅ CRM deliveries collection and indexes created");
+
+    // 18. 初期データ挿入
 
     // サービスデータ
     const services = [
@@ -126,6 +170,19 @@ try {
                 "実装サポート",
                 "効果測定・改善"
             ],
+            translations: {
+                en: {
+                    name: "AI Adoption Consulting",
+                    description: "End-to-end support for your AI adoption, from strategy through implementation",
+                    features: [
+                        "Current-state analysis and issue identification",
+                        "AI adoption strategy",
+                        "Technology selection support",
+                        "Implementation support",
+                        "Impact measurement and improvement"
+                    ]
+                }
+            },
             constitutional_compliance: {
                 compliant: true,
                 score: 1.0,
@@ -149,6 +206,19 @@ try {
                 "テスト・検証",
                 "運用保守"
             ],
+            translations: {
+                en: {
+                    name: "Custom AI System Development",
+                    description: "Design and development of AI systems tailored to your business",
+                    features: [
+                        "Requirements and design",
+                        "AI model development",
+                        "System integration",
+                        "Testing and validation",
+                        "Operations and maintenance"
+                    ]
+                }
+            },
             constitutional_compliance: {
                 compliant: true,
                 score: 1.0,
@@ -172,6 +242,19 @@ try {
                 "リスク評価",
                 "改善提案"
             ],
+            translations: {
+                en: {
+                    name: "AI Ethics Audit",
+                    description: "Ethics audit of AI systems based on Constitutional AI principles",
+                    features: [
+                        "Constitutional AI compliance check",
+                        "Bias analysis",
+                        "Transparency assessment",
+                        "Risk assessment",
+                        "Improvement proposals"
+                    ]
+                }
+            },
             constitutional_compliance: {
                 compliant: true,
                 score: 1.0,
@@ -204,7 +287,7 @@ try {
     db.system_stats.insertOne(initialStats);
     print("✅ Initial system stats inserted");
 
-    // 14. Constitutional AI準拠設定
+    // 19. Constitutional AI準拠設定
     db.createCollection("constitutional_ai_config");
     const constitutionalConfig = {
         _id: "main_config",
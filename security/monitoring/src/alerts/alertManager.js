@@ -13,7 +13,10 @@ class AlertManager {
         this.logger = options.logger;
         this.redis = options.redis;
         this.webhookUrl = options.webhookUrl;
+        this.webhookSecret = options.webhookSecret;
         this.emailAddress = options.emailAddress;
+        this.smtp = options.smtp || {};
+        this.environment = options.environment || 'production';
         
         // アラート設定
         this.alertConfig = {
@@ -75,18 +78,18 @@ class AlertManager {
      */
     async setupEmailTransporter() {
         try {
-            if (!process.env.EMAIL_HOST || !process.env.EMAIL_USER) {
+            if (!this.smtp.host || !this.smtp.user) {
                 this.logger.warn('Email configuration missing, email alerts disabled');
                 return;
             }
 
             this.mailTransporter = nodemailer.createTransporter({
-                host: process.env.EMAIL_HOST,
-                port: parseInt(process.env.EMAIL_PORT) || 587,
-                secure: process.env.EMAIL_PORT === '465',
+                host: this.smtp.host,
+                port: this.smtp.port || 587,
+                secure: this.smtp.port === 465,
                 auth: {
-                    user: process.env.EMAIL_USER,
-                    pass: process.env.EMAIL_PASS
+                    user: this.smtp.user,
+                    pass: this.smtp.password
                 },
                 pool: true,
                 maxConnections: 3,
@@ -347,7 +350,7 @@ class AlertManager {
         const htmlBody = this.generateEmailBody(alertData);
 
         const mailOptions = {
-            from: process.env.EMAIL_USER,
+            from: this.smtp.user,
             to: this.emailAddress,
             subject: subject,
             html: htmlBody,
@@ -371,7 +374,7 @@ class AlertManager {
         const payload = {
             ...alertData,
             service: 'ShinAI Security Monitoring',
-            environment: process.env.NODE_ENV || 'production'
+            environment: this.environment
         };
 
         await axios.post(this.webhookUrl, payload, {
@@ -432,7 +435,7 @@ class AlertManager {
             const htmlBody = this.generateDailyReportBody(report);
 
             const mailOptions = {
-                from: process.env.EMAIL_USER,
+                from: this.smtp.user,
                 to: this.emailAddress,
                 subject: subject,
                 html: htmlBody,
@@ -661,7 +664,7 @@ class AlertManager {
      * Webhook署名生成
      */
     generateWebhookSignature(payload) {
-        const secret = process.env.WEBHOOK_SECRET || 'default_secret';
+        const secret = this.webhookSecret || 'default_secret';
         const data = JSON.stringify(payload);
         return crypto.createHmac('sha256', secret).update(data).digest('hex');
     }
@@ -20,11 +20,20 @@ const ThreatDetector = require('./detectors/threatDetector');
 const ComplianceChecker = require('./checkers/complianceChecker');
 const AlertManager = require('./alerts/alertManager');
 const AuditLogger = require('./loggers/auditLogger');
+const { getConfig } = require('./config/runtime');
 
 class ShinAISecurityMonitoringSystem {
     constructor() {
         this.app = express();
         this.isShuttingDown = false;
+
+        // ランタイム設定（不正値は起動前に停止）
+        try {
+            this.config = getConfig();
+        } catch (error) {
+            console.error('Runtime configuration is invalid:', error.message);
+            process.exit(1);
+        }
         
         // 統計情報
         this.stats = {
@@ -76,7 +85,7 @@ class ShinAISecurityMonitoringSystem {
      * データベース接続
      */
     async connectDatabase() {
-        const mongoUri = process.env.MONGODB_URI;
+        const mongoUri = this.config.database.mongodbUri;
         if (!mongoUri) {
             throw new Error('MONGODB_URI environment variable is required');
         }
@@ -97,8 +106,8 @@ class ShinAISecurityMonitoringSystem {
      */
     async connectRedis() {
         this.redisClient = redis.createClient({
-            url: process.env.REDIS_URL,
-            password: process.env.REDIS_PASSWORD
+            url: this.config.database.redisUrl,
+            password: this.config.database.redisPassword || undefined
         });
 
         this.redisClient.on('error', (err) => {
@@ -114,7 +123,7 @@ class ShinAISecurityMonitoringSystem {
      */
     setupLogging() {
         this.logger = winston.createLogger({
-            level: process.env.LOG_LEVEL || 'info',
+            level: this.config.logging.level,
             format: winston.format.combine(
                 winston.format.timestamp(),
                 winston.format.errors({ stack: true }),
@@ -122,7 +131,7 @@ class ShinAISecurityMonitoringSystem {
             ),
             defaultMeta: { 
                 service: 'shinai-security-monitoring',
-                environment: process.env.NODE_ENV 
+                environment: this.config.app.nodeEnv
             },
             transports: [
                 new winston.transports.File({ 
@@ -142,9 +151,9 @@ class ShinAISecurityMonitoringSystem {
         });
 
         // MongoDB ログ設定
-        if (process.env.MONGODB_URI) {
+        if (this.config.database.mongodbUri) {
             this.logger.add(new winston.transports.MongoDB({
-                db: process.env.MONGODB_URI,
+                db: this.config.database.mongodbUri,
                 collection: 'security_logs',
                 options: { useUnifiedTopology: true }
             }));
@@ -166,27 +175,44 @@ class ShinAISecurityMonitoringSystem {
             logger: this.logger,
             redis: this.redisClient,
             geoip: geoip,
-            uaParser: UAParser
+            uaParser: UAParser,
+            autoBlock: {
+                enabled: this.config.securityMonitoring.autoIpBlocking,
+                threshold: this.config.securityMonitoring.ipBlockThreshold,
+                duration: this.config.securityMonitoring.ipBlockDuration
+            }
         });
 
         // Constitutional AI準拠チェッカー初期化
         this.complianceChecker = new ComplianceChecker({
             logger: this.logger,
-            redis: this.redisClient
+            redis: this.redisClient,
+            strictMode: this.config.constitutionalAI.strictMode,
+            threshold: this.config.constitutionalAI.threshold
         });
 
         // アラート管理器初期化
         this.alertManager = new AlertManager({
             logger: this.logger,
             redis: this.redisClient,
-            webhookUrl: process.env.ALERT_WEBHOOK,
-            emailAddress: process.env.ALERT_EMAIL
+            webhookUrl: this.config.alerts.webhook,
+            webhookSecret: this.config.alerts.webhookSecret,
+            emailAddress: this.config.alerts.email,
+            smtp: {
+                host: this.config.alerts.smtpHost,
+                port: this.config.alerts.smtpPort,
+                user: this.config.alerts.smtpUser,
+                password: this.config.alerts.smtpPassword
+            },
+            environment: this.config.app.nodeEnv
         });
 
         // 監査ログ管理器初期化
         this.auditLogger = new AuditLogger({
             logger: this.logger,
-            mongodb: mongoose.connection
+            mongodb: mongoose.connection,
+            nodeId: this.config.app.nodeId,
+            encryptionKey: this.config.audit.encryptionKey
         });
     }
 
@@ -222,6 +248,35 @@ class ShinAISecurityMonitoringSystem {
             }
         });
 
+        // セキュリティイベント一括受信エンドポイント（backend のバッチ送信用）
+        // 検証後ただちに 202 を返し分析は応答後に実施（送信側のタイムアウト再送で同じイベントを二重に計上しない）
+        this.app.post('/security/events', (req, res) => {
+            const events = req.body?.events;
+
+            if (!Array.isArray(events) || events.length === 0 || events.length > 100) {
+                return res.status(400).json({
+                    error: 'events must be an array of 1-100 items',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const valid = events.filter(event => this.validateSecurityEvent(event));
+            const rejected = events.length - valid.length;
+
+            if (rejected > 0) {
+                this.logger.warn('Invalid security events in batch:', { rejected, total: events.length });
+            }
+
+            res.status(202).json({
+                success: true,
+                accepted: valid.length,
+                rejected,
+                timestamp: new Date().toISOString()
+            });
+
+            this.processEventBatch(valid);
+        });
+
         // 統計情報エンドポイント
         this.app.get('/security/stats', (req, res) => {
             res.json({
@@ -273,8 +328,12 @@ class ShinAISecurityMonitoringSystem {
                 return;
             }
 
-            // 脅威検知
-            const threatResult = await this.threatDetector.analyzeThreat(eventData);
+            const { securityMonitoring, constitutionalAI } = this.config;
+
+            // 脅威検知（THREAT_DETECTION_ENABLED=false で無効化）
+            const threatResult = securityMonitoring.threatDetectionEnabled
+                ? await this.threatDetector.analyzeThreat(eventData)
+                : { isThreat: false };
             if (threatResult.isThreat) {
                 this.stats.threats_detected++;
                 
@@ -290,13 +349,17 @@ class ShinAISecurityMonitoringSystem {
                 });
             }
 
-            // Constitutional AI準拠チェック
-            const complianceResult = await this.complianceChecker.checkEventCompliance(eventData);
+            // Constitutional AI準拠チェック（CONSTITUTIONAL_AI_ENABLED=false で無効化）
+            const complianceResult = constitutionalAI.enabled
+                ? await this.complianceChecker.checkEventCompliance(eventData)
+                : { compliant: true };
             if (!complianceResult.compliant) {
                 this.stats.constitutional_violations++;
                 
-                // コンプライアンス違反アラート
-                await this.alertManager.sendComplianceAlert(complianceResult);
+                // コンプライアンス違反アラート（CONSTITUTIONAL_AI_ALERT_ON_VIOLATION）
+                if (constitutionalAI.alertOnViolation) {
+                    await this.alertManager.sendComplianceAlert(complianceResult);
+                }
                 
                 // 監査ログ記録
                 await this.auditLogger.logSecurityEvent('constitutional_violation', {
@@ -315,6 +378,25 @@ class ShinAISecurityMonitoringSystem {
         }
     }
 
+    /**
+     * 受信済みバッチの逐次処理（個別イベントの失敗は記録のみ・再送対象にしない）
+     */
+    async processEventBatch(events) {
+        let failed = 0;
+
+        for (const event of events) {
+            try {
+                await this.processSecurityEvent(event);
+            } catch (error) {
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            this.logger.warn('Security events failed in batch:', { failed, total: events.length });
+        }
+    }
+
     /**
      * セキュリティイベント検証
      */
@@ -520,12 +602,11 @@ class ShinAISecurityMonitoringSystem {
      * サーバー起動
      */
     start() {
-        const PORT = process.env.PORT || 3002;
-        const HOST = process.env.HOST || '0.0.0.0';
+        const { port: PORT, host: HOST } = this.config.app;
 
         this.server = this.app.listen(PORT, HOST, () => {
             this.logger.info(`ShinAI Security Monitoring System running on ${HOST}:${PORT}`);
-            this.logger.info(`Environment: ${process.env.NODE_ENV}`);
+            this.logger.info(`Environment: ${this.config.app.nodeEnv}`);
             this.logger.info(`Process ID: ${process.pid}`);
         });
 
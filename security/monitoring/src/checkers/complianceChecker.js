@@ -10,6 +10,10 @@ class ComplianceChecker {
     constructor(options = {}) {
         this.logger = options.logger;
         this.redis = options.redis;
+
+        // 判定モード（厳格: 違反1件で不適合 / 通常: スコアが閾値未満で不適合）
+        this.strictMode = options.strictMode !== false;
+        this.threshold = options.threshold ?? 0.95;
         
         // Constitutional AI原則定義
         this.constitutionalPrinciples = {
@@ -159,7 +163,6 @@ class ComplianceChecker {
                 );
                 
                 if (violationCheck.violated) {
-                    result.compliant = false;
                     result.violations.push({
                         principle: principle,
                         description: config.description,
@@ -176,6 +179,11 @@ class ComplianceChecker {
 
             // スコア正規化
             result.score = Math.max(0, Math.min(1, result.score));
+
+            result.compliant = this.strictMode
+                ? result.violations.length === 0
+                : result.score >= this.threshold;
+            result.metadata.mode = this.strictMode ? 'strict' : 'threshold';
             
             // 違反統計更新
             if (!result.compliant) {
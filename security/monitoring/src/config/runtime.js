@@ -0,0 +1,35 @@
+/**
+ * セキュリティ監視 ランタイム設定
+ * 共通スキーマ（shared/config）のうち監視サービスが使用するセクションのみ読込
+ * masa様開発ルール完全遵守
+ */
+const { loadConfig, pickSections } = require('../../../../shared/config');
+const fullSchema = require('../../../../shared/config/schema');
+
+const schema = pickSections(fullSchema, [
+    'app',
+    'database',
+    'constitutionalAI',
+    'securityMonitoring',
+    'alerts',
+    'audit',
+    'logging'
+]);
+
+let cachedConfig = null;
+
+/**
+ * 設定取得（不正値は ConfigError を送出）
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = loadConfig(schema, process.env, {
+            overrides: { 'app.port': 3002 }
+        });
+    }
+    return cachedConfig;
+}
+
+module.exports = {
+    getConfig
+};
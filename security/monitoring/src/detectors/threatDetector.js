@@ -4,8 +4,18 @@
  * masa様開発ルール完全遵守・ML/AI脅威パターン認識
  */
 const crypto = require('crypto');
+const net = require('net');
 const moment = require('moment');
 
+// 自動ブロック対象外（内部ネットワーク・ループバック）
+const NEVER_BLOCK = new net.BlockList();
+NEVER_BLOCK.addSubnet('10.0.0.0', 8, 'ipv4');
+NEVER_BLOCK.addSubnet('172.16.0.0', 12, 'ipv4');
+NEVER_BLOCK.addSubnet('192.168.0.0', 16, 'ipv4');
+NEVER_BLOCK.addSubnet('127.0.0.0', 8, 'ipv4');
+NEVER_BLOCK.addAddress('::1', 'ipv6');
+NEVER_BLOCK.addSubnet('fc00::', 7, 'ipv6');
+
 class ThreatDetector {
     constructor(options = {}) {
         this.logger = options.logger;
@@ -50,15 +60,23 @@ class ThreatDetector {
             ]
         };
         
-        // IP ブラックリスト（動的更新）
-        this.ipBlacklist = new Set();
+        // IP ブラックリスト（IP → 失効時刻ミリ秒。自動ブロックは Redis エントリと同じTTLで失効、固定リストは Infinity）
+        this.ipBlacklist = new Map();
+
+        // 自動IPブロック設定（backend の ipBlocker と Redis ブロックリストを共有）
+        this.autoBlock = {
+            enabled: options.autoBlock?.enabled ?? false,
+            threshold: options.autoBlock?.threshold ?? 10,
+            duration: options.autoBlock?.duration ?? 3600
+        };
         
         // 統計情報
         this.stats = {
             threats_analyzed: 0,
             threats_detected: 0,
             false_positives: 0,
-            patterns_updated: 0
+            patterns_updated: 0,
+            ips_blocked: 0
         };
         
         this.init();
@@ -125,6 +143,9 @@ class ThreatDetector {
                 
                 // 脅威をRedisキャッシュに記録
                 await this.cacheThreatData(eventData, analysisResult);
+
+                // 閾値超過IPの自動ブロック
+                await this.recordThreatStrike(eventData, analysisResult);
                 
                 this.logger.warn('Threat detected:', {
                     types: analysisResult.threatTypes,
@@ -151,7 +172,7 @@ class ThreatDetector {
             if (!ip) return;
 
             // ブラックリストチェック
-            if (this.ipBlacklist.has(ip)) {
+            if (await this.isBlacklisted(ip)) {
                 result.isThreat = true;
                 result.threatTypes.push('blacklisted_ip');
                 result.severity = 'high';
@@ -457,6 +478,93 @@ class ThreatDetector {
         }
     }
 
+    /**
+     * 脅威検知回数記録・閾値到達で自動ブロック
+     */
+    async recordThreatStrike(eventData, result) {
+        const ip = eventData.source?.ip;
+        if (!this.autoBlock.enabled || !ip || eventData.type === 'ip_blocked') return;
+
+        if (this.isProtectedIP(ip)) {
+            this.logger.warn('Auto-blocking skipped for internal address:', { ip });
+            return;
+        }
+
+        try {
+            const key = `threat:ip_strikes:${ip}`;
+            const strikes = await this.redis.incr(key);
+            if (strikes === 1) {
+                await this.redis.expire(key, this.autoBlock.duration);
+            }
+
+            if (strikes >= this.autoBlock.threshold) {
+                await this.blockIP(ip, {
+                    reason: `auto: ${result.threatTypes.join(',')}`,
+                    duration: this.autoBlock.duration
+                });
+                await this.redis.del(key);
+            }
+        } catch (error) {
+            this.logger.warn('Threat strike recording error:', error);
+        }
+    }
+
+    /**
+     * IPブロック登録（security:blocked_ips + エントリ単位TTL）
+     */
+    async blockIP(entry, { reason, duration }) {
+        const meta = {
+            reason,
+            source: 'security-monitor',
+            blockedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + duration * 1000).toISOString()
+        };
+
+        await this.redis.multi()
+            .sAdd('security:blocked_ips', entry)
+            .setEx(`security:blocked_ip:${entry}`, duration, JSON.stringify(meta))
+            .exec();
+
+        this.pruneIPBlacklist();
+        this.ipBlacklist.set(entry, Date.now() + duration * 1000);
+        this.stats.ips_blocked++;
+
+        this.logger.warn('IP blocked automatically:', { ip: entry, reason, duration });
+    }
+
+    /**
+     * ブラックリスト判定
+     * 自動ブロックは失効時刻経過、または Redis エントリ削除（backend の unblockIP）で解除
+     */
+    async isBlacklisted(ip) {
+        const expiresAt = this.ipBlacklist.get(ip);
+        if (expiresAt === undefined) return false;
+        if (expiresAt === Infinity) return true;
+
+        if (expiresAt <= Date.now() || !(await this.redis.exists(`security:blocked_ip:${ip}`))) {
+            this.ipBlacklist.delete(ip);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 失効済みブラックリストエントリ削除
+     */
+    pruneIPBlacklist(now = Date.now()) {
+        for (const [ip, expiresAt] of this.ipBlacklist) {
+            if (expiresAt <= now) this.ipBlacklist.delete(ip);
+        }
+    }
+
+    /**
+     * 内部アドレス判定
+     */
+    isProtectedIP(ip) {
+        const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+        return !type || NEVER_BLOCK.check(ip, type);
+    }
+
     /**
      * IP ブラックリストロード
      */
@@ -468,7 +576,7 @@ class ThreatDetector {
                 '10.0.0.1'       // 例：内部テスト用
             ];
             
-            knownBadIPs.forEach(ip => this.ipBlacklist.add(ip));
+            knownBadIPs.forEach(ip => this.ipBlacklist.set(ip, Infinity));
             
             this.logger.info(`Loaded ${this.ipBlacklist.size} IPs to blacklist`);
             
@@ -10,6 +10,7 @@ class AuditLogger {
     constructor(options = {}) {
         this.logger = options.logger;
         this.mongodb = options.mongodb;
+        this.nodeId = options.nodeId || 'primary';
         
         // 監査設定
         this.auditConfig = {
@@ -22,7 +23,7 @@ class AuditLogger {
         
         // ログバッファ
         this.logBuffer = [];
-        this.encryptionKey = this.generateEncryptionKey();
+        this.encryptionKey = options.encryptionKey || this.generateEncryptionKey();
         
         // 統計情報
         this.stats = {
@@ -107,7 +108,7 @@ class AuditLogger {
                 metadata: {
                     ...metadata,
                     source_system: 'shinai-security-monitoring',
-                    node_id: process.env.NODE_ID || 'primary',
+                    node_id: this.nodeId,
                     session_id: metadata.session_id || null,
                     user_id: metadata.user_id || null,
                     source_ip: metadata.source_ip || null,
@@ -537,10 +538,10 @@ class AuditLogger {
     }
 
     /**
-     * 暗号化キー生成
+     * 暗号化キー生成（AUDIT_ENCRYPTION_KEY 未設定時）
      */
     generateEncryptionKey() {
-        return process.env.AUDIT_ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
+        return crypto.randomBytes(32).toString('hex');
     }
 
     /**
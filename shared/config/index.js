@@ -0,0 +1,181 @@
+/**
+ * 共通ランタイム設定ローダー
+ * 環境変数を型・範囲付きスキーマで解析し、不正値は起動時にまとめて報告（backend / security-monitor 共用）
+ * masa様開発ルール完全遵守
+ */
+
+const REDACTED = '[REDACTED]';
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// 型別パーサー（不正値は Error を投げる）
+const PARSERS = {
+    string: (raw, def) => {
+        if (def.minLength && raw.length < def.minLength) {
+            throw new Error(`must be at least ${def.minLength} characters`);
+        }
+        if (def.pattern && !def.pattern.test(raw)) {
+            throw new Error(`must match ${def.pattern}`);
+        }
+        return raw;
+    },
+    integer: (raw, def) => {
+        if (!/^-?\d+$/.test(raw)) throw new Error('must be an integer');
+        return checkRange(parseInt(raw, 10), def);
+    },
+    number: (raw, def) => {
+        const value = Number(raw);
+        if (raw === '' || Number.isNaN(value)) throw new Error('must be a number');
+        return checkRange(value, def);
+    },
+    boolean: (raw) => {
+        const normalized = raw.toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) return true;
+        if (FALSE_VALUES.includes(normalized)) return false;
+        throw new Error(`must be one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')}`);
+    },
+    enum: (raw, def) => {
+        if (!def.values.includes(raw)) throw new Error(`must be one of ${def.values.join(', ')}`);
+        return raw;
+    },
+    list: (raw) => raw.split(',').map(item => item.trim()).filter(Boolean),
+    url: (raw) => {
+        try {
+            new URL(raw);
+        } catch (error) {
+            throw new Error('must be a valid URL');
+        }
+        return raw;
+    }
+};
+
+function checkRange(value, def) {
+    if (def.min !== undefined && value < def.min) throw new Error(`must be >= ${def.min}`);
+    if (def.max !== undefined && value > def.max) throw new Error(`must be <= ${def.max}`);
+    return value;
+}
+
+/**
+ * 定義（リーフ）判定
+ */
+function isDefinition(node) {
+    return node && typeof node === 'object' && typeof node.env === 'string' && typeof node.type === 'string';
+}
+
+/**
+ * 単一変数の解析
+ */
+function parseEntry(def, env, nodeEnv) {
+    const raw = env[def.env];
+    const isSet = raw !== undefined && raw.trim() !== '';
+
+    if (!isSet) {
+        const required = def.required === true ||
+            (Array.isArray(def.requiredIn) && def.requiredIn.includes(nodeEnv));
+        if (required) {
+            throw new Error('is required');
+        }
+        return def.default === undefined ? null : def.default;
+    }
+
+    // テンプレートの未変更値（CHANGE_xxx）を本番で拒否
+    if (def.secret && nodeEnv === 'production' && /^CHANGE_/.test(raw.trim())) {
+        throw new Error('still has the .env.example placeholder value');
+    }
+
+    return PARSERS[def.type](raw.trim(), def);
+}
+
+/**
+ * スキーマ走査
+ */
+function walk(schema, visit, path = []) {
+    const result = {};
+    for (const [key, node] of Object.entries(schema)) {
+        result[key] = isDefinition(node)
+            ? visit(node, [...path, key])
+            : walk(node, visit, [...path, key]);
+    }
+    return result;
+}
+
+/**
+ * 凍結（ネストを含む）
+ */
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(object);
+}
+
+/**
+ * 設定読込（全エラーを集約して ConfigError を送出）
+ * overrides: { 'app.port': 3002 } でサービス別の既定値を上書き
+ */
+function loadConfig(schema, env = process.env, { overrides = {} } = {}) {
+    const errors = [];
+    const nodeEnv = env.NODE_ENV || 'development';
+
+    const config = walk(schema, (def, path) => {
+        const effective = Object.prototype.hasOwnProperty.call(overrides, path.join('.'))
+            ? { ...def, default: overrides[path.join('.')] }
+            : def;
+        try {
+            return parseEntry(effective, env, nodeEnv);
+        } catch (error) {
+            errors.push(`${def.env} ${error.message}`);
+            return null;
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return deepFreeze(config);
+}
+
+/**
+ * 秘匿値を伏せた設定（管理画面・診断用）
+ */
+function redactConfig(schema, config) {
+    const redact = (node, value) => {
+        if (isDefinition(node)) {
+            if (!node.secret) return value;
+            return value === null || value === undefined ? null : REDACTED;
+        }
+        return Object.fromEntries(
+            Object.entries(node).map(([key, child]) => [key, redact(child, value ? value[key] : undefined)])
+        );
+    };
+    return redact(schema, config);
+}
+
+/**
+ * スキーマのセクション抽出
+ */
+function pickSections(schema, sections) {
+    return Object.fromEntries(sections.map(section => {
+        if (!schema[section]) throw new Error(`Unknown config section: ${section}`);
+        return [section, schema[section]];
+    }));
+}
+
+module.exports = {
+    ConfigError,
+    REDACTED,
+    loadConfig,
+    redactConfig,
+    pickSections
+};
@@ -0,0 +1,142 @@
+/**
+ * ランタイム設定スキーマ
+ * .env.example の各変数の型・既定値・範囲（secret: true は /config 表示時に伏せる）
+ * masa様開発ルール完全遵守
+ */
+
+const PRODUCTION = ['production'];
+
+module.exports = {
+    app: {
+        nodeEnv: { env: 'NODE_ENV', type: 'enum', values: ['development', 'test', 'staging', 'production'], default: 'development' },
+        port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3001 },
+        host: { env: 'HOST', type: 'string', default: '0.0.0.0' },
+        version: { env: 'APP_VERSION', type: 'string', default: '2.0.0-secure' },
+        nodeId: { env: 'NODE_ID', type: 'string', default: 'primary' },
+        // Express trust proxy 形式（nginx 経由のクライアントIP採用）
+        trustProxy: { env: 'TRUST_PROXY', type: 'string', default: 'loopback, uniquelocal' },
+        shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 1000, max: 300000, default: 30000 },
+        shutdownDrainDelayMs: { env: 'SHUTDOWN_DRAIN_DELAY_MS', type: 'integer', min: 0, max: 60000, default: 0 }
+    },
+
+    database: {
+        mongodbUri: { env: 'MONGODB_URI', type: 'string', pattern: /^mongodb(\+srv)?:\/\//, secret: true, requiredIn: PRODUCTION },
+        redisUrl: { env: 'REDIS_URL', type: 'string', pattern: /^rediss?:\/\//, default: 'redis://localhost:6379' },
+        redisPassword: { env: 'REDIS_PASSWORD', type: 'string', secret: true, default: null }
+    },
+
+    secrets: {
+        jwtSecret: { env: 'JWT_SECRET', type: 'string', minLength: 32, secret: true, requiredIn: PRODUCTION },
+        sessionSecret: { env: 'SESSION_SECRET', type: 'string', minLength: 32, secret: true, requiredIn: PRODUCTION },
+        sessionCryptoSecret: { env: 'SESSION_CRYPTO_SECRET', type: 'string', minLength: 32, secret: true, default: null },
+        encryptionKey: { env: 'ENCRYPTION_KEY', type: 'string', minLength: 32, secret: true, requiredIn: PRODUCTION },
+        cookieSecret: { env: 'COOKIE_SECRET', type: 'string', minLength: 32, secret: true, default: null }
+    },
+
+    // 本番以外の既定値は開発用オリジン（config/runtime.js）
+    cors: {
+        allowedOrigins: { env: 'ALLOWED_ORIGINS', type: 'list', default: ['https://shinai.co.jp', 'https://www.shinai.co.jp', 'https://api.shinai.co.jp'] }
+    },
+
+    // WAF（mode 指定時は全ルートのモードを上書き）
+    waf: {
+        mode: { env: 'WAF_MODE', type: 'enum', values: ['block', 'log', 'off'], default: null },
+        dbRules: { env: 'WAF_DB_RULES', type: 'boolean', default: false }
+    },
+
+    // リクエスト署名（off は全ルート無効・それ以外はルート未指定時の既定モード）
+    requestSigning: {
+        mode: { env: 'REQUEST_SIGNING_MODE', type: 'enum', values: ['required', 'authenticated', 'off'], default: 'authenticated' }
+    },
+
+    // OpenAPI 仕様（validation 未指定時は NODE_ENV=test のみ enforce）
+    openapi: {
+        validation: { env: 'OPENAPI_VALIDATION', type: 'enum', values: ['off', 'log', 'enforce'], default: null },
+        publicUrl: { env: 'API_PUBLIC_URL', type: 'url', default: null }
+    },
+
+    metrics: {
+        allowedNetworks: { env: 'METRICS_ALLOWED_NETWORKS', type: 'list', default: ['172.20.0.0/16', '127.0.0.1', '::1'] }
+    },
+
+    rateLimit: {
+        windowMs: { env: 'RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, max: 86400000, default: 900000 },
+        maxRequests: { env: 'RATE_LIMIT_MAX_REQUESTS', type: 'integer', min: 1, max: 100000, default: 100 },
+        authMax: { env: 'RATE_LIMIT_AUTH_MAX', type: 'integer', min: 1, max: 1000, default: 5 },
+        contactWindowMs: { env: 'RATE_LIMIT_CONTACT_WINDOW_MS', type: 'integer', min: 1000, max: 86400000, default: 3600000 },
+        contactMax: { env: 'RATE_LIMIT_CONTACT_MAX', type: 'integer', min: 1, max: 1000, default: 3 }
+    },
+
+    constitutionalAI: {
+        enabled: { env: 'CONSTITUTIONAL_AI_ENABLED', type: 'boolean', default: true },
+        threshold: { env: 'CONSTITUTIONAL_AI_THRESHOLD', type: 'number', min: 0, max: 1, default: 0.95 },
+        strictMode: { env: 'CONSTITUTIONAL_AI_STRICT_MODE', type: 'boolean', default: true },
+        blockOnViolation: { env: 'CONSTITUTIONAL_AI_BLOCK_ON_VIOLATION', type: 'boolean', default: true },
+        alertOnViolation: { env: 'CONSTITUTIONAL_AI_ALERT_ON_VIOLATION', type: 'boolean', default: true }
+    },
+
+    securityMonitoring: {
+        enabled: { env: 'SECURITY_MONITORING_ENABLED', type: 'boolean', default: true },
+        threatDetectionEnabled: { env: 'THREAT_DETECTION_ENABLED', type: 'boolean', default: true },
+        monitorUrl: { env: 'SECURITY_MONITOR_URL', type: 'url', default: 'http://security-monitor:3002' },
+        eventsEnabled: { env: 'SECURITY_EVENTS_ENABLED', type: 'boolean', default: true },
+        autoIpBlocking: { env: 'AUTO_IP_BLOCKING', type: 'boolean', default: true },
+        ipBlockThreshold: { env: 'IP_BLOCK_THRESHOLD', type: 'integer', min: 1, max: 10000, default: 10 },
+        ipBlockDuration: { env: 'IP_BLOCK_DURATION', type: 'integer', min: 60, max: 2592000, default: 3600 },
+        ipBlocklistRefreshMs: { env: 'IP_BLOCKLIST_REFRESH_MS', type: 'integer', min: 1000, max: 3600000, default: 10000 }
+    },
+
+    alerts: {
+        webhook: { env: 'ALERT_WEBHOOK', type: 'url', secret: true, default: null },
+        webhookSecret: { env: 'WEBHOOK_SECRET', type: 'string', minLength: 32, secret: true, default: null },
+        email: { env: 'ALERT_EMAIL', type: 'string', default: null },
+        smtpHost: { env: 'EMAIL_HOST', type: 'string', default: null },
+        smtpPort: { env: 'EMAIL_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+        smtpUser: { env: 'EMAIL_USER', type: 'string', default: null },
+        smtpPassword: { env: 'EMAIL_PASS', type: 'string', secret: true, default: null }
+    },
+
+    // 監査ログ（security-monitor・未設定時は起動ごとに生成）
+    audit: {
+        encryptionKey: { env: 'AUDIT_ENCRYPTION_KEY', type: 'string', minLength: 32, secret: true, default: null }
+    },
+
+    headers: {
+        hstsMaxAge: { env: 'HSTS_MAX_AGE', type: 'integer', min: 0, max: 63072000, default: 31536000 },
+        cspEnforce: { env: 'CSP_ENFORCE', type: 'boolean', default: true }
+    },
+
+    estimates: {
+        expirySweepMs: { env: 'ESTIMATE_EXPIRY_SWEEP_MS', type: 'integer', min: 10000, max: 3600000, default: 60000 }
+    },
+
+    // 見積書（適格請求書の記載事項）
+    invoice: {
+        issuerName: { env: 'INVOICE_ISSUER_NAME', type: 'string', default: 'ShinAI' },
+        issuerAddress: { env: 'INVOICE_ISSUER_ADDRESS', type: 'string', default: null },
+        registrationNumber: { env: 'INVOICE_REGISTRATION_NUMBER', type: 'string', pattern: /^T\d{13}$/, requiredIn: PRODUCTION },
+        taxRate: { env: 'CONSUMPTION_TAX_RATE', type: 'number', min: 0, max: 1, default: 0.1 },
+        taxRounding: { env: 'CONSUMPTION_TAX_ROUNDING', type: 'enum', values: ['floor', 'round', 'ceil'], default: 'floor' },
+        pdfFontPath: { env: 'QUOTE_PDF_FONT_PATH', type: 'string', default: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc' },
+        pdfFontFamily: { env: 'QUOTE_PDF_FONT_FAMILY', type: 'string', default: 'NotoSansCJKjp-Regular' }
+    },
+
+    // 営業データのエクスポート（CSV/XLSX）
+    exports: {
+        maxRows: { env: 'EXPORT_MAX_ROWS', type: 'integer', min: 1, max: 100000, default: 10000 }
+    },
+
+    // CRM連携（新規リードの署名付きWebhook送信・URL未設定時は送信しない）
+    crm: {
+        webhookUrl: { env: 'CRM_WEBHOOK_URL', type: 'url', secret: true, default: null },
+        webhookSecret: { env: 'CRM_WEBHOOK_SECRET', type: 'string', minLength: 32, secret: true, default: null },
+        maxAttempts: { env: 'CRM_WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, max: 20, default: 8 },
+        retryBaseMs: { env: 'CRM_WEBHOOK_RETRY_BASE_MS', type: 'integer', min: 1000, max: 3600000, default: 30000 },
+        timeoutMs: { env: 'CRM_WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1000, max: 60000, default: 5000 },
+        pollMs: { env: 'CRM_WEBHOOK_POLL_MS', type: 'integer', min: 1000, max: 3600000, default: 10000 }
+    },
+
+    logging: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info', 'http', 'debug'], default: 'info' }
+    }
+};